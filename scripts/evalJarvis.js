@@ -0,0 +1,290 @@
+/**
+ * Offline Jarvis intent eval
+ *
+ * Runs every adminCommands `examples` entry plus scripts/jarvisCorpus.js
+ * through parseAndExecuteAdminCommand in dry-run mode, against a throwaway
+ * in-memory database and a stub LLM, and reports whether each phrasing
+ * resolved to the expected command and params - with precision and recall
+ * per command, so a new pattern that steals an old one's matches shows up.
+ * A case with an LLM answer that the patterns also understand must resolve
+ * the same way on both paths, down to the match and the tier cap verdict.
+ *
+ * Usage: npm run eval:jarvis [-- --verbose] [-- --only <command>]
+ * Exits 1 if any case fails (known misparses are reported but don't count).
+ */
+
+import { corpus } from './jarvisCorpus.js';
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const only = args.includes('--only') ? args[args.indexOf('--only') + 1] : null;
+
+// Nothing leaves the machine: no real database, no real LLM
+process.env.DATABASE_PATH = ':memory:';
+process.env.OPENROUTER_API_KEY = '';
+process.env.LLM_EVALUATOR_ENABLED = 'true';
+process.env.LLM_EVALUATOR_RATE_LIMIT = '1000000';
+process.env.LLM_EVALUATOR_CACHE_TTL = '1';
+for (const name of ['DISCORD_TOKEN', 'CLIENT_ID', 'GUILD_ID', 'CHECKIN_CHANNEL_ID', 'NOTIFICATION_CHANNEL_ID', 'ADMIN_ROLE_ID']) {
+    process.env[name] ||= 'offline-eval';
+}
+
+// Mention placeholders used by examples and the corpus
+const USERS = {
+    a: '100000000000000001',
+    b: '100000000000000002',
+    c: '100000000000000003'
+};
+const PLACEHOLDERS = { user: 'a', user1: 'a', user2: 'b', user3: 'c', a: 'a', b: 'b', c: 'c', someone: 'a' };
+
+/**
+ * Replace @a / @user1 style placeholders with mentions (or bare IDs)
+ */
+function fillMentions(text, bare = false) {
+    return text.replace(/@(user[123]?|someone|[abc])\b/g, (_, name) => {
+        const id = USERS[PLACEHOLDERS[name]];
+        return bare ? id : `<@${id}>`;
+    });
+}
+
+/**
+ * Fill placeholders in an LLM stub answer (strings at any depth)
+ */
+function fillDeep(value) {
+    if (typeof value === 'string') return fillMentions(value);
+    if (Array.isArray(value)) return value.map(fillDeep);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, fillDeep(inner)]));
+    }
+    return value;
+}
+
+// ============================================
+// STUB LLM
+// ============================================
+
+// What the stub answers for the case being resolved
+let stubAnswer = null;
+
+/**
+ * Build the parseJarvisIntent JSON for a case's `llm` field
+ */
+function buildStubAnswer(llm) {
+    if (!llm) {
+        return { isCommand: false, confidence: 0, intents: [], clarificationNeeded: null, reasoning: 'stub: not a command' };
+    }
+
+    const intents = (Array.isArray(llm) ? llm : [llm]).map(intent => ({
+        params: {},
+        requiresConfirmation: false,
+        ...fillDeep(intent)
+    }));
+
+    return { isCommand: true, confidence: 0.9, intents, clarificationNeeded: null, reasoning: 'stub' };
+}
+
+/**
+ * LLM client provider that answers every evaluator call with stubAnswer
+ */
+const stubProvider = {
+    name: 'offline-stub',
+    isConfigured: () => true,
+    async send(endpoint) {
+        if (endpoint !== '/chat/completions') {
+            throw new Error(`offline eval: unexpected request to ${endpoint}`);
+        }
+        return { status: 200, data: { choices: [{ message: { content: JSON.stringify(stubAnswer) } }] } };
+    }
+};
+
+// ============================================
+// CASES
+// ============================================
+
+/**
+ * Examples from every command, then corpus cases (which replace an
+ * example with the same text, e.g. to add args or a previous message)
+ */
+function collectCases(adminCommandList) {
+    const cases = new Map();
+
+    for (const cmd of adminCommandList) {
+        for (const text of cmd.examples) {
+            cases.set(text, { text, command: cmd.name, source: 'example' });
+        }
+    }
+    for (const entry of corpus) {
+        cases.set(entry.text, { ...entry, source: 'corpus' });
+    }
+
+    return [...cases.values()].filter(entry =>
+        !only || entry.command === only || entry.steps?.includes(only));
+}
+
+/**
+ * Check each expected arg against the match group in the same position -
+ * the slot the command's executor reads - so swapped groups fail. IDs and
+ * numbers must match exactly; text only has to be contained. null skips a group.
+ * @returns {Array<string>} Args missing from their group
+ */
+function missingArgs(expected = [], match = []) {
+    return expected.filter((arg, index) => {
+        if (arg === null) return false;
+
+        const group = String(match[index + 1] ?? '').trim().toLowerCase();
+        const wanted = fillMentions(String(arg), true).toLowerCase();
+        return /^\d+$/.test(wanted) ? group !== wanted : !group.includes(wanted);
+    });
+}
+
+/**
+ * Resolve one case and compare it with what was expected
+ */
+async function runCase(entry, index, { resolve, clearCache, grant }) {
+    // A fresh admin per case, so follow-up context can't leak between cases
+    const userId = String(200000000000000000n + BigInt(index));
+    const context = { userId, channelId: 'eval', dryRun: true };
+    grant(userId, entry.tier);
+
+    if (entry.previous) {
+        stubAnswer = buildStubAnswer(null);
+        await resolve(fillMentions(entry.previous), context);
+    }
+
+    stubAnswer = buildStubAnswer(entry.llm);
+    const outcome = await resolve(fillMentions(entry.text), context);
+    const result = outcome.result || {};
+
+    const got = !outcome.matched ? null : result.steps ? 'plan' : result.command || outcome.command || null;
+    const problems = [];
+
+    if (got !== entry.command) {
+        problems.push(`expected ${entry.command ?? 'no command'}, got ${got ?? 'no command'}`);
+    } else if (got === 'plan') {
+        const steps = result.steps.map(step => step.command);
+        if (entry.steps && steps.join() !== entry.steps.join()) {
+            problems.push(`expected steps ${entry.steps.join(' → ')}, got ${steps.join(' → ')}`);
+        }
+    } else if (got) {
+        const missing = missingArgs(entry.args, result.match);
+        if (missing.length > 0) {
+            problems.push(`${missing.join(', ')} not in place in [${(result.match || []).slice(1).join(' | ')}]`);
+        }
+        if (entry.denied !== undefined && Boolean(result.denied) !== entry.denied) {
+            problems.push(entry.denied ? 'expected the tier cap to refuse it' : `refused: ${result.denied}`);
+        }
+        if (entry.llm) {
+            problems.push(...await comparePatternPath(entry, result, { resolve, clearCache, context }));
+        }
+    }
+
+    return { entry, got, method: outcome.method || (outcome.needsClarification ? 'clarify' : null), problems };
+}
+
+/**
+ * Resolve an LLM case again without the LLM. If the patterns understand it
+ * too, both paths must give the same groups and the same cap verdict.
+ * @returns {Array<string>} Problems
+ */
+async function comparePatternPath(entry, llmResult, { resolve, clearCache, context }) {
+    clearCache();
+    stubAnswer = buildStubAnswer(null);
+    const outcome = await resolve(fillMentions(entry.text), context);
+    const result = outcome.result || {};
+
+    if (!outcome.matched || result.command !== llmResult.command) {
+        return [];
+    }
+
+    const problems = [];
+    const llmGroups = llmResult.match.slice(1).join(' | ');
+    const patternGroups = result.match.slice(1).join(' | ');
+    if (llmGroups !== patternGroups) {
+        problems.push(`LLM match [${llmGroups}] differs from pattern match [${patternGroups}]`);
+    }
+    if (llmResult.denied !== result.denied) {
+        problems.push(`tier cap differs: LLM ${llmResult.denied ?? 'allowed'}, pattern ${result.denied ?? 'allowed'}`);
+    }
+    return problems;
+}
+
+// ============================================
+// REPORT
+// ============================================
+
+/**
+ * Precision and recall per command. A case counts as a hit only if the
+ * command is right; param problems are listed separately.
+ */
+function scoreCommands(results) {
+    const scores = {};
+    const score = name => (scores[name] ||= { expected: 0, predicted: 0, correct: 0 });
+
+    for (const { entry, got } of results) {
+        if (entry.command) score(entry.command).expected++;
+        if (got) score(got).predicted++;
+        if (got && got === entry.command) score(got).correct++;
+    }
+
+    return Object.entries(scores).sort(([a], [b]) => a.localeCompare(b));
+}
+
+function percent(part, whole) {
+    return whole === 0 ? '   -' : `${Math.round((part / whole) * 100)}%`.padStart(4);
+}
+
+function printReport(results) {
+    console.log('\nCommand               Cases  Precision  Recall');
+    for (const [name, { expected, predicted, correct }] of scoreCommands(results)) {
+        console.log(`${name.padEnd(20)}  ${String(expected).padStart(5)}  ${percent(correct, predicted).padStart(9)}  ${percent(correct, expected).padStart(6)}`);
+    }
+
+    const failed = results.filter(result => result.problems.length > 0);
+    const known = failed.filter(result => result.entry.known);
+    const unexpected = failed.filter(result => !result.entry.known);
+
+    for (const [title, list] of [['Failures', unexpected], ['Known misparses', known]]) {
+        if (list.length === 0) continue;
+        console.log(`\n${title}:`);
+        for (const { entry, method, problems } of list) {
+            const note = entry.known ? ` (${entry.known})` : '';
+            console.log(`  ✗ "${entry.text}" [${method ?? 'unmatched'}] ${problems.join('; ')}${note}`);
+        }
+    }
+
+    const fixed = results.filter(result => result.entry.known && result.problems.length === 0);
+    for (const { entry } of fixed) {
+        console.log(`\n  ✓ "${entry.text}" passes now - drop its \`known\` note`);
+    }
+
+    const passed = results.length - failed.length;
+    console.log(`\n${passed}/${results.length} passed, ${unexpected.length} failed, ${known.length} known`);
+    return unexpected.length;
+}
+
+// ============================================
+// MAIN
+// ============================================
+
+// Module logs ([DATABASE], [JARVIS], ...) only with --verbose
+const log = console.log;
+if (!verbose) console.log = () => {};
+
+const { setProvider, LLMPurpose } = await import('../src/services/llmClient.js');
+setProvider(stubProvider, [LLMPurpose.EVALUATOR]);
+
+const { parseAndExecuteAdminCommand, grantAdminPermission, PermissionLevels, getAvailableAdminCommands } =
+    await import('../src/services/adminCommands.js');
+const { clearCache } = await import('../src/services/llmEvaluator.js');
+
+const cases = collectCases(Object.values(getAvailableAdminCommands()).flat());
+const grant = (userId, tier = 'OWNER') => grantAdminPermission(userId, 'offline-eval', PermissionLevels[tier]);
+
+const results = [];
+for (const [index, entry] of cases.entries()) {
+    results.push(await runCase(entry, index, { resolve: parseAndExecuteAdminCommand, clearCache, grant }));
+}
+
+console.log = log;
+const failures = printReport(results);
+process.exit(failures > 0 ? 1 : 0);
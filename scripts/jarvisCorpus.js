@@ -0,0 +1,169 @@
+/**
+ * Jarvis intent corpus
+ *
+ * Phrasings the offline eval (scripts/evalJarvis.js) expects to resolve to a
+ * given command. Every adminCommands `examples` entry is checked as well;
+ * a case here with the same text replaces the example (to add args, say).
+ *
+ * Case fields:
+ * - text: the admin's message. @a, @b, @c (and @user, @user1-3) become mentions
+ * - command: expected command, 'plan' for several at once, or null for "not a command"
+ * - args: the match groups in capture order - mentions, amounts, bits of
+ *   text (contained in the group); null skips a group
+ * - steps: a plan's expected commands, in order
+ * - previous: sent first by the same admin, for follow-ups like "give them 50 more"
+ * - llm: what the stub LLM answers, one intent or a list of them. Without it
+ *   the stub says "not a command", so patterns and keywords decide
+ * - tier: the admin's Jarvis tier (a PermissionLevels key), OWNER by default
+ * - denied: whether that tier's amount cap must refuse it
+ * - known: why this misparses today; reported, but doesn't fail the run
+ */
+
+export const corpus = [
+    // ==========================================
+    // BEBITS
+    // ==========================================
+    { text: 'give @user 100 bebits', command: 'give_bebits', args: ['@a', '100'] },
+    { text: 'award @user 50 points', command: 'give_bebits', args: ['@a', '50'] },
+    { text: 'bless them with 200 bebits', command: 'give_bebits', args: ['@a', '200'], previous: 'info @a' },
+    { text: 'give 75 bebits to @b', command: 'give_bebits', args: ['@b', '75'] },
+    { text: 'remove 50 bebits from @user', command: 'remove_bebits', args: ['50', '@a'] },
+    { text: 'yoink 25 bebits from @b', command: 'remove_bebits', args: ['25', '@b'] },
+    { text: 'set @user bebits to 500', command: 'set_bebits', args: ['@a', '500'] },
+    { text: 'transfer 100 bebits from @user1 to @user2', command: 'transfer_bebits', args: ['100', '@a', '@b'] },
+    { text: 'award everyone 10 bebits', command: 'mass_give_bebits', args: ['10'] },
+    { text: 'give everyone who checked in this week 5 bebits', command: 'mass_give_bebits', args: ['5'] },
+
+    // ==========================================
+    // STREAKS & INFO
+    // ==========================================
+    { text: 'reset @user streak', command: 'reset_streak', args: ['@a'] },
+    { text: 'info @b', command: 'user_info', args: ['@b'] },
+    { text: 'compare @user1 vs @user2', command: 'compare_users', args: ['@a', '@b'] },
+    { text: 'server stats', command: 'server_stats' },
+
+    // ==========================================
+    // MEMORY & RELATIONSHIPS
+    // ==========================================
+    { text: 'note about @user: loves cats', command: 'add_note', args: ['@a', 'loves cats'] },
+    { text: 'add note to @a: likes to post daily', command: 'add_note', args: ['@a', 'likes to post daily'] },
+    { text: 'what do you remember about cats', command: 'search_memories', args: ['cats'] },
+    { text: 'forget that @user likes pineapple', command: 'forget_memory', args: ['@a', 'likes pineapple'] },
+    { text: 'forget memory #12', command: 'forget_memory', args: ['12'] },
+    { text: 'set @user\'s nickname to Noodle', command: 'set_nickname', args: ['@a', 'noodle'] },
+    { text: 'make @user and Beboa rivals', command: 'set_rivalry', args: ['@a', 'rivals'] },
+    { text: 'what inside jokes do you have with @b', command: 'inside_jokes', args: ['@b'] },
+    { text: 'forget inside joke 2 with @user', command: 'forget_inside_joke', args: ['2', '@a'] },
+
+    // ==========================================
+    // PERSONALITY
+    // ==========================================
+    { text: 'set mood to happy', command: 'set_mood', args: ['happy'] },
+    { text: 'make beboa mischievous', command: 'set_mood', args: ['mischievous'] },
+
+    // ==========================================
+    // FUN
+    // ==========================================
+    { text: 'bonk @b', command: 'bonk', args: ['@b'] },
+    { text: 'roast @user', command: 'roast', args: ['@a'] },
+    { text: 'simp check @user', command: 'simp_check', args: ['@a'] },
+    { text: 'ship @user1 and @user2', command: 'compatibility', args: ['@a', '@b'] },
+
+    // ==========================================
+    // ADMIN
+    // ==========================================
+    { text: 'announce: Server event tonight!', command: 'announce', args: ['server event tonight'] },
+    { text: 'announce: New rewards in the shop!', command: 'announce', args: ['new rewards in the shop'] },
+    { text: 'announce: the shop restocks every Sunday', command: 'announce', args: ['the shop restocks every sunday'] },
+    { text: 'announce: raffle starts now! — at 8pm', command: 'announce', args: ['raffle starts now'] },
+    { text: 'undo 42', command: 'undo', args: ['42'] },
+
+    // ==========================================
+    // KEYWORDS (no pattern, found by analyzeIntent)
+    // ==========================================
+    { text: 'hand @a some bebits, like 30', command: 'give_bebits', args: ['@a', '30'] },
+
+    // ==========================================
+    // LLM (stub answers stand in for the model)
+    // ==========================================
+    {
+        text: 'yo toss @a like a hundred coins',
+        command: 'give_bebits',
+        args: ['@a', '100'],
+        llm: { command: 'give_bebits', params: { targetUserId: '@a', amount: 100 } }
+    },
+    {
+        text: 'give 500 bebits to @a',
+        command: 'give_bebits',
+        args: ['@a', '500'],
+        tier: 'ECONOMY',
+        denied: false,
+        llm: { command: 'give_bebits', params: { targetUserId: '@a', amount: 500 } }
+    },
+    {
+        text: 'take 500 bebits from @a',
+        command: 'remove_bebits',
+        args: ['500', '@a'],
+        tier: 'ECONOMY',
+        denied: false,
+        llm: { command: 'remove_bebits', params: { targetUserId: '@a', amount: 500 }, requiresConfirmation: true }
+    },
+    {
+        text: 'take 5000 bebits from @a',
+        command: 'remove_bebits',
+        args: ['5000', '@a'],
+        tier: 'ECONOMY',
+        denied: true,
+        llm: { command: 'remove_bebits', params: { targetUserId: '@a', amount: 5000 }, requiresConfirmation: true }
+    },
+    {
+        text: 'move fifty from @a over to @b',
+        command: 'transfer_bebits',
+        args: ['50', '@a', '@b'],
+        llm: { command: 'transfer_bebits', params: { fromUserId: '@a', toUserId: '@b', amount: 50 } }
+    },
+    {
+        text: 'honestly just be smug for a while',
+        command: 'set_mood',
+        args: ['smug'],
+        llm: { command: 'set_mood', params: { moodName: 'smug' } }
+    },
+    {
+        text: 'stop calling @b anything',
+        command: 'set_nickname',
+        args: ['@b'],
+        llm: { command: 'set_nickname', params: { targetUserId: '@b', text: null } }
+    },
+    {
+        text: 'take back whatever you did in 17',
+        command: 'undo',
+        args: ['17'],
+        llm: { command: 'undo', params: { auditId: 17 } }
+    },
+
+    // ==========================================
+    // PLANS
+    // ==========================================
+    { text: 'give @a 50 bebits, bonk @b and set mood to smug', command: 'plan', steps: ['give_bebits', 'bonk', 'set_mood'] },
+    { text: 'set @a\'s nickname to Noodle, then make @a and Beboa rivals', command: 'plan', steps: ['set_nickname', 'set_rivalry'] },
+    { text: 'give @a 50 bebits, she earned it', command: 'give_bebits', args: ['@a', '50'] },
+    {
+        text: 'give @a 50, bonk @b and set mood to smug',
+        command: 'plan',
+        steps: ['give_bebits', 'bonk', 'set_mood'],
+        llm: [
+            { command: 'give_bebits', segment: 'give @a 50', params: { targetUserId: '@a', amount: 50 } },
+            { command: 'bonk', segment: 'bonk @b', params: { targetUserId: '@b' } },
+            { command: 'set_mood', segment: 'set mood to smug', params: { moodName: 'smug' } }
+        ]
+    },
+
+    // ==========================================
+    // NOT COMMANDS
+    // ==========================================
+    { text: 'hello beboa how was your day', command: null },
+    { text: 'lol that was so funny', command: null },
+    { text: 'i think pineapple on pizza is fine actually', command: null }
+];
+
+export default corpus;
@@ -1,21 +1,51 @@
 import {
     SlashCommandBuilder,
     EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
     PermissionFlagsBits
 } from 'discord.js';
-import { getUser, updateBebits, resetStreak, getStats, getUserNotes, setUserNotes } from '../database.js';
+import { config } from '../config.js';
+import { getUser, updateBebits, applyBebitDelta, TransactionReasons, resetStreak, getStats, getUserNotes, setUserNotes } from '../database.js';
 import {
     adminBebitsAdded,
     adminBebitsRemoved,
     adminBebitsSet,
     adminStreakReset,
+    buildRedemptionQueueDescription,
+    seasonEndPreview,
+    buildSeasonList,
+    formatRoleRequirement,
+    buildRoleRewardList,
+    buildAuditList,
+    buildAuditDetailFields,
+    formatJarvisRule,
+    buildJarvisTierList,
+    buildScheduledActionList,
     databaseError
 } from '../utils/messages.js';
 import { clearHistory, getChatStats } from './chat.js';
+import { buildHistoryPage } from './history.js';
 import { getModelInfo } from '../services/openrouter.js';
+import { getUsageStats } from '../services/llmClient.js';
 import { clearMentionHistory, getMentionChatStats } from '../handlers/messageHandler.js';
 import { storeMemory, searchMemories, MemoryTypes } from '../services/memory.js';
-import { grantAdminPermission, revokeAdminPermission, canExecuteAdminCommands, getAvailableAdminCommands } from '../services/adminCommands.js';
+import {
+    PermissionLevels,
+    PERMISSION_LEVEL_NAMES,
+    grantAdminPermission,
+    revokeAdminPermission,
+    getAdminPermissions,
+    getPermissionRules,
+    setPermissionRule,
+    clearPermissionRule,
+    canExecuteAdminCommands,
+    getAvailableAdminCommands
+} from '../services/adminCommands.js';
+import { AUDIT_PAGE_SIZE, getAuditEntries, getAuditEntry } from '../services/auditLog.js';
+import { getScheduledActions, cancelScheduledAction } from '../services/scheduledActions.js';
+import { cancelScheduledAnnouncement } from '../services/announcements.js';
 import { getRegisteredTools } from '../services/tools.js';
 import {
     getPersonalityState,
@@ -23,8 +53,34 @@ import {
     evolveTrait,
     getRelationship,
     Moods,
-    PersonalityDimensions
+    PersonalityDimensions,
+    RelationshipStages
 } from '../services/personality.js';
+import {
+    getRewardConfig,
+    setBaseReward,
+    setStreakMultiplier,
+    setStreakMilestone,
+    removeStreakMilestone
+} from '../services/checkinRewards.js';
+import {
+    getRewards,
+    addReward,
+    editReward,
+    setRewardLimits,
+    setRewardRole,
+    setRewardEnabled,
+    moveReward
+} from '../services/rewardCatalog.js';
+import { getRedemptionQueue } from '../services/redemptions.js';
+import { getCurrentSeason, getSeasons, previewSeasonEnd } from '../services/seasons.js';
+import {
+    RoleRequirements,
+    getRoleRewards,
+    addRoleReward,
+    removeRoleRewards,
+    runRoleSweep
+} from '../services/roleRewards.js';
 
 export const data = new SlashCommandBuilder()
     .setName('admin')
@@ -107,396 +163,1736 @@ export const data = new SlashCommandBuilder()
     )
     .addSubcommandGroup(group =>
         group
-            .setName('chat')
-            .setDescription('Manage chat feature')
+            .setName('checkin')
+            .setDescription('Manage the check-in reward curve')
             .addSubcommand(subcommand =>
                 subcommand
-                    .setName('clear')
-                    .setDescription('Clear all shared conversation history')
+                    .setName('view')
+                    .setDescription('View base reward, streak multipliers and milestones')
             )
             .addSubcommand(subcommand =>
                 subcommand
-                    .setName('status')
-                    .setDescription('View chat feature status')
+                    .setName('base')
+                    .setDescription('Set the base Bebits awarded per check-in')
+                    .addIntegerOption(option =>
+                        option
+                            .setName('amount')
+                            .setDescription('Base Bebits per check-in')
+                            .setRequired(true)
+                            .setMinValue(0)
+                    )
             )
             .addSubcommand(subcommand =>
                 subcommand
-                    .setName('viewnote')
-                    .setDescription('View Beboa\'s notes about a user')
-                    .addUserOption(option =>
+                    .setName('multiplier')
+                    .setDescription('Set the reward multiplier from a streak length (0 removes it)')
+                    .addIntegerOption(option =>
                         option
-                            .setName('user')
-                            .setDescription('User to view notes for')
+                            .setName('streak')
+                            .setDescription('Streak length (days) the multiplier starts at')
+                            .setRequired(true)
+                            .setMinValue(1)
+                    )
+                    .addNumberOption(option =>
+                        option
+                            .setName('multiplier')
+                            .setDescription('Multiplier applied to the base reward (0 to remove)')
                             .setRequired(true)
+                            .setMinValue(0)
+                            .setMaxValue(100)
                     )
             )
             .addSubcommand(subcommand =>
                 subcommand
-                    .setName('setnote')
-                    .setDescription('Set Beboa\'s notes about a user (replaces existing)')
-                    .addUserOption(option =>
+                    .setName('milestone')
+                    .setDescription('Add or edit a streak milestone bonus')
+                    .addIntegerOption(option =>
                         option
-                            .setName('user')
-                            .setDescription('User to set notes for')
+                            .setName('days')
+                            .setDescription('Streak length that triggers the milestone')
                             .setRequired(true)
+                            .setMinValue(1)
                     )
-                    .addStringOption(option =>
+                    .addIntegerOption(option =>
                         option
-                            .setName('note')
-                            .setDescription('Note content (Beboa\'s memory about this user)')
+                            .setName('bonus')
+                            .setDescription('Bonus Bebits awarded once per streak')
                             .setRequired(true)
-                            .setMaxLength(1000)
+                            .setMinValue(0)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('message')
+                            .setDescription('Custom announcement ({user}, {days}, {bonus} placeholders)')
+                            .setRequired(false)
+                            .setMaxLength(500)
                     )
             )
             .addSubcommand(subcommand =>
                 subcommand
-                    .setName('clearnote')
-                    .setDescription('Clear Beboa\'s notes about a user')
-                    .addUserOption(option =>
+                    .setName('removemilestone')
+                    .setDescription('Remove a streak milestone')
+                    .addIntegerOption(option =>
                         option
-                            .setName('user')
-                            .setDescription('User to clear notes for')
+                            .setName('days')
+                            .setDescription('Milestone to remove')
                             .setRequired(true)
+                            .setMinValue(1)
                     )
             )
     )
-    .addSubcommand(subcommand =>
-        subcommand
-            .setName('stats')
-            .setDescription('View server statistics')
-    )
     .addSubcommandGroup(group =>
         group
-            .setName('memory')
-            .setDescription('Manage Beboa\'s semantic memories')
+            .setName('shop')
+            .setDescription('Manage the reward catalog')
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('list')
+                    .setDescription('List every reward, including disabled ones')
+            )
             .addSubcommand(subcommand =>
                 subcommand
                     .setName('add')
-                    .setDescription('Add a memory about a user')
-                    .addUserOption(option =>
+                    .setDescription('Add a new reward to the shop')
+                    .addStringOption(option =>
                         option
-                            .setName('user')
-                            .setDescription('User this memory is about')
+                            .setName('id')
+                            .setDescription('Unique ID (lowercase letters, numbers, underscores)')
                             .setRequired(true)
+                            .setMaxLength(32)
                     )
                     .addStringOption(option =>
                         option
-                            .setName('content')
-                            .setDescription('Memory content')
+                            .setName('name')
+                            .setDescription('Display name')
                             .setRequired(true)
-                            .setMaxLength(500)
+                            .setMaxLength(80)
+                    )
+                    .addIntegerOption(option =>
+                        option
+                            .setName('cost')
+                            .setDescription('Cost in Bebits')
+                            .setRequired(true)
+                            .setMinValue(1)
                     )
                     .addStringOption(option =>
                         option
-                            .setName('type')
-                            .setDescription('Type of memory')
+                            .setName('emoji')
+                            .setDescription('Emoji shown on the shop button')
+                            .setRequired(true)
+                            .setMaxLength(64)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('notification')
+                            .setDescription('Message sent to the command center ({user} = buyer)')
+                            .setRequired(true)
+                            .setMaxLength(1000)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('description')
+                            .setDescription('What the buyer gets (shown in the shop)')
                             .setRequired(false)
-                            .addChoices(
-                                { name: 'Fact', value: 'fact' },
-                                { name: 'Preference', value: 'preference' },
-                                { name: 'Event', value: 'event' },
-                                { name: 'Relationship', value: 'relationship' },
-                                { name: 'Lore', value: 'lore' }
-                            )
+                            .setMaxLength(200)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('category')
+                            .setDescription('Shop category, e.g. Toys (default: Other)')
+                            .setRequired(false)
+                            .setMaxLength(40)
                     )
             )
             .addSubcommand(subcommand =>
                 subcommand
-                    .setName('search')
-                    .setDescription('Search Beboa\'s memories')
+                    .setName('edit')
+                    .setDescription('Edit an existing reward (only the options you give change)')
                     .addStringOption(option =>
                         option
-                            .setName('query')
-                            .setDescription('Search query')
+                            .setName('id')
+                            .setDescription('Reward ID')
                             .setRequired(true)
                     )
-                    .addUserOption(option =>
+                    .addStringOption(option =>
                         option
-                            .setName('user')
-                            .setDescription('Filter by user (optional)')
+                            .setName('name')
+                            .setDescription('New display name')
+                            .setRequired(false)
+                            .setMaxLength(80)
+                    )
+                    .addIntegerOption(option =>
+                        option
+                            .setName('cost')
+                            .setDescription('New cost in Bebits')
+                            .setRequired(false)
+                            .setMinValue(1)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('emoji')
+                            .setDescription('New emoji')
+                            .setRequired(false)
+                            .setMaxLength(64)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('notification')
+                            .setDescription('New notification template ({user} = buyer)')
+                            .setRequired(false)
+                            .setMaxLength(1000)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('description')
+                            .setDescription('New description')
+                            .setRequired(false)
+                            .setMaxLength(200)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('category')
+                            .setDescription('New shop category')
                             .setRequired(false)
+                            .setMaxLength(40)
                     )
             )
             .addSubcommand(subcommand =>
                 subcommand
-                    .setName('status')
-                    .setDescription('View memory system status')
+                    .setName('disable')
+                    .setDescription('Hide a reward from the shop and block redemptions')
+                    .addStringOption(option =>
+                        option
+                            .setName('id')
+                            .setDescription('Reward ID')
+                            .setRequired(true)
+                    )
             )
-    )
-    .addSubcommandGroup(group =>
-        group
-            .setName('jarvis')
-            .setDescription('Manage Jarvis-style admin permissions')
             .addSubcommand(subcommand =>
                 subcommand
-                    .setName('grant')
-                    .setDescription('Grant admin command permission to a user')
-                    .addUserOption(option =>
+                    .setName('enable')
+                    .setDescription('Put a disabled reward back in the shop')
+                    .addStringOption(option =>
                         option
-                            .setName('user')
-                            .setDescription('User to grant permission')
+                            .setName('id')
+                            .setDescription('Reward ID')
                             .setRequired(true)
                     )
             )
             .addSubcommand(subcommand =>
                 subcommand
-                    .setName('revoke')
-                    .setDescription('Revoke admin command permission from a user')
-                    .addUserOption(option =>
+                    .setName('limits')
+                    .setDescription('Set stock, restocks, cooldown and per-member caps for a reward')
+                    .addStringOption(option =>
                         option
-                            .setName('user')
-                            .setDescription('User to revoke permission from')
+                            .setName('id')
+                            .setDescription('Reward ID')
+                            .setRequired(true)
+                    )
+                    .addIntegerOption(option =>
+                        option
+                            .setName('stock')
+                            .setDescription('How many are left right now (-1 = unlimited)')
+                            .setMinValue(-1)
+                    )
+                    .addIntegerOption(option =>
+                        option
+                            .setName('restock_amount')
+                            .setDescription('Refill stock to this amount on each restock (0 = no restocks)')
+                            .setMinValue(0)
+                    )
+                    .addIntegerOption(option =>
+                        option
+                            .setName('restock_hours')
+                            .setDescription('Hours between restocks (0 = no restocks)')
+                            .setMinValue(0)
+                    )
+                    .addIntegerOption(option =>
+                        option
+                            .setName('cooldown_hours')
+                            .setDescription('Hours a member waits between purchases (0 = none)')
+                            .setMinValue(0)
+                    )
+                    .addIntegerOption(option =>
+                        option
+                            .setName('lifetime_limit')
+                            .setDescription('Max purchases per member, ever (0 = no cap)')
+                            .setMinValue(0)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('reorder')
+                    .setDescription('Move a reward to a new position in the shop')
+                    .addStringOption(option =>
+                        option
+                            .setName('id')
+                            .setDescription('Reward ID')
                             .setRequired(true)
                     )
+                    .addIntegerOption(option =>
+                        option
+                            .setName('position')
+                            .setDescription('New position (1 = first)')
+                            .setRequired(true)
+                            .setMinValue(1)
+                    )
             )
             .addSubcommand(subcommand =>
                 subcommand
-                    .setName('commands')
-                    .setDescription('List available Jarvis-style commands')
+                    .setName('role')
+                    .setDescription('Make a reward grant a Discord role for a while (leave out role to stop)')
+                    .addStringOption(option =>
+                        option
+                            .setName('id')
+                            .setDescription('Reward ID')
+                            .setRequired(true)
+                    )
+                    .addRoleOption(option =>
+                        option
+                            .setName('role')
+                            .setDescription('Role buyers get')
+                            .setRequired(false)
+                    )
+                    .addIntegerOption(option =>
+                        option
+                            .setName('hours')
+                            .setDescription('How long the role lasts (buying again extends it)')
+                            .setRequired(false)
+                            .setMinValue(1)
+                            .setMaxValue(8760)
+                    )
             )
     )
-    .addSubcommand(subcommand =>
-        subcommand
-            .setName('tools')
-            .setDescription('View registered AI tools')
+    .addSubcommandGroup(group =>
+        group
+            .setName('season')
+            .setDescription('Archive standings and reset the economy')
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('end')
+                    .setDescription('End the current season (shows a preview first)')
+                    .addStringOption(option =>
+                        option
+                            .setName('name')
+                            .setDescription('Name for the season that is ending, e.g. "Spring 2025"')
+                            .setRequired(false)
+                            .setMaxLength(40)
+                    )
+                    .addIntegerOption(option =>
+                        option
+                            .setName('keep_percent')
+                            .setDescription(`% of their Bebits members keep (default ${config.SEASON_KEEP_PERCENT}, 0 = full reset)`)
+                            .setRequired(false)
+                            .setMinValue(0)
+                            .setMaxValue(100)
+                    )
+                    .addBooleanOption(option =>
+                        option
+                            .setName('keep_streaks')
+                            .setDescription(`Keep check-in streaks (default ${config.SEASON_KEEP_STREAKS ? 'yes' : 'no'})`)
+                            .setRequired(false)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('list')
+                    .setDescription('View past seasons and their winners')
+            )
     )
     .addSubcommandGroup(group =>
         group
-            .setName('personality')
-            .setDescription('Manage Beboa\'s dynamic personality')
+            .setName('redemptions')
+            .setDescription('Track reward fulfillment')
             .addSubcommand(subcommand =>
                 subcommand
-                    .setName('status')
-                    .setDescription('View current personality state and mood')
+                    .setName('queue')
+                    .setDescription('View outstanding redemptions, oldest first')
             )
+    )
+    .addSubcommandGroup(group =>
+        group
+            .setName('roles')
+            .setDescription('Roles members earn for streaks, Bebits, rank or Beboa\'s affection')
             .addSubcommand(subcommand =>
                 subcommand
-                    .setName('mood')
-                    .setDescription('Set Beboa\'s current mood')
+                    .setName('add')
+                    .setDescription('Give a role to everyone who meets a requirement')
+                    .addRoleOption(option =>
+                        option
+                            .setName('role')
+                            .setDescription('Role to hand out')
+                            .setRequired(true)
+                    )
                     .addStringOption(option =>
                         option
-                            .setName('mood')
-                            .setDescription('Mood to set')
+                            .setName('requirement')
+                            .setDescription('What members need')
                             .setRequired(true)
                             .addChoices(
-                                { name: 'Neutral', value: 'neutral' },
-                                { name: 'Happy', value: 'happy' },
-                                { name: 'Annoyed', value: 'annoyed' },
-                                { name: 'Mischievous', value: 'mischievous' },
-                                { name: 'Protective', value: 'protective' },
-                                { name: 'Flustered', value: 'flustered' },
-                                { name: 'Bored', value: 'bored' },
-                                { name: 'Energetic', value: 'energetic' },
-                                { name: 'Melancholic', value: 'melancholic' },
-                                { name: 'Competitive', value: 'competitive' },
-                                { name: 'Smug', value: 'smug' },
-                                { name: 'Soft', value: 'soft' }
+                                { name: 'Current streak (days)', value: RoleRequirements.STREAK },
+                                { name: 'Total check-ins', value: RoleRequirements.CHECKINS },
+                                { name: 'Bebits balance', value: RoleRequirements.BEBITS },
+                                { name: 'Top N on the Bebits leaderboard', value: RoleRequirements.RANK },
+                                { name: 'Relationship stage with Beboa', value: RoleRequirements.RELATIONSHIP }
                             )
                     )
-            )
-            .addSubcommand(subcommand =>
-                subcommand
-                    .setName('relationship')
-                    .setDescription('View Beboa\'s relationship with a user')
-                    .addUserOption(option =>
+                    .addIntegerOption(option =>
                         option
-                            .setName('user')
-                            .setDescription('User to check relationship')
-                            .setRequired(true)
+                            .setName('threshold')
+                            .setDescription('Days, check-ins, Bebits, or N for top N')
+                            .setRequired(false)
+                            .setMinValue(1)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('stage')
+                            .setDescription('Relationship stage (for the relationship requirement)')
+                            .setRequired(false)
+                            .addChoices(
+                                ...Object.entries(RelationshipStages).map(([value, stage]) => ({ name: stage.label, value }))
+                            )
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('remove')
+                    .setDescription('Stop handing out a role (it is taken back on the next sync)')
+                    .addRoleOption(option =>
+                        option
+                            .setName('role')
+                            .setDescription('Role to stop handing out')
+                            .setRequired(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('list')
+                    .setDescription('View role rewards and shop roles')
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('sync')
+                    .setDescription('Reconcile everyone\'s roles now')
+            )
+    )
+    .addSubcommandGroup(group =>
+        group
+            .setName('chat')
+            .setDescription('Manage chat feature')
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('clear')
+                    .setDescription('Clear all shared conversation history')
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('status')
+                    .setDescription('View chat feature status')
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('viewnote')
+                    .setDescription('View Beboa\'s notes about a user')
+                    .addUserOption(option =>
+                        option
+                            .setName('user')
+                            .setDescription('User to view notes for')
+                            .setRequired(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('setnote')
+                    .setDescription('Set Beboa\'s notes about a user (replaces existing)')
+                    .addUserOption(option =>
+                        option
+                            .setName('user')
+                            .setDescription('User to set notes for')
+                            .setRequired(true)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('note')
+                            .setDescription('Note content (Beboa\'s memory about this user)')
+                            .setRequired(true)
+                            .setMaxLength(1000)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('clearnote')
+                    .setDescription('Clear Beboa\'s notes about a user')
+                    .addUserOption(option =>
+                        option
+                            .setName('user')
+                            .setDescription('User to clear notes for')
+                            .setRequired(true)
+                    )
+            )
+    )
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('stats')
+            .setDescription('View server statistics')
+    )
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('history')
+            .setDescription('Browse the Bebit transaction ledger')
+            .addUserOption(option =>
+                option
+                    .setName('user')
+                    .setDescription('Only show this user')
+                    .setRequired(false)
+            )
+            .addStringOption(option =>
+                option
+                    .setName('reason')
+                    .setDescription('Only show this kind of transaction')
+                    .setRequired(false)
+                    .addChoices(
+                        ...Object.values(TransactionReasons).map(reason => ({ name: reason, value: reason }))
+                    )
+            )
+            .addStringOption(option =>
+                option
+                    .setName('from')
+                    .setDescription('Start date (YYYY-MM-DD)')
+                    .setRequired(false)
+            )
+            .addStringOption(option =>
+                option
+                    .setName('to')
+                    .setDescription('End date, inclusive (YYYY-MM-DD)')
+                    .setRequired(false)
+            )
+            .addIntegerOption(option =>
+                option
+                    .setName('page')
+                    .setDescription('Page to show')
+                    .setRequired(false)
+                    .setMinValue(1)
+            )
+    )
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('audit')
+            .setDescription('Browse the Jarvis command audit log')
+            .addIntegerOption(option =>
+                option
+                    .setName('id')
+                    .setDescription('Show one entry in full (with Undo)')
+                    .setRequired(false)
+                    .setMinValue(1)
+            )
+            .addUserOption(option =>
+                option
+                    .setName('admin')
+                    .setDescription('Only commands run by this admin')
+                    .setRequired(false)
+            )
+            .addStringOption(option =>
+                option
+                    .setName('command')
+                    .setDescription('Only this command (e.g. give_bebits)')
+                    .setRequired(false)
+            )
+            .addIntegerOption(option =>
+                option
+                    .setName('page')
+                    .setDescription('Page to show')
+                    .setRequired(false)
+                    .setMinValue(1)
+            )
+    )
+    .addSubcommandGroup(group =>
+        group
+            .setName('memory')
+            .setDescription('Manage Beboa\'s semantic memories')
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('add')
+                    .setDescription('Add a memory about a user')
+                    .addUserOption(option =>
+                        option
+                            .setName('user')
+                            .setDescription('User this memory is about')
+                            .setRequired(true)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('content')
+                            .setDescription('Memory content')
+                            .setRequired(true)
+                            .setMaxLength(500)
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('type')
+                            .setDescription('Type of memory')
+                            .setRequired(false)
+                            .addChoices(
+                                { name: 'Fact', value: 'fact' },
+                                { name: 'Preference', value: 'preference' },
+                                { name: 'Event', value: 'event' },
+                                { name: 'Relationship', value: 'relationship' },
+                                { name: 'Lore', value: 'lore' }
+                            )
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('search')
+                    .setDescription('Search Beboa\'s memories')
+                    .addStringOption(option =>
+                        option
+                            .setName('query')
+                            .setDescription('Search query')
+                            .setRequired(true)
+                    )
+                    .addUserOption(option =>
+                        option
+                            .setName('user')
+                            .setDescription('Filter by user (optional)')
+                            .setRequired(false)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('status')
+                    .setDescription('View memory system status')
+            )
+    )
+    .addSubcommandGroup(group =>
+        group
+            .setName('jarvis')
+            .setDescription('Manage Jarvis-style admin permissions')
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('grant')
+                    .setDescription('Grant admin command permission to a user')
+                    .addUserOption(option =>
+                        option
+                            .setName('user')
+                            .setDescription('User to grant permission')
+                            .setRequired(true)
+                    )
+                    .addIntegerOption(option =>
+                        option
+                            .setName('tier')
+                            .setDescription('Which commands they can use')
+                            .setRequired(true)
+                            .addChoices(
+                                { name: 'Fun - playful and info commands', value: PermissionLevels.FUN },
+                                { name: 'Moderator - + memory, mood and streaks', value: PermissionLevels.MODERATOR },
+                                { name: 'Economy - + Bebits (capped)', value: PermissionLevels.ECONOMY },
+                                { name: 'Owner - everything, no caps', value: PermissionLevels.OWNER }
+                            )
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('revoke')
+                    .setDescription('Revoke admin command permission from a user')
+                    .addUserOption(option =>
+                        option
+                            .setName('user')
+                            .setDescription('User to revoke permission from')
+                            .setRequired(true)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('commands')
+                    .setDescription('List available Jarvis-style commands')
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('tiers')
+                    .setDescription('Show who has which Jarvis tier, and the per-tier rules')
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('rule')
+                    .setDescription('Allow/deny a command or cap Bebits for a tier')
+                    .addIntegerOption(option =>
+                        option
+                            .setName('tier')
+                            .setDescription('Tier the rule applies to')
+                            .setRequired(true)
+                            .addChoices(
+                                { name: 'Fun', value: PermissionLevels.FUN },
+                                { name: 'Moderator', value: PermissionLevels.MODERATOR },
+                                { name: 'Economy', value: PermissionLevels.ECONOMY }
+                            )
+                    )
+                    .addStringOption(option =>
+                        option
+                            .setName('command')
+                            .setDescription('Command name (e.g. give_bebits), or * for a tier-wide cap')
+                            .setRequired(true)
+                    )
+                    .addBooleanOption(option =>
+                        option
+                            .setName('allowed')
+                            .setDescription('Allow or deny the command (leave empty for the tier default)')
+                            .setRequired(false)
+                    )
+                    .addIntegerOption(option =>
+                        option
+                            .setName('max_amount')
+                            .setDescription('Most Bebits it may move per command')
+                            .setRequired(false)
+                            .setMinValue(0)
+                    )
+                    .addBooleanOption(option =>
+                        option
+                            .setName('clear')
+                            .setDescription('Remove the rule instead')
+                            .setRequired(false)
+                    )
+            )
+    )
+    .addSubcommandGroup(group =>
+        group
+            .setName('schedule')
+            .setDescription('Manage scheduled and recurring Jarvis commands')
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('list')
+                    .setDescription('View scheduled Jarvis commands')
+                    .addBooleanOption(option =>
+                        option
+                            .setName('all')
+                            .setDescription('Include finished, failed and cancelled ones')
+                            .setRequired(false)
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('cancel')
+                    .setDescription('Cancel a scheduled Jarvis command')
+                    .addIntegerOption(option =>
+                        option
+                            .setName('id')
+                            .setDescription('Scheduled command number (from /admin schedule list)')
+                            .setRequired(true)
+                            .setMinValue(1)
+                    )
+            )
+    )
+    .addSubcommand(subcommand =>
+        subcommand
+            .setName('tools')
+            .setDescription('View registered AI tools')
+    )
+    .addSubcommandGroup(group =>
+        group
+            .setName('personality')
+            .setDescription('Manage Beboa\'s dynamic personality')
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('status')
+                    .setDescription('View current personality state and mood')
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('mood')
+                    .setDescription('Set Beboa\'s current mood')
+                    .addStringOption(option =>
+                        option
+                            .setName('mood')
+                            .setDescription('Mood to set')
+                            .setRequired(true)
+                            .addChoices(
+                                { name: 'Neutral', value: 'neutral' },
+                                { name: 'Happy', value: 'happy' },
+                                { name: 'Annoyed', value: 'annoyed' },
+                                { name: 'Mischievous', value: 'mischievous' },
+                                { name: 'Protective', value: 'protective' },
+                                { name: 'Flustered', value: 'flustered' },
+                                { name: 'Bored', value: 'bored' },
+                                { name: 'Energetic', value: 'energetic' },
+                                { name: 'Melancholic', value: 'melancholic' },
+                                { name: 'Competitive', value: 'competitive' },
+                                { name: 'Smug', value: 'smug' },
+                                { name: 'Soft', value: 'soft' }
+                            )
+                    )
+            )
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('relationship')
+                    .setDescription('View Beboa\'s relationship with a user')
+                    .addUserOption(option =>
+                        option
+                            .setName('user')
+                            .setDescription('User to check relationship')
+                            .setRequired(true)
                     )
             )
     );
 
-export async function execute(interaction) {
-    try {
-        const subcommandGroup = interaction.options.getSubcommandGroup(false);
-        const subcommand = interaction.options.getSubcommand();
+export async function execute(interaction) {
+    try {
+        const subcommandGroup = interaction.options.getSubcommandGroup(false);
+        const subcommand = interaction.options.getSubcommand();
+
+        // Handle stats (no subcommand group)
+        if (subcommand === 'stats') {
+            return await handleStats(interaction);
+        }
+
+        // Handle ledger history (no subcommand group)
+        if (subcommand === 'history') {
+            return await handleHistory(interaction);
+        }
+
+        // Handle Jarvis audit log (no subcommand group)
+        if (subcommand === 'audit') {
+            return await handleAudit(interaction);
+        }
+
+        // Handle tools (no subcommand group)
+        if (subcommand === 'tools') {
+            return await handleTools(interaction);
+        }
+
+        // Handle bebits subcommands
+        if (subcommandGroup === 'bebits') {
+            switch (subcommand) {
+                case 'add':
+                    return await handleBebitsAdd(interaction);
+                case 'remove':
+                    return await handleBebitsRemove(interaction);
+                case 'set':
+                    return await handleBebitsSet(interaction);
+            }
+        }
+
+        // Handle streak subcommands
+        if (subcommandGroup === 'streak') {
+            if (subcommand === 'reset') {
+                return await handleStreakReset(interaction);
+            }
+        }
+
+        // Handle checkin reward subcommands
+        if (subcommandGroup === 'checkin') {
+            switch (subcommand) {
+                case 'view':
+                    return await handleCheckinView(interaction);
+                case 'base':
+                    return await handleCheckinBase(interaction);
+                case 'multiplier':
+                    return await handleCheckinMultiplier(interaction);
+                case 'milestone':
+                    return await handleCheckinMilestone(interaction);
+                case 'removemilestone':
+                    return await handleCheckinRemoveMilestone(interaction);
+            }
+        }
+
+        // Handle shop catalog subcommands
+        if (subcommandGroup === 'shop') {
+            switch (subcommand) {
+                case 'list':
+                    return await handleShopList(interaction);
+                case 'add':
+                    return await handleShopAdd(interaction);
+                case 'edit':
+                    return await handleShopEdit(interaction);
+                case 'disable':
+                case 'enable':
+                    return await handleShopToggle(interaction, subcommand === 'enable');
+                case 'limits':
+                    return await handleShopLimits(interaction);
+                case 'reorder':
+                    return await handleShopReorder(interaction);
+                case 'role':
+                    return await handleShopRole(interaction);
+            }
+        }
+
+        // Handle season subcommands
+        if (subcommandGroup === 'season') {
+            switch (subcommand) {
+                case 'end':
+                    return await handleSeasonEnd(interaction);
+                case 'list':
+                    return await handleSeasonList(interaction);
+            }
+        }
+
+        // Handle redemption queue
+        if (subcommandGroup === 'redemptions' && subcommand === 'queue') {
+            return await handleRedemptionsQueue(interaction);
+        }
+
+        // Handle role reward subcommands
+        if (subcommandGroup === 'roles') {
+            switch (subcommand) {
+                case 'add':
+                    return await handleRolesAdd(interaction);
+                case 'remove':
+                    return await handleRolesRemove(interaction);
+                case 'list':
+                    return await handleRolesList(interaction);
+                case 'sync':
+                    return await handleRolesSync(interaction);
+            }
+        }
+
+        // Handle chat subcommands
+        if (subcommandGroup === 'chat') {
+            if (subcommand === 'clear') {
+                return await handleChatClear(interaction);
+            }
+            if (subcommand === 'status') {
+                return await handleChatStatus(interaction);
+            }
+            if (subcommand === 'viewnote') {
+                return await handleViewNote(interaction);
+            }
+            if (subcommand === 'setnote') {
+                return await handleSetNote(interaction);
+            }
+            if (subcommand === 'clearnote') {
+                return await handleClearNote(interaction);
+            }
+        }
+
+        // Handle memory subcommands
+        if (subcommandGroup === 'memory') {
+            if (subcommand === 'add') {
+                return await handleMemoryAdd(interaction);
+            }
+            if (subcommand === 'search') {
+                return await handleMemorySearch(interaction);
+            }
+            if (subcommand === 'status') {
+                return await handleMemoryStatus(interaction);
+            }
+        }
+
+        // Handle jarvis subcommands
+        if (subcommandGroup === 'jarvis') {
+            if (subcommand === 'grant') {
+                return await handleJarvisGrant(interaction);
+            }
+            if (subcommand === 'revoke') {
+                return await handleJarvisRevoke(interaction);
+            }
+            if (subcommand === 'commands') {
+                return await handleJarvisCommands(interaction);
+            }
+            if (subcommand === 'tiers') {
+                return await handleJarvisTiers(interaction);
+            }
+            if (subcommand === 'rule') {
+                return await handleJarvisRule(interaction);
+            }
+        }
+
+        // Handle scheduled Jarvis command subcommands
+        if (subcommandGroup === 'schedule') {
+            if (subcommand === 'list') {
+                return await handleScheduleList(interaction);
+            }
+            if (subcommand === 'cancel') {
+                return await handleScheduleCancel(interaction);
+            }
+        }
+
+        // Handle personality subcommands
+        if (subcommandGroup === 'personality') {
+            if (subcommand === 'status') {
+                return await handlePersonalityStatus(interaction);
+            }
+            if (subcommand === 'mood') {
+                return await handlePersonalityMood(interaction);
+            }
+            if (subcommand === 'relationship') {
+                return await handlePersonalityRelationship(interaction);
+            }
+        }
+
+    } catch (error) {
+        console.error('[ADMIN ERROR]', error);
+
+        const replyMethod = interaction.replied || interaction.deferred ? 'followUp' : 'reply';
+        await interaction[replyMethod]({
+            content: databaseError(),
+            ephemeral: true
+        });
+    }
+}
+
+/**
+ * Handle /admin bebits add
+ */
+async function handleBebitsAdd(interaction) {
+    const targetUser = interaction.options.getUser('user');
+    const amount = interaction.options.getInteger('amount');
 
-        // Handle stats (no subcommand group)
-        if (subcommand === 'stats') {
-            return await handleStats(interaction);
-        }
+    // Update bebits
+    const { newBalance } = applyBebitDelta(targetUser.id, amount, TransactionReasons.ADMIN_GIVE, interaction.user.id);
 
-        // Handle tools (no subcommand group)
-        if (subcommand === 'tools') {
-            return await handleTools(interaction);
-        }
+    console.log(`[ADMIN] ${interaction.user.tag} added ${amount} bebits to ${targetUser.tag}. New balance: ${newBalance}`);
 
-        // Handle bebits subcommands
-        if (subcommandGroup === 'bebits') {
-            switch (subcommand) {
-                case 'add':
-                    return await handleBebitsAdd(interaction);
-                case 'remove':
-                    return await handleBebitsRemove(interaction);
-                case 'set':
-                    return await handleBebitsSet(interaction);
-            }
+    await interaction.reply({
+        content: adminBebitsAdded(`<@${targetUser.id}>`, amount, newBalance),
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin bebits remove
+ */
+async function handleBebitsRemove(interaction) {
+    const targetUser = interaction.options.getUser('user');
+    const amount = interaction.options.getInteger('amount');
+
+    // Get or create user (balance never goes below 0)
+    const user = getUser(targetUser.id);
+    const removed = Math.min(amount, user.bebits);
+
+    // Update bebits
+    const { newBalance } = applyBebitDelta(targetUser.id, -removed, TransactionReasons.ADMIN_REMOVE, interaction.user.id);
+
+    console.log(`[ADMIN] ${interaction.user.tag} removed ${amount} bebits from ${targetUser.tag}. New balance: ${newBalance}`);
+
+    await interaction.reply({
+        content: adminBebitsRemoved(`<@${targetUser.id}>`, amount, newBalance),
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin bebits set
+ */
+async function handleBebitsSet(interaction) {
+    const targetUser = interaction.options.getUser('user');
+    const amount = interaction.options.getInteger('amount');
+
+    // Get or create user (to know old balance)
+    const user = getUser(targetUser.id);
+    const oldBalance = user.bebits;
+
+    // Update bebits
+    updateBebits(targetUser.id, amount, TransactionReasons.ADMIN_SET, interaction.user.id);
+
+    console.log(`[ADMIN] ${interaction.user.tag} set ${targetUser.tag}'s bebits to ${amount}. Previous: ${oldBalance}`);
+
+    await interaction.reply({
+        content: adminBebitsSet(`<@${targetUser.id}>`, amount, oldBalance),
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin streak reset
+ */
+async function handleStreakReset(interaction) {
+    const targetUser = interaction.options.getUser('user');
+
+    // Get user (to know old streak)
+    const user = getUser(targetUser.id);
+    const oldStreak = user.current_streak;
+
+    // Reset streak
+    resetStreak(targetUser.id);
+
+    console.log(`[ADMIN] ${interaction.user.tag} reset ${targetUser.tag}'s streak. Previous: ${oldStreak}`);
+
+    await interaction.reply({
+        content: adminStreakReset(`<@${targetUser.id}>`, oldStreak, user.bebits),
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin checkin view
+ */
+async function handleCheckinView(interaction) {
+    const { baseReward, multipliers, milestones } = getRewardConfig();
+
+    let description = `**Base Reward:** ${baseReward} Bebit${baseReward !== 1 ? 's' : ''} per check-in\n\n`;
+
+    description += '**Streak Multipliers:**\n';
+    if (multipliers.length === 0) {
+        description += '*None - every check-in pays the base reward*\n';
+    } else {
+        for (const tier of multipliers) {
+            description += `- ${tier.min_streak}+ days: **${tier.multiplier}x** (${Math.round(baseReward * tier.multiplier)} Bebits)\n`;
         }
+    }
 
-        // Handle streak subcommands
-        if (subcommandGroup === 'streak') {
-            if (subcommand === 'reset') {
-                return await handleStreakReset(interaction);
-            }
+    description += '\n**Milestones:**\n';
+    if (milestones.length === 0) {
+        description += '*None*\n';
+    } else {
+        for (const milestone of milestones) {
+            const custom = milestone.message ? ' (custom message)' : '';
+            description += `- ${milestone.days} days: **+${milestone.bonus}**${custom}\n`;
         }
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle('🔥 Check-in Reward Curve')
+        .setDescription(description)
+        .setColor(0xE67E22) // Orange
+        .setTimestamp();
+
+    await interaction.reply({
+        embeds: [embed],
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin checkin base
+ */
+async function handleCheckinBase(interaction) {
+    const amount = interaction.options.getInteger('amount');
+
+    setBaseReward(amount);
+
+    console.log(`[ADMIN] ${interaction.user.tag} set check-in base reward to ${amount}`);
+
+    await interaction.reply({
+        content: `✅ Base check-in reward set to **${amount} Bebits**`,
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin checkin multiplier
+ */
+async function handleCheckinMultiplier(interaction) {
+    const streak = interaction.options.getInteger('streak');
+    const multiplier = interaction.options.getNumber('multiplier');
+
+    if (multiplier === 0) {
+        setStreakMultiplier(streak, null);
+        console.log(`[ADMIN] ${interaction.user.tag} removed the ${streak}-day check-in multiplier`);
+
+        return await interaction.reply({
+            content: `✅ Removed the multiplier at **${streak} days**`,
+            ephemeral: true
+        });
+    }
+
+    setStreakMultiplier(streak, multiplier);
+
+    console.log(`[ADMIN] ${interaction.user.tag} set the ${streak}-day check-in multiplier to ${multiplier}x`);
+
+    await interaction.reply({
+        content: `✅ Streaks of **${streak}+ days** now earn **${multiplier}x** the base reward`,
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin checkin milestone
+ */
+async function handleCheckinMilestone(interaction) {
+    const days = interaction.options.getInteger('days');
+    const bonus = interaction.options.getInteger('bonus');
+    const message = interaction.options.getString('message');
+
+    setStreakMilestone(days, bonus, message);
+
+    console.log(`[ADMIN] ${interaction.user.tag} set the ${days}-day milestone to +${bonus}`);
+
+    await interaction.reply({
+        content: `✅ Reaching a **${days}-day streak** now awards **+${bonus} Bebits** (once per streak)` +
+            (message ? `\n**Message:** ${message}` : ''),
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin checkin removemilestone
+ */
+async function handleCheckinRemoveMilestone(interaction) {
+    const days = interaction.options.getInteger('days');
+
+    const removed = removeStreakMilestone(days);
+
+    if (removed) {
+        console.log(`[ADMIN] ${interaction.user.tag} removed the ${days}-day milestone`);
+    }
+
+    await interaction.reply({
+        content: removed
+            ? `✅ Removed the **${days}-day** milestone`
+            : `❌ There is no milestone at **${days} days**`,
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin shop list
+ */
+async function handleShopList(interaction) {
+    const rewards = getRewards(true);
+
+    const description = rewards.length === 0
+        ? '*The shop is empty*'
+        : rewards.map((reward, index) => {
+            const status = reward.enabled ? '' : ' *(disabled)*';
+            const effect = reward.effect ? ` [${reward.effect}]` : '';
+            const category = reward.category ? ` · ${reward.category}` : '';
+            const limits = formatRewardLimits(reward);
+            return `${index + 1}. ${reward.emoji} **${reward.name}** \`${reward.id}\` — ${reward.cost} Bebits${category}${effect}${status}`
+                + (limits ? `\n╰ ${limits}` : '');
+        }).join('\n');
+
+    const embed = new EmbedBuilder()
+        .setTitle('🛒 Reward Catalog')
+        .setDescription(description)
+        .setColor(0xE74C3C) // Red, like the shop
+        .setTimestamp();
+
+    await interaction.reply({
+        embeds: [embed],
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin shop add
+ */
+async function handleShopAdd(interaction) {
+    const id = interaction.options.getString('id').trim().toLowerCase();
+    const notification = interaction.options.getString('notification');
+
+    if (!/^[a-z0-9_]+$/.test(id)) {
+        return await interaction.reply({
+            content: '❌ Reward IDs may only contain lowercase letters, numbers and underscores.',
+            ephemeral: true
+        });
+    }
+
+    if (!notification.includes('{user}')) {
+        return await interaction.reply({
+            content: '❌ The notification template must include `{user}` so Bebe knows who redeemed it.',
+            ephemeral: true
+        });
+    }
+
+    const result = addReward({
+        id,
+        name: interaction.options.getString('name'),
+        cost: interaction.options.getInteger('cost'),
+        emoji: interaction.options.getString('emoji'),
+        category: interaction.options.getString('category')?.trim() || null,
+        description: interaction.options.getString('description'),
+        notification
+    });
+
+    if (!result.success) {
+        return await interaction.reply({
+            content: `❌ A reward with ID \`${id}\` already exists. Use \`/admin shop edit\` instead.`,
+            ephemeral: true
+        });
+    }
+
+    console.log(`[ADMIN] ${interaction.user.tag} added reward ${id}`);
+
+    await interaction.reply({
+        content: `✅ Added ${result.reward.emoji} **${result.reward.name}** for **${result.reward.cost} Bebits**`,
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin shop edit
+ */
+async function handleShopEdit(interaction) {
+    const id = interaction.options.getString('id').trim().toLowerCase();
+    const notification = interaction.options.getString('notification');
+
+    if (notification && !notification.includes('{user}')) {
+        return await interaction.reply({
+            content: '❌ The notification template must include `{user}` so Bebe knows who redeemed it.',
+            ephemeral: true
+        });
+    }
+
+    const result = editReward(id, {
+        name: interaction.options.getString('name'),
+        cost: interaction.options.getInteger('cost'),
+        emoji: interaction.options.getString('emoji'),
+        category: interaction.options.getString('category')?.trim() || null,
+        description: interaction.options.getString('description'),
+        notification
+    });
+
+    if (!result.success) {
+        return await interaction.reply({
+            content: `❌ No reward with ID \`${id}\``,
+            ephemeral: true
+        });
+    }
+
+    console.log(`[ADMIN] ${interaction.user.tag} edited reward ${id}`);
+
+    await interaction.reply({
+        content: `✅ Updated ${result.reward.emoji} **${result.reward.name}** — ${result.reward.cost} Bebits`,
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin shop disable / enable
+ */
+async function handleShopToggle(interaction, enabled) {
+    const id = interaction.options.getString('id').trim().toLowerCase();
+
+    const changed = setRewardEnabled(id, enabled);
+
+    if (!changed) {
+        return await interaction.reply({
+            content: `❌ No reward with ID \`${id}\``,
+            ephemeral: true
+        });
+    }
+
+    console.log(`[ADMIN] ${interaction.user.tag} ${enabled ? 'enabled' : 'disabled'} reward ${id}`);
+
+    await interaction.reply({
+        content: enabled
+            ? `✅ \`${id}\` is back in the shop`
+            : `✅ \`${id}\` is disabled and can no longer be redeemed`,
+        ephemeral: true
+    });
+}
+
+/**
+ * Summarize a reward's limits for admin views
+ */
+function formatRewardLimits(reward) {
+    const parts = [];
+    if (reward.stock !== null) parts.push(`stock ${reward.stock}`);
+    if (reward.restock_hours && reward.restock_amount !== null) {
+        parts.push(`restocks to ${reward.restock_amount} every ${reward.restock_hours}h`);
+    }
+    if (reward.cooldown_hours) parts.push(`${reward.cooldown_hours}h cooldown`);
+    if (reward.lifetime_limit !== null) parts.push(`max ${reward.lifetime_limit} per member`);
+    return parts.join(' · ');
+}
+
+/**
+ * Handle /admin shop limits
+ */
+async function handleShopLimits(interaction) {
+    const id = interaction.options.getString('id').trim().toLowerCase();
+
+    // Options left out stay as they are; -1/0 remove the limit
+    const option = (name, none) => {
+        const value = interaction.options.getInteger(name);
+        if (value === null) return undefined;
+        return value === none ? null : value;
+    };
+
+    const result = setRewardLimits(id, {
+        stock: option('stock', -1),
+        restock_amount: option('restock_amount', 0),
+        restock_hours: option('restock_hours', 0),
+        cooldown_hours: option('cooldown_hours', 0),
+        lifetime_limit: option('lifetime_limit', 0)
+    });
+
+    if (!result.success) {
+        return await interaction.reply({
+            content: `❌ No reward with ID \`${id}\``,
+            ephemeral: true
+        });
+    }
+
+    console.log(`[ADMIN] ${interaction.user.tag} updated limits for reward ${id}`);
+
+    const limits = formatRewardLimits(result.reward);
+    await interaction.reply({
+        content: `✅ ${result.reward.emoji} **${result.reward.name}** — ${limits || 'no limits'}`,
+        ephemeral: true
+    });
+}
 
-        // Handle chat subcommands
-        if (subcommandGroup === 'chat') {
-            if (subcommand === 'clear') {
-                return await handleChatClear(interaction);
-            }
-            if (subcommand === 'status') {
-                return await handleChatStatus(interaction);
-            }
-            if (subcommand === 'viewnote') {
-                return await handleViewNote(interaction);
-            }
-            if (subcommand === 'setnote') {
-                return await handleSetNote(interaction);
-            }
-            if (subcommand === 'clearnote') {
-                return await handleClearNote(interaction);
-            }
-        }
+/**
+ * Handle /admin shop reorder
+ */
+async function handleShopReorder(interaction) {
+    const id = interaction.options.getString('id').trim().toLowerCase();
+    const position = interaction.options.getInteger('position');
 
-        // Handle memory subcommands
-        if (subcommandGroup === 'memory') {
-            if (subcommand === 'add') {
-                return await handleMemoryAdd(interaction);
-            }
-            if (subcommand === 'search') {
-                return await handleMemorySearch(interaction);
-            }
-            if (subcommand === 'status') {
-                return await handleMemoryStatus(interaction);
-            }
-        }
+    const result = moveReward(id, position);
 
-        // Handle jarvis subcommands
-        if (subcommandGroup === 'jarvis') {
-            if (subcommand === 'grant') {
-                return await handleJarvisGrant(interaction);
-            }
-            if (subcommand === 'revoke') {
-                return await handleJarvisRevoke(interaction);
-            }
-            if (subcommand === 'commands') {
-                return await handleJarvisCommands(interaction);
-            }
-        }
+    if (!result.success) {
+        return await interaction.reply({
+            content: `❌ No reward with ID \`${id}\``,
+            ephemeral: true
+        });
+    }
 
-        // Handle personality subcommands
-        if (subcommandGroup === 'personality') {
-            if (subcommand === 'status') {
-                return await handlePersonalityStatus(interaction);
-            }
-            if (subcommand === 'mood') {
-                return await handlePersonalityMood(interaction);
-            }
-            if (subcommand === 'relationship') {
-                return await handlePersonalityRelationship(interaction);
-            }
-        }
+    console.log(`[ADMIN] ${interaction.user.tag} moved reward ${id} to position ${result.position}`);
 
-    } catch (error) {
-        console.error('[ADMIN ERROR]', error);
+    await interaction.reply({
+        content: `✅ \`${id}\` is now #${result.position} in the shop`,
+        ephemeral: true
+    });
+}
 
-        const replyMethod = interaction.replied || interaction.deferred ? 'followUp' : 'reply';
-        await interaction[replyMethod]({
-            content: databaseError(),
+/**
+ * Handle /admin shop role
+ */
+async function handleShopRole(interaction) {
+    const id = interaction.options.getString('id').trim().toLowerCase();
+    const role = interaction.options.getRole('role');
+    const hours = interaction.options.getInteger('hours');
+
+    if (role && !hours) {
+        return await interaction.reply({
+            content: '❌ Say how many `hours` the role lasts.',
+            ephemeral: true
+        });
+    }
+
+    const result = setRewardRole(id, role?.id || null, hours);
+
+    if (!result.success) {
+        return await interaction.reply({
+            content: result.reason === 'has_effect'
+                ? `❌ \`${id}\` already has an item effect and can't grant a role.`
+                : `❌ No reward with ID \`${id}\``,
             ephemeral: true
         });
     }
+
+    console.log(`[ADMIN] ${interaction.user.tag} set the role for reward ${id} to ${role?.name || 'none'}`);
+
+    await interaction.reply({
+        content: role
+            ? `✅ ${result.reward.emoji} **${result.reward.name}** now grants ${role} for **${hours}h**`
+            : `✅ ${result.reward.emoji} **${result.reward.name}** no longer grants a role`,
+        ephemeral: true
+    });
 }
 
 /**
- * Handle /admin bebits add
+ * Handle /admin season end
+ * Shows what will happen with Confirm/Cancel buttons; the reset runs in the button handler
  */
-async function handleBebitsAdd(interaction) {
-    const targetUser = interaction.options.getUser('user');
-    const amount = interaction.options.getInteger('amount');
+async function handleSeasonEnd(interaction) {
+    const name = interaction.options.getString('name')?.trim() || '';
+    const keepPercent = interaction.options.getInteger('keep_percent') ?? config.SEASON_KEEP_PERCENT;
+    const keepStreaks = interaction.options.getBoolean('keep_streaks') ?? config.SEASON_KEEP_STREAKS;
 
-    // Get or create user
-    const user = getUser(targetUser.id);
-    const newBalance = user.bebits + amount;
+    const preview = previewSeasonEnd(keepPercent);
 
-    // Update bebits
-    updateBebits(targetUser.id, newBalance);
+    const embed = new EmbedBuilder()
+        .setTitle(`🏁 End Season ${preview.season}${name ? ` — ${name}` : ''}?`)
+        .setDescription(seasonEndPreview(preview, keepPercent, keepStreaks))
+        .setColor(0xF39C12) // Warning orange
+        .setTimestamp();
 
-    console.log(`[ADMIN] ${interaction.user.tag} added ${amount} bebits to ${targetUser.tag}. New balance: ${newBalance}`);
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`season_end:${preview.season}:${keepPercent}:${keepStreaks ? 1 : 0}:${name}`)
+                .setLabel('End Season')
+                .setStyle(ButtonStyle.Danger)
+                .setEmoji('🏁'),
+            new ButtonBuilder()
+                .setCustomId('season_cancel')
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('❌')
+        );
 
     await interaction.reply({
-        content: adminBebitsAdded(`<@${targetUser.id}>`, amount, newBalance),
+        embeds: [embed],
+        components: [row],
         ephemeral: true
     });
 }
 
 /**
- * Handle /admin bebits remove
+ * Handle /admin season list
  */
-async function handleBebitsRemove(interaction) {
-    const targetUser = interaction.options.getUser('user');
-    const amount = interaction.options.getInteger('amount');
+async function handleSeasonList(interaction) {
+    const current = getCurrentSeason();
 
-    // Get or create user
-    const user = getUser(targetUser.id);
-    const newBalance = Math.max(0, user.bebits - amount);
+    const embed = new EmbedBuilder()
+        .setTitle('🏛️ Season Archive')
+        .setDescription(buildSeasonList(getSeasons(20)))
+        .setColor(0x9B59B6) // Purple, like the leaderboard
+        .setFooter({ text: `Season ${current.number} in progress` })
+        .setTimestamp();
 
-    // Update bebits
-    updateBebits(targetUser.id, newBalance);
+    await interaction.reply({
+        embeds: [embed],
+        ephemeral: true
+    });
+}
 
-    console.log(`[ADMIN] ${interaction.user.tag} removed ${amount} bebits from ${targetUser.tag}. New balance: ${newBalance}`);
+/**
+ * Handle /admin redemptions queue
+ */
+async function handleRedemptionsQueue(interaction) {
+    const { redemptions, total } = getRedemptionQueue(20);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`📦 Redemption Queue (${total})`)
+        .setDescription(buildRedemptionQueueDescription(redemptions, total))
+        .setColor(0xF39C12) // Orange
+        .setFooter({ text: 'Claim, fulfill or refund from the notification in the command center' })
+        .setTimestamp();
 
     await interaction.reply({
-        content: adminBebitsRemoved(`<@${targetUser.id}>`, amount, newBalance),
+        embeds: [embed],
         ephemeral: true
     });
 }
 
 /**
- * Handle /admin bebits set
+ * Handle /admin roles add
  */
-async function handleBebitsSet(interaction) {
-    const targetUser = interaction.options.getUser('user');
-    const amount = interaction.options.getInteger('amount');
+async function handleRolesAdd(interaction) {
+    const role = interaction.options.getRole('role');
+    const requirement = interaction.options.getString('requirement');
+    const threshold = interaction.options.getInteger('threshold');
+    const stage = interaction.options.getString('stage');
+
+    const result = addRoleReward({
+        roleId: role.id,
+        requirement,
+        threshold,
+        stage,
+        adminId: interaction.user.id
+    });
 
-    // Get or create user (to know old balance)
-    const user = getUser(targetUser.id);
-    const oldBalance = user.bebits;
+    if (!result.success) {
+        const message = result.reason === 'missing_stage'
+            ? '❌ Pick a `stage` for relationship role rewards.'
+            : '❌ Give a `threshold` (days, check-ins, Bebits or N for top N).';
+        return await interaction.reply({ content: message, ephemeral: true });
+    }
 
-    // Update bebits
-    updateBebits(targetUser.id, amount);
+    console.log(`[ADMIN] ${interaction.user.tag} added role reward ${role.name} (${requirement})`);
 
-    console.log(`[ADMIN] ${interaction.user.tag} set ${targetUser.tag}'s bebits to ${amount}. Previous: ${oldBalance}`);
+    const requirementText = formatRoleRequirement({ requirement, threshold, stage }, RelationshipStages);
+    await interaction.reply({
+        content: `✅ Members with **${requirementText}** will get ${role}. Run \`/admin roles sync\` to hand it out now.`,
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin roles remove
+ */
+async function handleRolesRemove(interaction) {
+    const role = interaction.options.getRole('role');
+    const removed = removeRoleRewards(role.id);
+
+    if (removed === 0) {
+        return await interaction.reply({
+            content: `❌ ${role} isn't a role reward.`,
+            ephemeral: true
+        });
+    }
+
+    console.log(`[ADMIN] ${interaction.user.tag} removed role reward ${role.name}`);
 
     await interaction.reply({
-        content: adminBebitsSet(`<@${targetUser.id}>`, amount, oldBalance),
+        content: `✅ ${role} is no longer handed out. Members who have it lose it on the next sync.`,
         ephemeral: true
     });
 }
 
 /**
- * Handle /admin streak reset
+ * Handle /admin roles list
  */
-async function handleStreakReset(interaction) {
+async function handleRolesList(interaction) {
+    const timedRewards = getRewards(true).filter(reward => reward.effect === 'timed_role' && reward.role_id);
+
+    const embed = new EmbedBuilder()
+        .setTitle('🎭 Role Rewards')
+        .setDescription(buildRoleRewardList(getRoleRewards(), timedRewards, RelationshipStages))
+        .setColor(0x9B59B6) // Purple
+        .setFooter({ text: `Roles are reconciled every ${config.ROLE_SYNC_INTERVAL_MINUTES} minutes` })
+        .setTimestamp();
+
+    await interaction.reply({
+        embeds: [embed],
+        ephemeral: true,
+        allowedMentions: { parse: [] }
+    });
+}
+
+/**
+ * Handle /admin roles sync
+ */
+async function handleRolesSync(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const { checked, synced } = await runRoleSweep();
+
+    console.log(`[ADMIN] ${interaction.user.tag} ran a role sync (${synced}/${checked} members updated)`);
+
+    await interaction.editReply({
+        content: `✅ Checked **${checked}** members, updated roles for **${synced}**.`
+    });
+}
+
+/**
+ * Handle /admin history
+ */
+async function handleHistory(interaction) {
     const targetUser = interaction.options.getUser('user');
+    const from = interaction.options.getString('from');
+    const to = interaction.options.getString('to');
+    const page = interaction.options.getInteger('page') || 1;
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+        return await interaction.reply({
+            content: '❌ Dates must be in YYYY-MM-DD format.',
+            ephemeral: true
+        });
+    }
 
-    // Get user (to know old streak)
-    const user = getUser(targetUser.id);
-    const oldStreak = user.current_streak;
+    const filters = {
+        userId: targetUser?.id || null,
+        reason: interaction.options.getString('reason'),
+        from,
+        to
+    };
 
-    // Reset streak
-    resetStreak(targetUser.id);
+    await interaction.reply({
+        ...buildHistoryPage(filters, page),
+        ephemeral: true
+    });
+}
 
-    console.log(`[ADMIN] ${interaction.user.tag} reset ${targetUser.tag}'s streak. Previous: ${oldStreak}`);
+/**
+ * Handle /admin audit
+ */
+async function handleAudit(interaction) {
+    const auditId = interaction.options.getInteger('id');
+
+    if (auditId) {
+        const entry = getAuditEntry(auditId);
+
+        if (!entry) {
+            return await interaction.reply({
+                content: `❌ No audit entry #${auditId}.`,
+                ephemeral: true
+            });
+        }
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🧾 Audit #${entry.id} · ${entry.command}`)
+            .addFields(buildAuditDetailFields(entry))
+            .setColor(entry.undone_at ? 0x95A5A6 : 0x9B59B6);
+
+        const components = entry.reversible && !entry.undone_at
+            ? [new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`audit_undo:${entry.id}`)
+                    .setLabel(`Undo #${entry.id}`)
+                    .setStyle(ButtonStyle.Danger)
+                    .setEmoji('↩️')
+            )]
+            : [];
+
+        return await interaction.reply({
+            embeds: [embed],
+            components,
+            ephemeral: true
+        });
+    }
+
+    const filters = {
+        actorId: interaction.options.getUser('admin')?.id || null,
+        command: interaction.options.getString('command')?.trim().toLowerCase() || null
+    };
 
     await interaction.reply({
-        content: adminStreakReset(`<@${targetUser.id}>`, oldStreak, user.bebits),
+        ...buildAuditPage(filters, interaction.options.getInteger('page') || 1),
         ephemeral: true
     });
 }
 
+/**
+ * Build one page of the Jarvis audit log with prev/next buttons.
+ * Filters are encoded in the button IDs so pages survive across clicks.
+ *
+ * @param {Object} filters - { actorId, command } (both optional)
+ * @param {number} page - 1-indexed page number
+ * @returns {Object} Message payload with embeds and components
+ */
+export function buildAuditPage(filters, page = 1) {
+    const { total } = getAuditEntries(filters, 1, 0);
+    const totalPages = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+    const currentPage = Math.min(Math.max(1, page), totalPages);
+
+    const { entries } = getAuditEntries(filters, AUDIT_PAGE_SIZE, (currentPage - 1) * AUDIT_PAGE_SIZE);
+
+    const filterParts = [];
+    if (filters.actorId) filterParts.push(`by <@${filters.actorId}>`);
+    if (filters.command) filterParts.push(`command: ${filters.command}`);
+
+    const embed = new EmbedBuilder()
+        .setTitle('🧾 Jarvis Audit Log')
+        .setDescription(
+            (filterParts.length > 0 ? `*${filterParts.join(' · ')}*\n\n` : '') +
+            buildAuditList(entries)
+        )
+        .setColor(0x9B59B6)
+        .setFooter({ text: `Page ${currentPage}/${totalPages} · ${total} entr${total !== 1 ? 'ies' : 'y'} · /admin audit id:<n> for details` })
+        .setTimestamp();
+
+    const encoded = [filters.actorId, filters.command].map(v => v || '').join(':');
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`audit:${currentPage - 1}:${encoded}`)
+                .setLabel('Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('◀️')
+                .setDisabled(currentPage <= 1),
+            new ButtonBuilder()
+                .setCustomId(`audit:${currentPage + 1}:${encoded}`)
+                .setLabel('Next')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('▶️')
+                .setDisabled(currentPage >= totalPages)
+        );
+
+    return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Parse an audit pagination button ID back into filters and page
+ * @param {string} customId - e.g. "audit:2:123:give_bebits"
+ * @returns {{page: number, filters: Object}}
+ */
+export function parseAuditButton(customId) {
+    const [, page, actorId, command] = customId.split(':');
+
+    return {
+        page: parseInt(page, 10) || 1,
+        filters: {
+            actorId: actorId || null,
+            command: command || null
+        }
+    };
+}
+
 /**
  * Handle /admin stats
  */
@@ -504,7 +1900,12 @@ async function handleStats(interaction) {
     const stats = getStats();
 
     // Build stats description
-    let description = `**Total Users:** ${stats.totalUsers}
+    const seasonStart = stats.currentSeason.startedAt
+        ? ` (since <t:${Math.floor(new Date(stats.currentSeason.startedAt.replace(' ', 'T') + 'Z').getTime() / 1000)}:D>)`
+        : '';
+
+    let description = `**Current Season:** ${stats.currentSeason.number}${seasonStart}
+**Total Users:** ${stats.totalUsers}
 **Total Bebits in Circulation:** ${stats.totalBebits}
 **Total Redemptions:** ${stats.totalRedemptions}
 
@@ -571,15 +1972,28 @@ async function handleChatStatus(interaction) {
     const totalMessages = (chatStats.totalMessages || 0) + (mentionStats.totalMessages || 0);
     const totalCooldowns = chatStats.activeCooldowns + mentionStats.activeCooldowns;
 
+    // Every model call since restart, per purpose and model
+    const usageLines = getUsageStats().map(stats => {
+        const problems = [
+            stats.retries > 0 && `${stats.retries} retried`,
+            stats.failures > 0 && `${stats.failures} failed`
+        ].filter(Boolean).join(', ');
+        return `• ${stats.purpose} (${stats.model}): ${stats.totalTokens.toLocaleString()} tokens, ${stats.requests} requests${problems ? ` (${problems})` : ''}`;
+    });
+
     await interaction.reply({
         content: `**Chat Feature Status**
 **Enabled:** ${modelInfo.configured ? 'Yes' : 'No'}
+**Provider:** ${modelInfo.provider}
 **Model:** ${modelInfo.model}
 **Max Tokens:** ${modelInfo.maxTokens}
 **Temperature:** ${modelInfo.temperature}
 
 **Shared History:** ${totalMessages} messages (${chatStats.totalMessages || 0} slash, ${mentionStats.totalMessages || 0} mentions)
-**Users on Cooldown:** ${totalCooldowns}`,
+**Users on Cooldown:** ${totalCooldowns}
+
+**LLM Usage Since Restart:**
+${usageLines.join('\n') || 'No requests yet'}`,
         ephemeral: true
     });
 }
@@ -724,13 +2138,14 @@ async function handleMemoryStatus(interaction) {
  */
 async function handleJarvisGrant(interaction) {
     const targetUser = interaction.options.getUser('user');
+    const tier = interaction.options.getInteger('tier');
 
-    grantAdminPermission(targetUser.id, interaction.user.id, 1);
+    grantAdminPermission(targetUser.id, interaction.user.id, tier);
 
-    console.log(`[ADMIN] ${interaction.user.tag} granted Jarvis permission to ${targetUser.tag}`);
+    console.log(`[ADMIN] ${interaction.user.tag} granted Jarvis ${PERMISSION_LEVEL_NAMES[tier]} permission to ${targetUser.tag}`);
 
     await interaction.reply({
-        content: `✅ Granted Jarvis-style admin permission to ${targetUser.tag}\n\nThey can now ask Beboa to execute admin commands naturally (e.g., "Beboa, give @user 100 bebits")`,
+        content: `✅ Granted Jarvis-style admin permission to ${targetUser.tag} (**${PERMISSION_LEVEL_NAMES[tier]}** tier)\n\nThey can now ask Beboa to execute admin commands naturally (e.g., "Beboa, roast @user")`,
         ephemeral: true
     });
 }
@@ -751,6 +2166,109 @@ async function handleJarvisRevoke(interaction) {
     });
 }
 
+/**
+ * Handle /admin jarvis tiers
+ */
+async function handleJarvisTiers(interaction) {
+    await interaction.reply({
+        content: buildJarvisTierList(getAdminPermissions(), getPermissionRules(), PERMISSION_LEVEL_NAMES),
+        ephemeral: true,
+        allowedMentions: { parse: [] }
+    });
+}
+
+/**
+ * Handle /admin jarvis rule
+ */
+async function handleJarvisRule(interaction) {
+    const tier = interaction.options.getInteger('tier');
+    const command = interaction.options.getString('command').trim().toLowerCase();
+    const tierName = PERMISSION_LEVEL_NAMES[tier];
+
+    if (interaction.options.getBoolean('clear')) {
+        const removed = clearPermissionRule(tier, command);
+        return await interaction.reply({
+            content: removed
+                ? `✅ ${tierName} is back to the default for \`${command}\`.`
+                : `❌ ${tierName} has no rule for \`${command}\`.`,
+            ephemeral: true
+        });
+    }
+
+    const allowed = interaction.options.getBoolean('allowed');
+    const maxAmount = interaction.options.getInteger('max_amount');
+
+    if (allowed === null && maxAmount === null) {
+        return await interaction.reply({
+            content: '❌ Set `allowed`, `max_amount`, or `clear`.',
+            ephemeral: true
+        });
+    }
+
+    const result = setPermissionRule(tier, command, { allowed, maxAmount }, interaction.user.id);
+
+    if (!result.success) {
+        const content = result.reason === 'unknown_command'
+            ? `❌ There's no Jarvis command called \`${command}\`. See \`/admin jarvis commands\`.`
+            : '❌ `*` rules can only set a Bebit cap, not allow or deny.';
+        return await interaction.reply({ content, ephemeral: true });
+    }
+
+    console.log(`[ADMIN] ${interaction.user.tag} set Jarvis rule ${tierName} ${command}`);
+
+    await interaction.reply({
+        content: `✅ ${tierName}: ${formatJarvisRule({ command, allowed: allowed === null ? null : Number(allowed), max_amount: maxAmount })}`,
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle /admin schedule list
+ */
+async function handleScheduleList(interaction) {
+    const includeFinished = interaction.options.getBoolean('all') || false;
+    const actions = getScheduledActions(includeFinished);
+
+    const embed = new EmbedBuilder()
+        .setTitle('🗓️ Scheduled Jarvis Commands')
+        .setDescription(buildScheduledActionList(actions))
+        .setColor(0x3498DB) // Blue
+        .setFooter({ text: `Times are in each admin's timezone (default ${config.DEFAULT_TIMEZONE})` })
+        .setTimestamp();
+
+    await interaction.reply({
+        embeds: [embed],
+        ephemeral: true,
+        allowedMentions: { parse: [] }
+    });
+}
+
+/**
+ * Handle /admin schedule cancel
+ */
+async function handleScheduleCancel(interaction) {
+    const actionId = interaction.options.getInteger('id');
+    const result = cancelScheduledAction(actionId, interaction.user.id);
+
+    if (!result.success) {
+        return await interaction.reply({
+            content: result.reason === 'not_found'
+                ? `❌ There's no scheduled command #${actionId}.`
+                : `❌ #${actionId} is already ${result.action.status}.`,
+            ephemeral: true
+        });
+    }
+
+    cancelScheduledAnnouncement(result.action);
+
+    console.log(`[ADMIN] ${interaction.user.tag} cancelled scheduled command #${actionId}`);
+
+    await interaction.reply({
+        content: `✅ Cancelled #${actionId} (\`${result.action.command}\`, ${result.action.schedule}).`,
+        ephemeral: true
+    });
+}
+
 /**
  * Handle /admin jarvis commands
  */
@@ -1,5 +1,7 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { getUser } from '../database.js';
+import { getStreakFreezes, getRepairableStreak } from '../services/inventory.js';
+import { getUserBadges } from '../services/seasons.js';
 import { balanceDisplay, databaseError } from '../utils/messages.js';
 
 export const data = new SlashCommandBuilder()
@@ -17,7 +19,10 @@ export async function execute(interaction) {
         const response = balanceDisplay(
             user.bebits,
             user.current_streak,
-            user.total_checkins
+            user.total_checkins,
+            getStreakFreezes(userId),
+            getRepairableStreak(user),
+            getUserBadges(userId)
         );
 
         // Reply ephemeral
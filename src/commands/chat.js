@@ -16,13 +16,16 @@ import { fetchChannelContext, buildChannelContextString } from '../services/chan
 import { buildMemoryContext, extractAndStoreMemories, getPersonalityTraits } from '../services/memory.js';
 import { parseAndExecuteAdminCommand, canExecuteAdminCommands } from '../services/adminCommands.js';
 import { chatWithTools, processToolCalls, toolDefinitions } from '../services/tools.js';
+import { buildAdminResultComponents } from '../handlers/messageHandler.js';
 import {
     buildFullContext,
     shouldExtractMemory,
     getErrorMessage,
     getCooldownMessage,
+    getThinkingMessage,
     getDisabledMessage
 } from '../utils/beboa-persona.js';
+import { createReplyStreamer } from '../utils/replyStreamer.js';
 
 // Cooldown tracking
 const cooldowns = new Map();
@@ -67,6 +70,9 @@ export async function execute(interaction) {
     // Defer reply since API call might take a moment
     await interaction.deferReply();
 
+    // The deferred reply becomes a placeholder, edited as the answer is written
+    let reply = null;
+
     try {
         // Check for admin commands first (Jarvis-style)
         if (isAdmin) {
@@ -78,12 +84,25 @@ export async function execute(interaction) {
             });
 
             if (adminResult.matched) {
-                await interaction.editReply({ content: adminResult.result.message });
+                await interaction.editReply({
+                    content: adminResult.result.message,
+                    components: buildAdminResultComponents(adminResult.result),
+                    // Announcement previews may quote pings - don't fire them yet
+                    ...(adminResult.result.announcementId && { allowedMentions: { parse: [] } })
+                });
                 if (!isBebe) setCooldown(userId);
                 return;
             }
         }
 
+        reply = createReplyStreamer({
+            send: (content, index) => index === 0
+                ? interaction.editReply({ content })
+                : interaction.followUp({ content }),
+            edit: (sent, content) => interaction.editReply({ message: sent, content })
+        }, getThinkingMessage());
+        await reply.start();
+
         // Get user data for context
         const userData = getUser(userId);
 
@@ -116,13 +135,17 @@ export async function execute(interaction) {
         // Build the messages array with shared history
         const messages = buildMessageArray(fullSystemPrompt, displayName, userMessage);
 
+        // Stream the reply into the placeholder as it's written
+        const onText = config.CHAT_STREAMING ? piece => reply.push(piece) : undefined;
+
         // Call API with tool support
         let result;
         if (config.TOOLS_ENABLED && toolDefinitions.length > 0) {
-            result = await chatWithTools(messages, { enableTools: true });
+            result = await chatWithTools(messages, { enableTools: true, onText });
 
             // Handle tool calls if any
             if (result.success && result.hasToolCalls) {
+                reply.restart();
                 const toolResults = await processToolCalls(result.toolCalls, {
                     userId,
                     displayName,
@@ -138,17 +161,15 @@ export async function execute(interaction) {
                     ...toolResults
                 ];
 
-                result = await chatCompletion(messagesWithTools);
+                result = await chatCompletion(messagesWithTools, { onText });
             }
         } else {
-            result = await chatCompletion(messages);
+            result = await chatCompletion(messages, { onText });
         }
 
         if (!result.success) {
             console.error(`[CHAT] API call failed for ${interaction.user.tag}:`, result.error);
-            return await interaction.editReply({
-                content: getErrorMessage()
-            });
+            return await reply.fail(getErrorMessage());
         }
 
         // Store in persistent conversation history
@@ -167,24 +188,18 @@ export async function execute(interaction) {
         // Log the interaction
         console.log(`[CHAT] ${interaction.user.tag}: "${userMessage.substring(0, 50)}${userMessage.length > 50 ? '...' : ''}" -> Response sent`);
 
-        // Handle long responses
-        const responseContent = result.content;
-        if (responseContent.length > 2000) {
-            // Split and send multiple responses
-            const chunks = splitMessage(responseContent);
-            await interaction.editReply({ content: chunks[0] });
-            for (let i = 1; i < chunks.length; i++) {
-                await interaction.followUp({ content: chunks[i] });
-            }
-        } else {
-            await interaction.editReply({ content: responseContent });
-        }
+        // Final edit - long replies have already rolled over into follow-ups
+        await reply.finish(result.content);
 
     } catch (error) {
         console.error('[CHAT] Error:', error);
-        await interaction.editReply({
-            content: getErrorMessage()
-        });
+        if (reply) {
+            await reply.fail(getErrorMessage());
+        } else {
+            await interaction.editReply({
+                content: getErrorMessage()
+            });
+        }
     }
 }
 
@@ -225,34 +240,6 @@ function saveConversation(displayName, userMessage, assistantResponse) {
     addChatMessage('Beboa', assistantResponse, 'assistant');
 }
 
-/**
- * Split long messages for Discord's 2000 char limit
- */
-function splitMessage(content, maxLength = 2000) {
-    const chunks = [];
-    let remaining = content;
-
-    while (remaining.length > 0) {
-        if (remaining.length <= maxLength) {
-            chunks.push(remaining);
-            break;
-        }
-
-        let breakPoint = remaining.lastIndexOf('\n', maxLength);
-        if (breakPoint === -1 || breakPoint < maxLength / 2) {
-            breakPoint = remaining.lastIndexOf(' ', maxLength);
-        }
-        if (breakPoint === -1 || breakPoint < maxLength / 2) {
-            breakPoint = maxLength;
-        }
-
-        chunks.push(remaining.substring(0, breakPoint));
-        remaining = remaining.substring(breakPoint).trim();
-    }
-
-    return chunks;
-}
-
 /**
  * Check if user is on cooldown
  */
@@ -1,20 +1,26 @@
 import { SlashCommandBuilder } from 'discord.js';
 import { config } from '../config.js';
-import { getUser, updateUser } from '../database.js';
+import { getUser } from '../database.js';
 import { canCheckin, getCurrentTimestamp } from '../utils/time.js';
+import { processCheckinReward } from '../services/checkinRewards.js';
+import { useStreakFreezes, recordLostStreak } from '../services/inventory.js';
+import { unlockAchievements, AchievementEvents } from '../services/achievements.js';
+import { queueRoleSync } from '../services/roleRewards.js';
 import {
     checkinSuccess,
     checkinRecovered,
     checkinReset,
+    checkinFrozen,
     checkinCooldown,
     checkinFirst,
+    checkinMilestone,
     wrongChannel,
     databaseError
 } from '../utils/messages.js';
 
 export const data = new SlashCommandBuilder()
     .setName('checkin')
-    .setDescription('Daily check-in to earn 1 Bebit');
+    .setDescription('Daily check-in to earn Bebits');
 
 export async function execute(interaction) {
     try {
@@ -32,8 +38,11 @@ export async function execute(interaction) {
         // Get or create user
         const user = getUser(userId);
 
-        // Check if user can check in
-        const checkinStatus = canCheckin(user.last_checkin);
+        // Check if user can check in (rolling 24h window or once per local day)
+        const checkinStatus = canCheckin(user.last_checkin, {
+            mode: config.CHECKIN_MODE,
+            timezone: user.timezone || config.DEFAULT_TIMEZONE
+        });
 
         // User is on cooldown
         if (!checkinStatus.canCheckin) {
@@ -49,55 +58,87 @@ export async function execute(interaction) {
             });
         }
 
-        // Process check-in based on status
+        // Work out the new streak based on status
         const now = getCurrentTimestamp();
-        let responseMessage;
-        let newBebits;
+        let reason = checkinStatus.reason;
         let newStreak;
+        let streakStartedAt;
+        let freezesUsed = 0;
+
+        // Missed the grace period - streak freezes melt one per missed day
+        if (reason === 'reset') {
+            const freezeResult = useStreakFreezes(userId, checkinStatus.missedDays);
+            freezesUsed = freezeResult.used;
+            if (freezeResult.saved) {
+                reason = 'frozen';
+            }
+        }
 
-        switch (checkinStatus.reason) {
+        switch (reason) {
             case 'first':
-                // First time check-in
-                newBebits = 1;
                 newStreak = 1;
-                responseMessage = checkinFirst(username, newBebits);
+                streakStartedAt = now;
                 break;
 
-            case 'continue':
-                // Normal streak continuation (24-48 hours)
-                newBebits = user.bebits + 1;
-                newStreak = user.current_streak + 1;
-                responseMessage = checkinSuccess(username, newBebits, newStreak);
+            case 'reset':
+                // Streak reset (beyond grace) - remember it so it can be repaired
+                recordLostStreak(userId, user.current_streak, user.streak_started_at || user.last_checkin);
+                newStreak = 1;
+                streakStartedAt = now;
                 break;
 
+            case 'continue':
             case 'recovered':
-                // Streak recovered within grace period (48-72 hours)
-                newBebits = user.bebits + 1;
+            case 'frozen':
+                // Streak continues (within grace, or freezes covered the gap).
+                // A streak a season reset to 0 starts over from today.
                 newStreak = user.current_streak + 1;
-                responseMessage = checkinRecovered(username, newBebits, newStreak);
-                break;
-
-            case 'reset':
-                // Streak reset (> 72 hours)
-                const oldStreak = user.current_streak;
-                newBebits = user.bebits + 1;
-                newStreak = 1;
-                responseMessage = checkinReset(username, newBebits, oldStreak);
+                streakStartedAt = user.current_streak > 0
+                    ? user.streak_started_at || user.last_checkin
+                    : now;
                 break;
 
             default:
-                throw new Error(`Unknown checkin status: ${checkinStatus.reason}`);
+                throw new Error(`Unknown checkin status: ${reason}`);
         }
 
-        // Update user in database
-        updateUser(userId, {
-            bebits: newBebits,
-            current_streak: newStreak,
-            last_checkin: now,
-            total_checkins: user.total_checkins + 1
+        // Calculate reward, claim milestones and update user atomically
+        const reward = processCheckinReward(userId, {
+            streak: newStreak,
+            streakStartedAt,
+            timestamp: now
         });
+        const newBebits = reward.newBalance;
 
-        console.log(`[CHECKIN] ${username} (${userId}): +1 Bebit, streak=${newStreak}, total=${newBebits}`);
+        let responseMessage;
+        switch (reason) {
+            case 'first':
+                responseMessage = checkinFirst(username, newBebits, reward);
+                break;
+            case 'continue':
+                responseMessage = checkinSuccess(username, newBebits, newStreak, reward);
+                break;
+            case 'recovered':
+                responseMessage = checkinRecovered(username, newBebits, newStreak, reward);
+                break;
+            case 'frozen':
+                responseMessage = checkinFrozen(username, newBebits, newStreak, freezesUsed, reward);
+                break;
+            case 'reset':
+                responseMessage = checkinReset(username, newBebits, user.current_streak, reward, freezesUsed);
+                break;
+        }
+
+        if (reward.milestone) {
+            responseMessage += '\n\n' + checkinMilestone(
+                username,
+                reward.milestone.days,
+                reward.milestone.bonus,
+                reward.milestone.message
+            );
+        }
+
+        console.log(`[CHECKIN] ${username} (${userId}): +${reward.earned} Bebits, streak=${newStreak}, total=${newBebits}`);
 
         // Send public response
         await interaction.reply({
@@ -105,6 +146,9 @@ export async function execute(interaction) {
             ephemeral: false
         });
 
+        unlockAchievements(userId, AchievementEvents.CHECKIN, { user: getUser(userId) });
+        queueRoleSync(userId);
+
     } catch (error) {
         console.error('[CHECKIN ERROR]', error);
 
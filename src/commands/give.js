@@ -0,0 +1,105 @@
+import {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle
+} from 'discord.js';
+import { config } from '../config.js';
+import { getUser } from '../database.js';
+import { isAccountEligible, validateGift } from '../services/gifting.js';
+import { confirmGift, giftBlocked, databaseError } from '../utils/messages.js';
+
+export const data = new SlashCommandBuilder()
+    .setName('give')
+    .setDescription('Gift some of your Bebits to another member')
+    .addUserOption(option =>
+        option
+            .setName('user')
+            .setDescription('Who to give Bebits to')
+            .setRequired(true)
+    )
+    .addIntegerOption(option =>
+        option
+            .setName('amount')
+            .setDescription('How many Bebits to give')
+            .setRequired(true)
+            .setMinValue(1)
+    );
+
+export async function execute(interaction) {
+    try {
+        const recipient = interaction.options.getUser('user');
+        const recipientMember = interaction.options.getMember('user');
+        const amount = interaction.options.getInteger('amount');
+
+        const refuse = async (reason, details = {}) => await interaction.reply({
+            content: giftBlocked(reason, details),
+            ephemeral: true
+        });
+
+        if (!config.GIFT_ENABLED) {
+            return await refuse('disabled');
+        }
+
+        if (recipient.bot) {
+            return await refuse('bot');
+        }
+
+        // Block brand-new accounts on both ends (alt farming)
+        if (!isAccountEligible(interaction.user, interaction.member)) {
+            return await refuse('sender_too_new', {
+                minAccountDays: config.GIFT_MIN_ACCOUNT_AGE_DAYS,
+                minMemberDays: config.GIFT_MIN_MEMBER_DAYS
+            });
+        }
+
+        if (!isAccountEligible(recipient, recipientMember)) {
+            return await refuse('recipient_too_new');
+        }
+
+        const validation = validateGift(interaction.user.id, recipient.id, amount);
+        if (!validation.success) {
+            return await refuse(validation.reason, validation);
+        }
+
+        const sender = getUser(interaction.user.id);
+
+        const embed = new EmbedBuilder()
+            .setTitle('🎁 Confirm Gift')
+            .setDescription(confirmGift(`<@${recipient.id}>`, amount, sender.bebits - amount))
+            .setColor(0xF39C12) // Warning orange
+            .setTimestamp();
+
+        const row = new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`gift_confirm:${recipient.id}:${amount}`)
+                    .setLabel('Confirm')
+                    .setStyle(ButtonStyle.Success)
+                    .setEmoji('✅'),
+                new ButtonBuilder()
+                    .setCustomId('gift_cancel')
+                    .setLabel('Cancel')
+                    .setStyle(ButtonStyle.Danger)
+                    .setEmoji('❌')
+            );
+
+        await interaction.reply({
+            embeds: [embed],
+            components: [row],
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('[GIVE ERROR]', error);
+
+        const replyMethod = interaction.replied || interaction.deferred ? 'followUp' : 'reply';
+        await interaction[replyMethod]({
+            content: databaseError(),
+            ephemeral: true
+        });
+    }
+}
+
+export default { data, execute };
@@ -0,0 +1,115 @@
+import {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle
+} from 'discord.js';
+import { getBebitTransactions } from '../database.js';
+import { buildHistoryDescription, databaseError } from '../utils/messages.js';
+
+export const HISTORY_PAGE_SIZE = 10;
+
+export const data = new SlashCommandBuilder()
+    .setName('history')
+    .setDescription('See where your Bebits came from and where they went')
+    .addIntegerOption(opt =>
+        opt.setName('page')
+            .setDescription('Page to show')
+            .setRequired(false)
+            .setMinValue(1));
+
+export async function execute(interaction) {
+    try {
+        const page = interaction.options.getInteger('page') || 1;
+
+        await interaction.reply({
+            ...buildHistoryPage({ userId: interaction.user.id }, page),
+            ephemeral: true
+        });
+
+    } catch (error) {
+        console.error('[HISTORY ERROR]', error);
+
+        const replyMethod = interaction.replied || interaction.deferred ? 'followUp' : 'reply';
+        await interaction[replyMethod]({
+            content: databaseError(),
+            ephemeral: true
+        });
+    }
+}
+
+/**
+ * Build one page of ledger history with prev/next buttons.
+ * Filters are encoded in the button IDs so pages survive across clicks.
+ *
+ * @param {Object} filters - { userId, reason, from, to } (all optional)
+ * @param {number} page - 1-indexed page number
+ * @returns {Object} Message payload with embeds and components
+ */
+export function buildHistoryPage(filters, page = 1) {
+    const { total } = getBebitTransactions(filters, 1, 0);
+    const totalPages = Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE));
+    const currentPage = Math.min(Math.max(1, page), totalPages);
+
+    const { transactions } = getBebitTransactions(
+        filters,
+        HISTORY_PAGE_SIZE,
+        (currentPage - 1) * HISTORY_PAGE_SIZE
+    );
+
+    const filterParts = [];
+    if (filters.userId) filterParts.push(`<@${filters.userId}>`);
+    if (filters.reason) filterParts.push(`reason: ${filters.reason}`);
+    if (filters.from || filters.to) filterParts.push(`${filters.from || '…'} → ${filters.to || '…'}`);
+
+    const embed = new EmbedBuilder()
+        .setTitle('📜 Bebit History')
+        .setDescription(
+            (filterParts.length > 0 ? `*${filterParts.join(' · ')}*\n\n` : '') +
+            buildHistoryDescription(transactions, !filters.userId)
+        )
+        .setColor(0x9B59B6)
+        .setFooter({ text: `Page ${currentPage}/${totalPages} · ${total} transaction${total !== 1 ? 's' : ''}` })
+        .setTimestamp();
+
+    const encoded = [filters.userId, filters.reason, filters.from, filters.to].map(v => v || '').join(':');
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`history:${currentPage - 1}:${encoded}`)
+                .setLabel('Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('◀️')
+                .setDisabled(currentPage <= 1),
+            new ButtonBuilder()
+                .setCustomId(`history:${currentPage + 1}:${encoded}`)
+                .setLabel('Next')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('▶️')
+                .setDisabled(currentPage >= totalPages)
+        );
+
+    return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Parse a history pagination button ID back into filters and page
+ * @param {string} customId - e.g. "history:2:123::2024-01-01:"
+ * @returns {{page: number, filters: Object}}
+ */
+export function parseHistoryButton(customId) {
+    const [, page, userId, reason, from, to] = customId.split(':');
+
+    return {
+        page: parseInt(page, 10) || 1,
+        filters: {
+            userId: userId || null,
+            reason: reason || null,
+            from: from || null,
+            to: to || null
+        }
+    };
+}
+
+export default { data, execute };
@@ -1,43 +1,68 @@
-import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
-import { getUser, getTopUsers, getUserRank } from '../database.js';
-import { buildLeaderboardDescription, LEADERBOARD_FOOTER, databaseError } from '../utils/messages.js';
+import {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle
+} from 'discord.js';
+import { getLeaderboard, getLeaderboardRank, LeaderboardTypes } from '../database.js';
+import {
+    getSeason,
+    getSeasonBoardType,
+    getSeasonLeaderboard,
+    getSeasonRank
+} from '../services/seasons.js';
+import {
+    buildLeaderboardDescription,
+    LEADERBOARD_TITLES,
+    seasonLeaderboardTitle,
+    LEADERBOARD_FOOTER,
+    databaseError
+} from '../utils/messages.js';
+
+export const LEADERBOARD_PAGE_SIZE = 10;
 
 export const data = new SlashCommandBuilder()
     .setName('leaderboard')
-    .setDescription('View top users by Bebits');
+    .setDescription('View the top users')
+    .addStringOption(opt =>
+        opt.setName('type')
+            .setDescription('What to rank by (default: current Bebits)')
+            .setRequired(false)
+            .addChoices(
+                { name: 'Current Bebits', value: LeaderboardTypes.BEBITS },
+                { name: 'Current streak', value: LeaderboardTypes.STREAK },
+                { name: 'Lifetime earned', value: LeaderboardTypes.EARNED },
+                { name: 'Total check-ins', value: LeaderboardTypes.CHECKINS },
+                { name: 'This month', value: LeaderboardTypes.MONTHLY }
+            ))
+    .addIntegerOption(opt =>
+        opt.setName('page')
+            .setDescription('Page to show')
+            .setRequired(false)
+            .setMinValue(1))
+    .addIntegerOption(opt =>
+        opt.setName('season')
+            .setDescription('Show the final standings of a past season')
+            .setRequired(false)
+            .setMinValue(1));
 
 export async function execute(interaction) {
     try {
-        const userId = interaction.user.id;
-
-        // Get user data for their rank
-        const user = getUser(userId);
-
-        // Get top 10 users
-        const topUsers = getTopUsers(10);
-
-        // Get user's rank
-        const userRank = getUserRank(userId);
-
-        // Build leaderboard description
-        const description = buildLeaderboardDescription(
-            topUsers,
-            userRank,
-            user.bebits,
-            userId
-        );
+        const type = interaction.options.getString('type') || LeaderboardTypes.BEBITS;
+        const page = interaction.options.getInteger('page') || 1;
+        const season = interaction.options.getInteger('season');
 
-        // Create embed
-        const embed = new EmbedBuilder()
-            .setTitle('🐍 BEBOA\'S LEADERBOARD OF DEVOTION 🐍')
-            .setDescription(description)
-            .setColor(0x9B59B6) // Purple color
-            .setFooter({ text: LEADERBOARD_FOOTER })
-            .setTimestamp();
+        if (season && !getSeason(season)) {
+            return await interaction.reply({
+                content: `🐍 Season ${season} hasn't ended yet... patience, mortal~`,
+                ephemeral: true
+            });
+        }
 
         // Reply public
         await interaction.reply({
-            embeds: [embed],
+            ...buildLeaderboardPage(type, page, interaction.user.id, season),
             ephemeral: false
         });
 
@@ -52,4 +77,77 @@ export async function execute(interaction) {
     }
 }
 
+/**
+ * Build one page of a leaderboard with prev/next buttons
+ * and the viewer's own position
+ *
+ * @param {string} type - One of LeaderboardTypes
+ * @param {number} page - 1-indexed page number
+ * @param {string} userId - Viewer's Discord ID
+ * @param {number|null} seasonId - Archived season to show instead of the current one
+ * @returns {Object} Message payload with embeds and components
+ */
+export function buildLeaderboardPage(type, page, userId, seasonId = null) {
+    const season = seasonId ? getSeason(seasonId) : null;
+
+    // Archived seasons only keep Bebits, streaks and check-ins
+    if (season) {
+        type = getSeasonBoardType(type);
+    }
+
+    const fetchPage = (limit, offset) => season
+        ? getSeasonLeaderboard(season.id, type, limit, offset)
+        : getLeaderboard(type, limit, offset);
+
+    const { total } = fetchPage(1, 0);
+    const totalPages = Math.max(1, Math.ceil(total / LEADERBOARD_PAGE_SIZE));
+    const currentPage = Math.min(Math.max(1, page), totalPages);
+    const offset = (currentPage - 1) * LEADERBOARD_PAGE_SIZE;
+
+    const { entries } = fetchPage(LEADERBOARD_PAGE_SIZE, offset);
+    const userRank = season
+        ? getSeasonRank(season.id, type, userId)
+        : getLeaderboardRank(type, userId);
+
+    const embed = new EmbedBuilder()
+        .setTitle(season ? seasonLeaderboardTitle(season) : (LEADERBOARD_TITLES[type] || LEADERBOARD_TITLES.bebits))
+        .setDescription(buildLeaderboardDescription(entries, type, offset, userRank, userId))
+        .setColor(0x9B59B6) // Purple color
+        .setFooter({ text: `${LEADERBOARD_FOOTER} · Page ${currentPage}/${totalPages}` })
+        .setTimestamp();
+
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`leaderboard:${type}:${currentPage - 1}:${season?.id || ''}`)
+                .setLabel('Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('◀️')
+                .setDisabled(currentPage <= 1),
+            new ButtonBuilder()
+                .setCustomId(`leaderboard:${type}:${currentPage + 1}:${season?.id || ''}`)
+                .setLabel('Next')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('▶️')
+                .setDisabled(currentPage >= totalPages)
+        );
+
+    return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Parse a leaderboard pagination button ID
+ * @param {string} customId - e.g. "leaderboard:streak:2:" or "leaderboard:bebits:1:3" (season 3)
+ * @returns {{type: string, page: number, season: number|null}}
+ */
+export function parseLeaderboardButton(customId) {
+    const [, type, page, season] = customId.split(':');
+
+    return {
+        type: type || LeaderboardTypes.BEBITS,
+        page: parseInt(page, 10) || 1,
+        season: parseInt(season, 10) || null
+    };
+}
+
 export default { data, execute };
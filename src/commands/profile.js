@@ -0,0 +1,61 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { buildProfile } from '../services/profiles.js';
+import { buildProfileFields, databaseError } from '../utils/messages.js';
+
+export const data = new SlashCommandBuilder()
+    .setName('profile')
+    .setDescription('Show a member\'s profile card')
+    .addUserOption(opt =>
+        opt.setName('user')
+            .setDescription('Whose profile to show (default: yours)')
+            .setRequired(false));
+
+export async function execute(interaction) {
+    try {
+        const target = interaction.options.getUser('user') || interaction.user;
+
+        if (target.bot) {
+            return await interaction.reply({
+                content: '🐍 Bots don\'t get profiles. Beneath my notice~',
+                ephemeral: true
+            });
+        }
+
+        const profile = buildProfile(target.id);
+        const member = interaction.options.getMember('user') || (target.id === interaction.user.id ? interaction.member : null);
+
+        const embed = new EmbedBuilder()
+            .setAuthor({ name: member?.displayName || target.username, iconURL: target.displayAvatarURL() })
+            .setTitle('🐍 Profile')
+            .setColor(0x9B59B6) // Purple color
+            .setTimestamp();
+
+        const fields = buildProfileFields(profile);
+        if (fields.length > 0) {
+            embed.addFields(fields);
+        } else {
+            embed.setDescription('*This one prefers to stay mysterious~*');
+        }
+
+        if (profile.hidden.length > 0) {
+            embed.setFooter({ text: 'Some sections are hidden · /settings privacy' });
+        }
+
+        // Reply public - privacy settings decide what's shown
+        await interaction.reply({
+            embeds: [embed],
+            allowedMentions: { parse: [] }
+        });
+
+    } catch (error) {
+        console.error('[PROFILE ERROR]', error);
+
+        const replyMethod = interaction.replied || interaction.deferred ? 'followUp' : 'reply';
+        await interaction[replyMethod]({
+            content: databaseError(),
+            ephemeral: true
+        });
+    }
+}
+
+export default { data, execute };
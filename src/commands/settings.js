@@ -0,0 +1,170 @@
+import { SlashCommandBuilder } from 'discord.js';
+import { config } from '../config.js';
+import { getUser, setUserTimezone } from '../database.js';
+import { isValidTimezone, formatLocalTime, canCheckin } from '../utils/time.js';
+import { PROFILE_SECTIONS, getHiddenSections, setSectionHidden } from '../services/profiles.js';
+import {
+    timezoneCurrent,
+    timezoneSet,
+    timezoneLocked,
+    invalidTimezone,
+    privacySettings,
+    databaseError
+} from '../utils/messages.js';
+
+export const data = new SlashCommandBuilder()
+    .setName('settings')
+    .setDescription('Manage your personal settings')
+    .addSubcommand(sub =>
+        sub.setName('timezone')
+            .setDescription('View or set your timezone for daily check-ins')
+            .addStringOption(opt =>
+                opt.setName('zone')
+                    .setDescription('IANA timezone, e.g. America/New_York (or "default" to clear)')
+                    .setRequired(false)
+                    .setMaxLength(64)))
+    .addSubcommand(sub =>
+        sub.setName('privacy')
+            .setDescription('Choose what others can see on your /profile card')
+            .addStringOption(opt =>
+                opt.setName('section')
+                    .setDescription('Profile section to show or hide')
+                    .setRequired(false)
+                    .addChoices(
+                        { name: 'Everything', value: 'all' },
+                        ...Object.entries(PROFILE_SECTIONS).map(([value, name]) => ({ name, value }))
+                    ))
+            .addBooleanOption(opt =>
+                opt.setName('visible')
+                    .setDescription('Show (true) or hide (false) the section')
+                    .setRequired(false)));
+
+export async function execute(interaction) {
+    try {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'timezone') {
+            await handleTimezone(interaction);
+        } else if (subcommand === 'privacy') {
+            await handlePrivacy(interaction);
+        }
+
+    } catch (error) {
+        console.error('[SETTINGS ERROR]', error);
+
+        const replyMethod = interaction.replied || interaction.deferred ? 'followUp' : 'reply';
+        await interaction[replyMethod]({
+            content: databaseError(),
+            ephemeral: true
+        });
+    }
+}
+
+/**
+ * Handle /settings timezone
+ */
+async function handleTimezone(interaction) {
+    const userId = interaction.user.id;
+    const zone = interaction.options.getString('zone')?.trim();
+    const calendarMode = config.CHECKIN_MODE === 'calendar';
+
+    // No zone given - show current setting
+    if (!zone) {
+        const user = getUser(userId);
+        const timezone = user.timezone || config.DEFAULT_TIMEZONE;
+
+        return await interaction.reply({
+            content: timezoneCurrent(timezone, formatLocalTime(timezone), !user.timezone, calendarMode),
+            ephemeral: true
+        });
+    }
+
+    if (zone.toLowerCase() === 'default') {
+        const locked = checkTimezoneLock(userId, config.DEFAULT_TIMEZONE);
+        if (locked) {
+            return await interaction.reply({ content: locked, ephemeral: true });
+        }
+
+        setUserTimezone(userId, null);
+
+        return await interaction.reply({
+            content: timezoneSet(config.DEFAULT_TIMEZONE, formatLocalTime(config.DEFAULT_TIMEZONE), calendarMode),
+            ephemeral: true
+        });
+    }
+
+    if (!isValidTimezone(zone)) {
+        return await interaction.reply({
+            content: invalidTimezone(zone),
+            ephemeral: true
+        });
+    }
+
+    // Store the canonical spelling (e.g. "america/new_york" -> "America/New_York")
+    const timezone = new Intl.DateTimeFormat('en-US', { timeZone: zone }).resolvedOptions().timeZone;
+
+    const locked = checkTimezoneLock(userId, timezone);
+    if (locked) {
+        return await interaction.reply({ content: locked, ephemeral: true });
+    }
+
+    setUserTimezone(userId, timezone);
+
+    console.log(`[SETTINGS] ${interaction.user.tag} set timezone to ${timezone}`);
+
+    await interaction.reply({
+        content: timezoneSet(timezone, formatLocalTime(timezone), calendarMode),
+        ephemeral: true
+    });
+}
+
+/**
+ * In calendar mode, refuse a timezone change that would let a member who
+ * already checked in today check in again (a zone where today hasn't started)
+ * @returns {string|null} Refusal message, or null if the change is fine
+ */
+function checkTimezoneLock(userId, newTimezone) {
+    if (config.CHECKIN_MODE !== 'calendar') {
+        return null;
+    }
+
+    const user = getUser(userId);
+    const current = canCheckin(user.last_checkin, {
+        mode: 'calendar',
+        timezone: user.timezone || config.DEFAULT_TIMEZONE
+    });
+    if (current.canCheckin) {
+        return null;
+    }
+
+    const next = canCheckin(user.last_checkin, { mode: 'calendar', timezone: newTimezone });
+    return next.canCheckin ? timezoneLocked(current.hours, current.minutes) : null;
+}
+
+/**
+ * Handle /settings privacy
+ */
+async function handlePrivacy(interaction) {
+    const userId = interaction.user.id;
+    const section = interaction.options.getString('section');
+    const visible = interaction.options.getBoolean('visible');
+
+    // Missing either option - just show the current settings
+    if (!section || visible === null) {
+        return await interaction.reply({
+            content: privacySettings(getHiddenSections(getUser(userId)), PROFILE_SECTIONS),
+            ephemeral: true
+        });
+    }
+
+    const hidden = setSectionHidden(userId, section, !visible);
+
+    console.log(`[SETTINGS] ${interaction.user.tag} set profile section ${section} ${visible ? 'visible' : 'hidden'}`);
+
+    await interaction.reply({
+        content: privacySettings(hidden, PROFILE_SECTIONS),
+        ephemeral: true
+    });
+}
+
+export default { data, execute };
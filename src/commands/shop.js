@@ -3,11 +3,18 @@ import {
     EmbedBuilder,
     ActionRowBuilder,
     ButtonBuilder,
-    ButtonStyle
+    ButtonStyle,
+    StringSelectMenuBuilder
 } from 'discord.js';
-import { getUser } from '../database.js';
-import { REWARDS } from '../utils/rewards.js';
-import { buildShopDescription, databaseError } from '../utils/messages.js';
+import { getUser, getRewardAvailability } from '../database.js';
+import { getRewards, getRewardById, getRewardCategories, UNCATEGORIZED } from '../services/rewardCatalog.js';
+import { buildShopDescription, buildRewardDetail, databaseError } from '../utils/messages.js';
+
+// Two rows of five reward buttons per page
+export const SHOP_PAGE_SIZE = 10;
+
+// Select menu value for the unfiltered view
+export const ALL_CATEGORIES = 'all';
 
 export const data = new SlashCommandBuilder()
     .setName('shop')
@@ -15,50 +22,8 @@ export const data = new SlashCommandBuilder()
 
 export async function execute(interaction) {
     try {
-        const userId = interaction.user.id;
-
-        // Get user data
-        const user = getUser(userId);
-
-        // Build shop embed
-        const embed = new EmbedBuilder()
-            .setTitle('🐍 BEBOA\'S REWARD EMPORIUM 🐍')
-            .setDescription(buildShopDescription(user.bebits))
-            .setColor(0xE74C3C) // Red color
-            .setTimestamp();
-
-        // Build action rows with buttons (max 5 buttons per row)
-        const actionRows = [];
-        let currentRow = new ActionRowBuilder();
-
-        REWARDS.forEach((reward, index) => {
-            // Check if user can afford this reward
-            const canAfford = user.bebits >= reward.cost;
-
-            const button = new ButtonBuilder()
-                .setCustomId(`reward_${reward.id}`)
-                .setLabel(`${reward.emoji} ${reward.cost}`)
-                .setStyle(canAfford ? ButtonStyle.Primary : ButtonStyle.Secondary)
-                .setDisabled(!canAfford);
-
-            currentRow.addComponents(button);
-
-            // Start new row after 5 buttons
-            if ((index + 1) % 5 === 0) {
-                actionRows.push(currentRow);
-                currentRow = new ActionRowBuilder();
-            }
-        });
-
-        // Add remaining buttons if any
-        if (currentRow.components.length > 0) {
-            actionRows.push(currentRow);
-        }
-
-        // Reply ephemeral with embed and buttons
         await interaction.reply({
-            embeds: [embed],
-            components: actionRows,
+            ...buildShopPage(interaction.user.id),
             ephemeral: true
         });
 
@@ -73,4 +38,157 @@ export async function execute(interaction) {
     }
 }
 
+/**
+ * Build one page of the shop: category select menu, reward buttons and prev/next.
+ * The category and page are encoded in the button IDs so navigation survives across clicks.
+ *
+ * @param {string} userId - Viewer's Discord ID
+ * @param {string} category - Category name or ALL_CATEGORIES
+ * @param {number} page - 1-indexed page number
+ * @returns {Object} Message payload with embeds and components
+ */
+export function buildShopPage(userId, category = ALL_CATEGORIES, page = 1) {
+    const user = getUser(userId);
+    const categories = getRewardCategories();
+
+    // Category may have been emptied or renamed since the menu was shown
+    if (category !== ALL_CATEGORIES && !categories.includes(category)) {
+        category = ALL_CATEGORIES;
+    }
+
+    const rewards = getRewards().filter(reward =>
+        category === ALL_CATEGORIES || (reward.category || UNCATEGORIZED) === category
+    );
+
+    const totalPages = Math.max(1, Math.ceil(rewards.length / SHOP_PAGE_SIZE));
+    const currentPage = Math.min(Math.max(1, page), totalPages);
+
+    const pageRewards = rewards
+        .slice((currentPage - 1) * SHOP_PAGE_SIZE, currentPage * SHOP_PAGE_SIZE)
+        .map(reward => ({ ...reward, availability: getRewardAvailability(userId, reward.id) }));
+
+    const embed = new EmbedBuilder()
+        .setTitle('🐍 BEBOA\'S REWARD EMPORIUM 🐍')
+        .setDescription(buildShopDescription(user.bebits, pageRewards))
+        .setColor(0xE74C3C) // Red color
+        .setFooter({ text: `${category === ALL_CATEGORIES ? 'All rewards' : category} · Page ${currentPage}/${totalPages}` })
+        .setTimestamp();
+
+    const components = [];
+
+    // Category picker (Discord allows 25 options)
+    const menu = new StringSelectMenuBuilder()
+        .setCustomId('shop_category')
+        .setPlaceholder('Browse a category')
+        .addOptions(
+            [ALL_CATEGORIES, ...categories].slice(0, 25).map(name => ({
+                label: name === ALL_CATEGORIES ? 'All rewards' : name,
+                value: name,
+                default: name === category
+            }))
+        );
+    components.push(new ActionRowBuilder().addComponents(menu));
+
+    // Reward buttons open the detail view (max 5 buttons per row)
+    for (let i = 0; i < pageRewards.length; i += 5) {
+        const row = new ActionRowBuilder();
+
+        pageRewards.slice(i, i + 5).forEach(reward => {
+            // Gray out rewards the viewer can't buy right now, but still let them read about it
+            const canBuy = user.bebits >= reward.cost && reward.availability.available;
+
+            row.addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`shop_item:${reward.id}:${currentPage}:${category}`)
+                    .setLabel(`${reward.emoji} ${reward.cost}`)
+                    .setStyle(canBuy ? ButtonStyle.Primary : ButtonStyle.Secondary)
+            );
+        });
+
+        components.push(row);
+    }
+
+    components.push(
+        new ActionRowBuilder()
+            .addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`shop_page:${currentPage - 1}:${category}`)
+                    .setLabel('Previous')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('◀️')
+                    .setDisabled(currentPage <= 1),
+                new ButtonBuilder()
+                    .setCustomId(`shop_page:${currentPage + 1}:${category}`)
+                    .setLabel('Next')
+                    .setStyle(ButtonStyle.Secondary)
+                    .setEmoji('▶️')
+                    .setDisabled(currentPage >= totalPages)
+            )
+    );
+
+    return { embeds: [embed], components };
+}
+
+/**
+ * Build the detail view for one reward, with Redeem and Back buttons.
+ * Redeem leads to the usual confirm/cancel step.
+ *
+ * @param {string} userId - Viewer's Discord ID
+ * @param {string} rewardId - Reward to show
+ * @param {string} category - Category to return to
+ * @param {number} page - Page to return to
+ * @returns {Object|null} Message payload, or null if the reward is gone
+ */
+export function buildRewardDetailPage(userId, rewardId, category = ALL_CATEGORIES, page = 1) {
+    const reward = getRewardById(rewardId);
+    if (!reward || !reward.enabled) {
+        return null;
+    }
+
+    const user = getUser(userId);
+    const availability = getRewardAvailability(userId, reward.id);
+    const canBuy = user.bebits >= reward.cost && availability.available;
+
+    const embed = new EmbedBuilder()
+        .setTitle(`${reward.emoji} ${reward.name}`)
+        .setDescription(buildRewardDetail({ ...reward, availability }, user.bebits))
+        .setColor(0xE74C3C) // Red color
+        .setFooter({ text: reward.category || UNCATEGORIZED })
+        .setTimestamp();
+
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`reward_${reward.id}`)
+                .setLabel('Redeem')
+                .setStyle(ButtonStyle.Success)
+                .setEmoji('🛒')
+                .setDisabled(!canBuy),
+            new ButtonBuilder()
+                .setCustomId(`shop_page:${page}:${category}`)
+                .setLabel('Back')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('↩️')
+        );
+
+    return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Parse a shop navigation button ID
+ * @param {string} customId - e.g. "shop_page:2:Toys" or "shop_item:toy_5:1:Toys"
+ * @returns {{rewardId?: string, page: number, category: string}}
+ */
+export function parseShopButton(customId) {
+    const parts = customId.split(':');
+
+    if (parts[0] === 'shop_item') {
+        const [, rewardId, page, ...category] = parts;
+        return { rewardId, page: parseInt(page, 10) || 1, category: category.join(':') || ALL_CATEGORIES };
+    }
+
+    const [, page, ...category] = parts;
+    return { page: parseInt(page, 10) || 1, category: category.join(':') || ALL_CATEGORIES };
+}
+
 export default { data, execute };
@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import { isValidTimezone } from './utils/time.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -22,6 +23,13 @@ if (missing.length > 0) {
     process.exit(1);
 }
 
+// An unknown default timezone would break every calendar-mode check-in
+let defaultTimezone = process.env.DEFAULT_TIMEZONE || 'UTC';
+if (!isValidTimezone(defaultTimezone)) {
+    console.warn(`DEFAULT_TIMEZONE "${defaultTimezone}" is not a valid IANA timezone - using UTC.`);
+    defaultTimezone = 'UTC';
+}
+
 // Export validated configuration
 export const config = {
     // Discord bot token
@@ -42,12 +50,62 @@ export const config = {
     // Role to ping for redemptions (@bebebebebebe)
     ADMIN_ROLE_ID: process.env.ADMIN_ROLE_ID,
 
+    // Check-in Settings
+    // 'rolling' = 24h after the last check-in, 'calendar' = once per local day (see /settings timezone)
+    CHECKIN_MODE: process.env.CHECKIN_MODE === 'calendar' ? 'calendar' : 'rolling',
+    DEFAULT_TIMEZONE: defaultTimezone,
+
+    // Gifting Settings (/give)
+    GIFT_ENABLED: process.env.GIFT_ENABLED !== 'false',
+    GIFT_DAILY_SEND_LIMIT: parseInt(process.env.GIFT_DAILY_SEND_LIMIT ?? '50') || 0,
+    GIFT_DAILY_RECEIVE_LIMIT: parseInt(process.env.GIFT_DAILY_RECEIVE_LIMIT ?? '100') || 0,
+    GIFT_MIN_ACCOUNT_AGE_DAYS: parseInt(process.env.GIFT_MIN_ACCOUNT_AGE_DAYS ?? '30') || 0,
+    GIFT_MIN_MEMBER_DAYS: parseInt(process.env.GIFT_MIN_MEMBER_DAYS ?? '7') || 0,
+    GIFT_ALERT_DISTINCT_SENDERS: parseInt(process.env.GIFT_ALERT_DISTINCT_SENDERS ?? '3') || 0,
+
+    // Season reset defaults (/admin season end can override them per season)
+    SEASON_KEEP_PERCENT: Math.min(100, Math.max(0, parseInt(process.env.SEASON_KEEP_PERCENT ?? '10') || 0)),
+    SEASON_KEEP_STREAKS: process.env.SEASON_KEEP_STREAKS !== 'false',
+
+    // Achievements
+    ACHIEVEMENTS_ENABLED: process.env.ACHIEVEMENTS_ENABLED !== 'false',
+    // Where unlocks are announced (defaults to the check-in channel)
+    ACHIEVEMENT_CHANNEL_ID: process.env.ACHIEVEMENT_CHANNEL_ID || process.env.CHECKIN_CHANNEL_ID,
+
+    // Jarvis announcements (no channel = announcements are off; they can ping @everyone,
+    // so they never fall back to another channel)
+    ANNOUNCEMENT_CHANNEL_ID: process.env.ANNOUNCEMENT_CHANNEL_ID || null,
+
+    // Activity Earning (fractional Bebits for meaningful chat, needs server memory ingestion)
+    ACTIVITY_EARNING_ENABLED: process.env.ACTIVITY_EARNING_ENABLED === 'true',
+    // Channels where chatting earns Bebits (empty = every ingested channel)
+    ACTIVITY_CHANNELS: process.env.ACTIVITY_CHANNELS?.split(',').filter(Boolean) || [],
+    ACTIVITY_MIN_IMPORTANCE: parseFloat(process.env.ACTIVITY_MIN_IMPORTANCE) || 0.3,
+    // Bebits for a message with importance 1.0 (scaled down by importance)
+    ACTIVITY_BEBITS_PER_MESSAGE: parseFloat(process.env.ACTIVITY_BEBITS_PER_MESSAGE) || 0.5,
+    // Most Bebits one member can earn per day (0 stops activity earning)
+    ACTIVITY_DAILY_CAP: parseInt(process.env.ACTIVITY_DAILY_CAP ?? '5') || 0,
+    // Messages closer together than this don't earn
+    ACTIVITY_MIN_INTERVAL_SECONDS: parseInt(process.env.ACTIVITY_MIN_INTERVAL_SECONDS) || 60,
+    // Where the daily earnings digest is posted (defaults to the check-in channel)
+    ACTIVITY_DIGEST_CHANNEL_ID: process.env.ACTIVITY_DIGEST_CHANNEL_ID || process.env.CHECKIN_CHANNEL_ID,
+
+    // Role Rewards (mappings are managed with /admin roles)
+    // How often every member's roles are reconciled and timed roles expire
+    ROLE_SYNC_INTERVAL_MINUTES: parseInt(process.env.ROLE_SYNC_INTERVAL_MINUTES) || 15,
+
     // OpenRouter Configuration (optional - chat feature)
     OPENROUTER_API_KEY: process.env.OPENROUTER_API_KEY || null,
     OPENROUTER_MODEL: process.env.OPENROUTER_MODEL || 'x-ai/grok-4.1-fast',
     OPENROUTER_MAX_TOKENS: parseInt(process.env.OPENROUTER_MAX_TOKENS) || 1000,
     OPENROUTER_TEMPERATURE: parseFloat(process.env.OPENROUTER_TEMPERATURE) || 0.9,
 
+    // LLM Client (every model call - see services/llmClient.js)
+    // Point LLM_BASE_URL at any OpenAI-compatible server to run models locally
+    LLM_BASE_URL: (process.env.LLM_BASE_URL || 'https://openrouter.ai/api/v1').replace(/\/+$/, ''),
+    LLM_TIMEOUT_MS: parseInt(process.env.LLM_TIMEOUT_MS) || 30000,
+    LLM_MAX_RETRIES: parseInt(process.env.LLM_MAX_RETRIES ?? '2') || 0,
+
     // Embedding Model (for semantic memory)
     EMBEDDING_MODEL: process.env.EMBEDDING_MODEL || 'openai/text-embedding-3-small',
 
@@ -67,10 +125,15 @@ export const config = {
     LLM_EVALUATOR_CACHE_TTL: parseInt(process.env.LLM_EVALUATOR_CACHE_TTL) || 60000,
     LLM_EVALUATOR_RATE_LIMIT: parseInt(process.env.LLM_EVALUATOR_RATE_LIMIT) || 30,
 
+    // Conversation summaries (defaults to the evaluator model)
+    SUMMARIZER_MODEL: process.env.SUMMARIZER_MODEL || process.env.LLM_EVALUATOR_MODEL || 'x-ai/grok-4.1-fast',
+
     // Chat Feature Settings
     CHAT_COOLDOWN_SECONDS: parseInt(process.env.CHAT_COOLDOWN_SECONDS) || 30,
     CHAT_MAX_HISTORY: parseInt(process.env.CHAT_MAX_HISTORY) || 10,
     CHAT_ENABLED: process.env.CHAT_ENABLED !== 'false',
+    // Show replies as they're written (edits a placeholder) instead of all at once
+    CHAT_STREAMING: process.env.CHAT_STREAMING !== 'false',
 
     // Memory Settings
     MEMORY_ENABLED: process.env.MEMORY_ENABLED !== 'false',
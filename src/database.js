@@ -9,10 +9,11 @@ import migrations from './migrations/index.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const dataDir = join(__dirname, '..', 'data');
-const dbPath = join(dataDir, 'beboa.db');
+// DATABASE_PATH=:memory: gives scripts like the Jarvis eval a throwaway database
+const dbPath = process.env.DATABASE_PATH || join(dataDir, 'beboa.db');
 
 // Ensure data directory exists
-if (!existsSync(dataDir)) {
+if (!process.env.DATABASE_PATH && !existsSync(dataDir)) {
     mkdirSync(dataDir, { recursive: true });
     console.log('[DATABASE] Created data directory');
 }
@@ -39,7 +40,8 @@ const statements = {
 
     updateUser: db.prepare(`
         UPDATE users
-        SET bebits = ?, current_streak = ?, last_checkin = ?, total_checkins = ?
+        SET current_streak = ?, last_checkin = ?, total_checkins = ?, streak_started_at = ?,
+            best_streak = MAX(COALESCE(best_streak, 0), ?)
         WHERE discord_id = ?
     `),
 
@@ -47,6 +49,30 @@ const statements = {
         UPDATE users SET bebits = ? WHERE discord_id = ?
     `),
 
+    // Bebit ledger statements
+    addTransaction: db.prepare(`
+        INSERT INTO bebit_transactions (user_id, delta, balance_after, reason, actor_id, note)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `),
+
+    getTransactions: db.prepare(`
+        SELECT * FROM bebit_transactions
+        WHERE (@userId IS NULL OR user_id = @userId)
+          AND (@reason IS NULL OR reason = @reason)
+          AND (@from IS NULL OR created_at >= date(@from))
+          AND (@to IS NULL OR created_at < date(@to, '+1 day'))
+        ORDER BY id DESC
+        LIMIT @limit OFFSET @offset
+    `),
+
+    countTransactions: db.prepare(`
+        SELECT COUNT(*) as count FROM bebit_transactions
+        WHERE (@userId IS NULL OR user_id = @userId)
+          AND (@reason IS NULL OR reason = @reason)
+          AND (@from IS NULL OR created_at >= date(@from))
+          AND (@to IS NULL OR created_at < date(@to, '+1 day'))
+    `),
+
     updateStreak: db.prepare(`
         UPDATE users SET current_streak = ?, last_checkin = ? WHERE discord_id = ?
     `),
@@ -80,9 +106,31 @@ const statements = {
         SELECT discord_id, current_streak FROM users ORDER BY current_streak DESC LIMIT 1
     `),
 
+    getLastSeason: db.prepare(`
+        SELECT id, ended_at FROM seasons ORDER BY id DESC LIMIT 1
+    `),
+
+    getRewardStatus: db.prepare(`
+        SELECT * FROM rewards WHERE id = ?
+    `),
+
+    restockReward: db.prepare(`
+        UPDATE rewards SET stock = MAX(COALESCE(stock, 0), restock_amount), restocked_at = ? WHERE id = ?
+    `),
+
+    decrementStock: db.prepare(`
+        UPDATE rewards SET stock = stock - 1 WHERE id = ? AND stock IS NOT NULL
+    `),
+
+    getUserRewardPurchases: db.prepare(`
+        SELECT COUNT(*) as count, MAX(redeemed_at) as last_redeemed_at
+        FROM redemptions
+        WHERE discord_id = ? AND reward_id = ? AND status != 'refunded'
+    `),
+
     addRedemption: db.prepare(`
-        INSERT INTO redemptions (discord_id, reward_id, reward_name, cost)
-        VALUES (?, ?, ?, ?)
+        INSERT INTO redemptions (discord_id, reward_id, reward_name, cost, status)
+        VALUES (?, ?, ?, ?, ?)
     `),
 
     getTotalRedemptions: db.prepare(`
@@ -104,6 +152,14 @@ const statements = {
         UPDATE users SET beboa_notes = ? WHERE discord_id = ?
     `),
 
+    setUserTimezone: db.prepare(`
+        UPDATE users SET timezone = ? WHERE discord_id = ?
+    `),
+
+    setProfileHidden: db.prepare(`
+        UPDATE users SET profile_hidden = ? WHERE discord_id = ?
+    `),
+
     getUsersByIds: db.prepare(`
         SELECT discord_id, bebits, current_streak, beboa_notes FROM users WHERE discord_id IN (SELECT value FROM json_each(?))
     `),
@@ -148,27 +204,146 @@ export function getUser(discordId) {
     return user;
 }
 
+/**
+ * Why a balance changed. Stored on every ledger entry.
+ */
+export const TransactionReasons = {
+    OPENING_BALANCE: 'opening_balance',
+    CHECKIN: 'checkin',
+    MILESTONE: 'milestone',
+    REDEMPTION: 'redemption',
+    REFUND: 'refund',
+    ADMIN_GIVE: 'admin_give',
+    ADMIN_REMOVE: 'admin_remove',
+    ADMIN_SET: 'admin_set',
+    TRANSFER: 'transfer',
+    GIFT: 'gift',
+    WHEEL: 'wheel',
+    SEASON_RESET: 'season_reset',
+    ACHIEVEMENT: 'achievement',
+    ACTIVITY: 'activity',
+    ADJUSTMENT: 'adjustment'
+};
+
+// Callbacks run after every balance change (see onBalanceChange)
+const balanceListeners = [];
+
+/**
+ * Register a callback for balance changes: listener(userId, newBalance).
+ * Listeners run inside the ledger transaction, so they must be quick and must not throw.
+ * @param {Function} listener
+ */
+export function onBalanceChange(listener) {
+    balanceListeners.push(listener);
+}
+
+/**
+ * Change a user's balance and record it in the ledger.
+ * Every balance mutation must go through here.
+ *
+ * @param {string} userId - Discord user ID
+ * @param {number} delta - Bebits to add (negative to remove)
+ * @param {string} reason - One of TransactionReasons
+ * @param {string|null} actorId - Who caused the change (null for the system/self)
+ * @param {string|null} note - Optional detail (reward name, counterparty, ...)
+ * @returns {{previousBalance: number, newBalance: number, delta: number}}
+ */
+export const applyBebitDelta = db.transaction((userId, delta, reason, actorId = null, note = null) => {
+    const user = getUser(userId);
+    const newBalance = user.bebits + delta;
+
+    if (newBalance < 0) {
+        throw new Error(`Bebit balance for ${userId} would go negative (${user.bebits} + ${delta})`);
+    }
+
+    if (delta !== 0) {
+        statements.updateBebits.run(newBalance, userId);
+        statements.addTransaction.run(userId, delta, newBalance, reason, actorId, note);
+
+        for (const listener of balanceListeners) {
+            listener(userId, newBalance);
+        }
+    }
+
+    return { previousBalance: user.bebits, newBalance, delta };
+});
+
+/**
+ * Move bebits from one user to another as a single atomic pair of ledger entries
+ * @param {string} fromUserId - Sender
+ * @param {string} toUserId - Recipient
+ * @param {number} amount - Bebits to move (positive)
+ * @param {string|null} actorId - Who initiated the transfer
+ * @param {string} reason - Ledger reason for both entries
+ * @returns {{fromBalance: number, toBalance: number}}
+ */
+export const transferBebits = db.transaction((fromUserId, toUserId, amount, actorId = null, reason = TransactionReasons.TRANSFER) => {
+    const from = applyBebitDelta(fromUserId, -amount, reason, actorId, `To <@${toUserId}>`);
+    const to = applyBebitDelta(toUserId, amount, reason, actorId, `From <@${fromUserId}>`);
+
+    return { fromBalance: from.newBalance, toBalance: to.newBalance };
+});
+
+/**
+ * Get ledger entries, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} [filters.userId] - Only this user
+ * @param {string} [filters.reason] - Only this reason
+ * @param {string} [filters.from] - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} [filters.to] - End date (YYYY-MM-DD, inclusive)
+ * @param {number} limit - Page size
+ * @param {number} offset - Rows to skip
+ * @returns {{transactions: Array, total: number}}
+ */
+export function getBebitTransactions({ userId = null, reason = null, from = null, to = null } = {}, limit = 10, offset = 0) {
+    const params = { userId, reason, from, to };
+
+    return {
+        transactions: statements.getTransactions.all({ ...params, limit, offset }),
+        total: statements.countTransactions.get(params).count
+    };
+}
+
 /**
  * Update user's check-in data
  * @param {string} discordId - Discord user ID
  * @param {Object} data - Data to update
- * @param {number} data.bebits - New bebits balance
+ * @param {number} [data.bebits] - New bebits balance (recorded in the ledger; omit to leave unchanged)
  * @param {number} data.current_streak - New streak count
  * @param {string} data.last_checkin - ISO8601 timestamp
  * @param {number} data.total_checkins - Total check-in count
+ * @param {string|null} data.streak_started_at - ISO8601 timestamp the current streak began
+ * @param {string} data.reason - Ledger reason if bebits changed
+ * @param {string|null} data.actorId - Ledger actor if bebits changed
  */
-export function updateUser(discordId, { bebits, current_streak, last_checkin, total_checkins }) {
-    statements.updateUser.run(bebits, current_streak, last_checkin, total_checkins, discordId);
-    console.log(`[DATABASE] Updated user ${discordId}: bebits=${bebits}, streak=${current_streak}`);
-}
+export const updateUser = db.transaction((discordId, {
+    bebits,
+    current_streak,
+    last_checkin,
+    total_checkins,
+    streak_started_at = null,
+    reason = TransactionReasons.ADJUSTMENT,
+    actorId = null
+}) => {
+    if (bebits !== undefined) {
+        updateBebits(discordId, bebits, reason, actorId);
+    }
+
+    statements.updateUser.run(current_streak, last_checkin, total_checkins, streak_started_at, current_streak, discordId);
+    console.log(`[DATABASE] Updated user ${discordId}: streak=${current_streak}`);
+});
 
 /**
- * Update only user's bebits balance
+ * Set a user's bebits balance (the difference is recorded in the ledger)
  * @param {string} discordId - Discord user ID
  * @param {number} bebits - New bebits balance
+ * @param {string} reason - Ledger reason
+ * @param {string|null} actorId - Who caused the change
+ * @param {string|null} note - Optional detail
  */
-export function updateBebits(discordId, bebits) {
-    statements.updateBebits.run(bebits, discordId);
+export function updateBebits(discordId, bebits, reason = TransactionReasons.ADJUSTMENT, actorId = null, note = null) {
+    const user = getUser(discordId);
+    applyBebitDelta(discordId, bebits - user.bebits, reason, actorId, note);
     console.log(`[DATABASE] Updated bebits for ${discordId}: ${bebits}`);
 }
 
@@ -181,6 +356,18 @@ export function resetStreak(discordId) {
     console.log(`[DATABASE] Reset streak for ${discordId}`);
 }
 
+/**
+ * Set a user's streak directly (used to undo a reset)
+ * @param {string} discordId - Discord user ID
+ * @param {number} currentStreak - Streak to restore
+ * @param {string|null} lastCheckin - ISO8601 timestamp of the last check-in
+ */
+export function setStreak(discordId, currentStreak, lastCheckin) {
+    getUser(discordId);
+    statements.updateStreak.run(currentStreak, lastCheckin, discordId);
+    console.log(`[DATABASE] Set streak for ${discordId}: ${currentStreak}`);
+}
+
 /**
  * Get top users by bebits
  * @param {number} limit - Number of users to return (default 10)
@@ -200,28 +387,224 @@ export function getUserRank(discordId) {
     return result ? result.rank : 0;
 }
 
+/**
+ * Leaderboard rankings available in /leaderboard
+ */
+export const LeaderboardTypes = {
+    BEBITS: 'bebits',
+    STREAK: 'streak',
+    EARNED: 'earned',
+    CHECKINS: 'checkins',
+    MONTHLY: 'monthly'
+};
+
+/**
+ * Ledger reasons that count as earning Bebits. Gifts, transfers and refunds
+ * only move existing Bebits around, so they don't count.
+ */
+export const EARNING_REASONS = [
+    TransactionReasons.OPENING_BALANCE,
+    TransactionReasons.CHECKIN,
+    TransactionReasons.MILESTONE,
+    TransactionReasons.ADMIN_GIVE,
+    TransactionReasons.WHEEL,
+    TransactionReasons.ACHIEVEMENT,
+    TransactionReasons.ACTIVITY
+];
+
+const earningReasonList = EARNING_REASONS.map(reason => `'${reason}'`).join(', ');
+// Opening balances were earned before the ledger existed, not this month
+const monthlyReasonList = EARNING_REASONS
+    .filter(reason => reason !== TransactionReasons.OPENING_BALANCE)
+    .map(reason => `'${reason}'`).join(', ');
+
+// One score query per leaderboard; "monthly" resets at the start of each UTC month
+const leaderboardScores = {
+    [LeaderboardTypes.BEBITS]: `
+        SELECT discord_id, bebits AS score FROM users`,
+    [LeaderboardTypes.STREAK]: `
+        SELECT discord_id, current_streak AS score FROM users WHERE current_streak > 0`,
+    [LeaderboardTypes.CHECKINS]: `
+        SELECT discord_id, total_checkins AS score FROM users WHERE total_checkins > 0`,
+    [LeaderboardTypes.EARNED]: `
+        SELECT user_id AS discord_id, SUM(delta) AS score FROM bebit_transactions
+        WHERE delta > 0 AND reason IN (${earningReasonList})
+        GROUP BY user_id`,
+    [LeaderboardTypes.MONTHLY]: `
+        SELECT user_id AS discord_id, SUM(delta) AS score FROM bebit_transactions
+        WHERE delta > 0 AND reason IN (${monthlyReasonList})
+          AND created_at >= datetime('now', 'start of month')
+        GROUP BY user_id`
+};
+
+const leaderboardStatements = Object.fromEntries(
+    Object.entries(leaderboardScores).map(([type, scores]) => [type, {
+        page: db.prepare(`
+            SELECT s.discord_id, s.score, u.bebits, u.current_streak
+            FROM (${scores}) s
+            JOIN users u ON u.discord_id = s.discord_id
+            ORDER BY s.score DESC, s.discord_id ASC
+            LIMIT ? OFFSET ?
+        `),
+        count: db.prepare(`
+            SELECT COUNT(*) as count FROM (${scores})
+        `),
+        rank: db.prepare(`
+            WITH scores AS (${scores})
+            SELECT score, (SELECT COUNT(*) FROM scores WHERE score > mine.score) + 1 as rank
+            FROM scores mine
+            WHERE discord_id = ?
+        `)
+    }])
+);
+
+/**
+ * Get one page of a leaderboard
+ * @param {string} type - One of LeaderboardTypes
+ * @param {number} limit - Entries per page
+ * @param {number} offset - Entries to skip
+ * @returns {{entries: Array<{discord_id, score, bebits, current_streak}>, total: number}}
+ */
+export function getLeaderboard(type = LeaderboardTypes.BEBITS, limit = 10, offset = 0) {
+    const board = leaderboardStatements[type] || leaderboardStatements[LeaderboardTypes.BEBITS];
+
+    return {
+        entries: board.page.all(limit, offset),
+        total: board.count.get().count
+    };
+}
+
+/**
+ * Get a user's position on a leaderboard (ties share a rank, like getUserRank)
+ * @param {string} type - One of LeaderboardTypes
+ * @param {string} discordId - Discord user ID
+ * @returns {{rank: number, score: number}|null} Null if the user isn't on this board
+ */
+export function getLeaderboardRank(type, discordId) {
+    const board = leaderboardStatements[type] || leaderboardStatements[LeaderboardTypes.BEBITS];
+    return board.rank.get(discordId) || null;
+}
+
+/**
+ * Refill a reward's stock if its restock interval has passed.
+ * Restock times stay on the original schedule even if nobody looks for a while.
+ */
+function restockIfDue(reward) {
+    if (!reward.restock_hours || reward.restock_amount === null) {
+        return reward;
+    }
+
+    const intervalMs = reward.restock_hours * 60 * 60 * 1000;
+    const lastRestock = reward.restocked_at ? new Date(reward.restocked_at).getTime() : 0;
+    const elapsed = Date.now() - lastRestock;
+
+    if (elapsed < intervalMs) {
+        return reward;
+    }
+
+    // First restock starts the schedule now; later ones keep to the interval
+    const restockedAt = lastRestock
+        ? new Date(lastRestock + Math.floor(elapsed / intervalMs) * intervalMs)
+        : new Date();
+
+    statements.restockReward.run(restockedAt.toISOString(), reward.id);
+    return statements.getRewardStatus.get(reward.id);
+}
+
+/**
+ * Check a reward's stock and a member's purchase limits.
+ * Also refills stock if a restock is due.
+ * @param {string} discordId - Discord user ID
+ * @param {string} rewardId - Reward identifier
+ * @returns {Object|null} { available, reason?, stock, nextRestockAt, availableAt, purchases, lifetimeLimit }
+ *   or null if the reward doesn't exist
+ */
+export function getRewardAvailability(discordId, rewardId) {
+    let reward = statements.getRewardStatus.get(rewardId);
+    if (!reward) {
+        return null;
+    }
+
+    reward = restockIfDue(reward);
+
+    const { count, last_redeemed_at } = statements.getUserRewardPurchases.get(discordId, rewardId);
+    const nextRestockAt = reward.restock_hours && reward.restocked_at
+        ? new Date(new Date(reward.restocked_at).getTime() + reward.restock_hours * 60 * 60 * 1000)
+        : null;
+
+    const availability = {
+        available: true,
+        stock: reward.stock,
+        nextRestockAt,
+        availableAt: null,
+        purchases: count,
+        lifetimeLimit: reward.lifetime_limit
+    };
+
+    if (reward.lifetime_limit !== null && count >= reward.lifetime_limit) {
+        return { ...availability, available: false, reason: 'lifetime_limit' };
+    }
+
+    if (reward.cooldown_hours && last_redeemed_at) {
+        const lastPurchase = new Date(last_redeemed_at.replace(' ', 'T') + 'Z').getTime();
+        const availableAt = lastPurchase + reward.cooldown_hours * 60 * 60 * 1000;
+        if (availableAt > Date.now()) {
+            return { ...availability, available: false, reason: 'cooldown', availableAt: new Date(availableAt) };
+        }
+    }
+
+    if (reward.stock !== null && reward.stock <= 0) {
+        return { ...availability, available: false, reason: 'sold_out', availableAt: nextRestockAt };
+    }
+
+    return availability;
+}
+
 /**
  * Process a reward redemption atomically
  * @param {string} discordId - Discord user ID
  * @param {string} rewardId - Reward identifier
  * @param {string} rewardName - Reward display name
  * @param {number} cost - Bebit cost
+ * @param {Function|null} applyEffect - Optional item effect run in the same transaction;
+ *   returning { success: false, reason } aborts the purchase
  * @returns {Object} Result with success status and new balance
  */
-export const processRedemption = db.transaction((discordId, rewardId, rewardName, cost) => {
+export const processRedemption = db.transaction((discordId, rewardId, rewardName, cost, applyEffect = null) => {
     const user = statements.getUser.get(discordId);
 
+    // Reward may have been disabled or repriced since the buttons were shown
+    const reward = statements.getRewardStatus.get(rewardId);
+    if (!reward || !reward.enabled || reward.cost !== cost) {
+        return { success: false, reason: 'unavailable', balance: user?.bebits || 0 };
+    }
+
     if (!user || user.bebits < cost) {
         return { success: false, reason: 'insufficient_bebits', balance: user?.bebits || 0 };
     }
 
-    const newBalance = user.bebits - cost;
-    statements.updateBebits.run(newBalance, discordId);
-    statements.addRedemption.run(discordId, rewardId, rewardName, cost);
+    // Stock, cooldowns and lifetime caps are checked here so double-clicks can't get around them
+    const availability = getRewardAvailability(discordId, rewardId);
+    if (!availability.available) {
+        return { success: false, reason: availability.reason, balance: user.bebits, availability };
+    }
+
+    let effect = null;
+    if (applyEffect) {
+        effect = applyEffect(discordId);
+        if (!effect.success) {
+            return { success: false, reason: effect.reason, balance: user.bebits };
+        }
+    }
+
+    const { newBalance } = applyBebitDelta(discordId, -cost, TransactionReasons.REDEMPTION, null, rewardName);
+    statements.decrementStock.run(rewardId);
+    // Items apply instantly; everything else waits in Bebe's fulfillment queue
+    const redemption = statements.addRedemption.run(discordId, rewardId, rewardName, cost, applyEffect ? 'fulfilled' : 'pending');
 
     console.log(`[DATABASE] Redemption: ${discordId} redeemed ${rewardName} for ${cost} bebits. New balance: ${newBalance}`);
 
-    return { success: true, newBalance };
+    return { success: true, newBalance, effect, redemptionId: redemption.lastInsertRowid };
 });
 
 /**
@@ -235,6 +618,7 @@ export function getStats() {
     const topEarner = statements.getTopEarner.get();
     const longestStreak = statements.getLongestStreak.get();
     const redemptionBreakdown = statements.getRedemptionBreakdown.all();
+    const lastSeason = statements.getLastSeason.get();
 
     return {
         totalUsers,
@@ -242,7 +626,12 @@ export function getStats() {
         totalRedemptions,
         topEarner,
         longestStreak,
-        redemptionBreakdown
+        redemptionBreakdown,
+        // Standings above are for the season in progress
+        currentSeason: {
+            number: (lastSeason?.id || 0) + 1,
+            startedAt: lastSeason?.ended_at || null
+        }
     };
 }
 
@@ -268,6 +657,30 @@ export function setUserNotes(discordId, notes) {
     console.log(`[DATABASE] Updated notes for ${discordId}: ${notes ? notes.substring(0, 50) + '...' : 'cleared'}`);
 }
 
+/**
+ * Set a user's timezone (used for calendar-day check-ins)
+ * @param {string} discordId - Discord user ID
+ * @param {string|null} timezone - IANA timezone (null to clear)
+ */
+export function setUserTimezone(discordId, timezone) {
+    // Ensure user exists first
+    getUser(discordId);
+    statements.setUserTimezone.run(timezone, discordId);
+    console.log(`[DATABASE] Set timezone for ${discordId}: ${timezone || 'cleared'}`);
+}
+
+/**
+ * Set which /profile sections a user hides
+ * @param {string} discordId - Discord user ID
+ * @param {Array<string>} sections - Hidden section keys (empty = show everything)
+ */
+export function setProfileHidden(discordId, sections) {
+    // Ensure user exists first
+    getUser(discordId);
+    statements.setProfileHidden.run(sections.length > 0 ? JSON.stringify(sections) : null, discordId);
+    console.log(`[DATABASE] Set hidden profile sections for ${discordId}: ${sections.join(', ') || 'none'}`);
+}
+
 /**
  * Append to Beboa's notes about a user
  * @param {string} discordId - Discord user ID
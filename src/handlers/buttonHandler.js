@@ -2,17 +2,59 @@ import {
     EmbedBuilder,
     ActionRowBuilder,
     ButtonBuilder,
-    ButtonStyle
+    ButtonStyle,
+    MessageFlags,
+    PermissionFlagsBits,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
 } from 'discord.js';
 import { config } from '../config.js';
-import { getUser, processRedemption } from '../database.js';
-import { getRewardById } from '../utils/rewards.js';
+import { getUser, processRedemption, getRewardAvailability } from '../database.js';
+import { getRewardById } from '../services/rewardCatalog.js';
+import { canApplyRewardEffect, applyRewardEffect, MAX_STREAK_FREEZES } from '../services/inventory.js';
+import { buildHistoryPage, parseHistoryButton } from '../commands/history.js';
+import { buildShopPage, buildRewardDetailPage, parseShopButton } from '../commands/shop.js';
+import { buildLeaderboardPage, parseLeaderboardButton } from '../commands/leaderboard.js';
+import { buildAuditPage, parseAuditButton } from '../commands/admin.js';
+import { endSeason, getCurrentSeason } from '../services/seasons.js';
+import { processGift } from '../services/gifting.js';
+import { unlockAchievements, AchievementEvents } from '../services/achievements.js';
+import { canExecuteAdminCommands, confirmAdminAction, cancelAdminAction, undoAdminAction, cancelScheduledCommand } from '../services/adminCommands.js';
+import {
+    getAnnouncement,
+    updateAnnouncementDraft,
+    rewriteAnnouncement,
+    cancelAnnouncement,
+    approveAnnouncement,
+    MAX_ANNOUNCEMENT_LENGTH
+} from '../services/announcements.js';
+import { parseScheduleTime } from '../services/scheduledActions.js';
+import { buildAdminResultComponents, buildAnnouncementComponents } from './messageHandler.js';
+import {
+    RedemptionStatus,
+    getRedemption,
+    claimRedemption,
+    fulfillRedemption,
+    refundRedemption
+} from '../services/redemptions.js';
 import {
     confirmRedemption,
     redemptionSuccess,
+    itemPurchaseSuccess,
+    itemUnavailable,
+    rewardLimited,
+    giftSuccess,
+    giftAnnouncement,
+    giftCancelled,
+    giftBlocked,
+    buildGiftAlert,
+    seasonEnded,
     redemptionCancelled,
     buildRedemptionNotification,
+    formatRedemptionStatus,
     insufficientBebits,
+    announcementPreview,
     databaseError,
     interactionExpired
 } from '../utils/messages.js';
@@ -29,12 +71,42 @@ export async function handleButton(interaction) {
 
     try {
         // Route to appropriate handler based on button type
-        if (customId.startsWith('reward_')) {
+        if (customId.startsWith('shop_page:')) {
+            await handleShopPage(interaction);
+        } else if (customId.startsWith('shop_item:')) {
+            await handleShopItem(interaction);
+        } else if (customId.startsWith('reward_')) {
             await handleRewardSelection(interaction);
         } else if (customId.startsWith('confirm_')) {
             await handleConfirmation(interaction);
         } else if (customId === 'cancel') {
             await handleCancel(interaction);
+        } else if (customId.startsWith('history:')) {
+            await handleHistoryPage(interaction);
+        } else if (customId.startsWith('leaderboard:')) {
+            await handleLeaderboardPage(interaction);
+        } else if (customId.startsWith('gift_confirm:')) {
+            await handleGiftConfirmation(interaction);
+        } else if (customId === 'gift_cancel') {
+            await handleGiftCancel(interaction);
+        } else if (customId.startsWith('redemption_')) {
+            await handleRedemptionAction(interaction);
+        } else if (customId.startsWith('season_end:')) {
+            await handleSeasonEndConfirmation(interaction);
+        } else if (customId === 'season_cancel') {
+            await handleSeasonEndCancel(interaction);
+        } else if (customId.startsWith('audit:')) {
+            await handleAuditPage(interaction);
+        } else if (customId.startsWith('jarvis_confirm:')) {
+            await handleJarvisConfirm(interaction);
+        } else if (customId.startsWith('jarvis_cancel:')) {
+            await handleJarvisCancel(interaction);
+        } else if (customId.startsWith('audit_undo:')) {
+            await handleAuditUndo(interaction);
+        } else if (customId.startsWith('schedule_cancel:')) {
+            await handleScheduleCancel(interaction);
+        } else if (customId.startsWith('announce_')) {
+            await handleAnnouncementButton(interaction);
         } else {
             console.warn(`[BUTTONS] Unknown button: ${customId}`);
         }
@@ -54,6 +126,90 @@ export async function handleButton(interaction) {
     }
 }
 
+/**
+ * Handle select menu interactions
+ * @param {StringSelectMenuInteraction} interaction - The select menu interaction
+ */
+export async function handleSelectMenu(interaction) {
+    try {
+        if (interaction.customId === 'shop_category') {
+            await interaction.update(buildShopPage(interaction.user.id, interaction.values[0], 1));
+        } else if (interaction.customId.startsWith('announce_ping:') || interaction.customId.startsWith('announce_role:')) {
+            await handleAnnouncementPing(interaction);
+        } else {
+            console.warn(`[BUTTONS] Unknown select menu: ${interaction.customId}`);
+        }
+    } catch (error) {
+        console.error('[BUTTONS] Error handling select menu:', error);
+
+        try {
+            const content = databaseError();
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content, ephemeral: true });
+            } else {
+                await interaction.reply({ content, ephemeral: true });
+            }
+        } catch (replyError) {
+            console.error('[BUTTONS] Failed to send error response:', replyError);
+        }
+    }
+}
+
+/**
+ * Handle modal submissions
+ * @param {ModalSubmitInteraction} interaction - The modal submission
+ */
+export async function handleModalSubmit(interaction) {
+    try {
+        if (interaction.customId.startsWith('announce_modal:')) {
+            await handleAnnouncementEdit(interaction);
+        } else {
+            console.warn(`[BUTTONS] Unknown modal: ${interaction.customId}`);
+        }
+    } catch (error) {
+        console.error('[BUTTONS] Error handling modal:', error);
+
+        try {
+            const content = databaseError();
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({ content, ephemeral: true });
+            } else {
+                await interaction.reply({ content, ephemeral: true });
+            }
+        } catch (replyError) {
+            console.error('[BUTTONS] Failed to send error response:', replyError);
+        }
+    }
+}
+
+/**
+ * Handle shop previous/next and back buttons
+ */
+async function handleShopPage(interaction) {
+    const { page, category } = parseShopButton(interaction.customId);
+
+    await interaction.update(buildShopPage(interaction.user.id, category, page));
+}
+
+/**
+ * Handle a reward button in the shop
+ * Shows the reward's detail view before the confirmation step
+ */
+async function handleShopItem(interaction) {
+    const { rewardId, page, category } = parseShopButton(interaction.customId);
+    const detail = buildRewardDetailPage(interaction.user.id, rewardId, category, page);
+
+    // Old shop pages can still show removed or disabled rewards
+    if (!detail) {
+        return await interaction.reply({
+            content: '🐍 Hisss... this reward no longer exists~',
+            ephemeral: true
+        });
+    }
+
+    await interaction.update(detail);
+}
+
 /**
  * Handle reward selection button click
  * Shows confirmation dialog
@@ -62,7 +218,8 @@ async function handleRewardSelection(interaction) {
     const rewardId = interaction.customId.replace('reward_', '');
     const reward = getRewardById(rewardId);
 
-    if (!reward) {
+    // Old shop messages can still show removed or disabled rewards
+    if (!reward || !reward.enabled) {
         return await interaction.reply({
             content: '🐍 Hisss... this reward no longer exists~',
             ephemeral: true
@@ -80,6 +237,26 @@ async function handleRewardSelection(interaction) {
         });
     }
 
+    // Sold out, on cooldown or already bought the maximum
+    const availability = getRewardAvailability(interaction.user.id, reward.id);
+    if (!availability.available) {
+        return await interaction.reply({
+            content: rewardLimited(availability.reason, availability),
+            ephemeral: true
+        });
+    }
+
+    // Items may not be usable right now (e.g. nothing to repair)
+    if (reward.effect) {
+        const check = canApplyRewardEffect(reward, user);
+        if (!check.success) {
+            return await interaction.reply({
+                content: itemUnavailable(check.reason, MAX_STREAK_FREEZES),
+                ephemeral: true
+            });
+        }
+    }
+
     const remainingBalance = user.bebits - reward.cost;
 
     // Build confirmation embed
@@ -120,7 +297,7 @@ async function handleConfirmation(interaction) {
     const rewardId = interaction.customId.replace('confirm_', '');
     const reward = getRewardById(rewardId);
 
-    if (!reward) {
+    if (!reward || !reward.enabled) {
         return await interaction.update({
             content: '🐍 Hisss... this reward no longer exists~',
             embeds: [],
@@ -139,24 +316,42 @@ async function handleConfirmation(interaction) {
     processingUsers.add(userId);
 
     try {
-        // Process the redemption atomically
-        const result = processRedemption(userId, reward.id, reward.name, reward.cost);
+        // Process the redemption atomically (item effects apply in the same transaction)
+        const applyEffect = reward.effect ? (discordId) => applyRewardEffect(reward, discordId) : null;
+        const result = processRedemption(userId, reward.id, reward.name, reward.cost, applyEffect);
 
         if (!result.success) {
             processingUsers.delete(userId);
             return await interaction.update({
-                content: insufficientBebits(reward.cost, result.balance),
+                content: redemptionFailure(result, reward),
                 embeds: [],
                 components: []
             });
         }
 
+        // Items are self-serve - no need to bother Bebe
+        if (reward.effect) {
+            console.log(`[REDEMPTION] ${interaction.user.tag} bought ${reward.name} for ${reward.cost} bebits`);
+
+            const itemEmbed = new EmbedBuilder()
+                .setTitle(`${reward.emoji} Purchase Complete!`)
+                .setDescription(itemPurchaseSuccess(reward, result.newBalance, result.effect))
+                .setColor(0x2ECC71) // Success green
+                .setTimestamp();
+
+            return await interaction.update({
+                embeds: [itemEmbed],
+                components: []
+            });
+        }
+
         // Send notification to command center
         await sendRedemptionNotification(
             interaction.client,
             reward,
             interaction.user,
-            result.newBalance
+            result.newBalance,
+            getRedemption(result.redemptionId)
         );
 
         console.log(`[REDEMPTION] ${interaction.user.tag} redeemed ${reward.name} for ${reward.cost} bebits`);
@@ -173,11 +368,31 @@ async function handleConfirmation(interaction) {
             components: []
         });
 
+        unlockAchievements(userId, AchievementEvents.REDEMPTION, { reward });
+
     } finally {
         processingUsers.delete(userId);
     }
 }
 
+/**
+ * Pick the message for a failed redemption
+ */
+function redemptionFailure(result, reward) {
+    switch (result.reason) {
+        case 'insufficient_bebits':
+            return insufficientBebits(reward.cost, result.balance);
+        case 'unavailable':
+            return '🐍 Hisss... this reward no longer exists~';
+        case 'sold_out':
+        case 'cooldown':
+        case 'lifetime_limit':
+            return rewardLimited(result.reason, result.availability);
+        default:
+            return itemUnavailable(result.reason, MAX_STREAK_FREEZES);
+    }
+}
+
 /**
  * Handle cancel button click
  */
@@ -194,10 +409,598 @@ async function handleCancel(interaction) {
     });
 }
 
+/**
+ * Handle /history pagination buttons
+ */
+async function handleHistoryPage(interaction) {
+    const { page, filters } = parseHistoryButton(interaction.customId);
+
+    // Only admins may page through someone else's (or everyone's) ledger
+    const isOwnHistory = filters.userId === interaction.user.id;
+    if (!isOwnHistory && !interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+        return await interaction.reply({
+            content: '🐍 Hisss... that ledger is not yours to read~',
+            ephemeral: true
+        });
+    }
+
+    await interaction.update(buildHistoryPage(filters, page));
+}
+
+/**
+ * Handle /admin audit pagination buttons
+ */
+async function handleAuditPage(interaction) {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+        return await interaction.reply({
+            content: '🐍 Hisss... the audit log is for admins only~',
+            ephemeral: true
+        });
+    }
+
+    const { page, filters } = parseAuditButton(interaction.customId);
+    await interaction.update(buildAuditPage(filters, page));
+}
+
+/**
+ * Handle leaderboard pagination buttons.
+ * The /leaderboard message is public, so clicks on it open a private copy
+ * showing the clicker's own rank; clicks on that copy just turn the page.
+ */
+async function handleLeaderboardPage(interaction) {
+    const { type, page, season } = parseLeaderboardButton(interaction.customId);
+    const payload = buildLeaderboardPage(type, page, interaction.user.id, season);
+
+    if (interaction.message.flags.has(MessageFlags.Ephemeral)) {
+        return await interaction.update(payload);
+    }
+
+    await interaction.reply({ ...payload, ephemeral: true });
+}
+
+/**
+ * Handle gift confirmation button click
+ * Moves the bebits atomically and alerts admins about unusual patterns
+ */
+async function handleGiftConfirmation(interaction) {
+    const senderId = interaction.user.id;
+    const [, recipientId, amountStr] = interaction.customId.split(':');
+    const amount = parseInt(amountStr, 10);
+
+    // Prevent double-clicks
+    if (processingUsers.has(senderId)) {
+        return await interaction.reply({
+            content: '🐍 Patience! Beboa is already processing your request...',
+            ephemeral: true
+        });
+    }
+
+    processingUsers.add(senderId);
+
+    try {
+        // Limits and balance are re-checked inside the transaction
+        const result = processGift(senderId, recipientId, amount);
+
+        if (!result.success) {
+            return await interaction.update({
+                content: giftBlocked(result.reason, result),
+                embeds: [],
+                components: []
+            });
+        }
+
+        console.log(`[GIFT] ${interaction.user.tag} gave ${amount} bebits to ${recipientId}`);
+
+        const successEmbed = new EmbedBuilder()
+            .setTitle('🎁 Gift Sent!')
+            .setDescription(giftSuccess(`<@${recipientId}>`, amount, result.senderBalance))
+            .setColor(0x2ECC71) // Success green
+            .setTimestamp();
+
+        await interaction.update({
+            embeds: [successEmbed],
+            components: []
+        });
+
+        await interaction.followUp({
+            content: giftAnnouncement(`<@${senderId}>`, `<@${recipientId}>`, amount),
+            allowedMentions: { users: [recipientId] }
+        });
+
+        if (result.alerts.length > 0) {
+            await sendGiftAlert(interaction.client, result.alerts, senderId, recipientId, amount);
+        }
+
+    } finally {
+        processingUsers.delete(senderId);
+    }
+}
+
+/**
+ * Handle gift cancel button click
+ */
+async function handleGiftCancel(interaction) {
+    const embed = new EmbedBuilder()
+        .setTitle('🎁 Gift Cancelled')
+        .setDescription(giftCancelled())
+        .setColor(0x95A5A6) // Gray
+        .setTimestamp();
+
+    await interaction.update({
+        embeds: [embed],
+        components: []
+    });
+}
+
+/**
+ * Handle the End Season confirmation from /admin season end
+ */
+async function handleSeasonEndConfirmation(interaction) {
+    const [, seasonStr, keepPercentStr, keepStreaksStr, ...nameParts] = interaction.customId.split(':');
+    const name = nameParts.join(':') || null;
+
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+        return await interaction.reply({
+            content: '🐍 Hisss... only admins can end a season~',
+            ephemeral: true
+        });
+    }
+
+    // A stale preview (someone already ended this season) must not end the next one too
+    if (getCurrentSeason().number !== parseInt(seasonStr, 10)) {
+        return await interaction.update({
+            content: `🐍 Season ${seasonStr} has already ended~`,
+            embeds: [],
+            components: []
+        });
+    }
+
+    const result = endSeason({
+        name,
+        keepPercent: parseInt(keepPercentStr, 10),
+        keepStreaks: keepStreaksStr === '1',
+        adminId: interaction.user.id
+    });
+
+    console.log(`[ADMIN] ${interaction.user.tag} ended season ${result.season.id}`);
+
+    await interaction.update({
+        content: `✅ Season ${result.season.id} archived. Season ${result.season.id + 1} has begun.`,
+        embeds: [],
+        components: []
+    });
+
+    await interaction.followUp({
+        content: seasonEnded(result),
+        allowedMentions: { users: result.winners.map(w => w.discord_id) }
+    });
+}
+
+/**
+ * Handle the Cancel button on a season end preview
+ */
+async function handleSeasonEndCancel(interaction) {
+    await interaction.update({
+        content: '🐍 The season continues~',
+        embeds: [],
+        components: []
+    });
+}
+
+/**
+ * Handle the Confirm button on a destructive Jarvis command
+ */
+async function handleJarvisConfirm(interaction) {
+    const confirmationId = parseInt(interaction.customId.split(':')[1], 10);
+
+    if (!canExecuteAdminCommands(interaction.user.id)) {
+        return await interaction.reply({
+            content: '🐍 Hisss... only Jarvis admins can confirm that~',
+            ephemeral: true
+        });
+    }
+
+    const result = await confirmAdminAction(confirmationId, interaction.user.id);
+
+    // Someone else's confirmation, or a double click - leave the message alone
+    if (result.reason === 'not_owner' || result.reason === 'resolved') {
+        return await interaction.reply({ content: `🐍 ${result.message}`, ephemeral: true });
+    }
+
+    await interaction.update({
+        content: result.message,
+        components: buildAdminResultComponents(result)
+    });
+}
+
+/**
+ * Handle the Cancel button on a destructive Jarvis command
+ */
+async function handleJarvisCancel(interaction) {
+    const confirmationId = parseInt(interaction.customId.split(':')[1], 10);
+    const result = cancelAdminAction(confirmationId, interaction.user.id);
+
+    if (!result.success) {
+        return await interaction.reply({ content: `🐍 ${result.message}`, ephemeral: true });
+    }
+
+    await interaction.update({
+        content: `~~${interaction.message.content.split('\n')[0]}~~\n${result.message}`,
+        components: []
+    });
+}
+
+/**
+ * Handle the Undo button on a Jarvis reply or /admin audit entry
+ */
+async function handleAuditUndo(interaction) {
+    const auditId = parseInt(interaction.customId.split(':')[1], 10);
+
+    if (!canExecuteAdminCommands(interaction.user.id)) {
+        return await interaction.reply({
+            content: '🐍 Hisss... only Jarvis admins can undo that~',
+            ephemeral: true
+        });
+    }
+
+    const result = undoAdminAction(auditId, interaction.user.id);
+
+    if (!result.success) {
+        return await interaction.reply({ content: `🐍 ${result.message}`, ephemeral: true });
+    }
+
+    console.log(`[ADMIN] ${interaction.user.tag} undid audit entry #${auditId}`);
+
+    // Drop the button so it can't be clicked twice
+    await interaction.update({ components: [] });
+    await interaction.followUp({
+        content: result.message,
+        ephemeral: interaction.message.flags.has(MessageFlags.Ephemeral),
+        allowedMentions: { parse: [] }
+    });
+}
+
+/**
+ * Handle the Cancel button on a scheduled Jarvis command
+ */
+async function handleScheduleCancel(interaction) {
+    const actionId = parseInt(interaction.customId.split(':')[1], 10);
+
+    if (!canExecuteAdminCommands(interaction.user.id)) {
+        return await interaction.reply({
+            content: '🐍 Hisss... only Jarvis admins can cancel that~',
+            ephemeral: true
+        });
+    }
+
+    const result = cancelScheduledCommand(actionId, interaction.user.id);
+
+    if (!result.success) {
+        return await interaction.reply({ content: `🐍 ${result.message}`, ephemeral: true });
+    }
+
+    await interaction.update({
+        content: `~~${interaction.message.content.split('\n')[0]}~~\n${result.message}`,
+        components: []
+    });
+}
+
+// Why an announcement control did nothing, by service failure reason
+const ANNOUNCEMENT_FAILURES = {
+    not_found: "That announcement doesn't exist anymore~",
+    not_owner: 'Only the admin who wrote this draft can change it~',
+    resolved: 'That announcement was already handled~',
+    rewrite_failed: "I couldn't come up with a rewrite right now. Try again in a bit~"
+};
+
+/**
+ * Show an announcement draft's current state on its preview message
+ */
+async function refreshAnnouncementPreview(interaction, announcement, method = 'update') {
+    await interaction[method]({
+        content: announcementPreview(announcement, config.ANNOUNCEMENT_CHANNEL_ID),
+        components: buildAnnouncementComponents(announcement),
+        allowedMentions: { parse: [] }
+    });
+}
+
+/**
+ * Handle the Post/Edit/Rewrite/Cancel buttons on an announcement draft
+ */
+async function handleAnnouncementButton(interaction) {
+    const [action, id] = interaction.customId.split(':');
+    const announcementId = parseInt(id, 10);
+    const userId = interaction.user.id;
+
+    if (!canExecuteAdminCommands(userId)) {
+        return await interaction.reply({
+            content: '🐍 Hisss... only Jarvis admins can touch announcements~',
+            ephemeral: true
+        });
+    }
+
+    const announcement = getAnnouncement(announcementId);
+    if (!announcement || announcement.actor_id !== userId) {
+        return await interaction.reply({
+            content: `🐍 ${ANNOUNCEMENT_FAILURES[announcement ? 'not_owner' : 'not_found']}`,
+            ephemeral: true
+        });
+    }
+
+    if (action === 'announce_edit') {
+        return await interaction.showModal(new ModalBuilder()
+            .setCustomId(`announce_modal:${announcementId}`)
+            .setTitle(`Announcement #${announcementId}`)
+            .addComponents(
+                new ActionRowBuilder().addComponents(
+                    new TextInputBuilder()
+                        .setCustomId('content')
+                        .setLabel('Text')
+                        .setStyle(TextInputStyle.Paragraph)
+                        .setMaxLength(MAX_ANNOUNCEMENT_LENGTH)
+                        .setValue(announcement.content)
+                        .setRequired(true)
+                ),
+                new ActionRowBuilder().addComponents(
+                    new TextInputBuilder()
+                        .setCustomId('when')
+                        .setLabel('When (blank = post on approval)')
+                        .setStyle(TextInputStyle.Short)
+                        .setPlaceholder('at 8pm, tomorrow at 9am, every friday at 6pm...')
+                        .setValue(announcement.schedule || '')
+                        .setRequired(false)
+                )
+            ));
+    }
+
+    if (action === 'announce_cancel') {
+        const result = cancelAnnouncement(announcementId, userId);
+        if (!result.success) {
+            return await interaction.reply({ content: `🐍 ${ANNOUNCEMENT_FAILURES[result.reason]}`, ephemeral: true });
+        }
+
+        return await interaction.update({
+            content: `~~📢 Announcement draft #${announcementId}~~\nCancelled~`,
+            components: [],
+            allowedMentions: { parse: [] }
+        });
+    }
+
+    if (action === 'announce_rewrite' && announcement.use_rewrite) {
+        const result = updateAnnouncementDraft(announcementId, userId, { useRewrite: false });
+        if (!result.success) {
+            return await interaction.reply({ content: `🐍 ${ANNOUNCEMENT_FAILURES[result.reason]}`, ephemeral: true });
+        }
+        return await refreshAnnouncementPreview(interaction, result.announcement);
+    }
+
+    // Rewriting and posting can take a moment
+    await interaction.deferUpdate();
+
+    if (action === 'announce_rewrite') {
+        const result = await rewriteAnnouncement(announcementId, userId);
+        if (!result.success) {
+            return await interaction.followUp({ content: `🐍 ${ANNOUNCEMENT_FAILURES[result.reason]}`, ephemeral: true });
+        }
+        return await refreshAnnouncementPreview(interaction, result.announcement, 'editReply');
+    }
+
+    if (action === 'announce_approve') {
+        const result = await approveAnnouncement(announcementId, userId);
+        if (!result.success) {
+            return await interaction.followUp({
+                content: `🐍 ${ANNOUNCEMENT_FAILURES[result.reason] || result.message}`,
+                ephemeral: true
+            });
+        }
+
+        console.log(`[ADMIN] ${interaction.user.tag} approved announcement #${announcementId}`);
+
+        await interaction.editReply({
+            content: result.message,
+            components: buildAdminResultComponents(result),
+            allowedMentions: { parse: [] }
+        });
+    }
+}
+
+/**
+ * Handle the ping and role selects on an announcement draft
+ */
+async function handleAnnouncementPing(interaction) {
+    const [menu, id] = interaction.customId.split(':');
+    const announcementId = parseInt(id, 10);
+
+    if (!canExecuteAdminCommands(interaction.user.id)) {
+        return await interaction.reply({
+            content: '🐍 Hisss... only Jarvis admins can touch announcements~',
+            ephemeral: true
+        });
+    }
+
+    // Clearing the role select means no ping
+    const [value] = interaction.values;
+    const ping = menu === 'announce_role'
+        ? (value ? `role:${value}` : 'none')
+        : value;
+
+    const result = updateAnnouncementDraft(announcementId, interaction.user.id, { ping });
+    if (!result.success) {
+        return await interaction.reply({ content: `🐍 ${ANNOUNCEMENT_FAILURES[result.reason]}`, ephemeral: true });
+    }
+
+    await refreshAnnouncementPreview(interaction, result.announcement);
+}
+
+/**
+ * Handle the Edit modal on an announcement draft
+ */
+async function handleAnnouncementEdit(interaction) {
+    const announcementId = parseInt(interaction.customId.split(':')[1], 10);
+    const content = interaction.fields.getTextInputValue('content').trim();
+    const when = interaction.fields.getTextInputValue('when').trim();
+
+    let schedule = null;
+    if (when) {
+        const timezone = getUser(interaction.user.id).timezone || config.DEFAULT_TIMEZONE;
+        schedule = parseScheduleTime(when, timezone);
+
+        if (!schedule) {
+            return await interaction.reply({
+                content: `🐍 I don't understand "${when}". Try \`at 8pm\`, \`tomorrow at 9am\`, \`in 2 hours\` or \`every friday at 6pm\`~`,
+                ephemeral: true
+            });
+        }
+    }
+
+    const result = updateAnnouncementDraft(announcementId, interaction.user.id, { content, schedule });
+    if (!result.success) {
+        return await interaction.reply({ content: `🐍 ${ANNOUNCEMENT_FAILURES[result.reason]}`, ephemeral: true });
+    }
+
+    await refreshAnnouncementPreview(interaction, result.announcement);
+}
+
+/**
+ * Send an unusual gifting alert to the command center channel
+ */
+async function sendGiftAlert(client, alerts, senderId, recipientId, amount) {
+    try {
+        const channel = await client.channels.fetch(config.NOTIFICATION_CHANNEL_ID);
+
+        if (!channel) {
+            console.error('[NOTIFICATIONS] Could not find notification channel');
+            return;
+        }
+
+        await channel.send({
+            content: buildGiftAlert(alerts, `<@${senderId}>`, `<@${recipientId}>`, amount),
+            allowedMentions: { parse: [] }
+        });
+
+        console.log(`[NOTIFICATIONS] Sent gift alert (${alerts.map(a => a.type).join(', ')})`);
+
+    } catch (error) {
+        console.error('[NOTIFICATIONS] Failed to send gift alert:', error);
+    }
+}
+
+/**
+ * Build claim/fulfill/refund buttons for a redemption notification
+ * @param {Object} redemption - Redemption row
+ * @returns {Array} Action rows (empty once resolved)
+ */
+function buildRedemptionButtons(redemption) {
+    if (!redemption || ![RedemptionStatus.PENDING, RedemptionStatus.IN_PROGRESS].includes(redemption.status)) {
+        return [];
+    }
+
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`redemption_claim:${redemption.id}`)
+                .setLabel('Claim')
+                .setStyle(ButtonStyle.Primary)
+                .setEmoji('🔧')
+                .setDisabled(redemption.status !== RedemptionStatus.PENDING),
+            new ButtonBuilder()
+                .setCustomId(`redemption_fulfill:${redemption.id}`)
+                .setLabel('Fulfilled')
+                .setStyle(ButtonStyle.Success)
+                .setEmoji('✅'),
+            new ButtonBuilder()
+                .setCustomId(`redemption_refund:${redemption.id}`)
+                .setLabel('Refund')
+                .setStyle(ButtonStyle.Danger)
+                .setEmoji('💸')
+        );
+
+    return [row];
+}
+
+/**
+ * Handle claim/fulfill/refund buttons on redemption notifications
+ */
+async function handleRedemptionAction(interaction) {
+    const [action, idStr] = interaction.customId.replace('redemption_', '').split(':');
+    const redemptionId = parseInt(idStr, 10);
+    const adminId = interaction.user.id;
+
+    const isAdmin = interaction.member?.roles?.cache?.has(config.ADMIN_ROLE_ID) ||
+        interaction.memberPermissions?.has(PermissionFlagsBits.Administrator);
+
+    if (!isAdmin) {
+        return await interaction.reply({
+            content: '🐍 Only Bebe and her helpers can touch the fulfillment queue~',
+            ephemeral: true
+        });
+    }
+
+    let result;
+    switch (action) {
+        case 'claim':
+            result = claimRedemption(redemptionId, adminId);
+            break;
+        case 'fulfill':
+            result = fulfillRedemption(redemptionId, adminId);
+            break;
+        case 'refund':
+            result = refundRedemption(redemptionId, adminId);
+            break;
+        default:
+            console.warn(`[BUTTONS] Unknown redemption action: ${action}`);
+            return;
+    }
+
+    if (!result.success) {
+        if (!result.redemption) {
+            return await interaction.reply({
+                content: '🐍 Hisss... that redemption no longer exists~',
+                ephemeral: true
+            });
+        }
+
+        // Refresh the message so stale buttons disappear
+        await updateRedemptionMessage(interaction, result.redemption);
+
+        return await interaction.followUp({
+            content: `🐍 Too late~ That redemption is already **${result.redemption.status.replace('_', ' ')}**.`,
+            ephemeral: true
+        });
+    }
+
+    console.log(`[REDEMPTION] ${interaction.user.tag} ${action}ed redemption #${redemptionId}`);
+
+    await updateRedemptionMessage(interaction, result.redemption);
+
+    if (action === 'refund') {
+        await interaction.followUp({
+            content: `💸 Refunded **${result.redemption.cost} Bebits** to <@${result.redemption.discord_id}> (new balance: **${result.newBalance}**)`,
+            ephemeral: true
+        });
+    }
+}
+
+/**
+ * Rewrite the status line and buttons on a redemption notification
+ */
+async function updateRedemptionMessage(interaction, redemption) {
+    const statusLine = formatRedemptionStatus(redemption);
+    const content = /\*\*Status:\*\* .*/.test(interaction.message.content)
+        ? interaction.message.content.replace(/\*\*Status:\*\* .*/, statusLine)
+        : `${interaction.message.content}\n${statusLine}`;
+
+    await interaction.update({
+        content,
+        components: buildRedemptionButtons(redemption),
+        allowedMentions: { parse: [] }
+    });
+}
+
 /**
  * Send redemption notification to the command center channel
  */
-async function sendRedemptionNotification(client, reward, user, remainingBalance) {
+async function sendRedemptionNotification(client, reward, user, remainingBalance, redemption) {
     try {
         const channel = await client.channels.fetch(config.NOTIFICATION_CHANNEL_ID);
 
@@ -211,11 +1014,13 @@ async function sendRedemptionNotification(client, reward, user, remainingBalance
             `<@${user.id}>`,
             user.tag,
             remainingBalance,
-            config.ADMIN_ROLE_ID
+            config.ADMIN_ROLE_ID,
+            redemption
         );
 
         await channel.send({
             content: notificationContent,
+            components: buildRedemptionButtons(redemption),
             allowedMentions: {
                 roles: [config.ADMIN_ROLE_ID],
                 users: [user.id]
@@ -229,4 +1034,4 @@ async function sendRedemptionNotification(client, reward, user, remainingBalance
     }
 }
 
-export default { handleButton };
+export default { handleButton, handleSelectMenu, handleModalSubmit };
@@ -8,12 +8,16 @@ import shop from '../commands/shop.js';
 import admin from '../commands/admin.js';
 import chat from '../commands/chat.js';
 import summarize from '../commands/summarize.js';
+import settings from '../commands/settings.js';
+import history from '../commands/history.js';
+import give from '../commands/give.js';
+import profile from '../commands/profile.js';
 
 // Create commands collection
 export const commands = new Collection();
 
 // Register all commands
-const commandModules = [checkin, balance, leaderboard, shop, admin, chat, summarize];
+const commandModules = [checkin, balance, leaderboard, shop, admin, chat, summarize, settings, history, give, profile];
 
 commandModules.forEach(command => {
     if (command.data && command.execute) {
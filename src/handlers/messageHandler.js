@@ -3,12 +3,20 @@
  * Handles @Beboa mentions with full memory, tools, and context awareness
  */
 
+import {
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    StringSelectMenuBuilder,
+    RoleSelectMenuBuilder
+} from 'discord.js';
 import { config } from '../config.js';
 import { getUser, addChatMessage, getChatHistory } from '../database.js';
 import { isOpenRouterConfigured, chatCompletion } from '../services/openrouter.js';
 import { fetchChannelContext, buildChannelContextString } from '../services/channelContext.js';
 import { buildMemoryContext, extractAndStoreMemories } from '../services/memory.js';
 import { parseAndExecuteAdminCommand, canExecuteAdminCommands } from '../services/adminCommands.js';
+import { getAnnouncement, AnnouncementStatus } from '../services/announcements.js';
 import { chatWithTools, processToolCalls, toolDefinitions } from '../services/tools.js';
 import {
     getPersonalityState,
@@ -22,8 +30,10 @@ import {
     shouldExtractMemory,
     getErrorMessage,
     getCooldownMessage,
+    getThinkingMessage,
     getDisabledMessage
 } from '../utils/beboa-persona.js';
+import { createReplyStreamer } from '../utils/replyStreamer.js';
 import { buildServerMemoryContext } from '../services/serverMemory.js';
 
 // Cooldowns for mention-based chat
@@ -32,6 +42,113 @@ const mentionCooldowns = new Map();
 // SHARED conversation history - all users in one history so Beboa remembers everyone
 let sharedConversationCache = { messages: [], lastMessageTime: Date.now() };
 
+/**
+ * Controls for an announcement draft: approve/edit/rewrite/cancel, the ping,
+ * and a role to ping instead
+ * @param {Object} announcement - announcements row
+ * @returns {Array} Action rows (none once it's no longer a draft)
+ */
+export function buildAnnouncementComponents(announcement) {
+    if (!announcement || announcement.status !== AnnouncementStatus.DRAFT) {
+        return [];
+    }
+
+    const id = announcement.id;
+    const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`announce_approve:${id}`)
+            .setLabel(announcement.run_at ? 'Schedule' : 'Post')
+            .setStyle(ButtonStyle.Success)
+            .setEmoji('✅'),
+        new ButtonBuilder()
+            .setCustomId(`announce_edit:${id}`)
+            .setLabel('Edit')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('✏️'),
+        new ButtonBuilder()
+            .setCustomId(`announce_rewrite:${id}`)
+            .setLabel(announcement.use_rewrite ? 'Use original' : 'Rewrite as Beboa')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji(announcement.use_rewrite ? '↩️' : '🐍'),
+        new ButtonBuilder()
+            .setCustomId(`announce_cancel:${id}`)
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Danger)
+            .setEmoji('❌')
+    );
+
+    const ping = new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+            .setCustomId(`announce_ping:${id}`)
+            .setPlaceholder(announcement.ping.startsWith('role:') ? 'Pinging a role' : 'Ping')
+            .addOptions(
+                { label: 'No ping', value: 'none', emoji: '🔕', default: announcement.ping === 'none' },
+                { label: '@everyone', value: 'everyone', emoji: '🔔', default: announcement.ping === 'everyone' },
+                { label: '@here', value: 'here', emoji: '🔔', default: announcement.ping === 'here' }
+            )
+    );
+
+    const roleSelect = new RoleSelectMenuBuilder()
+        .setCustomId(`announce_role:${id}`)
+        .setPlaceholder('...or ping a role')
+        .setMinValues(0)
+        .setMaxValues(1);
+    if (announcement.ping.startsWith('role:')) {
+        roleSelect.setDefaultRoles(announcement.ping.slice('role:'.length));
+    }
+
+    return [buttons, ping, new ActionRowBuilder().addComponents(roleSelect)];
+}
+
+/**
+ * Buttons for a Jarvis command reply: Confirm/Cancel while it waits for
+ * confirmation, Undo once a reversible command has run
+ * @param {Object} result - Command result
+ * @returns {Array} Action rows
+ */
+export function buildAdminResultComponents(result) {
+    if (result.announcementId) {
+        return buildAnnouncementComponents(getAnnouncement(result.announcementId));
+    }
+
+    if (result.confirmationId) {
+        return [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`jarvis_confirm:${result.confirmationId}`)
+                .setLabel('Confirm')
+                .setStyle(ButtonStyle.Danger)
+                .setEmoji('✅'),
+            new ButtonBuilder()
+                .setCustomId(`jarvis_cancel:${result.confirmationId}`)
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('❌')
+        )];
+    }
+
+    if (result.scheduledActionId) {
+        return [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`schedule_cancel:${result.scheduledActionId}`)
+                .setLabel(`Cancel #${result.scheduledActionId}`)
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('🗓️')
+        )];
+    }
+
+    if (result.undoable) {
+        return [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`audit_undo:${result.auditId}`)
+                .setLabel(`Undo #${result.auditId}`)
+                .setStyle(ButtonStyle.Secondary)
+                .setEmoji('↩️')
+        )];
+    }
+
+    return [];
+}
+
 /**
  * Handle incoming messages that mention the bot
  * @param {Message} message - Discord message object
@@ -79,6 +196,9 @@ export async function handleMention(message) {
     // Show typing indicator
     await message.channel.sendTyping();
 
+    // Placeholder reply, edited as the answer is written
+    let reply = null;
+
     try {
         // Check for admin commands first (Jarvis-style)
         if (isAdmin) {
@@ -86,15 +206,17 @@ export async function handleMention(message) {
                 userId,
                 displayName,
                 channelId: message.channel.id,
+                messageId: message.id,
                 guild: message.guild
             });
 
             if (adminResult.matched) {
-                // Handle special actions
-                if (adminResult.result?.action === 'announce') {
-                    // TODO: Send to announcement channel
-                }
-                await message.reply(adminResult.result.message);
+                await message.reply({
+                    content: adminResult.result.message,
+                    components: buildAdminResultComponents(adminResult.result),
+                    // Announcement previews may quote pings - don't fire them yet
+                    ...(adminResult.result.announcementId && { allowedMentions: { parse: [] } })
+                });
 
                 // Set cooldown
                 if (!isBebe) setMentionCooldown(userId);
@@ -102,6 +224,12 @@ export async function handleMention(message) {
             }
         }
 
+        reply = createReplyStreamer({
+            send: content => message.reply(content),
+            edit: (sent, content) => sent.edit(content)
+        }, getThinkingMessage());
+        await reply.start();
+
         // Get user data for context
         const userData = getUser(userId);
 
@@ -150,13 +278,17 @@ export async function handleMention(message) {
         // Build messages array
         const messages = buildMentionMessageArray(fullSystemPrompt, displayName, content);
 
+        // Stream the reply into the placeholder as it's written
+        const onText = config.CHAT_STREAMING ? piece => reply.push(piece) : undefined;
+
         // Call API with tool support
         let result;
         if (config.TOOLS_ENABLED && toolDefinitions.length > 0) {
-            result = await chatWithTools(messages, { enableTools: true });
+            result = await chatWithTools(messages, { enableTools: true, onText });
 
             // Handle tool calls if any
             if (result.success && result.hasToolCalls) {
+                reply.restart();
                 const toolResults = await processToolCalls(result.toolCalls, {
                     userId,
                     displayName,
@@ -172,15 +304,15 @@ export async function handleMention(message) {
                     ...toolResults
                 ];
 
-                result = await chatCompletion(messagesWithTools);
+                result = await chatCompletion(messagesWithTools, { onText });
             }
         } else {
-            result = await chatCompletion(messages);
+            result = await chatCompletion(messages, { onText });
         }
 
         if (!result.success) {
             console.error(`[MENTION] API failed for ${message.author.tag}:`, result.error);
-            return await message.reply(getErrorMessage());
+            return await reply.fail(getErrorMessage());
         }
 
         // Update shared history
@@ -208,22 +340,16 @@ export async function handleMention(message) {
 
         console.log(`[MENTION] ${message.author.tag}: "${content.substring(0, 50)}${content.length > 50 ? '...' : ''}" -> Response sent`);
 
-        // Check for image URLs in tool results and attach
-        const responseContent = result.content;
-
-        // Handle long responses
-        if (responseContent.length > 2000) {
-            const chunks = splitMessage(responseContent);
-            for (const chunk of chunks) {
-                await message.reply(chunk);
-            }
-        } else {
-            await message.reply(responseContent);
-        }
+        // Final edit - long replies have already rolled over into follow-ups
+        await reply.finish(result.content);
 
     } catch (error) {
         console.error('[MENTION] Error:', error);
-        await message.reply(getErrorMessage());
+        if (reply) {
+            await reply.fail(getErrorMessage());
+        } else {
+            await message.reply(getErrorMessage());
+        }
     }
 }
 
@@ -316,35 +442,6 @@ function updateSharedHistory(displayName, userMessage, assistantResponse) {
     sharedConversationCache.lastMessageTime = Date.now();
 }
 
-/**
- * Split long messages for Discord's 2000 char limit
- */
-function splitMessage(content, maxLength = 2000) {
-    const chunks = [];
-    let remaining = content;
-
-    while (remaining.length > 0) {
-        if (remaining.length <= maxLength) {
-            chunks.push(remaining);
-            break;
-        }
-
-        // Find a good break point
-        let breakPoint = remaining.lastIndexOf('\n', maxLength);
-        if (breakPoint === -1 || breakPoint < maxLength / 2) {
-            breakPoint = remaining.lastIndexOf(' ', maxLength);
-        }
-        if (breakPoint === -1 || breakPoint < maxLength / 2) {
-            breakPoint = maxLength;
-        }
-
-        chunks.push(remaining.substring(0, breakPoint));
-        remaining = remaining.substring(breakPoint).trim();
-    }
-
-    return chunks;
-}
-
 /**
  * Check if user is on cooldown for mentions
  */
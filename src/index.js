@@ -2,11 +2,17 @@ import { Client, GatewayIntentBits, REST, Routes, Events } from 'discord.js';
 import { config } from './config.js';
 import { closeDatabase } from './database.js';
 import { handleCommand, getCommandData } from './handlers/commandHandler.js';
-import { handleButton } from './handlers/buttonHandler.js';
+import { handleButton, handleSelectMenu, handleModalSubmit } from './handlers/buttonHandler.js';
 import { handleMention } from './handlers/messageHandler.js';
 import { ingestMessage } from './services/messageIngestion.js';
 import { startProcessor as startEmbeddingProcessor, stopProcessor as stopEmbeddingProcessor } from './services/embeddingQueue.js';
 import { startScheduler as startSummaryScheduler, stopScheduler as stopSummaryScheduler } from './services/summarizer.js';
+import { initAchievements } from './services/achievements.js';
+import { startActivityDigest, stopActivityDigest } from './services/activityEarning.js';
+import { startRoleRewards, stopRoleRewards } from './services/roleRewards.js';
+import { startScheduledActions, stopScheduledActions } from './services/scheduledActions.js';
+import { initAnnouncements } from './services/announcements.js';
+import { runScheduledAction } from './services/adminCommands.js';
 
 // Create Discord client with required intents
 const client = new Client({
@@ -52,6 +58,18 @@ client.once(Events.ClientReady, async (readyClient) => {
     // Register slash commands
     await registerCommands();
 
+    // Let achievements announce unlocks
+    initAchievements(readyClient);
+
+    // Let approved Jarvis announcements be posted
+    initAnnouncements(readyClient);
+
+    // Reconcile role rewards and expire timed shop roles
+    startRoleRewards(readyClient);
+
+    // Run scheduled Jarvis commands (including any that came due while offline)
+    startScheduledActions(readyClient, runScheduledAction);
+
     // Start server memory background processors
     if (config.SERVER_MEMORY_ENABLED) {
         log('INFO', '📝 Server-wide memory: ENABLED');
@@ -59,6 +77,12 @@ client.once(Events.ClientReady, async (readyClient) => {
         startSummaryScheduler(config.GUILD_ID);
     }
 
+    // Daily digest of Bebits earned from chatting
+    if (config.ACTIVITY_EARNING_ENABLED) {
+        log('INFO', '💬 Activity earning: ENABLED');
+        startActivityDigest(readyClient);
+    }
+
     log('INFO', '🐍 Beboa is ready to serve~');
 });
 
@@ -77,7 +101,19 @@ client.on(Events.InteractionCreate, async (interaction) => {
             return;
         }
 
-        // Handle other interaction types (autocomplete, modals, etc.)
+        // Handle select menus (shop categories, announcement pings)
+        if (interaction.isStringSelectMenu() || interaction.isRoleSelectMenu()) {
+            await handleSelectMenu(interaction);
+            return;
+        }
+
+        // Handle modals (announcement edits)
+        if (interaction.isModalSubmit()) {
+            await handleModalSubmit(interaction);
+            return;
+        }
+
+        // Handle other interaction types (autocomplete, etc.)
         // Currently none implemented
 
     } catch (error) {
@@ -137,6 +173,9 @@ function shutdown(signal) {
     // Stop background processors
     stopEmbeddingProcessor();
     stopSummaryScheduler();
+    stopActivityDigest();
+    stopRoleRewards();
+    stopScheduledActions();
 
     // Close database connection
     closeDatabase();
@@ -0,0 +1,86 @@
+/**
+ * Migration: Add Check-in Reward Curve
+ *
+ * Creates tables for:
+ * - checkin_reward_settings: Base reward per check-in (single row)
+ * - streak_multipliers: Reward multipliers unlocked at streak lengths
+ * - streak_milestones: One-off bonuses for reaching streak milestones
+ * - user_milestones: Milestones already paid out, per user and per streak
+ *
+ * Also adds users.streak_started_at so milestones can be tied to a single streak.
+ */
+
+export const name = '007_add_checkin_rewards';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS checkin_reward_settings (
+            id INTEGER PRIMARY KEY CHECK (id = 1),
+            base_reward INTEGER NOT NULL DEFAULT 1,
+            updated_at TEXT DEFAULT (datetime('now'))
+        );
+
+        INSERT OR IGNORE INTO checkin_reward_settings (id, base_reward) VALUES (1, 1);
+
+        CREATE TABLE IF NOT EXISTS streak_multipliers (
+            min_streak INTEGER PRIMARY KEY,
+            multiplier REAL NOT NULL,
+            updated_at TEXT DEFAULT (datetime('now'))
+        );
+
+        INSERT OR IGNORE INTO streak_multipliers (min_streak, multiplier) VALUES
+            (30, 2),
+            (100, 3);
+
+        CREATE TABLE IF NOT EXISTS streak_milestones (
+            days INTEGER PRIMARY KEY,
+            bonus INTEGER NOT NULL,
+            message TEXT,
+            updated_at TEXT DEFAULT (datetime('now'))
+        );
+
+        INSERT OR IGNORE INTO streak_milestones (days, bonus) VALUES
+            (7, 5),
+            (30, 15),
+            (100, 50),
+            (365, 150);
+
+        CREATE TABLE IF NOT EXISTS user_milestones (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT NOT NULL,
+            milestone_days INTEGER NOT NULL,
+            streak_started_at TEXT NOT NULL,
+            bonus INTEGER NOT NULL,
+            awarded_at TEXT DEFAULT (datetime('now')),
+            UNIQUE(user_id, milestone_days, streak_started_at)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_user_milestones_user ON user_milestones(user_id);
+    `);
+
+    // Track when the current streak began (backfilled from streak length)
+    const tableInfo = db.prepare("PRAGMA table_info(users)").all();
+    const hasColumn = tableInfo.some(col => col.name === 'streak_started_at');
+
+    if (!hasColumn) {
+        db.exec(`ALTER TABLE users ADD COLUMN streak_started_at TEXT DEFAULT NULL`);
+        db.exec(`
+            UPDATE users
+            SET streak_started_at = datetime(last_checkin, '-' || (current_streak - 1) || ' days')
+            WHERE current_streak > 0 AND last_checkin IS NOT NULL
+        `);
+    }
+
+    console.log('[MIGRATION] Created check-in reward tables');
+}
+
+export function down(db) {
+    db.exec(`
+        DROP TABLE IF EXISTS user_milestones;
+        DROP TABLE IF EXISTS streak_milestones;
+        DROP TABLE IF EXISTS streak_multipliers;
+        DROP TABLE IF EXISTS checkin_reward_settings;
+    `);
+}
+
+export default { name, up, down };
@@ -0,0 +1,46 @@
+/**
+ * Migration: Add Streak Freeze Inventory and Streak Repair
+ *
+ * Creates tables for:
+ * - user_inventory: Consumable items held by each user (e.g. streak freezes)
+ *
+ * Adds users.lost_streak / lost_streak_started_at / streak_lost_at so a reset
+ * streak can be repaired within a limited window.
+ */
+
+export const name = '008_add_streak_items';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS user_inventory (
+            user_id TEXT NOT NULL,
+            item_id TEXT NOT NULL,
+            quantity INTEGER NOT NULL DEFAULT 0,
+            updated_at TEXT DEFAULT (datetime('now')),
+            PRIMARY KEY (user_id, item_id)
+        );
+    `);
+
+    const tableInfo = db.prepare("PRAGMA table_info(users)").all();
+    const columns = new Set(tableInfo.map(col => col.name));
+
+    if (!columns.has('lost_streak')) {
+        db.exec(`ALTER TABLE users ADD COLUMN lost_streak INTEGER DEFAULT 0`);
+    }
+    if (!columns.has('lost_streak_started_at')) {
+        db.exec(`ALTER TABLE users ADD COLUMN lost_streak_started_at TEXT DEFAULT NULL`);
+    }
+    if (!columns.has('streak_lost_at')) {
+        db.exec(`ALTER TABLE users ADD COLUMN streak_lost_at TEXT DEFAULT NULL`);
+    }
+
+    console.log('[MIGRATION] Created streak item tables');
+}
+
+export function down(db) {
+    db.exec(`
+        DROP TABLE IF EXISTS user_inventory;
+    `);
+}
+
+export default { name, up, down };
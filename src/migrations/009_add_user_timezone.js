@@ -0,0 +1,19 @@
+/**
+ * Migration: Add User Timezone
+ *
+ * Adds users.timezone so calendar-day check-ins can use each member's local day.
+ */
+
+export const name = '009_add_user_timezone';
+
+export function up(db) {
+    const tableInfo = db.prepare("PRAGMA table_info(users)").all();
+    const hasTimezone = tableInfo.some(col => col.name === 'timezone');
+
+    if (!hasTimezone) {
+        db.exec(`ALTER TABLE users ADD COLUMN timezone TEXT DEFAULT NULL`);
+        console.log('[MIGRATION] Added timezone column to users');
+    }
+}
+
+export default { name, up };
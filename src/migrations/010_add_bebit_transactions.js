@@ -0,0 +1,47 @@
+/**
+ * Migration: Add Bebit Transaction Ledger
+ *
+ * Creates tables for:
+ * - bebit_transactions: Every balance change with its reason and who caused it
+ *
+ * Existing balances are recorded as an 'opening_balance' entry so the ledger
+ * always sums to each user's current balance.
+ */
+
+export const name = '010_add_bebit_transactions';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS bebit_transactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT NOT NULL,
+            delta INTEGER NOT NULL,
+            balance_after INTEGER NOT NULL,
+            reason TEXT NOT NULL,
+            actor_id TEXT,
+            note TEXT,
+            created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_bebit_tx_user ON bebit_transactions(user_id, created_at);
+        CREATE INDEX IF NOT EXISTS idx_bebit_tx_reason ON bebit_transactions(reason);
+        CREATE INDEX IF NOT EXISTS idx_bebit_tx_created ON bebit_transactions(created_at);
+    `);
+
+    const result = db.prepare(`
+        INSERT INTO bebit_transactions (user_id, delta, balance_after, reason, note)
+        SELECT discord_id, bebits, bebits, 'opening_balance', 'Balance before the ledger existed'
+        FROM users
+        WHERE bebits != 0
+    `).run();
+
+    console.log(`[MIGRATION] Created bebit transaction ledger (${result.changes} opening balances)`);
+}
+
+export function down(db) {
+    db.exec(`
+        DROP TABLE IF EXISTS bebit_transactions;
+    `);
+}
+
+export default { name, up, down };
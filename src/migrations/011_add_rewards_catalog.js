@@ -1,8 +1,16 @@
 /**
- * All available rewards in Beboa's Reward Emporium
- * Each reward has a unique id, display name, cost in Bebits, emoji, and notification message
+ * Migration: Add Reward Catalog
+ *
+ * Creates tables for:
+ * - rewards: The shop catalog (previously hard-coded in utils/rewards.js),
+ *   editable from Discord with /admin shop
+ *
+ * Seeds the catalog with the rewards that existed at the time of this migration.
  */
-export const REWARDS = [
+
+export const name = '011_add_rewards_catalog';
+
+const SEED_REWARDS = [
     {
         id: 'bite',
         name: 'A Bite From Bebe',
@@ -24,6 +32,14 @@ export const REWARDS = [
         emoji: '😈',
         notification: "a reward has been claimed by {user}! Time to degrade them! Hehe don't hold back on this loser, Bebe!"
     },
+    {
+        id: 'streak_freeze',
+        name: 'Streak Freeze',
+        cost: 10,
+        emoji: '🧊',
+        effect: 'streak_freeze',
+        description: 'Saves your streak for one missed day. Used automatically~'
+    },
     {
         id: 'task',
         name: 'Simple Task/Punishment',
@@ -31,6 +47,14 @@ export const REWARDS = [
         emoji: '📋',
         notification: 'a reward has been claimed by {user}! Hahaha this doggy wants a treat, I wonder what you will come up with, Bebe!'
     },
+    {
+        id: 'streak_repair',
+        name: 'Streak Repair',
+        cost: 30,
+        emoji: '🩹',
+        effect: 'streak_repair',
+        description: 'Restores a streak you lost in the last 3 days'
+    },
     {
         id: 'scam',
         name: 'Bebe Scam',
@@ -83,31 +107,50 @@ export const REWARDS = [
     }
 ];
 
-/**
- * Get a reward by its ID
- * @param {string} rewardId - The reward's unique identifier
- * @returns {Object|undefined} The reward object or undefined if not found
- */
-export function getRewardById(rewardId) {
-    return REWARDS.find(reward => reward.id === rewardId);
-}
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS rewards (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            cost INTEGER NOT NULL,
+            emoji TEXT NOT NULL,
+            description TEXT,
+            notification TEXT,
+            effect TEXT,
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now'))
+        );
 
-/**
- * Get all rewards sorted by cost (ascending)
- * @returns {Array} Array of reward objects
- */
-export function getRewardsSortedByCost() {
-    return [...REWARDS].sort((a, b) => a.cost - b.cost);
+        CREATE INDEX IF NOT EXISTS idx_rewards_order ON rewards(enabled, sort_order);
+    `);
+
+    const insert = db.prepare(`
+        INSERT OR IGNORE INTO rewards (id, name, cost, emoji, description, notification, effect, sort_order)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    SEED_REWARDS.forEach((reward, index) => {
+        insert.run(
+            reward.id,
+            reward.name,
+            reward.cost,
+            reward.emoji,
+            reward.description || null,
+            reward.notification || null,
+            reward.effect || null,
+            index + 1
+        );
+    });
+
+    console.log(`[MIGRATION] Created reward catalog with ${SEED_REWARDS.length} rewards`);
 }
 
-/**
- * Format reward notification message with user mention
- * @param {Object} reward - The reward object
- * @param {string} userMention - The user mention string (e.g., <@123456>)
- * @returns {string} Formatted notification message
- */
-export function formatNotification(reward, userMention) {
-    return reward.notification.replace('{user}', userMention);
+export function down(db) {
+    db.exec(`
+        DROP TABLE IF EXISTS rewards;
+    `);
 }
 
-export default REWARDS;
+export default { name, up, down };
@@ -0,0 +1,39 @@
+/**
+ * Migration: Add Redemption Status Tracking
+ *
+ * Adds a fulfillment lifecycle to redemptions:
+ *   pending -> in_progress -> fulfilled / refunded
+ *
+ * Redemptions made before this migration are marked fulfilled, since there
+ * is no way to know what happened to them.
+ */
+
+export const name = '012_add_redemption_status';
+
+export function up(db) {
+    const tableInfo = db.prepare("PRAGMA table_info(redemptions)").all();
+    const columns = new Set(tableInfo.map(col => col.name));
+
+    if (!columns.has('status')) {
+        db.exec(`ALTER TABLE redemptions ADD COLUMN status TEXT NOT NULL DEFAULT 'pending'`);
+        db.exec(`UPDATE redemptions SET status = 'fulfilled'`);
+    }
+    if (!columns.has('claimed_by')) {
+        db.exec(`ALTER TABLE redemptions ADD COLUMN claimed_by TEXT DEFAULT NULL`);
+    }
+    if (!columns.has('claimed_at')) {
+        db.exec(`ALTER TABLE redemptions ADD COLUMN claimed_at TEXT DEFAULT NULL`);
+    }
+    if (!columns.has('resolved_by')) {
+        db.exec(`ALTER TABLE redemptions ADD COLUMN resolved_by TEXT DEFAULT NULL`);
+    }
+    if (!columns.has('resolved_at')) {
+        db.exec(`ALTER TABLE redemptions ADD COLUMN resolved_at TEXT DEFAULT NULL`);
+    }
+
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_redemptions_status ON redemptions(status, redeemed_at)`);
+
+    console.log('[MIGRATION] Added redemption status tracking');
+}
+
+export default { name, up };
@@ -0,0 +1,39 @@
+/**
+ * Migration: Add Reward Limits
+ *
+ * Adds optional limits to rewards (NULL = no limit):
+ * - stock: How many are left server-wide
+ * - restock_amount / restock_hours: Refill stock to this amount on a schedule
+ * - restocked_at: When the stock was last refilled
+ * - cooldown_hours: How long a member waits between purchases of the same reward
+ * - lifetime_limit: How many times a member can ever buy the reward
+ */
+
+export const name = '013_add_reward_limits';
+
+export function up(db) {
+    const tableInfo = db.prepare("PRAGMA table_info(rewards)").all();
+    const columns = new Set(tableInfo.map(col => col.name));
+
+    const newColumns = {
+        stock: 'INTEGER DEFAULT NULL',
+        restock_amount: 'INTEGER DEFAULT NULL',
+        restock_hours: 'INTEGER DEFAULT NULL',
+        restocked_at: 'TEXT DEFAULT NULL',
+        cooldown_hours: 'INTEGER DEFAULT NULL',
+        lifetime_limit: 'INTEGER DEFAULT NULL'
+    };
+
+    for (const [column, definition] of Object.entries(newColumns)) {
+        if (!columns.has(column)) {
+            db.exec(`ALTER TABLE rewards ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
+    // Per-member limits look up a member's purchases of one reward
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_redemptions_user_reward ON redemptions(discord_id, reward_id)`);
+
+    console.log('[MIGRATION] Added reward stock, cooldowns and purchase limits');
+}
+
+export default { name, up };
@@ -0,0 +1,42 @@
+/**
+ * Migration: Add Reward Categories
+ *
+ * Adds a category to each reward so /shop can be browsed by section.
+ * Seeds categories for the rewards that existed at the time of this migration.
+ */
+
+export const name = '014_add_reward_categories';
+
+const SEED_CATEGORIES = {
+    bite: 'Bebe Attention',
+    praise: 'Bebe Attention',
+    degrade: 'Bebe Attention',
+    task: 'Bebe Attention',
+    voice_short: 'Bebe Attention',
+    fame: 'Bebe Attention',
+    voice_long: 'Bebe Attention',
+    gf_day: 'Bebe Attention',
+    toy_5: 'Toys',
+    toy_15: 'Toys',
+    scam: 'Scams',
+    streak_freeze: 'Streak Items',
+    streak_repair: 'Streak Items'
+};
+
+export function up(db) {
+    const tableInfo = db.prepare("PRAGMA table_info(rewards)").all();
+    const hasCategory = tableInfo.some(col => col.name === 'category');
+
+    if (!hasCategory) {
+        db.exec(`ALTER TABLE rewards ADD COLUMN category TEXT DEFAULT NULL`);
+
+        const setCategory = db.prepare(`UPDATE rewards SET category = ? WHERE id = ?`);
+        for (const [id, category] of Object.entries(SEED_CATEGORIES)) {
+            setCategory.run(category, id);
+        }
+    }
+
+    console.log('[MIGRATION] Added reward categories');
+}
+
+export default { name, up };
@@ -0,0 +1,50 @@
+/**
+ * Migration: Add Seasons
+ *
+ * Creates tables for:
+ * - seasons: One row per finished season and the reset rules applied at its end
+ * - season_standings: Snapshot of every member's balance and streak when the season ended
+ * - user_badges: Permanent badges (e.g. season winners) shown on profiles
+ */
+
+export const name = '015_add_seasons';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS seasons (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT,
+            started_at TEXT,
+            ended_at TEXT DEFAULT (datetime('now')),
+            ended_by TEXT,
+            keep_percent INTEGER NOT NULL DEFAULT 0,
+            keep_streaks INTEGER NOT NULL DEFAULT 0
+        );
+
+        CREATE TABLE IF NOT EXISTS season_standings (
+            season_id INTEGER NOT NULL,
+            discord_id TEXT NOT NULL,
+            rank INTEGER NOT NULL,
+            bebits INTEGER NOT NULL,
+            current_streak INTEGER NOT NULL,
+            total_checkins INTEGER NOT NULL,
+            PRIMARY KEY (season_id, discord_id),
+            FOREIGN KEY (season_id) REFERENCES seasons(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS user_badges (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            discord_id TEXT NOT NULL,
+            badge TEXT NOT NULL,
+            season_id INTEGER,
+            awarded_at TEXT DEFAULT (datetime('now')),
+            UNIQUE (discord_id, badge, season_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_user_badges_user ON user_badges(discord_id);
+    `);
+
+    console.log('[MIGRATION] Added seasons, season standings and badges');
+}
+
+export default { name, up };
@@ -0,0 +1,26 @@
+/**
+ * Migration: Add Profiles
+ *
+ * Adds to users:
+ * - best_streak: Longest streak ever reached (backfilled from current/lost streaks)
+ * - profile_hidden: JSON array of /profile sections the member has hidden
+ */
+
+export const name = '016_add_profiles';
+
+export function up(db) {
+    const tableInfo = db.prepare("PRAGMA table_info(users)").all();
+    const columns = new Set(tableInfo.map(col => col.name));
+
+    if (!columns.has('best_streak')) {
+        db.exec(`ALTER TABLE users ADD COLUMN best_streak INTEGER DEFAULT 0`);
+        db.exec(`UPDATE users SET best_streak = MAX(COALESCE(current_streak, 0), COALESCE(lost_streak, 0))`);
+    }
+    if (!columns.has('profile_hidden')) {
+        db.exec(`ALTER TABLE users ADD COLUMN profile_hidden TEXT DEFAULT NULL`);
+    }
+
+    console.log('[MIGRATION] Added best streak and profile privacy settings');
+}
+
+export default { name, up };
@@ -0,0 +1,24 @@
+/**
+ * Migration: Add Achievements
+ *
+ * Creates tables for:
+ * - user_achievements: Which achievements each member has unlocked, and when.
+ *   Achievement definitions live in code (services/achievements.js).
+ */
+
+export const name = '017_add_achievements';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS user_achievements (
+            discord_id TEXT NOT NULL,
+            achievement_id TEXT NOT NULL,
+            unlocked_at TEXT DEFAULT (datetime('now')),
+            PRIMARY KEY (discord_id, achievement_id)
+        );
+    `);
+
+    console.log('[MIGRATION] Added achievements');
+}
+
+export default { name, up };
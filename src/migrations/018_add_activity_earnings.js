@@ -0,0 +1,35 @@
+/**
+ * Migration: Add Activity Earnings
+ *
+ * Creates tables for:
+ * - activity_earnings: Fractional Bebits each member earned from chatting, per UTC day.
+ *   Whole Bebits are credited through the ledger as they accumulate.
+ * - activity_digests: Days whose earnings digest has been posted (so restarts don't repost)
+ */
+
+export const name = '018_add_activity_earnings';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS activity_earnings (
+            discord_id TEXT NOT NULL,
+            day TEXT NOT NULL,
+            earned REAL DEFAULT 0,
+            credited INTEGER DEFAULT 0,
+            messages INTEGER DEFAULT 0,
+            updated_at TEXT DEFAULT (datetime('now')),
+            PRIMARY KEY (discord_id, day)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_activity_earnings_day ON activity_earnings(day);
+
+        CREATE TABLE IF NOT EXISTS activity_digests (
+            day TEXT PRIMARY KEY,
+            posted_at TEXT DEFAULT (datetime('now'))
+        );
+    `);
+
+    console.log('[MIGRATION] Added activity earnings');
+}
+
+export default { name, up };
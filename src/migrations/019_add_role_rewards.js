@@ -0,0 +1,60 @@
+/**
+ * Migration: Add Role Rewards
+ *
+ * Creates tables for:
+ * - role_rewards: Discord roles members earn by crossing a threshold
+ *   (streak, check-ins, Bebits, leaderboard rank or relationship stage)
+ * - role_reward_holders: Roles the bot has handed out, so it knows what to take back
+ * - timed_roles: Roles bought in the shop, with when they expire
+ *
+ * Adds to rewards:
+ * - role_id / role_hours: Shop rewards with the 'timed_role' effect grant this role for this long
+ */
+
+export const name = '019_add_role_rewards';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS role_rewards (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            role_id TEXT NOT NULL,
+            requirement TEXT NOT NULL,
+            threshold INTEGER,
+            stage TEXT,
+            created_by TEXT,
+            created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_role_rewards_role ON role_rewards(role_id);
+
+        CREATE TABLE IF NOT EXISTS role_reward_holders (
+            discord_id TEXT NOT NULL,
+            role_id TEXT NOT NULL,
+            granted_at TEXT DEFAULT (datetime('now')),
+            PRIMARY KEY (discord_id, role_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS timed_roles (
+            discord_id TEXT NOT NULL,
+            role_id TEXT NOT NULL,
+            expires_at TEXT NOT NULL,
+            granted_at TEXT DEFAULT (datetime('now')),
+            PRIMARY KEY (discord_id, role_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_timed_roles_expires ON timed_roles(expires_at);
+    `);
+
+    const columns = db.prepare('PRAGMA table_info(rewards)').all().map(column => column.name);
+
+    if (!columns.includes('role_id')) {
+        db.exec('ALTER TABLE rewards ADD COLUMN role_id TEXT');
+    }
+    if (!columns.includes('role_hours')) {
+        db.exec('ALTER TABLE rewards ADD COLUMN role_hours INTEGER');
+    }
+
+    console.log('[MIGRATION] Added role rewards');
+}
+
+export default { name, up };
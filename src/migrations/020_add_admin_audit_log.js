@@ -0,0 +1,36 @@
+/**
+ * Migration: Add Admin Audit Log
+ *
+ * Creates tables for:
+ * - admin_audit_log: Every state-changing Jarvis command - who ran it, how it was
+ *   parsed, the raw message, and the state before/after (JSON) so it can be undone.
+ */
+
+export const name = '020_add_admin_audit_log';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS admin_audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            actor_id TEXT NOT NULL,
+            command TEXT NOT NULL,
+            method TEXT,
+            intent TEXT,
+            raw_message TEXT,
+            before_state TEXT,
+            after_state TEXT,
+            channel_id TEXT,
+            reversible INTEGER DEFAULT 0,
+            undone_at TEXT,
+            undone_by TEXT,
+            created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_admin_audit_actor ON admin_audit_log(actor_id);
+        CREATE INDEX IF NOT EXISTS idx_admin_audit_command ON admin_audit_log(command);
+    `);
+
+    console.log('[MIGRATION] Added admin audit log');
+}
+
+export default { name, up };
@@ -0,0 +1,36 @@
+/**
+ * Migration: Add Pending Admin Actions
+ *
+ * Creates tables for:
+ * - pending_admin_actions: Destructive Jarvis commands waiting for the admin to press
+ *   Confirm. Stores exactly what will run, so a confirmation survives a restart.
+ */
+
+export const name = '021_add_pending_admin_actions';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS pending_admin_actions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            actor_id TEXT NOT NULL,
+            command TEXT NOT NULL,
+            match TEXT NOT NULL,
+            method TEXT,
+            intent TEXT,
+            raw_message TEXT,
+            channel_id TEXT,
+            message_id TEXT,
+            preview TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            expires_at TEXT NOT NULL,
+            resolved_at TEXT,
+            created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_pending_admin_actions_status ON pending_admin_actions(status);
+    `);
+
+    console.log('[MIGRATION] Added pending admin actions');
+}
+
+export default { name, up };
@@ -0,0 +1,36 @@
+/**
+ * Migration: Add Admin Permission Rules
+ *
+ * Creates tables for:
+ * - admin_permission_rules: Per-tier overrides for Jarvis commands - allow/deny a
+ *   command, or cap the Bebits it may move. command = '*' caps the whole tier.
+ *
+ * admin_permissions.permission_level now means a tier (1 fun, 2 moderator,
+ * 3 economy, 4 owner). Existing grants were all level 1 with full access, so
+ * they become economy - everything except the owner-only commands.
+ */
+
+export const name = '022_add_admin_permission_rules';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS admin_permission_rules (
+            level INTEGER NOT NULL,
+            command TEXT NOT NULL,
+            allowed INTEGER,
+            max_amount INTEGER,
+            updated_by TEXT,
+            updated_at TEXT DEFAULT (datetime('now')),
+            PRIMARY KEY (level, command)
+        );
+    `);
+
+    db.exec(`
+        UPDATE admin_permissions SET permission_level = 3
+        WHERE can_execute_admin = 1 AND permission_level <= 1
+    `);
+
+    console.log('[MIGRATION] Added admin permission rules');
+}
+
+export default { name, up };
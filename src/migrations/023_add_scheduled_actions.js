@@ -0,0 +1,42 @@
+/**
+ * Migration: Add Scheduled Actions
+ *
+ * Creates tables for:
+ * - scheduled_actions: Jarvis commands given with a scheduling phrase ("at 8pm",
+ *   "every Sunday"). They run later through the same command executors.
+ *   recurrence is JSON ({ every: 'hour'|'day'|'week', hour, minute, weekday })
+ *   or NULL for a one-off; run_at is the next run as an ISO timestamp.
+ */
+
+export const name = '023_add_scheduled_actions';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS scheduled_actions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            actor_id TEXT NOT NULL,
+            command TEXT NOT NULL,
+            match TEXT NOT NULL,
+            method TEXT NOT NULL,
+            intent TEXT,
+            raw_message TEXT,
+            channel_id TEXT,
+            schedule TEXT NOT NULL,
+            recurrence TEXT,
+            timezone TEXT NOT NULL DEFAULT 'UTC',
+            run_at TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'active',
+            run_count INTEGER DEFAULT 0,
+            last_run_at TEXT,
+            last_result TEXT,
+            cancelled_by TEXT,
+            created_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_scheduled_actions_due ON scheduled_actions(status, run_at);
+    `);
+
+    console.log('[MIGRATION] Added scheduled actions');
+}
+
+export default { name, up };
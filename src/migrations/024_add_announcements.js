@@ -0,0 +1,44 @@
+/**
+ * Migration: Add Announcements
+ *
+ * Creates tables for:
+ * - announcements: Jarvis announcement drafts and what became of them. A draft
+ *   is previewed with edit/rewrite/ping controls, then posted to the
+ *   announcement channel or handed to scheduled_actions to post later.
+ *   ping is 'none', 'everyone', 'here' or 'role:<id>'.
+ */
+
+export const name = '024_add_announcements';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS announcements (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            actor_id TEXT NOT NULL,
+            source_channel_id TEXT,
+            channel_id TEXT,
+            raw_message TEXT,
+            content TEXT NOT NULL,
+            rewritten TEXT,
+            use_rewrite INTEGER DEFAULT 0,
+            ping TEXT NOT NULL DEFAULT 'none',
+            schedule TEXT,
+            recurrence TEXT,
+            timezone TEXT,
+            run_at TEXT,
+            status TEXT NOT NULL DEFAULT 'draft',
+            scheduled_action_id INTEGER,
+            message_id TEXT,
+            post_count INTEGER DEFAULT 0,
+            posted_at TEXT,
+            created_at TEXT DEFAULT (datetime('now')),
+            updated_at TEXT DEFAULT (datetime('now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_announcements_status ON announcements(status);
+    `);
+
+    console.log('[MIGRATION] Added announcements');
+}
+
+export default { name, up };
@@ -0,0 +1,22 @@
+/**
+ * Migration: Add Pending Action Schedule
+ *
+ * Adds to pending_admin_actions:
+ * - schedule: JSON of the scheduling phrase a destructive command was given with
+ *   ({ phrase, command, message, runAt, recurrence, timezone }). The scheduled
+ *   action is only created once the admin presses Confirm.
+ */
+
+export const name = '025_add_pending_action_schedule';
+
+export function up(db) {
+    const columns = db.prepare('PRAGMA table_info(pending_admin_actions)').all().map(column => column.name);
+
+    if (!columns.includes('schedule')) {
+        db.exec('ALTER TABLE pending_admin_actions ADD COLUMN schedule TEXT');
+    }
+
+    console.log('[MIGRATION] Added schedules to pending admin actions');
+}
+
+export default { name, up };
@@ -0,0 +1,30 @@
+/**
+ * Migration: Reorder Scheduled Give Matches
+ *
+ * give_bebits matches now always read [text, user, amount]. Scheduled
+ * "give 5 to @x" jobs saved from the pattern path hold [text, amount, user];
+ * swap them so they keep giving to the right member.
+ */
+
+export const name = '026_reorder_scheduled_give_matches';
+
+export function up(db) {
+    const rows = db.prepare(`
+        SELECT id, match FROM scheduled_actions
+        WHERE command = 'give_bebits' AND method != 'llm' AND status = 'active'
+    `).all();
+    const update = db.prepare('UPDATE scheduled_actions SET match = ? WHERE id = ?');
+
+    let reordered = 0;
+    for (const row of rows) {
+        const match = JSON.parse(row.match);
+        if (match[0].toLowerCase().includes(' to ')) {
+            update.run(JSON.stringify([match[0], match[2], match[1]]), row.id);
+            reordered++;
+        }
+    }
+
+    console.log(`[MIGRATION] Reordered ${reordered} scheduled give_bebits match(es)`);
+}
+
+export default { name, up };
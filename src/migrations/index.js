@@ -9,6 +9,26 @@ import migration003 from './003_add_chat_history.js';
 import migration004 from './004_add_memory_system.js';
 import migration005 from './005_add_personality_system.js';
 import migration006 from './006_add_server_memory.js';
+import migration007 from './007_add_checkin_rewards.js';
+import migration008 from './008_add_streak_items.js';
+import migration009 from './009_add_user_timezone.js';
+import migration010 from './010_add_bebit_transactions.js';
+import migration011 from './011_add_rewards_catalog.js';
+import migration012 from './012_add_redemption_status.js';
+import migration013 from './013_add_reward_limits.js';
+import migration014 from './014_add_reward_categories.js';
+import migration015 from './015_add_seasons.js';
+import migration016 from './016_add_profiles.js';
+import migration017 from './017_add_achievements.js';
+import migration018 from './018_add_activity_earnings.js';
+import migration019 from './019_add_role_rewards.js';
+import migration020 from './020_add_admin_audit_log.js';
+import migration021 from './021_add_pending_admin_actions.js';
+import migration022 from './022_add_admin_permission_rules.js';
+import migration023 from './023_add_scheduled_actions.js';
+import migration024 from './024_add_announcements.js';
+import migration025 from './025_add_pending_action_schedule.js';
+import migration026 from './026_reorder_scheduled_give_matches.js';
 
 // Migrations must be in order - add new migrations at the end
 export const migrations = [
@@ -18,6 +38,26 @@ export const migrations = [
     migration004,
     migration005,
     migration006,
+    migration007,
+    migration008,
+    migration009,
+    migration010,
+    migration011,
+    migration012,
+    migration013,
+    migration014,
+    migration015,
+    migration016,
+    migration017,
+    migration018,
+    migration019,
+    migration020,
+    migration021,
+    migration022,
+    migration023,
+    migration024,
+    migration025,
+    migration026,
 ];
 
 export default migrations;
@@ -0,0 +1,298 @@
+/**
+ * Achievements Service
+ *
+ * Achievements are declared below: each one listens to a single event and
+ * unlocks when its `check` passes. Other modules report events with
+ * unlockAchievements(userId, event, context) - it records new unlocks, pays
+ * any Bebit reward through the ledger and announces them in Beboa's voice.
+ *
+ * Events and their context:
+ * - checkin:            { user }              after a successful /checkin
+ * - redemption:         { reward }            after a shop redemption
+ * - relationship_stage: { stage, previous }   when Beboa's relationship stage changes
+ * - jarvis_crown / jarvis_bonk / jarvis_roast: { actorId }  when Jarvis targets the member
+ */
+
+import { config } from '../config.js';
+import db, { applyBebitDelta, TransactionReasons } from '../database.js';
+import { achievementUnlocked } from '../utils/messages.js';
+
+export const AchievementEvents = {
+    CHECKIN: 'checkin',
+    REDEMPTION: 'redemption',
+    RELATIONSHIP_STAGE: 'relationship_stage',
+    JARVIS_CROWN: 'jarvis_crown',
+    JARVIS_BONK: 'jarvis_bonk',
+    JARVIS_ROAST: 'jarvis_roast'
+};
+
+// Relationship stages from personality.js, lowest to highest
+const STAGE_ORDER = ['stranger', 'acquaintance', 'regular', 'friend', 'closeFriend', 'family'];
+
+function reachedStage(stage, key) {
+    return STAGE_ORDER.indexOf(stage?.key) >= STAGE_ORDER.indexOf(key);
+}
+
+/**
+ * Achievement definitions. {user} in `announcement` is replaced with a mention.
+ */
+export const ACHIEVEMENTS = [
+    {
+        id: 'first_checkin',
+        name: 'Hatchling',
+        emoji: '🥚',
+        description: 'Check in for the first time',
+        event: AchievementEvents.CHECKIN,
+        check: ({ user }) => user.total_checkins >= 1,
+        reward: 0,
+        announcement: "{user} crawled into my den for the first time. Cute. Don't make me regret noticing you~"
+    },
+    {
+        id: 'streak_30',
+        name: 'Devoted',
+        emoji: '🔥',
+        description: 'Reach a 30 day streak',
+        event: AchievementEvents.CHECKIN,
+        check: ({ user }) => user.current_streak >= 30,
+        reward: 0,
+        announcement: '30 days in a row, {user}?! Okay... that is actually a little impressive. A LITTLE.'
+    },
+    {
+        id: 'checkins_100',
+        name: 'Centurion',
+        emoji: '💯',
+        description: 'Check in 100 times',
+        event: AchievementEvents.CHECKIN,
+        check: ({ user }) => user.total_checkins >= 100,
+        reward: 50,
+        announcement: "{user} has checked in ONE HUNDRED times. Touch grass. ...Here's a treat anyway~"
+    },
+    {
+        id: 'first_redemption',
+        name: 'Paying Customer',
+        emoji: '🛍️',
+        description: 'Redeem your first reward',
+        event: AchievementEvents.REDEMPTION,
+        check: () => true,
+        reward: 0,
+        announcement: '{user} finally spent some Bebits! Bebe thanks you for your patronage, peasant~'
+    },
+    {
+        id: 'big_spender',
+        name: 'Big Spender',
+        emoji: '💸',
+        description: 'Redeem a reward worth 500 Bebits or more',
+        event: AchievementEvents.REDEMPTION,
+        check: ({ reward }) => reward.cost >= 500,
+        reward: 0,
+        announcement: "{user} just dropped a FORTUNE in the shop. Whale spotted. 🐋 I'm telling everyone."
+    },
+    {
+        id: 'stage_friend',
+        name: 'Tolerated',
+        emoji: '🤝',
+        description: "Become Beboa's friend",
+        event: AchievementEvents.RELATIONSHIP_STAGE,
+        check: ({ stage }) => reachedStage(stage, 'friend'),
+        reward: 10,
+        announcement: "Ugh. Fine. {user} is my friend now. Don't make it weird."
+    },
+    {
+        id: 'stage_bestie',
+        name: 'Bestie',
+        emoji: '💚',
+        description: "Become Beboa's close friend",
+        event: AchievementEvents.RELATIONSHIP_STAGE,
+        check: ({ stage }) => reachedStage(stage, 'closeFriend'),
+        reward: 25,
+        announcement: "{user} is officially my bestie. If anyone bullies them, they answer to ME. 🐍"
+    },
+    {
+        id: 'stage_family',
+        name: 'Family',
+        emoji: '🏡',
+        description: "Become family to Beboa",
+        event: AchievementEvents.RELATIONSHIP_STAGE,
+        check: ({ stage }) => reachedStage(stage, 'family'),
+        reward: 50,
+        announcement: "{user}... you're family now. I'm not crying, snakes don't cry. Shut up."
+    },
+    {
+        id: 'crowned',
+        name: 'Royalty',
+        emoji: '👑',
+        description: 'Get crowned by Jarvis',
+        event: AchievementEvents.JARVIS_CROWN,
+        check: () => true,
+        reward: 5,
+        announcement: "{user} has worn the crown. Enjoy it while it lasts, your majesty~"
+    },
+    {
+        id: 'bonked',
+        name: 'Bonked',
+        emoji: '🔨',
+        description: 'Get sent to horny jail by Jarvis',
+        event: AchievementEvents.JARVIS_BONK,
+        check: () => true,
+        reward: 0,
+        announcement: '{user} has a criminal record now. Horny jail alumni. 🚔'
+    },
+    {
+        id: 'roasted',
+        name: 'Well Done',
+        emoji: '🍖',
+        description: 'Get roasted by Jarvis',
+        event: AchievementEvents.JARVIS_ROAST,
+        check: () => true,
+        reward: 0,
+        announcement: '{user} got roasted to a crisp. Medium rare was never an option. 🔥'
+    }
+];
+
+const achievementsById = new Map(ACHIEVEMENTS.map(achievement => [achievement.id, achievement]));
+
+const statements = {
+    unlock: db.prepare(`
+        INSERT OR IGNORE INTO user_achievements (discord_id, achievement_id)
+        VALUES (?, ?)
+    `),
+
+    getUnlockedIds: db.prepare(`
+        SELECT achievement_id FROM user_achievements WHERE discord_id = ?
+    `),
+
+    getUserAchievements: db.prepare(`
+        SELECT * FROM user_achievements WHERE discord_id = ? ORDER BY unlocked_at ASC, rowid ASC
+    `)
+};
+
+// Discord client used for announcements (set once the bot is ready)
+let announceClient = null;
+
+/**
+ * Give the service a Discord client so unlocks can be announced
+ * @param {Client} client - Discord client
+ */
+export function initAchievements(client) {
+    announceClient = client;
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Get a member's unlocked achievements with their definitions, oldest first
+ * @param {string} discordId - Discord user ID
+ * @returns {Array<{achievement: Object, unlocked_at: string}>}
+ */
+export function getUserAchievements(discordId) {
+    return statements.getUserAchievements.all(discordId)
+        .filter(row => achievementsById.has(row.achievement_id))
+        .map(row => ({ achievement: achievementsById.get(row.achievement_id), unlocked_at: row.unlocked_at }));
+}
+
+// ============================================
+// UNLOCKING
+// ============================================
+
+/**
+ * Record new unlocks and pay their rewards in one transaction.
+ * INSERT OR IGNORE makes concurrent events safe: only one can unlock.
+ */
+const recordUnlocks = db.transaction((discordId, candidates) => {
+    const unlocked = [];
+
+    for (const achievement of candidates) {
+        if (statements.unlock.run(discordId, achievement.id).changes === 0) {
+            continue;
+        }
+
+        if (achievement.reward > 0) {
+            applyBebitDelta(discordId, achievement.reward, TransactionReasons.ACHIEVEMENT, null, achievement.name);
+        }
+
+        unlocked.push(achievement);
+    }
+
+    return unlocked;
+});
+
+/**
+ * Report an event for a member. Unlocks any achievements it completes and
+ * announces them (announcements happen in the background).
+ *
+ * Never throws - achievements must not break the feature that reported the event.
+ *
+ * @param {string} discordId - Discord user ID
+ * @param {string} event - One of AchievementEvents
+ * @param {Object} context - Event details (see top of file)
+ * @returns {Array<Object>} Newly unlocked achievements
+ */
+export function unlockAchievements(discordId, event, context = {}) {
+    if (!config.ACHIEVEMENTS_ENABLED) {
+        return [];
+    }
+
+    try {
+        const unlockedIds = new Set(statements.getUnlockedIds.all(discordId).map(row => row.achievement_id));
+
+        const candidates = ACHIEVEMENTS.filter(achievement =>
+            achievement.event === event &&
+            !unlockedIds.has(achievement.id) &&
+            achievement.check(context)
+        );
+
+        if (candidates.length === 0) {
+            return [];
+        }
+
+        const unlocked = recordUnlocks(discordId, candidates);
+
+        for (const achievement of unlocked) {
+            console.log(`[ACHIEVEMENTS] ${discordId} unlocked ${achievement.id}`);
+        }
+
+        if (unlocked.length > 0) {
+            announceAchievements(discordId, unlocked).catch(error => {
+                console.error('[ACHIEVEMENTS] Failed to announce unlocks:', error);
+            });
+        }
+
+        return unlocked;
+
+    } catch (error) {
+        console.error(`[ACHIEVEMENTS] Failed to process ${event} for ${discordId}:`, error);
+        return [];
+    }
+}
+
+/**
+ * Post unlock announcements to the achievement channel
+ */
+async function announceAchievements(discordId, unlocked) {
+    if (!announceClient || !config.ACHIEVEMENT_CHANNEL_ID) {
+        return;
+    }
+
+    const channel = await announceClient.channels.fetch(config.ACHIEVEMENT_CHANNEL_ID);
+    if (!channel) {
+        console.error('[ACHIEVEMENTS] Could not find achievement channel');
+        return;
+    }
+
+    for (const achievement of unlocked) {
+        await channel.send({
+            content: achievementUnlocked(`<@${discordId}>`, achievement),
+            allowedMentions: { users: [discordId] }
+        });
+    }
+}
+
+export default {
+    AchievementEvents,
+    ACHIEVEMENTS,
+    initAchievements,
+    getUserAchievements,
+    unlockAchievements
+};
@@ -0,0 +1,266 @@
+/**
+ * Activity Earning Service
+ *
+ * Passive Bebit earning from server chat. Every ingested message already has an
+ * importance score (messageIngestion.calculateImportanceScore); meaningful ones
+ * earn a fraction of a Bebit scaled by that score.
+ *
+ * Guard rails:
+ * - Only allowlisted channels earn (ACTIVITY_CHANNELS, empty = all ingested channels)
+ * - Per-member daily cap (UTC days)
+ * - Repeating recent content earns nothing
+ * - Only one message per ACTIVITY_MIN_INTERVAL_SECONDS can earn
+ *
+ * Fractions accumulate per day and whole Bebits are credited through the ledger
+ * as they add up. Nobody is pinged per message - a daily digest sums things up.
+ */
+
+import { config } from '../config.js';
+import db, { applyBebitDelta, TransactionReasons } from '../database.js';
+import { activityDigest } from '../utils/messages.js';
+
+// How many recent messages per member are checked for duplicates
+const DUPLICATE_HISTORY = 10;
+
+// How often to check whether yesterday's digest is due
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Anti-spam state (resets on restart, which is fine for rate limiting)
+const lastEarnedAt = new Map();
+const recentContent = new Map();
+
+let digestInterval = null;
+
+const statements = {
+    getDay: db.prepare(`
+        SELECT * FROM activity_earnings WHERE discord_id = ? AND day = ?
+    `),
+
+    addEarning: db.prepare(`
+        INSERT INTO activity_earnings (discord_id, day, earned, messages)
+        VALUES (?, ?, ?, 1)
+        ON CONFLICT(discord_id, day) DO UPDATE SET
+            earned = earned + excluded.earned,
+            messages = messages + 1,
+            updated_at = datetime('now')
+    `),
+
+    setCredited: db.prepare(`
+        UPDATE activity_earnings SET credited = ? WHERE discord_id = ? AND day = ?
+    `),
+
+    getDayEarners: db.prepare(`
+        SELECT * FROM activity_earnings
+        WHERE day = ? AND credited > 0
+        ORDER BY credited DESC, earned DESC
+    `),
+
+    markDigestPosted: db.prepare(`
+        INSERT OR IGNORE INTO activity_digests (day) VALUES (?)
+    `),
+
+    unmarkDigestPosted: db.prepare(`
+        DELETE FROM activity_digests WHERE day = ?
+    `)
+};
+
+/**
+ * UTC day key (YYYY-MM-DD)
+ */
+function dayKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Normalize content for duplicate detection
+ */
+function normalizeContent(content) {
+    return content.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// ============================================
+// EARNING
+// ============================================
+
+/**
+ * Add a message's earnings for the day and credit any whole Bebits reached
+ */
+const addEarning = db.transaction((discordId, day, amount) => {
+    statements.addEarning.run(discordId, day, amount);
+    const row = statements.getDay.get(discordId, day);
+
+    // Small epsilon so 0.1 + 0.2 + ... doesn't land just under a whole Bebit
+    const wholeBebits = Math.floor(row.earned + 1e-9);
+    const toCredit = wholeBebits - row.credited;
+
+    if (toCredit > 0) {
+        applyBebitDelta(discordId, toCredit, TransactionReasons.ACTIVITY, null, `Server activity ${day}`);
+        statements.setCredited.run(wholeBebits, discordId, day);
+    }
+
+    return { earned: row.earned, newlyCredited: Math.max(0, toCredit) };
+});
+
+/**
+ * Award activity earnings for an ingested message.
+ * Never throws - earning must not break ingestion.
+ *
+ * @param {Message} message - Discord.js Message object
+ * @param {number} importanceScore - Score from calculateImportanceScore
+ * @returns {Object} { earned, amount, credited } or { skipped: true, reason }
+ */
+export function recordActivity(message, importanceScore) {
+    if (!config.ACTIVITY_EARNING_ENABLED) {
+        return { skipped: true, reason: 'disabled' };
+    }
+
+    const allowedChannels = config.ACTIVITY_CHANNELS;
+    if (allowedChannels.length > 0 && !allowedChannels.includes(message.channel.id)) {
+        return { skipped: true, reason: 'channel' };
+    }
+
+    const userId = message.author.id;
+    const now = message.createdTimestamp || Date.now();
+
+    // Remember every message, earning or not, so repeated spam never earns
+    const content = normalizeContent(message.content || '');
+    const recent = recentContent.get(userId) || [];
+    const duplicate = recent.includes(content);
+    recentContent.set(userId, [...recent, content].slice(-DUPLICATE_HISTORY));
+
+    if (duplicate) {
+        return { skipped: true, reason: 'duplicate' };
+    }
+
+    if (importanceScore < config.ACTIVITY_MIN_IMPORTANCE) {
+        return { skipped: true, reason: 'low_importance' };
+    }
+
+    const last = lastEarnedAt.get(userId) || 0;
+    if (now - last < config.ACTIVITY_MIN_INTERVAL_SECONDS * 1000) {
+        return { skipped: true, reason: 'too_fast' };
+    }
+
+    try {
+        const day = dayKey(new Date(now));
+        const today = statements.getDay.get(userId, day);
+        const remaining = config.ACTIVITY_DAILY_CAP - (today?.earned || 0);
+
+        if (remaining <= 0) {
+            return { skipped: true, reason: 'capped' };
+        }
+
+        const amount = Math.min(remaining, importanceScore * config.ACTIVITY_BEBITS_PER_MESSAGE);
+        const result = addEarning(userId, day, amount);
+        lastEarnedAt.set(userId, now);
+
+        if (result.newlyCredited > 0) {
+            console.log(`[ACTIVITY] ${userId} credited ${result.newlyCredited} Bebit(s) (${result.earned.toFixed(2)} earned today)`);
+        }
+
+        return { earned: true, amount, credited: result.newlyCredited };
+
+    } catch (error) {
+        console.error('[ACTIVITY] Failed to record activity:', error);
+        return { skipped: true, reason: 'error' };
+    }
+}
+
+/**
+ * Get a member's activity earnings for today (UTC)
+ * @param {string} discordId - Discord user ID
+ * @returns {{earned: number, credited: number, messages: number, cap: number}}
+ */
+export function getActivityToday(discordId) {
+    const row = statements.getDay.get(discordId, dayKey());
+    return {
+        earned: row?.earned || 0,
+        credited: row?.credited || 0,
+        messages: row?.messages || 0,
+        cap: config.ACTIVITY_DAILY_CAP
+    };
+}
+
+// ============================================
+// DAILY DIGEST
+// ============================================
+
+/**
+ * Post the digest for a day, once. Days where nobody earned are marked but not posted;
+ * if posting fails the day is unmarked, so the next hourly check tries again.
+ * @param {Client} client - Discord client
+ * @param {string} day - UTC day key (YYYY-MM-DD)
+ * @returns {Promise<boolean>} Whether a digest was sent
+ */
+export async function postActivityDigest(client, day) {
+    if (!config.ACTIVITY_DIGEST_CHANNEL_ID) {
+        return false;
+    }
+
+    // Claim the day first so overlapping checks can't post twice
+    if (statements.markDigestPosted.run(day).changes === 0) {
+        return false;
+    }
+
+    const earners = statements.getDayEarners.all(day);
+    if (earners.length === 0) {
+        return false;
+    }
+
+    try {
+        const channel = await client.channels.fetch(config.ACTIVITY_DIGEST_CHANNEL_ID);
+        if (!channel) {
+            throw new Error('Could not find digest channel');
+        }
+
+        await channel.send({
+            content: activityDigest(day, earners),
+            allowedMentions: { parse: [] }
+        });
+    } catch (error) {
+        statements.unmarkDigestPosted.run(day);
+        throw error;
+    }
+
+    console.log(`[ACTIVITY] Posted digest for ${day} (${earners.length} earners)`);
+    return true;
+}
+
+/**
+ * Check hourly whether yesterday's digest still needs posting
+ * @param {Client} client - Discord client
+ */
+export function startActivityDigest(client) {
+    if (!config.ACTIVITY_EARNING_ENABLED || digestInterval) {
+        return;
+    }
+
+    const check = () => {
+        const yesterday = dayKey(new Date(Date.now() - 24 * 60 * 60 * 1000));
+        postActivityDigest(client, yesterday).catch(error => {
+            console.error('[ACTIVITY] Digest failed:', error);
+        });
+    };
+
+    check();
+    digestInterval = setInterval(check, DIGEST_CHECK_INTERVAL_MS);
+    console.log('[ACTIVITY] Daily digest scheduler started');
+}
+
+/**
+ * Stop the digest scheduler
+ */
+export function stopActivityDigest() {
+    if (digestInterval) {
+        clearInterval(digestInterval);
+        digestInterval = null;
+    }
+}
+
+export default {
+    recordActivity,
+    getActivityToday,
+    postActivityDigest,
+    startActivityDigest,
+    stopActivityDigest
+};
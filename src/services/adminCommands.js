@@ -10,11 +10,16 @@
  */
 
 import { config } from '../config.js';
-import db, { getUser, updateBebits, resetStreak, appendUserNotes, getStats, getTopUsers, getUserRank } from '../database.js';
-import { storeMemory, searchMemories, MemoryTypes } from './memory.js';
-import { getPersonalityState, setMood, getRelationship, updateRelationship, Moods } from './personality.js';
+import db, { getUser, updateBebits, applyBebitDelta, transferBebits, TransactionReasons, resetStreak, setStreak, appendUserNotes, getUserNotes, setUserNotes, getStats, getTopUsers, getUserRank } from '../database.js';
+import { storeMemory, searchMemories, getMemory, findMemories, deleteMemory, restoreMemory, MemoryTypes } from './memory.js';
+import { getPersonalityState, setMood, getRelationship, updateRelationship, setRelationshipFields, Moods } from './personality.js';
 import { chatCompletion } from './openrouter.js';
 import { parseJarvisIntent, isAvailable as isLLMEvaluatorAvailable } from './llmEvaluator.js';
+import { unlockAchievements, AchievementEvents } from './achievements.js';
+import { recordAdminAction, getAuditEntry, markAuditUndone } from './auditLog.js';
+import { parseSchedulePhrase, createScheduledAction, cancelScheduledAction } from './scheduledActions.js';
+import { createAnnouncementDraft, publishAnnouncement, cancelScheduledAnnouncement } from './announcements.js';
+import { announcementPreview } from '../utils/messages.js';
 
 // Prepared statements for admin permissions
 const statements = {
@@ -29,6 +34,29 @@ const statements = {
 
     getAllPermissions: db.prepare(`
         SELECT * FROM admin_permissions WHERE can_execute_admin = 1
+        ORDER BY permission_level DESC, updated_at ASC
+    `),
+
+    getRule: db.prepare(`
+        SELECT * FROM admin_permission_rules WHERE level = ? AND command = ?
+    `),
+
+    getAllRules: db.prepare(`
+        SELECT * FROM admin_permission_rules ORDER BY level ASC, command ASC
+    `),
+
+    setRule: db.prepare(`
+        INSERT INTO admin_permission_rules (level, command, allowed, max_amount, updated_by)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(level, command) DO UPDATE SET
+            allowed = excluded.allowed,
+            max_amount = excluded.max_amount,
+            updated_by = excluded.updated_by,
+            updated_at = datetime('now')
+    `),
+
+    deleteRule: db.prepare(`
+        DELETE FROM admin_permission_rules WHERE level = ? AND command = ?
     `),
 
     // Additional queries for new commands
@@ -37,6 +65,10 @@ const statements = {
         FROM users ORDER BY bebits DESC
     `),
 
+    getUsersCheckedInSince: db.prepare(`
+        SELECT discord_id FROM users WHERE last_checkin >= ?
+    `),
+
     getUserCount: db.prepare(`
         SELECT COUNT(*) as count FROM users
     `),
@@ -57,46 +89,166 @@ const statements = {
 
     getRecentRedemptions: db.prepare(`
         SELECT * FROM redemptions
-        ORDER BY created_at DESC LIMIT ?
+        ORDER BY redeemed_at DESC LIMIT ?
     `),
 
     getUserRedemptions: db.prepare(`
         SELECT * FROM redemptions
         WHERE discord_id = ?
-        ORDER BY created_at DESC LIMIT ?
+        ORDER BY redeemed_at DESC LIMIT ?
+    `),
+
+    // Pending confirmations for destructive commands
+    insertPendingAction: db.prepare(`
+        INSERT INTO pending_admin_actions (actor_id, command, match, method, intent, raw_message, channel_id, message_id, preview, schedule, expires_at)
+        VALUES (@actorId, @command, @match, @method, @intent, @rawMessage, @channelId, @messageId, @preview, @schedule, datetime('now', @ttl))
+    `),
+
+    getPendingAction: db.prepare(`
+        SELECT *, expires_at <= datetime('now') as expired FROM pending_admin_actions WHERE id = ?
+    `),
+
+    resolvePendingAction: db.prepare(`
+        UPDATE pending_admin_actions
+        SET status = ?, resolved_at = datetime('now')
+        WHERE id = ? AND status = 'pending'
     `)
 };
 
-// Pending confirmations (userId -> {command, data, expires})
-const pendingConfirmations = new Map();
-const CONFIRMATION_TIMEOUT = 60000; // 60 seconds
+// How long a destructive command waits for Confirm
+const CONFIRMATION_TIMEOUT_MINUTES = 5;
 
 // ============================================
 // PERMISSION MANAGEMENT
 // ============================================
 
+// Jarvis tiers, stored in admin_permissions.permission_level
+export const PermissionLevels = {
+    NONE: 0,
+    FUN: 1,
+    MODERATOR: 2,
+    ECONOMY: 3,
+    OWNER: 4
+};
+
+export const PERMISSION_LEVEL_NAMES = {
+    [PermissionLevels.FUN]: 'Fun',
+    [PermissionLevels.MODERATOR]: 'Moderator',
+    [PermissionLevels.ECONOMY]: 'Economy',
+    [PermissionLevels.OWNER]: 'Owner'
+};
+
+// Command categories each tier can use (owner can use everything)
+const TIER_CATEGORIES = {
+    [PermissionLevels.FUN]: ['info', 'fun'],
+    [PermissionLevels.MODERATOR]: ['info', 'fun', 'memory', 'personality', 'streak'],
+    [PermissionLevels.ECONOMY]: ['info', 'fun', 'memory', 'personality', 'streak', 'bebits', 'admin']
+};
+
+// Most Bebits a single command may move, per tier, unless a rule says otherwise
+const DEFAULT_AMOUNT_CAPS = {
+    [PermissionLevels.ECONOMY]: 1000
+};
+
 /**
- * Check if user has admin command execution permission
+ * Get a user's Jarvis tier (Bebe is always owner)
+ * @param {string} userId - Discord user ID
+ * @returns {number} One of PermissionLevels
  */
-export function canExecuteAdminCommands(userId) {
+export function getPermissionLevel(userId) {
     if (config.BEBE_USER_ID && userId === config.BEBE_USER_ID) {
-        return true;
+        return PermissionLevels.OWNER;
     }
 
     try {
         const permission = statements.getPermission.get(userId);
-        return permission?.can_execute_admin === 1;
+        if (permission?.can_execute_admin !== 1) {
+            return PermissionLevels.NONE;
+        }
+        return Math.min(Math.max(permission.permission_level, PermissionLevels.FUN), PermissionLevels.OWNER);
     } catch (e) {
-        return false;
+        return PermissionLevels.NONE;
+    }
+}
+
+/**
+ * Check if user has admin command execution permission
+ */
+export function canExecuteAdminCommands(userId) {
+    return getPermissionLevel(userId) > PermissionLevels.NONE;
+}
+
+/**
+ * Work out whether a user may run a command, and how many Bebits it may move.
+ * A per-tier rule for the command wins, then the command's own minimum tier,
+ * then the tier's categories. Caps come from the command rule, then the
+ * tier-wide ('*') rule, then DEFAULT_AMOUNT_CAPS.
+ *
+ * @param {string} userId - Discord user ID
+ * @param {Object} cmd - Command definition
+ * @returns {{allowed: boolean, level: number, maxAmount: number|null}}
+ */
+export function getCommandAccess(userId, cmd) {
+    const level = getPermissionLevel(userId);
+
+    if (level === PermissionLevels.NONE) {
+        return { allowed: false, level, maxAmount: null };
+    }
+    if (level === PermissionLevels.OWNER) {
+        return { allowed: true, level, maxAmount: null };
+    }
+
+    const rule = statements.getRule.get(level, cmd.name);
+    const tierRule = statements.getRule.get(level, '*');
+
+    let allowed;
+    if (rule?.allowed !== null && rule?.allowed !== undefined) {
+        allowed = rule.allowed === 1;
+    } else if (cmd.level) {
+        allowed = level >= cmd.level;
+    } else {
+        allowed = TIER_CATEGORIES[level].includes(cmd.category);
+    }
+
+    const maxAmount = rule?.max_amount ?? tierRule?.max_amount ?? DEFAULT_AMOUNT_CAPS[level] ?? null;
+
+    return { allowed, level, maxAmount };
+}
+
+/**
+ * Refuse a command the user's tier doesn't cover
+ * @returns {Object|null} A failed result to return, or null if it may run
+ */
+function checkCommandAccess(cmd, match, userId) {
+    const access = getCommandAccess(userId, cmd);
+    const tier = PERMISSION_LEVEL_NAMES[access.level] || 'None';
+
+    if (!access.allowed) {
+        return { success: false, message: `🐍 Your Jarvis tier (**${tier}**) can't use **${cmd.name}**~` };
+    }
+
+    if (access.maxAmount !== null && cmd.amount) {
+        const amount = cmd.amount(match);
+        if (amount > access.maxAmount) {
+            return {
+                success: false,
+                message: `🐍 Your Jarvis tier (**${tier}**) can move at most **${access.maxAmount} bebits** per command - that's **${amount}**~`
+            };
+        }
     }
+
+    return null;
 }
 
 /**
  * Grant admin command permission
+ * @param {string} userId - Discord user ID
+ * @param {string} grantedBy - Admin granting it
+ * @param {number} level - One of PermissionLevels
  */
-export function grantAdminPermission(userId, grantedBy, level = 1) {
+export function grantAdminPermission(userId, grantedBy, level = PermissionLevels.FUN) {
     statements.setPermission.run(userId, level, 1, grantedBy);
-    console.log(`[JARVIS] Granted admin permission to ${userId} by ${grantedBy}`);
+    console.log(`[JARVIS] Granted ${PERMISSION_LEVEL_NAMES[level] || level} permission to ${userId} by ${grantedBy}`);
 }
 
 /**
@@ -107,6 +259,49 @@ export function revokeAdminPermission(userId) {
     console.log(`[JARVIS] Revoked admin permission from ${userId}`);
 }
 
+/**
+ * Get everyone with Jarvis permission, highest tier first
+ */
+export function getAdminPermissions() {
+    return statements.getAllPermissions.all();
+}
+
+/**
+ * Get all per-tier command rules
+ */
+export function getPermissionRules() {
+    return statements.getAllRules.all();
+}
+
+/**
+ * Override a command for a tier, or set a tier-wide Bebit cap with command '*'
+ * @param {number} level - One of PermissionLevels (below OWNER)
+ * @param {string} command - Command name or '*'
+ * @param {Object} rule - { allowed: boolean|null, maxAmount: number|null } (null = tier default)
+ * @param {string} adminId - Who set it
+ * @returns {{success: boolean, reason?: string}}
+ */
+export function setPermissionRule(level, command, { allowed = null, maxAmount = null }, adminId) {
+    if (command !== '*' && !adminCommands.some(c => c.name === command)) {
+        return { success: false, reason: 'unknown_command' };
+    }
+    if (command === '*' && allowed !== null) {
+        return { success: false, reason: 'tier_wide_allow' };
+    }
+
+    statements.setRule.run(level, command, allowed === null ? null : (allowed ? 1 : 0), maxAmount, adminId);
+    console.log(`[JARVIS] Rule for ${PERMISSION_LEVEL_NAMES[level]} ${command}: allowed=${allowed} max=${maxAmount}`);
+    return { success: true };
+}
+
+/**
+ * Remove a tier's override for a command
+ * @returns {boolean} Whether a rule was removed
+ */
+export function clearPermissionRule(level, command) {
+    return statements.deleteRule.run(level, command).changes > 0;
+}
+
 // ============================================
 // CONVERSATION CONTEXT (for multi-turn understanding)
 // ============================================
@@ -249,8 +444,11 @@ function extractMultipleUserIds(text) {
 
 /**
  * Extract number from text (handles various formats)
+ * Mentions and bare user IDs are skipped, so "<@123…> 30" gives 30.
  */
 function extractNumber(text) {
+    text = text.replace(/<@[!&]?\d+>/g, ' ');
+
     // Handle word numbers
     const wordNumbers = {
         'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5,
@@ -259,11 +457,11 @@ function extractNumber(text) {
     };
 
     for (const [word, num] of Object.entries(wordNumbers)) {
-        if (text.toLowerCase().includes(word)) return num;
+        if (new RegExp(`\\b${word}\\b`, 'i').test(text)) return num;
     }
 
-    // Handle numeric
-    const match = text.match(/\b(\d+)\b/);
+    // Handle numeric (17+ digits is a Discord ID, not an amount)
+    const match = text.match(/\b(\d{1,16})\b/);
     return match ? parseInt(match[1]) : null;
 }
 
@@ -310,6 +508,119 @@ function extractEntities(message) {
     };
 }
 
+// ============================================
+// AUDIT HELPERS
+// ============================================
+// State-changing commands return `audit: { before, after }` with their result;
+// commands with an `undo(entry, actorId)` can be reverted from the audit log.
+
+// "everyone who checked in ..." windows, in days
+const CHECKIN_WINDOWS = { 'today': 1, 'this week': 7, 'this month': 30 };
+
+/**
+ * Resolve who a mass_give_bebits match targets. Audiences are looked up when
+ * the command runs, so a scheduled "everyone who checked in this week" means
+ * that week's members every time.
+ * @returns {{amount: number, userIds: Array<string>, audience: string|null}}
+ */
+function parseMassGiveMatch(match) {
+    const text = match[0].toLowerCase();
+    const window = text.match(/checked\s+in\s+(today|this\s+week|this\s+month)/);
+
+    if (window) {
+        const key = window[1].replace(/\s+/g, ' ');
+        const since = new Date(Date.now() - CHECKIN_WINDOWS[key] * 24 * 60 * 60 * 1000).toISOString();
+        return {
+            amount: parseInt(match[1]),
+            userIds: statements.getUsersCheckedInSince.all(since).map(user => user.discord_id),
+            audience: `everyone who checked in ${key}`
+        };
+    }
+
+    if (text.includes('everyone')) {
+        return {
+            amount: parseInt(match[1]),
+            userIds: statements.getAllUsers.all().map(user => user.discord_id),
+            audience: 'everyone'
+        };
+    }
+
+    return { amount: parseInt(match[2]), userIds: extractMultipleUserIds(match[1]), audience: null };
+}
+
+/**
+ * Resolve which memories a forget_memory match means: "memory #12", or
+ * the closest keyword matches for "@x likes pineapple"
+ * @returns {{userId: string|null, memories: Array}}
+ */
+function findMemoriesToForget(match) {
+    if (match[2] === undefined) {
+        const memory = getMemory(parseInt(match[1]));
+        return { userId: memory?.user_id ?? null, memories: memory ? [memory] : [] };
+    }
+
+    const found = findMemories(match[1], match[2].trim());
+    return { userId: match[1], memories: found.filter(memory => memory.score === found[0].score) };
+}
+
+// Rivalry set by "make @x and Beboa rivals" (above 0.5 reads as a rival)
+const RIVALRY_LEVEL = 0.8;
+
+/**
+ * Build the audit snapshot for commands that move Bebits
+ * @param {Object} changes - { userId: [balanceBefore, balanceAfter] }
+ */
+function balanceAudit(changes) {
+    const before = {};
+    const after = {};
+
+    for (const [userId, [previous, next]] of Object.entries(changes)) {
+        before[userId] = previous;
+        after[userId] = next;
+    }
+
+    return { before: { balances: before }, after: { balances: after } };
+}
+
+/**
+ * Undo for Bebit commands: apply the opposite of each recorded change.
+ * Bebits spent since can't be taken back, so balances stop at 0 - and for a
+ * transfer the sender only gets back what was recovered from the receiver,
+ * so an undo never creates Bebits.
+ */
+function undoBalances(entry, actorId) {
+    const before = entry.before_state.balances;
+    const after = entry.after_state.balances;
+    const deltas = Object.keys(before).map(userId => [userId, before[userId] - after[userId]]);
+    let shortfall = 0;
+
+    // Take back first, so refunds know how much came back
+    for (const [userId, delta] of deltas.filter(([, delta]) => delta < 0)) {
+        const { bebits } = getUser(userId);
+        shortfall += Math.max(0, -delta - bebits);
+        applyBebitDelta(userId, Math.max(delta, -bebits), TransactionReasons.ADJUSTMENT, actorId, `Undo #${entry.id}`);
+    }
+
+    const twoSided = deltas.some(([, delta]) => delta < 0) && deltas.some(([, delta]) => delta > 0);
+    let unrecovered = twoSided ? shortfall : 0;
+
+    for (const [userId, delta] of deltas.filter(([, delta]) => delta >= 0)) {
+        const withheld = Math.min(delta, unrecovered);
+        unrecovered -= withheld;
+        applyBebitDelta(userId, delta - withheld, TransactionReasons.ADJUSTMENT, actorId, `Undo #${entry.id}`);
+    }
+
+    const count = deltas.length;
+    let message = `↩️ Undid #${entry.id} (${entry.command}) - restored ${count === 1 ? `<@${deltas[0][0]}>'s balance` : `${count} balances`}~`;
+    if (shortfall > 0) {
+        message += twoSided
+            ? `\n*${shortfall} bebits were already spent, so I couldn't take all of it back - the refund is ${shortfall} short too.*`
+            : `\n*${shortfall} bebits were already spent, so I couldn't take all of it back.*`;
+    }
+
+    return { success: true, message };
+}
+
 // ============================================
 // COMMAND DEFINITIONS
 // ============================================
@@ -325,31 +636,35 @@ const adminCommands = [
         examples: ['give @user 100 bebits', 'award @user 50 points', 'bless them with 200 bebits'],
         patterns: [
             /(?:give|award|grant|add|send|gift|bless)\s+(?:<@!?)?(\d+)(?:>)?\s+(?:with\s+)?(\d+)\s*(?:bebits?|points?)?/i,
-            /(?:give|award|grant|add|send|gift|bless)\s+(\d+)\s*(?:bebits?|points?)?\s+to\s+(?:<@!?)?(\d+)(?:>)?/i,
+            // "give 5 to @x": the lookahead captures the user first, so every pattern reads [user, amount]
+            /(?:give|award|grant|add|send|gift|bless)\s+(?=\d+\s*(?:bebits?|points?)?\s+to\s+(?:<@!?)?(\d+))(\d+)\s*(?:bebits?|points?)?\s+to\s+(?:<@!?)?\d+(?:>)?/i,
             /(?:<@!?)?(\d+)(?:>)?\s+(?:gets?|receives?|earned?)\s+(\d+)\s*(?:bebits?|points?)?/i
         ],
-        execute: async (match, _context) => {
-            let userId, amount;
-            // Handle different pattern capture groups
-            if (match[0].toLowerCase().includes(' to ')) {
-                amount = parseInt(match[1]);
-                userId = match[2];
-            } else {
-                userId = match[1];
-                amount = parseInt(match[2]);
-            }
+        amount: (match) => parseInt(match[2]),
+        preview: (match) => {
+            const userId = match[1];
+            const amount = parseInt(match[2]);
+            const { bebits } = getUser(userId);
+            return `will give **${amount}** to <@${userId}> (balance ${bebits} → ${bebits + amount})`;
+        },
+        execute: async (match, context) => {
+            const userId = match[1];
+            const amount = parseInt(match[2]);
 
-            const user = getUser(userId);
-            const newBalance = user.bebits + amount;
-            updateBebits(userId, newBalance);
+            const { previousBalance, newBalance } = applyBebitDelta(userId, amount, TransactionReasons.ADMIN_GIVE, context.userId);
 
             const responses = [
                 `Done~ Gave <@${userId}> **${amount} bebits**. New balance: **${newBalance}** ✨`,
                 `Hmph, fine. <@${userId}> gets **${amount} bebits**. They're at **${newBalance}** now.`,
                 `*waves crystal dramatically* <@${userId}> has been blessed with **${amount} bebits**! Total: **${newBalance}**`
             ];
-            return { success: true, message: responses[Math.floor(Math.random() * responses.length)] };
-        }
+            return {
+                success: true,
+                message: responses[Math.floor(Math.random() * responses.length)],
+                audit: balanceAudit({ [userId]: [previousBalance, newBalance] })
+            };
+        },
+        undo: undoBalances
     },
 
     {
@@ -361,21 +676,35 @@ const adminCommands = [
             /(?:remove|take|deduct|subtract|yoink)\s+(\d+)\s*(?:bebits?|points?)?\s+from\s+(?:<@!?)?(\d+)(?:>)?/i,
             /(?:yeet|steal)\s+(\d+)\s*(?:bebits?|points?)?\s+from\s+(?:<@!?)?(\d+)(?:>)?/i
         ],
-        execute: async (match, _context) => {
+        confirm: true,
+        amount: (match) => parseInt(match[1]),
+        preview: (match) => {
+            const amount = parseInt(match[1]);
+            const { bebits } = getUser(match[2]);
+            const removed = Math.min(amount, bebits);
+            const capped = removed < amount ? `, they only have ${bebits}` : '';
+
+            return `will deduct **${removed}** from <@${match[2]}> (balance ${bebits} → ${bebits - removed}${capped})`;
+        },
+        execute: async (match, context) => {
             const amount = parseInt(match[1]);
             const userId = match[2];
 
             const user = getUser(userId);
-            const newBalance = Math.max(0, user.bebits - amount);
-            updateBebits(userId, newBalance);
+            const { previousBalance, newBalance } = applyBebitDelta(userId, -Math.min(amount, user.bebits), TransactionReasons.ADMIN_REMOVE, context.userId);
 
             const responses = [
                 `Done~ Yoinked **${amount} bebits** from <@${userId}>. They're down to **${newBalance}** now.`,
                 `*hisses gleefully* Took **${amount} bebits** from <@${userId}>! Balance: **${newBalance}**`,
                 `Confiscated~ <@${userId}> lost **${amount} bebits**. Current: **${newBalance}**`
             ];
-            return { success: true, message: responses[Math.floor(Math.random() * responses.length)] };
-        }
+            return {
+                success: true,
+                message: responses[Math.floor(Math.random() * responses.length)],
+                audit: balanceAudit({ [userId]: [previousBalance, newBalance] })
+            };
+        },
+        undo: undoBalances
     },
 
     {
@@ -388,18 +717,27 @@ const adminCommands = [
             /(?:<@!?)?(\d+)(?:>)?\s*(?:'s)?\s*(?:bebits?|balance)\s*=\s*(\d+)/i,
             /make\s+(?:<@!?)?(\d+)(?:>)?\s*(?:'s)?\s*(?:bebits?|balance)\s+(\d+)/i
         ],
-        execute: async (match, _context) => {
+        level: PermissionLevels.OWNER,
+        confirm: true,
+        amount: (match) => Math.abs(parseInt(match[2]) - getUser(match[1]).bebits),
+        preview: (match) => {
+            const { bebits } = getUser(match[1]);
+            return `will set <@${match[1]}>'s balance to **${parseInt(match[2])}** (balance ${bebits} → ${parseInt(match[2])})`;
+        },
+        execute: async (match, context) => {
             const userId = match[1];
             const amount = parseInt(match[2]);
+            const previousBalance = getUser(userId).bebits;
 
-            getUser(userId);
-            updateBebits(userId, amount);
+            updateBebits(userId, amount, TransactionReasons.ADMIN_SET, context.userId);
 
             return {
                 success: true,
-                message: `Done~ Set <@${userId}>'s bebits to **${amount}** ✨`
+                message: `Done~ Set <@${userId}>'s bebits to **${amount}** ✨`,
+                audit: balanceAudit({ [userId]: [previousBalance, amount] })
             };
-        }
+        },
+        undo: undoBalances
     },
 
     {
@@ -411,7 +749,16 @@ const adminCommands = [
             /transfer\s+(\d+)\s*(?:bebits?|points?)?\s+from\s+(?:<@!?)?(\d+)(?:>)?\s+to\s+(?:<@!?)?(\d+)(?:>)?/i,
             /move\s+(\d+)\s*(?:bebits?|points?)?\s+from\s+(?:<@!?)?(\d+)(?:>)?\s+to\s+(?:<@!?)?(\d+)(?:>)?/i
         ],
-        execute: async (match, _context) => {
+        amount: (match) => parseInt(match[1]),
+        preview: (match) => {
+            const amount = parseInt(match[1]);
+            const from = getUser(match[2]);
+            const to = getUser(match[3]);
+
+            return `will move **${amount}** from <@${match[2]}> (balance ${from.bebits} → ${from.bebits - amount}) ` +
+                `to <@${match[3]}> (balance ${to.bebits} → ${to.bebits + amount})`;
+        },
+        execute: async (match, context) => {
             const amount = parseInt(match[1]);
             const fromUserId = match[2];
             const toUserId = match[3];
@@ -426,61 +773,81 @@ const adminCommands = [
                 };
             }
 
-            updateBebits(fromUserId, fromUser.bebits - amount);
-            updateBebits(toUserId, toUser.bebits + amount);
+            transferBebits(fromUserId, toUserId, amount, context.userId);
 
             return {
                 success: true,
                 message: `Transferred **${amount} bebits** from <@${fromUserId}> to <@${toUserId}>~\n` +
                     `<@${fromUserId}>: ${fromUser.bebits} → ${fromUser.bebits - amount}\n` +
-                    `<@${toUserId}>: ${toUser.bebits} → ${toUser.bebits + amount}`
+                    `<@${toUserId}>: ${toUser.bebits} → ${toUser.bebits + amount}`,
+                audit: balanceAudit({
+                    [fromUserId]: [fromUser.bebits, fromUser.bebits - amount],
+                    [toUserId]: [toUser.bebits, toUser.bebits + amount]
+                })
             };
-        }
+        },
+        undo: undoBalances
     },
 
     {
         name: 'mass_give_bebits',
         category: 'bebits',
         description: 'Give bebits to multiple users at once',
-        examples: ['give @user1 @user2 @user3 50 bebits each', 'award everyone 10 bebits'],
+        examples: ['give @user1 @user2 @user3 50 bebits each', 'award everyone 10 bebits', 'give everyone who checked in this week 5 bebits'],
         patterns: [
+            /(?:give|award)\s+(?:everyone|everybody|all)\s+who\s+checked\s+in\s+(?:today|this\s+week|this\s+month)\s+(\d+)\s*(?:bebits?|points?)?/i,
             /give\s+(.+?)\s+(\d+)\s*(?:bebits?|points?)?\s*each/i,
             /award\s+everyone\s+(\d+)\s*(?:bebits?|points?)?/i
         ],
+        level: PermissionLevels.OWNER,
+        amount: (match) => {
+            const { amount, userIds } = parseMassGiveMatch(match);
+            return amount * userIds.length;
+        },
+        preview: (match) => {
+            const { amount, userIds, audience } = parseMassGiveMatch(match);
+            if (userIds.length === 0) return null;
+
+            const total = amount * userIds.length;
+            if (audience === 'everyone') {
+                return `will give **${amount}** to all ${userIds.length} users (${total} total)`;
+            }
+            if (audience) {
+                return `will give **${amount}** to ${audience} (${userIds.length} users, ${total} total)`;
+            }
+            return `will give **${amount}** each to ${userIds.map(id => `<@${id}>`).join(', ')}`;
+        },
         execute: async (match, context) => {
-            if (match[0].toLowerCase().includes('everyone')) {
-                const amount = parseInt(match[1]);
-                const allUsers = statements.getAllUsers.all();
-                let count = 0;
-
-                for (const user of allUsers) {
-                    updateBebits(user.discord_id, user.bebits + amount);
-                    count++;
-                }
+            const { amount, userIds, audience } = parseMassGiveMatch(match);
 
+            if (userIds.length === 0) {
                 return {
-                    success: true,
-                    message: `*Crystal glows intensely* Blessed **${count} users** with **${amount} bebits** each! ✨`
+                    success: false,
+                    message: audience ? `Nobody matches "${audience}" right now~` : "Couldn't find any users in that message~"
                 };
             }
 
-            const userIds = extractMultipleUserIds(match[1]);
-            const amount = parseInt(match[2]);
-
-            if (userIds.length === 0) {
-                return { success: false, message: "Couldn't find any users in that message~" };
+            const changes = {};
+            for (const userId of userIds) {
+                const { previousBalance, newBalance } = applyBebitDelta(userId, amount, TransactionReasons.ADMIN_GIVE, context.userId, audience ? `Mass give (${audience})` : 'Mass give');
+                changes[userId] = [previousBalance, newBalance];
             }
 
-            for (const userId of userIds) {
-                const user = getUser(userId);
-                updateBebits(userId, user.bebits + amount);
+            if (audience === 'everyone') {
+                return {
+                    success: true,
+                    message: `*Crystal glows intensely* Blessed **${userIds.length} users** with **${amount} bebits** each! ✨`,
+                    audit: balanceAudit(changes)
+                };
             }
 
             return {
                 success: true,
-                message: `Done~ Gave **${amount} bebits** to ${userIds.length} users! ✨`
+                message: `Done~ Gave **${amount} bebits** to ${userIds.length} users${audience ? ` (${audience})` : ''}! ✨`,
+                audit: balanceAudit(changes)
             };
-        }
+        },
+        undo: undoBalances
     },
 
     // ==========================================
@@ -496,6 +863,11 @@ const adminCommands = [
             /clear\s+(?:<@!?)?(\d+)(?:>)?\s*(?:'s)?\s*streak/i,
             /(?:<@!?)?(\d+)(?:>)?\s*(?:'s)?\s*streak\s*(?:=|to)\s*0/i
         ],
+        confirm: true,
+        preview: (match) => {
+            const { current_streak } = getUser(match[1]);
+            return `will reset <@${match[1]}>'s streak (${current_streak} → 0)`;
+        },
         execute: async (match, _context) => {
             const userId = match[1];
             const user = getUser(userId);
@@ -505,8 +877,24 @@ const adminCommands = [
 
             return {
                 success: true,
-                message: `Reset <@${userId}>'s streak from **${oldStreak}** to **0** 💔`
+                message: `Reset <@${userId}>'s streak from **${oldStreak}** to **0** 💔`,
+                audit: {
+                    before: { userId, current_streak: oldStreak, last_checkin: user.last_checkin },
+                    after: { userId, current_streak: 0, last_checkin: null }
+                }
             };
+        },
+        undo: (entry, _actorId) => {
+            const { userId, current_streak, last_checkin } = entry.before_state;
+            const user = getUser(userId);
+
+            // They've checked in since - restoring would throw that away
+            if (user.current_streak !== 0 || user.last_checkin !== null) {
+                return { success: false, message: `<@${userId}> has checked in since #${entry.id}, so I can't put the old streak back~` };
+            }
+
+            setStreak(userId, current_streak, last_checkin);
+            return { success: true, message: `↩️ Undid #${entry.id} - <@${userId}>'s streak is back to **${current_streak}** 🔥` };
         }
     },
 
@@ -519,7 +907,8 @@ const adminCommands = [
         description: 'Get detailed info about a user',
         examples: ['info @user', 'check @user', 'tell me about @user'],
         patterns: [
-            /(?:info|check|lookup|details?|tell me about|who is)\s+(?:<@!?)?(\d+)(?:>)?/i,
+            // Not "simp check @x" - that's simp_check
+            /(?:info|(?<!simp\s+)check|lookup|details?|tell me about|who is)\s+(?:<@!?)?(\d+)(?:>)?/i,
             /(?:<@!?)?(\d+)(?:>)?\s+(?:info|status|stats)/i
         ],
         execute: async (match, _context) => {
@@ -650,25 +1039,85 @@ const adminCommands = [
     // ==========================================
     // MEMORY MANAGEMENT
     // ==========================================
+    {
+        // Before add_note, whose "@x likes ..." pattern would swallow "forget that @x likes ..."
+        name: 'forget_memory',
+        category: 'memory',
+        description: 'Delete something Beboa remembers',
+        examples: ['forget that @user likes pineapple', 'forget memory #12'],
+        patterns: [
+            /forget\s+memory\s+#?(\d{1,16})\b/i,
+            /forget\s+(?:that\s+|about\s+)?(?:<@!?)?(\d{17,20})(?:>)?(?:'s)?\s+(.+)/i
+        ],
+        freeText: true,
+        confirm: true,
+        preview: (match) => {
+            const { userId, memories } = findMemoriesToForget(match);
+            if (memories.length === 0) return null;
+
+            const quoted = memories.map(memory => `"${memory.content.slice(0, 80)}"`).join(', ');
+            const about = userId ? ` about <@${userId}>` : '';
+            return `will forget ${memories.length === 1 ? 'this memory' : `${memories.length} memories`}${about}: ${quoted}`;
+        },
+        execute: async (match, _context) => {
+            const { userId, memories } = findMemoriesToForget(match);
+
+            if (memories.length === 0) {
+                return {
+                    success: false,
+                    message: match[2] === undefined
+                        ? `There's no memory #${match[1]}~`
+                        : `I don't remember anything like "${match[2].trim()}" about <@${userId}>~`
+                };
+            }
+
+            for (const memory of memories) {
+                deleteMemory(memory.id);
+            }
+
+            const about = userId ? ` about <@${userId}>` : '';
+            return {
+                success: true,
+                message: `Forgotten~ ${memories.length === 1 ? 'That memory' : `**${memories.length}** memories`}${about} ${memories.length === 1 ? 'is' : 'are'} gone 🧹`,
+                audit: {
+                    before: { userId, memories },
+                    after: { userId, memories: [] }
+                }
+            };
+        },
+        undo: (entry, _actorId) => {
+            const { userId, memories } = entry.before_state;
+
+            for (const memory of memories) {
+                restoreMemory(memory);
+            }
+
+            const about = userId ? ` about <@${userId}>` : '';
+            return { success: true, message: `↩️ Undid #${entry.id} - I remember ${memories.length === 1 ? 'that' : 'those'}${about} again 🧠` };
+        }
+    },
+
     {
         name: 'add_note',
         category: 'memory',
         description: 'Add a note about a user',
         examples: ['note about @user: loves cats', 'remember that @user is allergic to peanuts'],
         patterns: [
-            /(?:add\s+)?note\s+(?:about\s+)?(?:<@!?)?(\d+)(?:>)?[:\s]+(.+)/i,
+            /(?:add\s+)?note\s+(?:about\s+|to\s+|for\s+)?(?:<@!?)?(\d+)(?:>)?[:\s]+(.+)/i,
             /remember\s+(?:that\s+)?(?:<@!?)?(\d+)(?:>)?[:\s]+(.+)/i,
             /(?:<@!?)?(\d+)(?:>)?\s+(?:is|has|likes?|loves?|hates?)\s+(.+)/i
         ],
+        freeText: true,
         execute: async (match, context) => {
             const userId = match[1];
             const note = match[2].trim();
 
             // Store in notes
+            const previousNotes = getUserNotes(userId);
             appendUserNotes(userId, note);
 
             // Also store as semantic memory
-            await storeMemory({
+            const memory = await storeMemory({
                 userId,
                 memoryType: MemoryTypes.FACT,
                 content: note,
@@ -680,8 +1129,26 @@ const adminCommands = [
 
             return {
                 success: true,
-                message: `Got it~ I'll remember that about <@${userId}> 📝`
+                message: `Got it~ I'll remember that about <@${userId}> 📝`,
+                audit: {
+                    before: { userId, notes: previousNotes },
+                    after: { userId, notes: getUserNotes(userId), memoryId: memory?.memoryId ?? null }
+                }
             };
+        },
+        undo: (entry, _actorId) => {
+            const { userId, notes } = entry.before_state;
+
+            if (getUserNotes(userId) !== entry.after_state.notes) {
+                return { success: false, message: `<@${userId}>'s notes have changed since #${entry.id}, so I won't overwrite them~` };
+            }
+
+            setUserNotes(userId, notes);
+            if (entry.after_state.memoryId) {
+                deleteMemory(entry.after_state.memoryId);
+            }
+
+            return { success: true, message: `↩️ Undid #${entry.id} - forgot that note about <@${userId}> 📝` };
         }
     },
 
@@ -695,6 +1162,7 @@ const adminCommands = [
             /search\s+(?:memories?|notes?)\s+(?:for|about)\s+(.+)/i,
             /recall\s+(.+)/i
         ],
+        freeText: true,
         execute: async (match, _context) => {
             const query = match[1].trim();
             const memories = await searchMemories(query, { limit: 5 });
@@ -714,73 +1182,239 @@ const adminCommands = [
     },
 
     // ==========================================
-    // PERSONALITY/MOOD CONTROL
+    // RELATIONSHIP MANAGEMENT
     // ==========================================
     {
-        name: 'set_mood',
+        name: 'set_nickname',
         category: 'personality',
-        description: 'Set Beboa\'s current mood',
-        examples: ['set mood to happy', 'make beboa mischievous', 'beboa mood: annoyed'],
+        description: 'Set what Beboa calls a user',
+        examples: ['set @user\'s nickname to Noodle', 'call @user Noodle', 'clear @user\'s nickname'],
         patterns: [
-            /(?:set|change|make)\s+(?:your\s+|beboa(?:'s)?\s+)?mood\s+(?:to\s+)?(\w+)/i,
-            /beboa\s+(?:be|mood)[:\s]+(\w+)/i,
-            /mood[:\s]+(\w+)/i
+            /(?:set|change)\s+(?:<@!?)?(\d+)(?:>)?\s*(?:'s)?\s*nick(?:name)?\s+to\s+["“]?(.+?)["”]?$/i,
+            /(?:call|nickname)\s+(?:<@!?)?(\d+)(?:>)?\s+["“]?(.+?)["”]?$/i,
+            /(?:clear|remove|reset)\s+(?:<@!?)?(\d+)(?:>)?\s*(?:'s)?\s*nick(?:name)?/i
         ],
-        execute: async (match, context) => {
-            const moodName = match[1].toLowerCase();
-
-            if (!Moods[moodName]) {
-                const available = Object.keys(Moods).join(', ');
-                return {
-                    success: false,
-                    message: `That's not a valid mood! Available: ${available}`
-                };
-            }
+        freeText: true,
+        execute: async (match, _context) => {
+            const userId = match[1];
+            const nickname = match[2]?.trim().slice(0, 32) || null;
+            const previous = getRelationship(userId).nickname;
 
-            setMood(moodName, `jarvis_command_by_${context.userId}`);
-            const mood = Moods[moodName];
+            setRelationshipFields(userId, { nickname });
 
             return {
                 success: true,
-                message: `${mood.emoji} Mood set to **${mood.name}**! ${mood.description}~`
+                message: nickname
+                    ? `Fine~ <@${userId}> is **${nickname}** to me now 🐍`
+                    : `I'll stop calling <@${userId}> ${previous ? `"${previous}"` : 'names'}~`,
+                audit: {
+                    before: { userId, nickname: previous },
+                    after: { userId, nickname }
+                }
             };
+        },
+        undo: (entry, _actorId) => {
+            const { userId, nickname } = entry.before_state;
+
+            if (getRelationship(userId).nickname !== entry.after_state.nickname) {
+                return { success: false, message: `<@${userId}>'s nickname has changed since #${entry.id}, so I won't overwrite it~` };
+            }
+
+            setRelationshipFields(userId, { nickname });
+            return { success: true, message: `↩️ Undid #${entry.id} - <@${userId}>'s nickname is ${nickname ? `**${nickname}**` : 'cleared'} again` };
         }
     },
 
     {
-        name: 'personality_status',
+        name: 'set_rivalry',
         category: 'personality',
-        description: 'Show current personality state',
-        examples: ['how are you feeling', 'personality status', 'beboa status'],
+        description: 'Make a user Beboa\'s rival, or end the rivalry',
+        examples: ['make @user and Beboa rivals', 'make @user and Beboa friends', 'end the rivalry with @user'],
         patterns: [
-            /(?:how\s+are\s+you|what(?:'s| is)\s+your\s+mood|personality\s+status|beboa\s+status)/i,
-            /show\s+(?:personality|mood)\s*(?:status)?/i
+            /make\s+(?:<@!?)?(\d+)(?:>)?\s+and\s+(?:beboa|you|yourself)\s+(rivals|friends)/i,
+            /make\s+(?:beboa|you|yourself)\s+and\s+(?:<@!?)?(\d+)(?:>)?\s+(rivals|friends)/i,
+            /(?:end|stop|drop)\s+(?:the\s+|your\s+)?rivalry\s+with\s+(?:<@!?)?(\d+)(?:>)?/i
         ],
-        execute: async (_match, _context) => {
-            const state = getPersonalityState();
-            const { effectiveTraits, currentMood, moodData } = state;
-
-            let response = `**🐍 Current Beboa Status**\n\n`;
-            response += `**Mood:** ${moodData.emoji} ${moodData.name} - ${moodData.description}\n\n`;
-
-            response += `**Notable Traits:**\n`;
-            const notable = Object.entries(effectiveTraits)
-                .filter(([_, v]) => v > 0.7 || v < 0.3)
-                .sort((a, b) => Math.abs(b[1] - 0.5) - Math.abs(a[1] - 0.5))
-                .slice(0, 6);
+        execute: async (match, _context) => {
+            const userId = match[1];
+            const rivals = match[2]?.toLowerCase() === 'rivals';
+            const previous = getRelationship(userId).rivalry;
+            const { rivalry } = setRelationshipFields(userId, { rivalry: rivals ? RIVALRY_LEVEL : 0 });
 
-            for (const [trait, value] of notable) {
-                const bar = '█'.repeat(Math.round(value * 10)) + '░'.repeat(10 - Math.round(value * 10));
-                const traitName = trait.replace(/([A-Z])/g, ' $1').trim();
-                response += `${traitName}: [${bar}] ${(value * 100).toFixed(0)}%\n`;
-            }
+            return {
+                success: true,
+                message: rivals
+                    ? `Oh, it's **on**, <@${userId}>~ ⚔️ You're my rival now.`
+                    : `Hmph. Truce, <@${userId}>~ Our rivalry is over 🏳️`,
+                audit: {
+                    before: { userId, rivalry: previous },
+                    after: { userId, rivalry }
+                }
+            };
+        },
+        undo: (entry, _actorId) => {
+            const { userId, rivalry } = entry.before_state;
 
-            return { success: true, message: response };
+            setRelationshipFields(userId, { rivalry });
+            return { success: true, message: `↩️ Undid #${entry.id} - <@${userId}>'s rivalry is back to ${(rivalry * 100).toFixed(0)}%` };
         }
     },
 
-    // ==========================================
-    // CREATIVE/PLAYFUL COMMANDS
+    {
+        name: 'inside_jokes',
+        category: 'memory',
+        description: 'List Beboa\'s inside jokes with a user',
+        examples: ['what inside jokes do you have with @user', '@user inside jokes'],
+        patterns: [
+            /inside\s+jokes?\s+(?:do\s+you\s+have\s+|you\s+have\s+)?(?:with|about|for)\s+(?:<@!?)?(\d+)(?:>)?/i,
+            /(?:<@!?)?(\d+)(?:>)?\s*(?:'s)?\s+inside\s+jokes?/i
+        ],
+        execute: async (match, _context) => {
+            const userId = match[1];
+            const { insideJokes, nickname } = getRelationship(userId);
+
+            if (insideJokes.length === 0) {
+                return { success: true, message: `I don't have any inside jokes with <@${userId}> yet~` };
+            }
+
+            let response = `**😂 Inside jokes with <@${userId}>${nickname ? ` (${nickname})` : ''}:**\n`;
+            insideJokes.forEach((joke, index) => {
+                response += `${index + 1}. ${joke}\n`;
+            });
+            response += `\n*Say "forget inside joke 2 with @user" to drop one~*`;
+
+            return { success: true, message: response };
+        }
+    },
+
+    {
+        name: 'forget_inside_joke',
+        category: 'memory',
+        description: 'Drop one of Beboa\'s inside jokes with a user',
+        examples: ['forget inside joke 2 with @user'],
+        patterns: [
+            /forget\s+(?:the\s+)?inside\s+joke\s+#?(\d{1,2})\s+(?:with|about|for)\s+(?:<@!?)?(\d+)(?:>)?/i
+        ],
+        confirm: true,
+        preview: (match) => {
+            const joke = getRelationship(match[2]).insideJokes[parseInt(match[1]) - 1];
+            return joke ? `will forget the inside joke "${joke}" with <@${match[2]}>` : null;
+        },
+        execute: async (match, _context) => {
+            const index = parseInt(match[1]) - 1;
+            const userId = match[2];
+            const { insideJokes } = getRelationship(userId);
+
+            if (!insideJokes[index]) {
+                return { success: false, message: `I only have ${insideJokes.length} inside joke${insideJokes.length === 1 ? '' : 's'} with <@${userId}>~` };
+            }
+
+            const remaining = insideJokes.filter((_, i) => i !== index);
+            setRelationshipFields(userId, { insideJokes: remaining });
+
+            return {
+                success: true,
+                message: `Fine, "${insideJokes[index]}" was never funny anyway~ 🧹`,
+                audit: {
+                    before: { userId, insideJokes },
+                    after: { userId, insideJokes: remaining }
+                }
+            };
+        },
+        undo: (entry, _actorId) => {
+            const { userId, insideJokes } = entry.before_state;
+
+            if (JSON.stringify(getRelationship(userId).insideJokes) !== JSON.stringify(entry.after_state.insideJokes)) {
+                return { success: false, message: `<@${userId}>'s inside jokes have changed since #${entry.id}, so I won't overwrite them~` };
+            }
+
+            setRelationshipFields(userId, { insideJokes });
+            return { success: true, message: `↩️ Undid #${entry.id} - that inside joke with <@${userId}> is back 😂` };
+        }
+    },
+
+    // ==========================================
+    // PERSONALITY/MOOD CONTROL
+    // ==========================================
+    {
+        name: 'set_mood',
+        category: 'personality',
+        description: 'Set Beboa\'s current mood',
+        examples: ['set mood to happy', 'make beboa mischievous', 'beboa mood: annoyed'],
+        patterns: [
+            /(?:set|change|make)\s+(?:your\s+|beboa(?:'s)?\s+)?mood\s+(?:to\s+)?(\w+)/i,
+            /beboa\s+(?:be|mood)[:\s]+(\w+)/i,
+            /mood[:\s]+(\w+)/i,
+            // "make beboa mischievous" - only with a mood's name, without the word "mood"
+            new RegExp(`(?:make|set)\\s+(?:beboa|yourself)\\s+(?:feel\\s+)?(${Object.keys(Moods).join('|')})\\b`, 'i')
+        ],
+        execute: async (match, context) => {
+            const moodName = match[1].toLowerCase();
+
+            if (!Moods[moodName]) {
+                const available = Object.keys(Moods).join(', ');
+                return {
+                    success: false,
+                    message: `That's not a valid mood! Available: ${available}`
+                };
+            }
+
+            const previousMood = getPersonalityState().currentMood;
+            setMood(moodName, `jarvis_command_by_${context.userId}`);
+            const mood = Moods[moodName];
+
+            return {
+                success: true,
+                message: `${mood.emoji} Mood set to **${mood.name}**! ${mood.description}~`,
+                audit: {
+                    before: { mood: previousMood },
+                    after: { mood: moodName }
+                }
+            };
+        },
+        undo: (entry, _actorId) => {
+            const { mood: moodName } = entry.before_state;
+            setMood(moodName, `undo_${entry.id}`);
+            const mood = Moods[moodName] || Moods.neutral;
+
+            return { success: true, message: `↩️ Undid #${entry.id} - back to ${mood.emoji} **${mood.name}**~` };
+        }
+    },
+
+    {
+        name: 'personality_status',
+        category: 'personality',
+        description: 'Show current personality state',
+        examples: ['how are you feeling', 'personality status', 'beboa status'],
+        patterns: [
+            /(?:how\s+are\s+you|what(?:'s| is)\s+your\s+mood|personality\s+status|beboa\s+status)/i,
+            /show\s+(?:personality|mood)\s*(?:status)?/i
+        ],
+        execute: async (_match, _context) => {
+            const state = getPersonalityState();
+            const { effectiveTraits, currentMood, moodData } = state;
+
+            let response = `**🐍 Current Beboa Status**\n\n`;
+            response += `**Mood:** ${moodData.emoji} ${moodData.name} - ${moodData.description}\n\n`;
+
+            response += `**Notable Traits:**\n`;
+            const notable = Object.entries(effectiveTraits)
+                .filter(([_, v]) => v > 0.7 || v < 0.3)
+                .sort((a, b) => Math.abs(b[1] - 0.5) - Math.abs(a[1] - 0.5))
+                .slice(0, 6);
+
+            for (const [trait, value] of notable) {
+                const bar = '█'.repeat(Math.round(value * 10)) + '░'.repeat(10 - Math.round(value * 10));
+                const traitName = trait.replace(/([A-Z])/g, ' $1').trim();
+                response += `${traitName}: [${bar}] ${(value * 100).toFixed(0)}%\n`;
+            }
+
+            return { success: true, message: response };
+        }
+    },
+
+    // ==========================================
+    // CREATIVE/PLAYFUL COMMANDS
     // ==========================================
     {
         name: 'bonk',
@@ -792,7 +1426,7 @@ const adminCommands = [
             /(?:send|put)\s+(?:<@!?)?(\d+)(?:>)?\s+(?:to|in)\s+(?:horny\s+)?jail/i,
             /horny\s+jail\s+(?:<@!?)?(\d+)(?:>)?/i
         ],
-        execute: async (match, _context) => {
+        execute: async (match, context) => {
             const userId = match[1];
             const bonkMessages = [
                 `*bonk* 🔨 <@${userId}> has been sent to horny jail! 🚔`,
@@ -811,6 +1445,8 @@ const adminCommands = [
                 sourceType: 'jarvis_fun'
             });
 
+            unlockAchievements(userId, AchievementEvents.JARVIS_BONK, { actorId: context.userId });
+
             return {
                 success: true,
                 message: bonkMessages[Math.floor(Math.random() * bonkMessages.length)]
@@ -904,7 +1540,7 @@ const adminCommands = [
         patterns: [
             /(?:roast|burn|drag|destroy|murder|annihilate)\s+(?:<@!?)?(\d+)(?:>)?/i
         ],
-        execute: async (match, _context) => {
+        execute: async (match, context) => {
             const userId = match[1];
             const user = getUser(userId);
             const rank = getUserRank(userId);
@@ -926,6 +1562,8 @@ const adminCommands = [
             response += roasts[Math.floor(Math.random() * roasts.length)];
             response += `\n\n*This roast was served with love (and venom)~* 🐍✨`;
 
+            unlockAchievements(userId, AchievementEvents.JARVIS_ROAST, { actorId: context.userId });
+
             return { success: true, message: response };
         }
     },
@@ -998,7 +1636,7 @@ const adminCommands = [
             /crown\s+(?:<@!?)?(\d+)(?:>)?/i,
             /make\s+(?:<@!?)?(\d+)(?:>)?\s+(?:royalty|king|queen|ruler)/i
         ],
-        execute: async (match, _context) => {
+        execute: async (match, context) => {
             const userId = match[1];
 
             // Add a fun memory
@@ -1013,6 +1651,8 @@ const adminCommands = [
             // Boost their relationship a bit
             updateRelationship(userId, { affection: 0.05, familiarity: 0.02 });
 
+            unlockAchievements(userId, AchievementEvents.JARVIS_CROWN, { actorId: context.userId });
+
             const messages = [
                 `👑 *places crown on <@${userId}>* You are now royalty! ...For like, the next 5 minutes. Don't let it go to your head~`,
                 `By the power vested in me by the HeartB Crystal... 👑 I crown <@${userId}>! *hisses regally*`,
@@ -1151,7 +1791,7 @@ const adminCommands = [
             /spin\s+(?:the\s+)?wheel\s+(?:for\s+)?(?:<@!?)?(\d+)(?:>)?/i,
             /wheel\s+of\s+(?:fate|fortune|doom)\s+(?:<@!?)?(\d+)(?:>)?/i
         ],
-        execute: async (match, _context) => {
+        execute: async (match, context) => {
             const userId = match[1];
 
             const outcomes = [
@@ -1173,10 +1813,11 @@ const adminCommands = [
 
             // Apply effects
             const user = getUser(userId);
-            if (outcome.effect === 'give_5') updateBebits(userId, user.bebits + 5);
-            if (outcome.effect === 'give_10') updateBebits(userId, user.bebits + 10);
-            if (outcome.effect === 'take_3') updateBebits(userId, Math.max(0, user.bebits - 3));
-            if (outcome.effect === 'take_5') updateBebits(userId, Math.max(0, user.bebits - 5));
+            const wheelDeltas = { give_5: 5, give_10: 10, take_3: -3, take_5: -5 };
+            if (wheelDeltas[outcome.effect]) {
+                const delta = Math.max(-user.bebits, wheelDeltas[outcome.effect]);
+                applyBebitDelta(userId, delta, TransactionReasons.WHEEL, context.userId);
+            }
 
             let response = `**🎡 WHEEL OF FATE 🎡**\n\n`;
             response += `*The wheel spins for <@${userId}>...*\n\n`;
@@ -1193,23 +1834,67 @@ const adminCommands = [
     {
         name: 'announce',
         category: 'admin',
-        description: 'Make an announcement',
-        examples: ['announce: Server event tonight!', 'broadcast: New rewards added!'],
+        description: 'Draft an announcement to preview, tweak and post',
+        examples: ['announce: Server event tonight!', 'broadcast: New rewards added!', 'announce the raffle — at 8pm'],
         patterns: [
             /(?:announce|broadcast)[:\s]+(.+)/i
         ],
-        execute: async (match, _context) => {
-            const message = match[1].trim();
+        // Ends in free text, so a trailing schedule needs a dash ("... — at 8pm")
+        freeText: true,
+        // A scheduling phrase becomes the draft's time, applied once it's approved
+        ownSchedule: true,
+        execute: async (match, context) => {
+            // The scheduler posting an approved announcement: [message, text, announcementId]
+            if (match[2]) {
+                return publishAnnouncement(parseInt(match[2]), { scheduledActionId: context.scheduledActionId });
+            }
+
+            if (!config.ANNOUNCEMENT_CHANNEL_ID) {
+                return { success: false, message: 'No announcement channel is set up~ (`ANNOUNCEMENT_CHANNEL_ID`)' };
+            }
+
+            const content = match[1]?.trim();
+            if (!content) {
+                return { success: false, message: 'Announce what? Try `announce: Server event tonight!`~' };
+            }
+
+            const announcement = createAnnouncementDraft({
+                actorId: context.userId,
+                content,
+                sourceChannelId: context.channelId || null,
+                rawMessage: context.schedule?.message || match[0],
+                schedule: context.schedule || null
+            });
 
             return {
                 success: true,
-                action: 'announce',
-                content: message,
-                message: `I'll announce that~ 📢`
+                message: announcementPreview(announcement, config.ANNOUNCEMENT_CHANNEL_ID),
+                announcementId: announcement.id
             };
         }
     },
 
+    // ==========================================
+    // AUDIT
+    // ==========================================
+    {
+        name: 'undo',
+        category: 'admin',
+        description: 'Undo a logged admin action',
+        examples: ['undo 42', 'revert #42'],
+        patterns: [
+            /^undo\s+(?:action\s+)?#?(\d+)/i,
+            /(?:revert|roll\s*back)\s+(?:action\s+)?#?(\d+)/i
+        ],
+        execute: async (match, context) => {
+            if (!match[1]) {
+                return { success: false, message: 'Which one? Give me the audit number~ (e.g. `undo 42`)' };
+            }
+
+            return undoAdminAction(parseInt(match[1]), context.userId);
+        }
+    },
+
     // ==========================================
     // HELP
     // ==========================================
@@ -1222,9 +1907,9 @@ const adminCommands = [
             /(?:jarvis\s+)?(?:help|commands?|what can you do)/i,
             /show\s+(?:jarvis\s+)?commands/i
         ],
-        execute: async (_match, _context) => {
+        execute: async (_match, context) => {
             const categories = {};
-            for (const cmd of adminCommands) {
+            for (const cmd of adminCommands.filter(c => getCommandAccess(context.userId, c).allowed)) {
                 if (!categories[cmd.category]) categories[cmd.category] = [];
                 categories[cmd.category].push(cmd);
             }
@@ -1361,8 +2046,13 @@ async function executeByIntent(intentAnalysis, entities, message, context) {
 
     // Command-specific entity mapping
     switch (topIntent) {
-        case 'give_bebits':
         case 'remove_bebits':
+            if (entities.userId && entities.amount) {
+                syntheticMatch.push(String(entities.amount), entities.userId);
+            }
+            break;
+
+        case 'give_bebits':
         case 'bonk':
         case 'shame':
         case 'praise':
@@ -1426,7 +2116,11 @@ async function executeByIntent(intentAnalysis, entities, message, context) {
 
     try {
         console.log(`[JARVIS] Intent-matched: ${cmd.name} with entities:`, entities);
-        const result = await cmd.execute(syntheticMatch, context);
+        const result = await executeOrConfirm(cmd, syntheticMatch, context, {
+            method: 'intent',
+            message,
+            intent: { command: topIntent, confidence: intentAnalysis.confidence, entities }
+        });
 
         // Update conversation context
         updateConversationContext(context.userId, {
@@ -1449,11 +2143,23 @@ async function executeByIntent(intentAnalysis, entities, message, context) {
 /**
  * Parse and execute admin command from natural language
  * Uses an LLM-first approach with fallbacks:
- * 1. Check for pending confirmations
- * 2. Try LLM-powered intent parsing (primary)
- * 3. Try exact pattern matching (fallback)
- * 4. Try intent-based keyword matching (fallback)
- * 5. Check conversation context for follow-ups
+ * 1. Try LLM-powered intent parsing (primary)
+ * 2. Try exact pattern matching (fallback)
+ * 3. Try intent-based keyword matching (fallback)
+ * 4. Check conversation context for follow-ups
+ *
+ * Destructive commands don't run straight away - the result carries a
+ * confirmationId and a preview, and they run when the admin presses Confirm.
+ *
+ * A message holding several commands becomes a plan: every step is shown
+ * for one confirmation, then they run in order (see runPlan).
+ *
+ * A scheduling phrase ("at 8pm", "every Sunday") is stripped first; the rest
+ * is parsed as usual and stored to run later instead of running now.
+ *
+ * With context.dryRun nothing runs or is stored: the result says which
+ * command (or plan steps) the message resolved to, with what match, and
+ * whether the admin's tier would refuse it.
  */
 export async function parseAndExecuteAdminCommand(message, context) {
     if (!canExecuteAdminCommands(context.userId)) {
@@ -1462,32 +2168,20 @@ export async function parseAndExecuteAdminCommand(message, context) {
 
     message = message.trim();
 
-    // Skip very short messages unless they're confirmations
+    // Skip very short messages
     if (message.length < 3) {
         return { matched: false };
     }
 
-    // ========================================
-    // STAGE 1: Check for pending confirmations
-    // ========================================
-    if (pendingConfirmations.has(context.userId)) {
-        const pending = pendingConfirmations.get(context.userId);
-        if (Date.now() < pending.expires) {
-            const lower = message.toLowerCase();
-            if (['yes', 'y', 'yeah', 'yep', 'confirm', 'do it', 'proceed'].some(w => lower.includes(w))) {
-                pendingConfirmations.delete(context.userId);
-                return await pending.execute();
-            } else if (['no', 'n', 'nah', 'cancel', 'stop', 'nevermind'].some(w => lower.includes(w))) {
-                pendingConfirmations.delete(context.userId);
-                return { matched: true, result: { success: true, message: 'Cancelled~' } };
-            }
-        } else {
-            pendingConfirmations.delete(context.userId);
+    if (!context.schedule) {
+        const schedule = parseSchedulePhrase(message, getUser(context.userId).timezone || config.DEFAULT_TIMEZONE);
+        if (schedule && !isPartOfFreeText(message, schedule)) {
+            return parseAndExecuteAdminCommand(schedule.command, { ...context, schedule: { ...schedule, message } });
         }
     }
 
     // ========================================
-    // STAGE 2: LLM-powered intent parsing (PRIMARY)
+    // STAGE 1: LLM-powered intent parsing (PRIMARY)
     // ========================================
     if (isLLMEvaluatorAvailable()) {
         const prevContext = getConversationContext(context.userId);
@@ -1513,26 +2207,15 @@ export async function parseAndExecuteAdminCommand(message, context) {
                 };
             }
 
-            // Handle confirmation for dangerous operations
-            if (llmIntent.requiresConfirmation) {
-                pendingConfirmations.set(context.userId, {
-                    command: llmIntent.command,
-                    params: llmIntent.params,
-                    expires: Date.now() + CONFIRMATION_TIMEOUT,
-                    execute: async () => {
-                        return await executeFromLLMIntent(llmIntent, message, context);
-                    }
-                });
-                return {
-                    matched: true,
-                    result: {
-                        success: true,
-                        message: `⚠️ This is a ${llmIntent.command.includes('remove') ? 'destructive' : 'sensitive'} operation. Are you sure? (Reply "yes" to confirm)`
-                    }
-                };
+            // Several commands in one message: confirm the whole plan first
+            if (llmIntent.intents.length > 1) {
+                const steps = buildLLMPlan(llmIntent, message);
+                if (steps) {
+                    return { matched: true, command: PLAN_COMMAND, result: proposePlan(steps, context, message), method: 'llm' };
+                }
             }
 
-            // Execute the command
+            // Execute the command (or ask for confirmation first)
             const result = await executeFromLLMIntent(llmIntent, message, context);
             if (result) {
                 return result;
@@ -1551,40 +2234,49 @@ export async function parseAndExecuteAdminCommand(message, context) {
     }
 
     // ========================================
-    // STAGE 3: Pattern matching (FALLBACK)
+    // STAGE 2: Pattern matching (FALLBACK)
     // ========================================
     console.log('[JARVIS] LLM not available or low confidence, trying pattern matching');
-    for (const cmd of adminCommands) {
-        for (const pattern of cmd.patterns) {
-            const match = message.match(pattern);
-            if (match) {
-                console.log(`[JARVIS] Pattern matched: ${cmd.name}`);
-                try {
-                    const result = await cmd.execute(match, context);
-
-                    // Update context for follow-up commands
-                    const userId = extractUserId(message);
-                    updateConversationContext(context.userId, {
-                        lastCommand: cmd.name,
-                        subject: userId,
-                        lastMessage: message
-                    });
-
-                    return { matched: true, command: cmd.name, result, method: 'pattern' };
-                } catch (error) {
-                    console.error(`[JARVIS] Command execution failed:`, error);
-                    return {
-                        matched: true,
-                        command: cmd.name,
-                        result: { success: false, message: `Oops, that didn't work: ${error.message}` }
-                    };
-                }
-            }
+
+    // "give @a 50, bonk @b and set mood to smug" - only when every piece is a command
+    const planSteps = splitIntoPlanSteps(message);
+    if (planSteps) {
+        console.log(`[JARVIS] Pattern matched a ${planSteps.length}-step plan`);
+        return { matched: true, command: PLAN_COMMAND, result: proposePlan(planSteps, context, message), method: 'pattern' };
+    }
+
+    const patternMatch = findPatternMatch(message);
+    if (patternMatch) {
+        const { cmd, match, pattern } = patternMatch;
+        console.log(`[JARVIS] Pattern matched: ${cmd.name}`);
+        try {
+            const result = await executeOrConfirm(cmd, match, context, {
+                method: 'pattern',
+                message,
+                intent: { command: cmd.name, pattern: pattern.source, groups: match.slice(1) }
+            });
+
+            // Update context for follow-up commands
+            const userId = extractUserId(message);
+            updateConversationContext(context.userId, {
+                lastCommand: cmd.name,
+                subject: userId,
+                lastMessage: message
+            });
+
+            return { matched: true, command: cmd.name, result, method: 'pattern' };
+        } catch (error) {
+            console.error(`[JARVIS] Command execution failed:`, error);
+            return {
+                matched: true,
+                command: cmd.name,
+                result: { success: false, message: `Oops, that didn't work: ${error.message}` }
+            };
         }
     }
 
     // ========================================
-    // STAGE 4: Intent-based keyword matching (FALLBACK)
+    // STAGE 3: Intent-based keyword matching (FALLBACK)
     // ========================================
     const entities = extractEntities(message);
     const intentAnalysis = analyzeIntent(message);
@@ -1597,7 +2289,7 @@ export async function parseAndExecuteAdminCommand(message, context) {
     }
 
     // ========================================
-    // STAGE 5: Check conversation context for follow-ups
+    // STAGE 4: Check conversation context for follow-ups
     // ========================================
     const prevContext = getConversationContext(context.userId);
     if (prevContext && prevContext.subject) {
@@ -1628,26 +2320,71 @@ async function executeFromLLMIntent(llmIntent, originalMessage, context) {
     }
 
     // Build synthetic match from LLM-extracted params
-    const syntheticMatch = [originalMessage];
     const params = llmIntent.params || {};
+    const syntheticMatch = buildLLMMatch(llmIntent.command, params, originalMessage);
+
+    try {
+        const result = await executeOrConfirm(cmd, syntheticMatch, context, {
+            method: 'llm',
+            message: originalMessage,
+            intent: {
+                command: llmIntent.command,
+                params,
+                confidence: llmIntent.confidence,
+                reasoning: llmIntent.reasoning
+            }
+        }, llmIntent.requiresConfirmation);
+
+        // Update conversation context
+        updateConversationContext(context.userId, {
+            lastCommand: cmd.name,
+            subject: params.targetUserId || params.userId1,
+            lastMessage: originalMessage
+        });
+
+        return {
+            matched: true,
+            command: cmd.name,
+            result,
+            method: 'llm',
+            reasoning: llmIntent.reasoning
+        };
+    } catch (error) {
+        console.error(`[JARVIS] LLM-assisted execution failed:`, error);
+        return {
+            matched: true,
+            command: cmd.name,
+            result: { success: false, message: `Oops, that didn't work: ${error.message}` }
+        };
+    }
+}
 
-    // Map params based on command type
-    switch (llmIntent.command) {
+/**
+ * Build a match array from LLM-extracted params, in the order the
+ * command's own patterns would capture them
+ * @param {string} command - Command name
+ * @param {Object} params - Params from parseJarvisIntent
+ * @param {string} text - The message (or the part of it) the command came from
+ * @returns {Array} Synthetic match, text first
+ */
+function buildLLMMatch(command, params, text) {
+    const syntheticMatch = [text];
+    const amount = params.amount !== null ? String(params.amount) : null;
+
+    // Map params based on command type. Commands with several groups get
+    // every slot, even empty ones, so nothing shifts into the wrong group.
+    switch (command) {
         case 'give_bebits':
-        case 'remove_bebits':
-            if (params.targetUserId) syntheticMatch.push(params.targetUserId);
-            if (params.amount !== null) syntheticMatch.push(String(params.amount));
+        case 'set_bebits':
+            syntheticMatch.push(params.targetUserId, amount);
             break;
 
-        case 'set_bebits':
-            if (params.targetUserId) syntheticMatch.push(params.targetUserId);
-            if (params.amount !== null) syntheticMatch.push(String(params.amount));
+        case 'remove_bebits':
+            syntheticMatch.push(amount, params.targetUserId);
             break;
 
         case 'transfer_bebits':
-            if (params.amount !== null) syntheticMatch.push(String(params.amount));
-            if (params.fromUserId) syntheticMatch.push(params.fromUserId);
-            if (params.toUserId) syntheticMatch.push(params.toUserId);
+            syntheticMatch.push(amount, params.fromUserId, params.toUserId);
             break;
 
         case 'compare_users':
@@ -1667,6 +2404,7 @@ async function executeFromLLMIntent(llmIntent, originalMessage, context) {
         case 'dethrone':
         case 'fortune':
         case 'spin_wheel':
+        case 'inside_jokes':
             if (params.targetUserId) syntheticMatch.push(params.targetUserId);
             break;
 
@@ -1683,12 +2421,34 @@ async function executeFromLLMIntent(llmIntent, originalMessage, context) {
             if (params.text) syntheticMatch.push(params.text);
             break;
 
+        case 'forget_memory':
+            if (params.targetUserId && params.text) {
+                syntheticMatch.push(params.targetUserId, params.text);
+            } else if (amount !== null) {
+                syntheticMatch.push(amount);
+            }
+            break;
+
+        case 'set_nickname':
+        case 'set_rivalry':
+            if (params.targetUserId) syntheticMatch.push(params.targetUserId);
+            if (params.text) syntheticMatch.push(params.text);
+            break;
+
+        case 'forget_inside_joke':
+            syntheticMatch.push(amount, params.targetUserId);
+            break;
+
         case 'announce':
             if (params.text) syntheticMatch.push(params.text);
             break;
 
         case 'mass_give_bebits':
-            if (params.amount !== null) syntheticMatch.push(String(params.amount));
+            if (amount !== null) syntheticMatch.push(amount);
+            break;
+
+        case 'undo':
+            if (params.auditId) syntheticMatch.push(String(params.auditId));
             break;
 
         default:
@@ -1696,31 +2456,613 @@ async function executeFromLLMIntent(llmIntent, originalMessage, context) {
             break;
     }
 
+    return syntheticMatch;
+}
+
+// ============================================
+// AUDIT & UNDO
+// ============================================
+
+/**
+ * Execute a command and write an audit entry if it changed state
+ * @param {Object} cmd - Command definition
+ * @param {Array} match - Pattern or synthetic match
+ * @param {Object} context - { userId, channelId, ... }
+ * @param {Object} source - { method, message, intent } describing how it was parsed
+ * @returns {Promise<Object>} Command result, plus auditId/undoable when logged
+ */
+async function executeAudited(cmd, match, context, { method, message, intent }) {
+    const { audit, ...result } = await cmd.execute(match, context);
+
+    if (!audit) {
+        return result;
+    }
+
+    const auditId = recordAdminAction({
+        actorId: context.userId,
+        command: cmd.name,
+        method,
+        intent,
+        rawMessage: message,
+        before: audit.before,
+        after: audit.after,
+        channelId: context.channelId,
+        reversible: Boolean(cmd.undo)
+    });
+
+    return { ...result, auditId, undoable: Boolean(cmd.undo) };
+}
+
+/**
+ * Restore the state before an entry and mark it undone, all or nothing
+ */
+const runUndo = db.transaction((entry, cmd, actorId) => {
+    const result = cmd.undo(entry, actorId);
+
+    if (result.success) {
+        markAuditUndone(entry.id, actorId);
+    }
+
+    return result;
+});
+
+/**
+ * Undo a logged admin action, restoring the values from before it ran
+ * @param {number} auditId - Audit entry ID
+ * @param {string} actorId - Admin doing the undo
+ * @returns {{success: boolean, message: string}}
+ */
+export function undoAdminAction(auditId, actorId) {
+    const entry = getAuditEntry(auditId);
+    if (!entry) {
+        return { success: false, message: `There's no audit entry #${auditId}~` };
+    }
+
+    const cmd = adminCommands.find(c => c.name === entry.command);
+    if (!entry.reversible || !cmd?.undo) {
+        return { success: false, message: `#${auditId} (${entry.command}) can't be undone~` };
+    }
+
+    if (entry.undone_at) {
+        return { success: false, message: `#${auditId} was already undone by <@${entry.undone_by}>~` };
+    }
+
+    // Undoing needs the same access as running the command
+    if (!getCommandAccess(actorId, cmd).allowed) {
+        return { success: false, message: `🐍 Your Jarvis tier can't undo **${entry.command}**~` };
+    }
+
     try {
-        const result = await cmd.execute(syntheticMatch, context);
+        const result = runUndo(entry, cmd, actorId);
+        if (result.success) {
+            console.log(`[AUDIT] #${auditId} (${entry.command}) undone by ${actorId}`);
+        }
+        return result;
+    } catch (error) {
+        console.error(`[AUDIT] Undo of #${auditId} failed:`, error);
+        return { success: false, message: `Oops, couldn't undo #${auditId}: ${error.message}` };
+    }
+}
 
-        // Update conversation context
-        updateConversationContext(context.userId, {
-            lastCommand: cmd.name,
-            subject: params.targetUserId || params.userId1,
-            lastMessage: originalMessage
-        });
+// ============================================
+// CONFIRMATIONS
+// ============================================
 
-        return {
-            matched: true,
-            command: cmd.name,
-            result,
-            method: 'llm',
-            reasoning: llmIntent.reasoning
+/**
+ * Run a command, or park it for confirmation if it's destructive.
+ * Parked commands are stored with their resolved match, so what runs on
+ * Confirm is exactly what the preview described - even after a restart.
+ * A destructive command given with a schedule is parked the same way, and
+ * only scheduled once it's confirmed.
+ *
+ * @param {Object} cmd - Command definition
+ * @param {Array} match - Pattern or synthetic match
+ * @param {Object} context - { userId, channelId, messageId, ... }
+ * @param {Object} source - { method, message, intent } describing how it was parsed
+ * @param {boolean} requiresConfirmation - Confirm even if the command doesn't ask to (LLM flag)
+ * @returns {Promise<Object>} Command result, { success, message, confirmationId },
+ *   { success, message, scheduledActionId } when context.schedule is set,
+ *   or { success, dryRun, command, match, denied } when context.dryRun is set
+ */
+async function executeOrConfirm(cmd, match, context, source, requiresConfirmation = false) {
+    const denied = checkCommandAccess(cmd, match, context.userId);
+
+    if (context.dryRun) {
+        return { success: true, dryRun: true, command: cmd.name, match: [...match], denied: denied?.message || null };
+    }
+
+    if (denied) {
+        console.log(`[JARVIS] ${context.userId} denied ${cmd.name}`);
+        return denied;
+    }
+
+    const needsConfirmation = cmd.confirm || requiresConfirmation;
+
+    // Scheduled commands are checked now and again when they run
+    const schedule = cmd.ownSchedule ? null : context.schedule;
+    if (schedule && !needsConfirmation) {
+        return scheduleCommand(cmd, match, context, source);
+    }
+
+    if (!needsConfirmation) {
+        return executeAudited(cmd, match, context, source);
+    }
+
+    // What it would do now; a scheduled run may find things changed
+    let preview = cmd.preview ? cmd.preview(match, context) : `will run **${cmd.name}**`;
+    if (!preview && schedule) {
+        preview = `will run **${cmd.name}**`;
+    } else if (!preview) {
+        // Nothing to preview means nothing would happen - let the command explain why
+        return executeAudited(cmd, match, context, source);
+    }
+
+    const confirmationId = Number(statements.insertPendingAction.run({
+        actorId: context.userId,
+        command: cmd.name,
+        match: JSON.stringify([...match]),
+        method: source.method,
+        intent: source.intent ? JSON.stringify(source.intent) : null,
+        rawMessage: source.message,
+        channelId: context.channelId || null,
+        messageId: context.messageId || null,
+        preview,
+        schedule: schedule ? JSON.stringify(schedule) : null,
+        ttl: `+${CONFIRMATION_TIMEOUT_MINUTES} minutes`
+    }).lastInsertRowid);
+
+    console.log(`[JARVIS] ${cmd.name} awaiting confirmation #${confirmationId}`);
+
+    const when = schedule ? `, scheduled for ${describeScheduleTime(schedule)}` : '';
+    return {
+        success: true,
+        message: `⚠️ **${cmd.name}** ${preview}${when}.\nPress **Confirm** within ${CONFIRMATION_TIMEOUT_MINUTES} minutes to go ahead~`,
+        confirmationId
+    };
+}
+
+/**
+ * Run a parked command after the admin who asked for it presses Confirm
+ * @param {number} confirmationId - Pending action ID
+ * @param {string} actorId - Admin pressing Confirm
+ * @returns {Promise<Object>} Command result, or { success: false, reason, message } if it couldn't run
+ *   (reason: not_found, not_owner, resolved, expired)
+ */
+export async function confirmAdminAction(confirmationId, actorId) {
+    const pending = statements.getPendingAction.get(confirmationId);
+
+    if (!pending) {
+        return { success: false, reason: 'not_found', message: `There's nothing waiting for confirmation as #${confirmationId}~` };
+    }
+    if (pending.actor_id !== actorId) {
+        return { success: false, reason: 'not_owner', message: `Only <@${pending.actor_id}> can confirm this one~` };
+    }
+    if (pending.status !== 'pending') {
+        return { success: false, reason: 'resolved', message: `That was already ${pending.status}~` };
+    }
+    if (pending.expired) {
+        statements.resolvePendingAction.run('expired', confirmationId);
+        return { success: false, reason: 'expired', message: 'Too slow~ That confirmation expired. Ask me again?' };
+    }
+
+    const isPlan = pending.command === PLAN_COMMAND;
+    const cmd = adminCommands.find(c => c.name === pending.command);
+    const match = JSON.parse(pending.match);
+    const context = {
+        userId: pending.actor_id,
+        channelId: pending.channel_id,
+        messageId: pending.message_id
+    };
+
+    // Their tier may have changed while the confirmation was waiting
+    const denied = isPlan ? checkPlanAccess(match, actorId) : checkCommandAccess(cmd, match, actorId);
+    if (denied) {
+        statements.resolvePendingAction.run('cancelled', confirmationId);
+        return denied;
+    }
+
+    // Claim it first so a double click can't run it twice
+    if (statements.resolvePendingAction.run('confirmed', confirmationId).changes === 0) {
+        return { success: false, reason: 'resolved', message: 'That was already handled~' };
+    }
+
+    try {
+        console.log(`[JARVIS] Confirmed #${confirmationId}: ${pending.command}`);
+        if (isPlan) {
+            return await runPlan(match, context, pending.raw_message);
+        }
+
+        const source = {
+            method: pending.method,
+            message: pending.raw_message,
+            intent: pending.intent ? JSON.parse(pending.intent) : null
         };
+
+        // Confirmed for later: store it now, it runs (and is audited) when it's due
+        if (pending.schedule) {
+            const schedule = JSON.parse(pending.schedule);
+            return scheduleCommand(cmd, match, { ...context, schedule: { ...schedule, runAt: new Date(schedule.runAt) } }, source);
+        }
+
+        return await executeAudited(cmd, match, context, source);
     } catch (error) {
-        console.error(`[JARVIS] LLM-assisted execution failed:`, error);
-        return {
-            matched: true,
-            command: cmd.name,
-            result: { success: false, message: `Oops, that didn't work: ${error.message}` }
+        console.error(`[JARVIS] Confirmed command failed:`, error);
+        return { success: false, message: `Oops, that didn't work: ${error.message}` };
+    }
+}
+
+/**
+ * Drop a parked command without running it
+ * @param {number} confirmationId - Pending action ID
+ * @param {string} actorId - Admin pressing Cancel
+ * @returns {{success: boolean, reason?: string, message: string}}
+ */
+export function cancelAdminAction(confirmationId, actorId) {
+    const pending = statements.getPendingAction.get(confirmationId);
+
+    if (!pending) {
+        return { success: false, reason: 'not_found', message: `There's nothing waiting for confirmation as #${confirmationId}~` };
+    }
+    if (pending.actor_id !== actorId) {
+        return { success: false, reason: 'not_owner', message: `Only <@${pending.actor_id}> can cancel this one~` };
+    }
+    if (statements.resolvePendingAction.run('cancelled', confirmationId).changes === 0) {
+        return { success: false, reason: 'resolved', message: `That was already ${pending.status}~` };
+    }
+
+    return { success: true, message: 'Cancelled~' };
+}
+
+// ============================================
+// SCHEDULING
+// ============================================
+
+/**
+ * Store a parsed command to run at its scheduled time
+ * @returns {{success: boolean, message: string, scheduledActionId: number}}
+ */
+function scheduleCommand(cmd, match, context, source) {
+    const { schedule } = context;
+
+    const scheduledActionId = createScheduledAction({
+        actorId: context.userId,
+        command: cmd.name,
+        match,
+        method: source.method,
+        intent: source.intent,
+        rawMessage: schedule.message,
+        channelId: context.channelId || null,
+        schedule
+    });
+
+    return {
+        success: true,
+        message: `🗓️ Scheduled **#${scheduledActionId}**: **${cmd.name}** \`${schedule.command}\` - ${describeScheduleTime(schedule)}~`,
+        scheduledActionId
+    };
+}
+
+/**
+ * When a schedule runs, as Discord timestamps
+ */
+function describeScheduleTime(schedule) {
+    const runAt = Math.floor(new Date(schedule.runAt).getTime() / 1000);
+    return schedule.recurrence
+        ? `**${schedule.phrase}**, starting <t:${runAt}:F>`
+        : `<t:${runAt}:F> (<t:${runAt}:R>)`;
+}
+
+/**
+ * Cancel a scheduled action from Jarvis (the Cancel button on its reply).
+ * Only the admin who scheduled it, or an owner, can cancel it.
+ * @param {number} actionId - Scheduled action ID
+ * @param {string} actorId - Admin cancelling it
+ * @returns {{success: boolean, message: string}}
+ */
+export function cancelScheduledCommand(actionId, actorId) {
+    const result = cancelScheduledAction(actionId, actorId, action =>
+        action.actor_id === actorId || getPermissionLevel(actorId) >= PermissionLevels.OWNER);
+
+    if (!result.success) {
+        const messages = {
+            not_found: `There's no scheduled action #${actionId}~`,
+            not_owner: `Only <@${result.action?.actor_id}> can cancel #${actionId}~`,
+            inactive: `#${actionId} is already ${result.action?.status}~`
         };
+        return { success: false, message: messages[result.reason] };
+    }
+
+    cancelScheduledAnnouncement(result.action);
+
+    return { success: true, message: `🗓️ Cancelled scheduled action #${actionId}~` };
+}
+
+/**
+ * Run a scheduled action through its command's executor. Access is checked
+ * again, since the admin's tier (or the audience's size) may have changed.
+ * @param {Object} action - Scheduled action row (JSON columns parsed)
+ * @returns {Promise<Object>} Command result
+ */
+export async function runScheduledAction(action) {
+    const cmd = adminCommands.find(c => c.name === action.command);
+    if (!cmd) {
+        return { success: false, message: `Unknown command **${action.command}**~` };
+    }
+
+    const denied = checkCommandAccess(cmd, action.match, action.actor_id);
+    if (denied) {
+        console.log(`[JARVIS] Scheduled #${action.id} denied for ${action.actor_id}`);
+        return denied;
+    }
+
+    const context = { userId: action.actor_id, channelId: action.channel_id, scheduledActionId: action.id };
+
+    return executeAudited(cmd, action.match, context, {
+        method: action.method,
+        message: action.raw_message,
+        intent: { ...action.intent, scheduledActionId: action.id }
+    });
+}
+
+// ============================================
+// MULTI-STEP PLANS
+// ============================================
+
+// Stored as the command of a parked plan; its match is the list of steps
+const PLAN_COMMAND = 'plan';
+
+// Most commands one message can chain
+const MAX_PLAN_STEPS = 5;
+
+// Commands that need a reply of their own (draft buttons, audit numbers, help text)
+const PLAN_EXCLUDED_COMMANDS = ['announce', 'undo', 'jarvis_help'];
+
+// Completed steps in these categories are undone when a later step fails
+const PLAN_ROLLBACK_CATEGORIES = ['bebits'];
+
+/**
+ * Whether a trailing schedule phrase is really the end of a free-text
+ * command's text ("announce: the shop restocks every Sunday", "note about
+ * @x: posts daily"). For those it only counts when set off with a dash.
+ */
+function isPartOfFreeText(message, schedule) {
+    if (!schedule.trailing || schedule.separated) return false;
+    return [message, schedule.command].some(text => findPatternMatch(text)?.cmd.freeText);
+}
+
+/**
+ * Find the first command pattern that matches a message
+ * @returns {{cmd: Object, match: Array, pattern: RegExp}|null}
+ */
+function findPatternMatch(message) {
+    for (const cmd of adminCommands) {
+        for (const pattern of cmd.patterns) {
+            const match = message.match(pattern);
+            if (match) {
+                return { cmd, match, pattern };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Split a message on commas, semicolons, "and" and "then" into plan steps.
+ * Pieces that don't match a command on their own are joined with the next
+ * ones ("make @x and Beboa rivals"), and it only counts as a plan if the
+ * whole message is covered - so "give @a 50 bebits, she earned it" stays a
+ * single command (and so does an announcement that happens to contain commas).
+ * @returns {Array|null} Steps ({ command, match, method, intent }), or null
+ */
+function splitIntoPlanSteps(message) {
+    // Odd entries are the separators, kept so joined pieces read as typed
+    const parts = message.split(/(\s*(?:[,;]\s*(?:and\s+)?(?:then\s+)?|\s(?:and\s+then|and|then)\s)\s*)/i);
+    if (parts.length < 3) {
+        return null;
+    }
+
+    const steps = [];
+    let start = 0;
+
+    while (start < parts.length) {
+        let text = '';
+        let found = null;
+        let end = start;
+
+        for (; end < parts.length && !found; end += 2) {
+            text += (end > start ? parts[end - 1] : '') + parts[end];
+            found = text.trim() ? findPatternMatch(text.trim()) : null;
+        }
+
+        if (!found) {
+            // A trailing separator ("bonk @a,") leaves nothing to run
+            if (text.trim()) return null;
+            break;
+        }
+        if (PLAN_EXCLUDED_COMMANDS.includes(found.cmd.name)) {
+            return null;
+        }
+
+        steps.push({
+            command: found.cmd.name,
+            match: [...found.match],
+            method: 'pattern',
+            intent: { command: found.cmd.name, pattern: found.pattern.source, groups: found.match.slice(1) }
+        });
+        start = end;
+    }
+
+    return steps.length > 1 ? steps : null;
+}
+
+/**
+ * Turn the LLM's ordered intents into plan steps. Each step's match starts
+ * with the segment it came from, so commands that read match[0] only see
+ * their own part of the message.
+ * @returns {Array|null} Steps, or null if the LLM named an unknown command
+ */
+function buildLLMPlan(llmIntent, message) {
+    const steps = [];
+
+    for (const intent of llmIntent.intents) {
+        if (!adminCommands.some(c => c.name === intent.command)) {
+            console.error(`[JARVIS] Unknown command from LLM: ${intent.command}`);
+            return null;
+        }
+        steps.push({
+            command: intent.command,
+            match: buildLLMMatch(intent.command, intent.params, intent.segment || message),
+            method: 'llm',
+            intent: {
+                command: intent.command,
+                params: intent.params,
+                segment: intent.segment,
+                confidence: llmIntent.confidence,
+                reasoning: llmIntent.reasoning
+            }
+        });
+    }
+
+    return steps;
+}
+
+/**
+ * Check every step of a plan against the admin's tier
+ * @returns {Object|null} Denial for the first step they can't run, or null
+ */
+function checkPlanAccess(steps, userId) {
+    for (const [index, step] of steps.entries()) {
+        const cmd = adminCommands.find(c => c.name === step.command);
+        const denied = cmd
+            ? checkCommandAccess(cmd, step.match, userId)
+            : { success: false, message: `Unknown command **${step.command}**~` };
+
+        if (denied) {
+            return { ...denied, message: `Step ${index + 1}: ${denied.message}` };
+        }
+    }
+    return null;
+}
+
+/**
+ * Park a plan for confirmation. Plans always confirm, since the admin should
+ * see how their message was split before anything runs.
+ * @param {Array} steps - { command, match, method, intent }, in order
+ * @param {Object} context - { userId, channelId, messageId, ... }
+ * @param {string} message - The admin's message
+ * @returns {Object} { success, message, confirmationId }, or a refusal
+ */
+function proposePlan(steps, context, message) {
+    if (context.dryRun) {
+        return { success: true, dryRun: true, steps };
+    }
+    if (steps.length > MAX_PLAN_STEPS) {
+        return { success: false, message: `That's ${steps.length} commands - I can chain at most ${MAX_PLAN_STEPS} at once~` };
+    }
+    if (context.schedule) {
+        return { success: false, message: 'I can only schedule one command at a time~ Send them separately?' };
     }
+
+    const excluded = steps.find(step => PLAN_EXCLUDED_COMMANDS.includes(step.command));
+    if (excluded) {
+        return { success: false, message: `**${excluded.command}** needs a message of its own - send it separately~` };
+    }
+
+    const denied = checkPlanAccess(steps, context.userId);
+    if (denied) {
+        console.log(`[JARVIS] ${context.userId} denied plan`);
+        return denied;
+    }
+
+    const lines = steps.map((step, index) => {
+        const cmd = adminCommands.find(c => c.name === step.command);
+        const preview = cmd.preview?.(step.match, context);
+        return `${index + 1}. **${cmd.name}** ${preview || `\`${step.match[0]}\``}`;
+    });
+    const preview = lines.join('\n');
+
+    const confirmationId = Number(statements.insertPendingAction.run({
+        actorId: context.userId,
+        command: PLAN_COMMAND,
+        match: JSON.stringify(steps),
+        method: steps[0].method,
+        intent: null,
+        rawMessage: message,
+        channelId: context.channelId || null,
+        messageId: context.messageId || null,
+        preview,
+        schedule: null,
+        ttl: `+${CONFIRMATION_TIMEOUT_MINUTES} minutes`
+    }).lastInsertRowid);
+
+    console.log(`[JARVIS] ${steps.length}-step plan awaiting confirmation #${confirmationId}`);
+
+    return {
+        success: true,
+        message: `📋 **Plan** - ${steps.length} steps, in order:\n${preview}\nPress **Confirm** within ${CONFIRMATION_TIMEOUT_MINUTES} minutes to run them all~`,
+        confirmationId
+    };
+}
+
+/**
+ * Run a confirmed plan step by step. The first failure stops the plan, and
+ * the Bebit steps that already ran are undone so balances aren't left half-changed.
+ * @param {Array} steps - { command, match, method, intent }, in order
+ * @param {Object} context - { userId, channelId, messageId }
+ * @param {string} message - The admin's message
+ * @returns {Promise<{success: boolean, message: string}>} One line per step
+ */
+async function runPlan(steps, context, message) {
+    const lines = [];
+    const completed = [];
+    let failedAt = null;
+
+    for (const [index, step] of steps.entries()) {
+        const cmd = adminCommands.find(c => c.name === step.command);
+        let result;
+
+        try {
+            result = await executeAudited(cmd, step.match, context, {
+                method: step.method,
+                message,
+                intent: { ...step.intent, planStep: index + 1 }
+            });
+        } catch (error) {
+            console.error(`[JARVIS] Plan step ${index + 1} (${step.command}) failed:`, error);
+            result = { success: false, message: `Oops, that didn't work: ${error.message}` };
+        }
+
+        const summary = result.message.split('\n')[0];
+        const auditTag = result.auditId ? ` *(#${result.auditId})*` : '';
+        lines.push(`${result.success ? '✅' : '❌'} ${index + 1}. **${cmd.name}** ${summary}${auditTag}`);
+
+        if (!result.success) {
+            failedAt = index;
+            break;
+        }
+        completed.push({ index, cmd, auditId: result.auditId });
+    }
+
+    if (failedAt === null) {
+        return { success: true, message: lines.join('\n') };
+    }
+
+    for (let index = failedAt + 1; index < steps.length; index++) {
+        lines.push(`⏭️ ${index + 1}. **${steps[index].command}** skipped`);
+    }
+
+    // Newest first, so each undo sees the balance its step left behind
+    for (const { index, cmd, auditId } of completed.reverse()) {
+        if (!PLAN_ROLLBACK_CATEGORIES.includes(cmd.category) || !auditId) continue;
+
+        const undone = undoAdminAction(auditId, context.userId);
+        lines.push(undone.success
+            ? `↩️ Rolled back step ${index + 1} (#${auditId})`
+            : `⚠️ Couldn't roll back step ${index + 1}: ${undone.message}`);
+    }
+
+    console.log(`[JARVIS] Plan stopped at step ${failedAt + 1}`);
+    return { success: false, message: `Stopped at step ${failedAt + 1}:\n${lines.join('\n')}` };
 }
 
 /**
@@ -1751,10 +3093,23 @@ export function getAdminCommandList() {
 }
 
 export default {
+    PermissionLevels,
+    PERMISSION_LEVEL_NAMES,
+    getPermissionLevel,
     canExecuteAdminCommands,
+    getCommandAccess,
     grantAdminPermission,
     revokeAdminPermission,
+    getAdminPermissions,
+    getPermissionRules,
+    setPermissionRule,
+    clearPermissionRule,
     parseAndExecuteAdminCommand,
+    confirmAdminAction,
+    cancelAdminAction,
+    undoAdminAction,
+    runScheduledAction,
+    cancelScheduledCommand,
     getAvailableAdminCommands,
     getAdminCommandList
 };
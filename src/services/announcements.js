@@ -0,0 +1,426 @@
+/**
+ * Announcements Service
+ *
+ * The pipeline behind Jarvis's `announce` command:
+ * 1. "announce: raffle tonight!" creates a draft, previewed to the admin
+ * 2. The admin edits it, has Beboa rewrite it in her voice, picks a ping
+ *    (@everyone, @here or a role) and optionally a time
+ * 3. Approve posts it to the announcement channel, or hands it to the
+ *    scheduler to post later (through the same `announce` command)
+ *
+ * Every post is written to the admin audit log. Only the admin who wrote a
+ * draft can change or approve it.
+ */
+
+import { config } from '../config.js';
+import db from '../database.js';
+import { chatCompletion } from './openrouter.js';
+import { recordAdminAction } from './auditLog.js';
+import { createScheduledAction } from './scheduledActions.js';
+import { BEBOA_SYSTEM_PROMPT } from '../utils/beboa-persona.js';
+
+export const AnnouncementStatus = {
+    DRAFT: 'draft',
+    POSTING: 'posting',
+    SCHEDULED: 'scheduled',
+    POSTED: 'posted',
+    CANCELLED: 'cancelled'
+};
+
+// Leaves room for the ping line within Discord's 2000 characters
+export const MAX_ANNOUNCEMENT_LENGTH = 1900;
+
+const REWRITE_PROMPT = `Rewrite the announcement below in your own voice, for the whole server.
+Keep every fact, date, time, link and name exactly as given.
+Don't add @everyone, @here or role pings - those are added separately.
+Keep it under ${MAX_ANNOUNCEMENT_LENGTH} characters. Reply with only the announcement text.`;
+
+const statements = {
+    insertAnnouncement: db.prepare(`
+        INSERT INTO announcements (actor_id, source_channel_id, raw_message, content, schedule, recurrence, timezone, run_at)
+        VALUES (@actorId, @sourceChannelId, @rawMessage, @content, @schedule, @recurrence, @timezone, @runAt)
+    `),
+
+    getAnnouncement: db.prepare(`
+        SELECT * FROM announcements WHERE id = ?
+    `),
+
+    updateDraft: db.prepare(`
+        UPDATE announcements
+        SET content = @content, rewritten = @rewritten, use_rewrite = @use_rewrite, ping = @ping,
+            schedule = @schedule, recurrence = @recurrence, timezone = @timezone, run_at = @run_at,
+            updated_at = datetime('now')
+        WHERE id = @id AND status = 'draft'
+    `),
+
+    setStatus: db.prepare(`
+        UPDATE announcements SET status = ?, updated_at = datetime('now')
+        WHERE id = ? AND status = ?
+    `),
+
+    markScheduled: db.prepare(`
+        UPDATE announcements
+        SET status = 'scheduled', scheduled_action_id = ?, updated_at = datetime('now')
+        WHERE id = ?
+    `),
+
+    cancelScheduled: db.prepare(`
+        UPDATE announcements SET status = 'cancelled', updated_at = datetime('now')
+        WHERE scheduled_action_id = ? AND status = 'scheduled'
+    `),
+
+    recordPost: db.prepare(`
+        UPDATE announcements
+        SET status = @status, channel_id = @channelId, message_id = @messageId,
+            post_count = post_count + 1, posted_at = datetime('now'), updated_at = datetime('now')
+        WHERE id = @id
+    `)
+};
+
+// Discord client used for posting (set once the bot is ready)
+let announcementClient = null;
+
+/**
+ * Give the service a Discord client so announcements can be posted
+ * @param {Client} client - Discord client
+ */
+export function initAnnouncements(client) {
+    announcementClient = client;
+}
+
+// ============================================
+// DRAFTS
+// ============================================
+
+/**
+ * Parse the JSON columns of an announcement row
+ */
+function parseAnnouncement(row) {
+    if (!row) return null;
+
+    return {
+        ...row,
+        recurrence: row.recurrence ? JSON.parse(row.recurrence) : null,
+        use_rewrite: row.use_rewrite === 1
+    };
+}
+
+/**
+ * The text that will actually be posted
+ * @param {Object} announcement
+ */
+export function getAnnouncementText(announcement) {
+    return announcement.use_rewrite && announcement.rewritten ? announcement.rewritten : announcement.content;
+}
+
+/**
+ * Get a single announcement
+ * @param {number} announcementId
+ * @returns {Object|null}
+ */
+export function getAnnouncement(announcementId) {
+    return parseAnnouncement(statements.getAnnouncement.get(announcementId));
+}
+
+/**
+ * Check an admin may change a draft
+ * @returns {{announcement?: Object, reason?: string}} reason: not_found, not_owner, resolved
+ */
+function getOwnDraft(announcementId, actorId) {
+    const announcement = getAnnouncement(announcementId);
+
+    if (!announcement) return { reason: 'not_found' };
+    if (announcement.actor_id !== actorId) return { reason: 'not_owner', announcement };
+    if (announcement.status !== AnnouncementStatus.DRAFT) return { reason: 'resolved', announcement };
+
+    return { announcement };
+}
+
+/**
+ * Start a draft announcement
+ * @param {Object} draft
+ * @param {string} draft.actorId - Admin writing it
+ * @param {string} draft.content - Announcement text
+ * @param {string|null} draft.sourceChannelId - Where it was asked for
+ * @param {string} draft.rawMessage - The admin's message
+ * @param {Object|null} draft.schedule - Result of parseSchedulePhrase, to post later
+ * @returns {Object} The draft
+ */
+export function createAnnouncementDraft({ actorId, content, sourceChannelId = null, rawMessage, schedule = null }) {
+    const result = statements.insertAnnouncement.run({
+        actorId,
+        sourceChannelId,
+        rawMessage,
+        content: content.slice(0, MAX_ANNOUNCEMENT_LENGTH),
+        schedule: schedule?.phrase || null,
+        recurrence: schedule?.recurrence ? JSON.stringify(schedule.recurrence) : null,
+        timezone: schedule?.timezone || null,
+        runAt: schedule ? schedule.runAt.toISOString() : null
+    });
+
+    console.log(`[ANNOUNCE] Draft #${result.lastInsertRowid} by ${actorId}`);
+    return getAnnouncement(Number(result.lastInsertRowid));
+}
+
+/**
+ * Change a draft
+ * @param {number} announcementId
+ * @param {string} actorId - Admin changing it (must be its author)
+ * @param {Object} changes - Any of content, rewritten, useRewrite, ping, schedule
+ *   (schedule: result of parseScheduleTime, or null to post on approval)
+ * @returns {{success: boolean, reason?: string, announcement?: Object}}
+ */
+export function updateAnnouncementDraft(announcementId, actorId, changes) {
+    const { announcement, reason } = getOwnDraft(announcementId, actorId);
+    if (reason) {
+        return { success: false, reason, announcement };
+    }
+
+    const row = {
+        id: announcementId,
+        content: announcement.content,
+        rewritten: announcement.rewritten,
+        use_rewrite: announcement.use_rewrite ? 1 : 0,
+        ping: announcement.ping,
+        schedule: announcement.schedule,
+        recurrence: announcement.recurrence ? JSON.stringify(announcement.recurrence) : null,
+        timezone: announcement.timezone,
+        run_at: announcement.run_at
+    };
+
+    if (changes.content !== undefined && changes.content !== announcement.content) {
+        // New text - an old rewrite no longer matches it
+        row.content = changes.content.slice(0, MAX_ANNOUNCEMENT_LENGTH);
+        row.rewritten = null;
+        row.use_rewrite = 0;
+    }
+    if (changes.rewritten !== undefined) row.rewritten = changes.rewritten;
+    if (changes.useRewrite !== undefined) row.use_rewrite = changes.useRewrite && row.rewritten ? 1 : 0;
+    if (changes.ping !== undefined) row.ping = changes.ping;
+    if (changes.schedule !== undefined) {
+        const schedule = changes.schedule;
+        row.schedule = schedule?.phrase || null;
+        row.recurrence = schedule?.recurrence ? JSON.stringify(schedule.recurrence) : null;
+        row.timezone = schedule?.timezone || null;
+        row.run_at = schedule ? schedule.runAt.toISOString() : null;
+    }
+
+    if (statements.updateDraft.run(row).changes === 0) {
+        return { success: false, reason: 'resolved' };
+    }
+
+    return { success: true, announcement: getAnnouncement(announcementId) };
+}
+
+/**
+ * Have Beboa rewrite a draft in her voice. The rewrite is used until the
+ * admin switches back to the original or edits the text.
+ * @param {number} announcementId
+ * @param {string} actorId - Admin asking (must be its author)
+ * @returns {Promise<{success: boolean, reason?: string, error?: string, announcement?: Object}>}
+ */
+export async function rewriteAnnouncement(announcementId, actorId) {
+    const { announcement, reason } = getOwnDraft(announcementId, actorId);
+    if (reason) {
+        return { success: false, reason, announcement };
+    }
+
+    const result = await chatCompletion([
+        { role: 'system', content: `${BEBOA_SYSTEM_PROMPT}\n\n${REWRITE_PROMPT}` },
+        { role: 'user', content: announcement.content }
+    ], { temperature: 0.8, maxTokens: 600 });
+
+    if (!result.success) {
+        console.error(`[ANNOUNCE] Rewrite of #${announcementId} failed:`, result.error);
+        return { success: false, reason: 'rewrite_failed', error: result.error };
+    }
+
+    return updateAnnouncementDraft(announcementId, actorId, {
+        rewritten: result.content.trim().slice(0, MAX_ANNOUNCEMENT_LENGTH),
+        useRewrite: true
+    });
+}
+
+/**
+ * Drop a draft without posting it
+ * @param {number} announcementId
+ * @param {string} actorId - Admin cancelling (must be its author)
+ * @returns {{success: boolean, reason?: string}}
+ */
+export function cancelAnnouncement(announcementId, actorId) {
+    const { reason } = getOwnDraft(announcementId, actorId);
+    if (reason) {
+        return { success: false, reason };
+    }
+
+    if (statements.setStatus.run(AnnouncementStatus.CANCELLED, announcementId, AnnouncementStatus.DRAFT).changes === 0) {
+        return { success: false, reason: 'resolved' };
+    }
+
+    return { success: true };
+}
+
+/**
+ * Cancel the announcement behind a scheduled action that was just cancelled
+ * (other commands are left alone)
+ * @param {Object} action - The cancelled scheduled action
+ */
+export function cancelScheduledAnnouncement(action) {
+    if (action.command !== 'announce') return;
+
+    if (statements.cancelScheduled.run(action.id).changes > 0) {
+        console.log(`[ANNOUNCE] Cancelled announcement for scheduled action #${action.id}`);
+    }
+}
+
+// ============================================
+// POSTING
+// ============================================
+
+/**
+ * Message options for the chosen ping. allowedMentions only ever lets the
+ * chosen ping through, whatever the text contains.
+ */
+function buildPostPayload(announcement) {
+    const text = getAnnouncementText(announcement);
+    const { ping } = announcement;
+
+    if (ping === 'everyone' || ping === 'here') {
+        return { content: `@${ping}\n${text}`, allowedMentions: { parse: ['everyone'] } };
+    }
+    if (ping.startsWith('role:')) {
+        const roleId = ping.slice('role:'.length);
+        return { content: `<@&${roleId}>\n${text}`, allowedMentions: { parse: [], roles: [roleId] } };
+    }
+
+    return { content: text, allowedMentions: { parse: [] } };
+}
+
+/**
+ * Approve a draft: post it now, or schedule it if it has a time
+ * @param {number} announcementId
+ * @param {string} actorId - Admin approving (must be its author)
+ * @returns {Promise<{success: boolean, reason?: string, message?: string, scheduledActionId?: number}>}
+ */
+export async function approveAnnouncement(announcementId, actorId) {
+    const { announcement, reason } = getOwnDraft(announcementId, actorId);
+    if (reason) {
+        return { success: false, reason };
+    }
+
+    // Claim it first so a double click can't post it twice
+    if (statements.setStatus.run(AnnouncementStatus.POSTING, announcementId, AnnouncementStatus.DRAFT).changes === 0) {
+        return { success: false, reason: 'resolved' };
+    }
+
+    if (announcement.run_at) {
+        const scheduledActionId = createScheduledAction({
+            actorId,
+            command: 'announce',
+            match: [announcement.raw_message, announcement.content, String(announcementId)],
+            method: 'button',
+            intent: { announcementId },
+            rawMessage: announcement.raw_message,
+            channelId: announcement.source_channel_id,
+            schedule: {
+                phrase: announcement.schedule,
+                runAt: new Date(announcement.run_at),
+                recurrence: announcement.recurrence,
+                timezone: announcement.timezone
+            }
+        });
+        statements.markScheduled.run(scheduledActionId, announcementId);
+
+        const runAt = Math.floor(new Date(announcement.run_at).getTime() / 1000);
+        return {
+            success: true,
+            message: `🗓️ Announcement #${announcementId} is scheduled as **#${scheduledActionId}** (${announcement.schedule}) - first post <t:${runAt}:F>~`,
+            scheduledActionId
+        };
+    }
+
+    const result = await publishAnnouncement(announcementId);
+    if (!result.success) {
+        // Let them try again
+        statements.setStatus.run(AnnouncementStatus.DRAFT, announcementId, AnnouncementStatus.POSTING);
+    }
+    return result;
+}
+
+/**
+ * Post an approved announcement to the announcement channel and audit it
+ * @param {number} announcementId
+ * @param {Object} options
+ * @param {number} [options.scheduledActionId] - Set when the scheduler is posting it
+ * @returns {Promise<{success: boolean, message: string, auditId?: number}>}
+ */
+export async function publishAnnouncement(announcementId, { scheduledActionId = null } = {}) {
+    const announcement = getAnnouncement(announcementId);
+    const expected = scheduledActionId ? AnnouncementStatus.SCHEDULED : AnnouncementStatus.POSTING;
+
+    if (!announcement || announcement.status !== expected) {
+        return { success: false, message: `Announcement #${announcementId} isn't waiting to be posted~` };
+    }
+
+    if (!announcementClient || !config.ANNOUNCEMENT_CHANNEL_ID) {
+        return { success: false, message: 'No announcement channel is set up~' };
+    }
+
+    let posted;
+    try {
+        const channel = await announcementClient.channels.fetch(config.ANNOUNCEMENT_CHANNEL_ID);
+        posted = await channel.send(buildPostPayload(announcement));
+    } catch (error) {
+        console.error(`[ANNOUNCE] Could not post #${announcementId}:`, error);
+        return { success: false, message: `Couldn't post announcement #${announcementId}: ${error.message}` };
+    }
+
+    // Recurring announcements stay scheduled for their next run
+    const status = announcement.recurrence ? AnnouncementStatus.SCHEDULED : AnnouncementStatus.POSTED;
+    statements.recordPost.run({
+        id: announcementId,
+        status,
+        channelId: config.ANNOUNCEMENT_CHANNEL_ID,
+        messageId: posted.id
+    });
+
+    const auditId = recordAdminAction({
+        actorId: announcement.actor_id,
+        command: 'announce',
+        method: scheduledActionId ? 'scheduled' : 'button',
+        intent: { announcementId, scheduledActionId, rewritten: announcement.use_rewrite },
+        rawMessage: announcement.raw_message,
+        before: { announcementId, status: announcement.status },
+        after: {
+            announcementId,
+            status,
+            channelId: config.ANNOUNCEMENT_CHANNEL_ID,
+            messageId: posted.id,
+            ping: announcement.ping
+        },
+        channelId: announcement.source_channel_id
+    });
+
+    console.log(`[ANNOUNCE] Posted #${announcementId} (ping: ${announcement.ping})`);
+
+    return {
+        success: true,
+        message: `📢 Posted announcement #${announcementId} in <#${config.ANNOUNCEMENT_CHANNEL_ID}>~ ${posted.url}`,
+        auditId
+    };
+}
+
+export default {
+    AnnouncementStatus,
+    MAX_ANNOUNCEMENT_LENGTH,
+    initAnnouncements,
+    getAnnouncementText,
+    getAnnouncement,
+    createAnnouncementDraft,
+    updateAnnouncementDraft,
+    rewriteAnnouncement,
+    cancelAnnouncement,
+    cancelScheduledAnnouncement,
+    approveAnnouncement,
+    publishAnnouncement
+};
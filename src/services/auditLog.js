@@ -0,0 +1,136 @@
+/**
+ * Admin Audit Log Service
+ *
+ * Persistent record of every state-changing Jarvis command: who ran it, what the
+ * parser understood (and how - LLM, pattern or intent), the raw message, the
+ * channel, and the affected state before and after.
+ *
+ * Reversible entries can be undone once. Marking an entry undone is a conditional
+ * update, so two admins clicking Undo at once can't both restore it.
+ */
+
+import db from '../database.js';
+
+export const AUDIT_PAGE_SIZE = 10;
+
+const statements = {
+    insertEntry: db.prepare(`
+        INSERT INTO admin_audit_log (actor_id, command, method, intent, raw_message, before_state, after_state, channel_id, reversible)
+        VALUES (@actorId, @command, @method, @intent, @rawMessage, @before, @after, @channelId, @reversible)
+    `),
+
+    getEntry: db.prepare(`
+        SELECT * FROM admin_audit_log WHERE id = ?
+    `),
+
+    getEntries: db.prepare(`
+        SELECT * FROM admin_audit_log
+        WHERE (@actorId IS NULL OR actor_id = @actorId)
+          AND (@command IS NULL OR command = @command)
+        ORDER BY id DESC
+        LIMIT @limit OFFSET @offset
+    `),
+
+    countEntries: db.prepare(`
+        SELECT COUNT(*) as count FROM admin_audit_log
+        WHERE (@actorId IS NULL OR actor_id = @actorId)
+          AND (@command IS NULL OR command = @command)
+    `),
+
+    markUndone: db.prepare(`
+        UPDATE admin_audit_log
+        SET undone_at = datetime('now'), undone_by = ?
+        WHERE id = ? AND reversible = 1 AND undone_at IS NULL
+    `)
+};
+
+/**
+ * Parse the JSON columns of an audit row
+ */
+function parseEntry(row) {
+    if (!row) return null;
+
+    return {
+        ...row,
+        intent: row.intent ? JSON.parse(row.intent) : null,
+        before_state: row.before_state ? JSON.parse(row.before_state) : null,
+        after_state: row.after_state ? JSON.parse(row.after_state) : null,
+        reversible: row.reversible === 1
+    };
+}
+
+/**
+ * Record a state-changing admin command
+ * @param {Object} entry
+ * @param {string} entry.actorId - Who ran the command
+ * @param {string} entry.command - Command name (e.g. give_bebits)
+ * @param {string} entry.method - How it was parsed: 'llm', 'pattern' or 'intent'
+ * @param {Object|null} entry.intent - What the parser extracted
+ * @param {string} entry.rawMessage - The admin's message
+ * @param {Object} entry.before - Affected state before the command
+ * @param {Object} entry.after - Affected state after the command
+ * @param {string|null} entry.channelId - Where the command was given
+ * @param {boolean} entry.reversible - Whether it can be undone
+ * @returns {number} Audit entry ID
+ */
+export function recordAdminAction({ actorId, command, method, intent = null, rawMessage, before, after, channelId = null, reversible = false }) {
+    const result = statements.insertEntry.run({
+        actorId,
+        command,
+        method,
+        intent: intent ? JSON.stringify(intent) : null,
+        rawMessage,
+        before: JSON.stringify(before),
+        after: JSON.stringify(after),
+        channelId,
+        reversible: reversible ? 1 : 0
+    });
+
+    console.log(`[AUDIT] #${result.lastInsertRowid} ${command} by ${actorId} (${method})`);
+    return Number(result.lastInsertRowid);
+}
+
+/**
+ * Get a single audit entry
+ * @param {number} auditId
+ * @returns {Object|null} Entry with JSON columns parsed
+ */
+export function getAuditEntry(auditId) {
+    return parseEntry(statements.getEntry.get(auditId));
+}
+
+/**
+ * Get audit entries, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} [filters.actorId] - Only commands run by this admin
+ * @param {string} [filters.command] - Only this command
+ * @param {number} limit - Page size
+ * @param {number} offset - Rows to skip
+ * @returns {{entries: Array, total: number}}
+ */
+export function getAuditEntries({ actorId = null, command = null } = {}, limit = AUDIT_PAGE_SIZE, offset = 0) {
+    const params = { actorId, command };
+
+    return {
+        entries: statements.getEntries.all({ ...params, limit, offset }).map(parseEntry),
+        total: statements.countEntries.get(params).count
+    };
+}
+
+/**
+ * Mark a reversible entry as undone
+ * @param {number} auditId
+ * @param {string} undoneBy - Admin who undid it
+ * @returns {boolean} False if it was already undone or isn't reversible
+ */
+export function markAuditUndone(auditId, undoneBy) {
+    return statements.markUndone.run(undoneBy, auditId).changes > 0;
+}
+
+export default {
+    AUDIT_PAGE_SIZE,
+    recordAdminAction,
+    getAuditEntry,
+    getAuditEntries,
+    markAuditUndone
+};
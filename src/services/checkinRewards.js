@@ -0,0 +1,246 @@
+/**
+ * Check-in Reward Engine
+ *
+ * Calculates how many Bebits a check-in is worth:
+ * - Base reward (editable by admins)
+ * - Streak multipliers that kick in at configured streak lengths
+ * - One-off milestone bonuses (7/30/100/365 days by default), paid once per streak
+ *
+ * All settings live in the database so they can be tuned without a deploy.
+ */
+
+import db, { getUser, updateUser, applyBebitDelta, TransactionReasons } from '../database.js';
+
+const statements = {
+    getSettings: db.prepare(`
+        SELECT * FROM checkin_reward_settings WHERE id = 1
+    `),
+
+    setBaseReward: db.prepare(`
+        UPDATE checkin_reward_settings SET base_reward = ?, updated_at = datetime('now') WHERE id = 1
+    `),
+
+    getMultipliers: db.prepare(`
+        SELECT min_streak, multiplier FROM streak_multipliers ORDER BY min_streak ASC
+    `),
+
+    upsertMultiplier: db.prepare(`
+        INSERT INTO streak_multipliers (min_streak, multiplier, updated_at)
+        VALUES (?, ?, datetime('now'))
+        ON CONFLICT(min_streak) DO UPDATE SET
+            multiplier = excluded.multiplier,
+            updated_at = datetime('now')
+    `),
+
+    deleteMultiplier: db.prepare(`
+        DELETE FROM streak_multipliers WHERE min_streak = ?
+    `),
+
+    getMilestones: db.prepare(`
+        SELECT days, bonus, message FROM streak_milestones ORDER BY days ASC
+    `),
+
+    getMilestone: db.prepare(`
+        SELECT days, bonus, message FROM streak_milestones WHERE days = ?
+    `),
+
+    upsertMilestone: db.prepare(`
+        INSERT INTO streak_milestones (days, bonus, message, updated_at)
+        VALUES (?, ?, ?, datetime('now'))
+        ON CONFLICT(days) DO UPDATE SET
+            bonus = excluded.bonus,
+            message = excluded.message,
+            updated_at = datetime('now')
+    `),
+
+    deleteMilestone: db.prepare(`
+        DELETE FROM streak_milestones WHERE days = ?
+    `),
+
+    claimMilestone: db.prepare(`
+        INSERT OR IGNORE INTO user_milestones (user_id, milestone_days, streak_started_at, bonus)
+        VALUES (?, ?, ?, ?)
+    `),
+
+    getUserMilestones: db.prepare(`
+        SELECT milestone_days, bonus, streak_started_at, awarded_at
+        FROM user_milestones
+        WHERE user_id = ?
+        ORDER BY awarded_at DESC
+        LIMIT ?
+    `)
+};
+
+// ============================================
+// SETTINGS
+// ============================================
+
+/**
+ * Get the full reward configuration
+ * @returns {{baseReward: number, multipliers: Array, milestones: Array}}
+ */
+export function getRewardConfig() {
+    const settings = statements.getSettings.get();
+
+    return {
+        baseReward: settings?.base_reward ?? 1,
+        multipliers: statements.getMultipliers.all(),
+        milestones: statements.getMilestones.all()
+    };
+}
+
+/**
+ * Set the base reward per check-in
+ * @param {number} amount - Bebits awarded before multipliers
+ */
+export function setBaseReward(amount) {
+    statements.setBaseReward.run(amount);
+    console.log(`[CHECKIN_REWARDS] Base reward set to ${amount}`);
+}
+
+/**
+ * Set (or remove) a streak multiplier
+ * @param {number} minStreak - Streak length at which the multiplier applies
+ * @param {number|null} multiplier - Multiplier, or null to remove the tier
+ */
+export function setStreakMultiplier(minStreak, multiplier) {
+    if (multiplier === null) {
+        statements.deleteMultiplier.run(minStreak);
+        console.log(`[CHECKIN_REWARDS] Removed multiplier at ${minStreak} days`);
+        return;
+    }
+
+    statements.upsertMultiplier.run(minStreak, multiplier);
+    console.log(`[CHECKIN_REWARDS] Multiplier at ${minStreak} days set to ${multiplier}x`);
+}
+
+/**
+ * Set a streak milestone bonus
+ * @param {number} days - Streak length that triggers the milestone
+ * @param {number} bonus - Bonus Bebits
+ * @param {string|null} message - Custom announcement (null for the default persona message)
+ */
+export function setStreakMilestone(days, bonus, message = null) {
+    statements.upsertMilestone.run(days, bonus, message);
+    console.log(`[CHECKIN_REWARDS] Milestone at ${days} days set to +${bonus}`);
+}
+
+/**
+ * Remove a streak milestone
+ * @param {number} days - Milestone to remove
+ * @returns {boolean} True if a milestone was removed
+ */
+export function removeStreakMilestone(days) {
+    const result = statements.deleteMilestone.run(days);
+    return result.changes > 0;
+}
+
+// ============================================
+// REWARD CALCULATION
+// ============================================
+
+/**
+ * Find the multiplier for a given streak length
+ * @param {number} streak - Streak length after this check-in
+ * @param {Array} multipliers - Multiplier tiers sorted by min_streak
+ * @returns {number} Multiplier (1 if no tier applies)
+ */
+function getMultiplierForStreak(streak, multipliers) {
+    let multiplier = 1;
+    for (const tier of multipliers) {
+        if (streak >= tier.min_streak) {
+            multiplier = tier.multiplier;
+        }
+    }
+    return multiplier;
+}
+
+/**
+ * Calculate what a check-in is worth (without milestone claim checks)
+ * @param {number} streak - Streak length after this check-in
+ * @returns {Object} Reward breakdown
+ */
+export function calculateCheckinReward(streak) {
+    const { baseReward, multipliers } = getRewardConfig();
+    const multiplier = getMultiplierForStreak(streak, multipliers);
+    const streakReward = Math.max(0, Math.round(baseReward * multiplier));
+    const milestone = statements.getMilestone.get(streak) || null;
+
+    return {
+        baseReward,
+        multiplier,
+        streakReward,
+        milestone
+    };
+}
+
+/**
+ * Apply a check-in atomically: calculate the reward, claim any milestone
+ * for this streak, and persist the user's new state.
+ *
+ * @param {string} discordId - Discord user ID
+ * @param {Object} checkin - New streak state
+ * @param {number} checkin.streak - Streak length after this check-in
+ * @param {string} checkin.streakStartedAt - When the current streak began
+ * @param {string} checkin.timestamp - ISO8601 timestamp of this check-in
+ * @returns {Object} Reward breakdown with total earned and new balance
+ */
+export const processCheckinReward = db.transaction((discordId, { streak, streakStartedAt, timestamp }) => {
+    const user = getUser(discordId);
+    const reward = calculateCheckinReward(streak);
+
+    // Milestones pay out once per streak
+    let milestoneBonus = 0;
+    let milestone = null;
+    if (reward.milestone) {
+        const claim = statements.claimMilestone.run(discordId, reward.milestone.days, streakStartedAt, reward.milestone.bonus);
+        if (claim.changes > 0) {
+            milestone = reward.milestone;
+            milestoneBonus = reward.milestone.bonus;
+        }
+    }
+
+    const earned = reward.streakReward + milestoneBonus;
+
+    applyBebitDelta(discordId, reward.streakReward, TransactionReasons.CHECKIN, null, `Streak day ${streak}`);
+    if (milestoneBonus > 0) {
+        applyBebitDelta(discordId, milestoneBonus, TransactionReasons.MILESTONE, null, `${milestone.days} day milestone`);
+    }
+    const newBalance = user.bebits + earned;
+
+    updateUser(discordId, {
+        current_streak: streak,
+        last_checkin: timestamp,
+        total_checkins: user.total_checkins + 1,
+        streak_started_at: streakStartedAt
+    });
+
+    return {
+        ...reward,
+        milestone,
+        milestoneBonus,
+        earned,
+        newBalance
+    };
+});
+
+/**
+ * Get milestones a user has been awarded
+ * @param {string} discordId - Discord user ID
+ * @param {number} limit - Max rows to return
+ * @returns {Array} Awarded milestones, newest first
+ */
+export function getUserMilestones(discordId, limit = 10) {
+    return statements.getUserMilestones.all(discordId, limit);
+}
+
+export default {
+    getRewardConfig,
+    setBaseReward,
+    setStreakMultiplier,
+    setStreakMilestone,
+    removeStreakMilestone,
+    calculateCheckinReward,
+    processCheckinReward,
+    getUserMilestones
+};
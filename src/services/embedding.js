@@ -1,66 +1,25 @@
 /**
  * Embedding Service
- * Handles text-to-vector conversion using OpenRouter API
+ * Handles text-to-vector conversion through the shared LLM client
  * Used for semantic memory search and context retrieval
  */
 
 import { config } from '../config.js';
-
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/embeddings';
+import { LLMPurpose, embed, isLLMConfigured } from './llmClient.js';
 
 /**
- * Generate embeddings for text using OpenRouter
+ * Generate embeddings for text
  * @param {string|string[]} input - Text or array of texts to embed
  * @returns {Promise<{success: boolean, embeddings?: number[][], error?: string}>}
  */
 export async function generateEmbedding(input) {
-    if (!config.OPENROUTER_API_KEY) {
-        return { success: false, error: 'OpenRouter API key not configured' };
-    }
-
-    const texts = Array.isArray(input) ? input : [input];
-
-    try {
-        const response = await fetch(OPENROUTER_API_URL, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${config.OPENROUTER_API_KEY}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': 'https://discord.gg/bubblebebe',
-                'X-Title': 'Beboa Discord Bot'
-            },
-            body: JSON.stringify({
-                model: config.EMBEDDING_MODEL,
-                input: texts
-            })
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            console.error('[EMBEDDING] API Error:', response.status, errorData);
-            return { success: false, error: `API returned ${response.status}` };
-        }
+    const result = await embed(input);
 
-        const data = await response.json();
-        const embeddings = data.data?.map(item => item.embedding) || [];
-
-        if (embeddings.length === 0) {
-            return { success: false, error: 'No embeddings returned' };
-        }
-
-        console.log(`[EMBEDDING] Generated ${embeddings.length} embeddings (dim: ${embeddings[0]?.length})`);
-
-        return {
-            success: true,
-            embeddings: embeddings,
-            model: data.model || config.EMBEDDING_MODEL,
-            usage: data.usage
-        };
-
-    } catch (error) {
-        console.error('[EMBEDDING] Request failed:', error);
-        return { success: false, error: error.message };
+    if (result.success) {
+        console.log(`[EMBEDDING] Generated ${result.embeddings.length} embeddings (dim: ${result.embeddings[0]?.length})`);
     }
+
+    return result;
 }
 
 /**
@@ -112,7 +71,7 @@ export function findSimilar(queryEmbedding, items, topK = 5, threshold = 0.3) {
  * @returns {boolean}
  */
 export function isEmbeddingAvailable() {
-    return !!(config.OPENROUTER_API_KEY && config.EMBEDDING_MODEL);
+    return isLLMConfigured(LLMPurpose.EMBEDDING) && !!config.EMBEDDING_MODEL;
 }
 
 export default {
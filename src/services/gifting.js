@@ -0,0 +1,225 @@
+/**
+ * Member Gifting Service
+ *
+ * Lets members send Bebits to each other with guard rails:
+ * - Daily send/receive caps (rolling 24 hours, counted from the ledger)
+ * - Brand-new Discord accounts and server members can't send or receive
+ * - Gifts run as one atomic transaction through the Bebit ledger
+ * - Unusual patterns (funneling, ping-pong, maxing out caps) are flagged for admins
+ */
+
+import { config } from '../config.js';
+import db, { getUser, transferBebits, TransactionReasons } from '../database.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Don't repeat the same alert about the same user more than once a day
+const ALERT_COOLDOWN_MS = DAY_MS;
+const recentAlerts = new Map();
+
+const statements = {
+    getSentToday: db.prepare(`
+        SELECT COALESCE(SUM(-delta), 0) as total FROM bebit_transactions
+        WHERE user_id = ? AND reason = 'gift' AND delta < 0
+          AND created_at >= datetime('now', '-1 day')
+    `),
+
+    getReceivedToday: db.prepare(`
+        SELECT COALESCE(SUM(delta), 0) as total FROM bebit_transactions
+        WHERE user_id = ? AND reason = 'gift' AND delta > 0
+          AND created_at >= datetime('now', '-1 day')
+    `),
+
+    getDistinctSendersToday: db.prepare(`
+        SELECT COUNT(DISTINCT actor_id) as count FROM bebit_transactions
+        WHERE user_id = ? AND reason = 'gift' AND delta > 0
+          AND created_at >= datetime('now', '-1 day')
+    `),
+
+    getGiftsBetweenToday: db.prepare(`
+        SELECT COALESCE(SUM(delta), 0) as total FROM bebit_transactions
+        WHERE user_id = ? AND actor_id = ? AND reason = 'gift' AND delta > 0
+          AND created_at >= datetime('now', '-1 day')
+    `)
+};
+
+// ============================================
+// LIMITS
+// ============================================
+
+/**
+ * Get how much a user has sent and received in the last 24 hours
+ * @param {string} discordId - Discord user ID
+ * @returns {{sent: number, received: number, sendRemaining: number, receiveRemaining: number}}
+ */
+export function getGiftUsage(discordId) {
+    const sent = statements.getSentToday.get(discordId).total;
+    const received = statements.getReceivedToday.get(discordId).total;
+
+    return {
+        sent,
+        received,
+        sendRemaining: Math.max(0, config.GIFT_DAILY_SEND_LIMIT - sent),
+        receiveRemaining: Math.max(0, config.GIFT_DAILY_RECEIVE_LIMIT - received)
+    };
+}
+
+/**
+ * Check whether a Discord account/member is old enough to take part in gifting
+ * @param {User} user - Discord user
+ * @param {GuildMember|null} member - Guild member (for join date)
+ * @returns {boolean}
+ */
+export function isAccountEligible(user, member) {
+    const accountAge = Date.now() - user.createdTimestamp;
+    if (accountAge < config.GIFT_MIN_ACCOUNT_AGE_DAYS * DAY_MS) {
+        return false;
+    }
+
+    if (member?.joinedTimestamp) {
+        const memberAge = Date.now() - member.joinedTimestamp;
+        if (memberAge < config.GIFT_MIN_MEMBER_DAYS * DAY_MS) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Validate a gift against balances and daily caps
+ * @param {string} senderId - Sender's Discord ID
+ * @param {string} recipientId - Recipient's Discord ID
+ * @param {number} amount - Bebits to send
+ * @returns {{success: boolean, reason?: string, limit?: number, balance?: number}}
+ */
+export function validateGift(senderId, recipientId, amount) {
+    if (senderId === recipientId) {
+        return { success: false, reason: 'self' };
+    }
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+        return { success: false, reason: 'invalid_amount' };
+    }
+
+    const sender = getUser(senderId);
+    if (sender.bebits < amount) {
+        return { success: false, reason: 'insufficient_bebits', balance: sender.bebits };
+    }
+
+    const senderUsage = getGiftUsage(senderId);
+    if (amount > senderUsage.sendRemaining) {
+        return { success: false, reason: 'send_limit', limit: senderUsage.sendRemaining };
+    }
+
+    const recipientUsage = getGiftUsage(recipientId);
+    if (amount > recipientUsage.receiveRemaining) {
+        return { success: false, reason: 'receive_limit', limit: recipientUsage.receiveRemaining };
+    }
+
+    return { success: true };
+}
+
+// ============================================
+// GIFTING
+// ============================================
+
+/**
+ * Send a gift atomically: limits are re-checked inside the transaction so
+ * stale confirmations or double-clicks can't exceed them.
+ *
+ * @param {string} senderId - Sender's Discord ID
+ * @param {string} recipientId - Recipient's Discord ID
+ * @param {number} amount - Bebits to send
+ * @returns {Object} { success, reason?, senderBalance, recipientBalance, alerts }
+ */
+export const processGift = db.transaction((senderId, recipientId, amount) => {
+    const validation = validateGift(senderId, recipientId, amount);
+    if (!validation.success) {
+        return validation;
+    }
+
+    const { fromBalance, toBalance } = transferBebits(senderId, recipientId, amount, senderId, TransactionReasons.GIFT);
+
+    console.log(`[GIFTING] ${senderId} gave ${amount} bebits to ${recipientId}`);
+
+    return {
+        success: true,
+        senderBalance: fromBalance,
+        recipientBalance: toBalance,
+        alerts: detectUnusualPatterns(senderId, recipientId)
+    };
+});
+
+// ============================================
+// ANOMALY DETECTION
+// ============================================
+
+/**
+ * Look for transfer patterns admins should know about.
+ * Each alert fires at most once per user per day.
+ *
+ * @param {string} senderId - Sender's Discord ID
+ * @param {string} recipientId - Recipient's Discord ID
+ * @returns {Array<{type: string, description: string}>} New alerts
+ */
+export function detectUnusualPatterns(senderId, recipientId) {
+    const alerts = [];
+
+    // Many different members funneling bebits to one account
+    const distinctSenders = statements.getDistinctSendersToday.get(recipientId).count;
+    if (config.GIFT_ALERT_DISTINCT_SENDERS > 0 && distinctSenders >= config.GIFT_ALERT_DISTINCT_SENDERS) {
+        alerts.push({
+            type: 'funneling',
+            userId: recipientId,
+            description: `<@${recipientId}> received gifts from **${distinctSenders}** different members in 24h`
+        });
+    }
+
+    // Bebits going back and forth between the same two members
+    const returned = statements.getGiftsBetweenToday.get(senderId, recipientId).total;
+    if (returned > 0) {
+        alerts.push({
+            type: 'ping_pong',
+            userId: [senderId, recipientId].sort().join(':'),
+            description: `<@${senderId}> is gifting back to <@${recipientId}>, who sent them ${returned} bebits in the last 24h`
+        });
+    }
+
+    // Someone maxing out their daily caps
+    const senderUsage = getGiftUsage(senderId);
+    if (senderUsage.sendRemaining === 0) {
+        alerts.push({
+            type: 'send_cap',
+            userId: senderId,
+            description: `<@${senderId}> hit the daily send cap (${config.GIFT_DAILY_SEND_LIMIT})`
+        });
+    }
+
+    const recipientUsage = getGiftUsage(recipientId);
+    if (recipientUsage.receiveRemaining === 0) {
+        alerts.push({
+            type: 'receive_cap',
+            userId: recipientId,
+            description: `<@${recipientId}> hit the daily receive cap (${config.GIFT_DAILY_RECEIVE_LIMIT})`
+        });
+    }
+
+    return alerts.filter(alert => {
+        const key = `${alert.type}:${alert.userId}`;
+        const lastAlert = recentAlerts.get(key);
+        if (lastAlert && Date.now() - lastAlert < ALERT_COOLDOWN_MS) {
+            return false;
+        }
+        recentAlerts.set(key, Date.now());
+        return true;
+    });
+}
+
+export default {
+    getGiftUsage,
+    isAccountEligible,
+    validateGift,
+    processGift,
+    detectUnusualPatterns
+};
@@ -0,0 +1,269 @@
+/**
+ * Inventory & Streak Protection
+ *
+ * Consumable items bought from the shop and the effects they apply:
+ * - Streak freezes: held in inventory, spent automatically when a check-in
+ *   misses the grace period (one freeze covers one missed day)
+ * - Streak repair: restores a streak lost in the last few days
+ * - Timed roles: a Discord role for a number of hours (see roleRewards.js)
+ */
+
+import db, { getUser } from '../database.js';
+import { getCurrentTimestamp, STREAK_REPAIR_WINDOW_MS } from '../utils/time.js';
+import { grantTimedRole } from './roleRewards.js';
+
+export const ITEMS = {
+    STREAK_FREEZE: 'streak_freeze'
+};
+
+// Max freezes a user can hold at once
+export const MAX_STREAK_FREEZES = 3;
+
+const statements = {
+    getItem: db.prepare(`
+        SELECT quantity FROM user_inventory WHERE user_id = ? AND item_id = ?
+    `),
+
+    getInventory: db.prepare(`
+        SELECT item_id, quantity FROM user_inventory WHERE user_id = ? AND quantity > 0
+    `),
+
+    addItem: db.prepare(`
+        INSERT INTO user_inventory (user_id, item_id, quantity, updated_at)
+        VALUES (?, ?, ?, datetime('now'))
+        ON CONFLICT(user_id, item_id) DO UPDATE SET
+            quantity = quantity + excluded.quantity,
+            updated_at = datetime('now')
+    `),
+
+    removeItem: db.prepare(`
+        UPDATE user_inventory
+        SET quantity = quantity - ?, updated_at = datetime('now')
+        WHERE user_id = ? AND item_id = ? AND quantity >= ?
+    `),
+
+    recordLostStreak: db.prepare(`
+        UPDATE users
+        SET lost_streak = ?, lost_streak_started_at = ?, streak_lost_at = ?
+        WHERE discord_id = ?
+    `),
+
+    repairStreak: db.prepare(`
+        UPDATE users
+        SET current_streak = current_streak + lost_streak,
+            best_streak = MAX(COALESCE(best_streak, 0), current_streak + lost_streak),
+            streak_started_at = lost_streak_started_at,
+            lost_streak = 0,
+            lost_streak_started_at = NULL,
+            streak_lost_at = NULL
+        WHERE discord_id = ?
+    `)
+};
+
+// ============================================
+// INVENTORY
+// ============================================
+
+/**
+ * Get how many of an item a user holds
+ * @param {string} discordId - Discord user ID
+ * @param {string} itemId - Item identifier
+ * @returns {number} Quantity held
+ */
+export function getItemCount(discordId, itemId) {
+    return statements.getItem.get(discordId, itemId)?.quantity || 0;
+}
+
+/**
+ * Get all items a user holds
+ * @param {string} discordId - Discord user ID
+ * @returns {Array} Items with quantity > 0
+ */
+export function getInventory(discordId) {
+    return statements.getInventory.all(discordId);
+}
+
+/**
+ * Give a user some of an item
+ * @param {string} discordId - Discord user ID
+ * @param {string} itemId - Item identifier
+ * @param {number} quantity - Amount to add
+ * @returns {number} New quantity held
+ */
+export function addItem(discordId, itemId, quantity = 1) {
+    statements.addItem.run(discordId, itemId, quantity);
+    return getItemCount(discordId, itemId);
+}
+
+/**
+ * Take some of an item from a user
+ * @param {string} discordId - Discord user ID
+ * @param {string} itemId - Item identifier
+ * @param {number} quantity - Amount to remove
+ * @returns {boolean} False if the user didn't hold enough
+ */
+export function removeItem(discordId, itemId, quantity = 1) {
+    const result = statements.removeItem.run(quantity, discordId, itemId, quantity);
+    return result.changes > 0;
+}
+
+// ============================================
+// STREAK FREEZES
+// ============================================
+
+/**
+ * Get how many streak freezes a user holds
+ * @param {string} discordId - Discord user ID
+ * @returns {number}
+ */
+export function getStreakFreezes(discordId) {
+    return getItemCount(discordId, ITEMS.STREAK_FREEZE);
+}
+
+/**
+ * Spend freezes to cover missed days.
+ * Freezes melt one per missed day as they are needed, so a user who was away
+ * longer than their freezes cover still loses them along with the streak.
+ *
+ * @param {string} discordId - Discord user ID
+ * @param {number} missedDays - Days missed beyond the grace period
+ * @returns {{used: number, saved: boolean}} Freezes spent and whether the streak survived
+ */
+export const useStreakFreezes = db.transaction((discordId, missedDays) => {
+    const held = getStreakFreezes(discordId);
+    const used = Math.min(held, missedDays);
+
+    if (used > 0) {
+        removeItem(discordId, ITEMS.STREAK_FREEZE, used);
+        console.log(`[INVENTORY] ${discordId} spent ${used} streak freeze(s) for ${missedDays} missed day(s)`);
+    }
+
+    return { used, saved: missedDays > 0 && used >= missedDays };
+});
+
+// ============================================
+// STREAK REPAIR
+// ============================================
+
+/**
+ * Remember a streak that was just lost so it can be repaired later
+ * @param {string} discordId - Discord user ID
+ * @param {number} lostStreak - Streak length before the reset
+ * @param {string|null} streakStartedAt - When the lost streak began
+ */
+export function recordLostStreak(discordId, lostStreak, streakStartedAt) {
+    if (!lostStreak || lostStreak <= 0) return;
+    statements.recordLostStreak.run(lostStreak, streakStartedAt, getCurrentTimestamp(), discordId);
+}
+
+/**
+ * Get the user's repairable streak, if any
+ * @param {Object} user - User row
+ * @returns {{lostStreak: number, expiresAt: Date}|null}
+ */
+export function getRepairableStreak(user) {
+    if (!user?.lost_streak || !user.streak_lost_at) return null;
+    const expiresAt = new Date(new Date(user.streak_lost_at).getTime() + STREAK_REPAIR_WINDOW_MS);
+    if (Date.now() > expiresAt.getTime()) return null;
+
+    return { lostStreak: user.lost_streak, expiresAt };
+}
+
+/**
+ * Restore a lost streak on top of whatever has been built since the reset
+ * @param {string} discordId - Discord user ID
+ * @returns {{success: boolean, reason?: string, streak?: number}}
+ */
+export function repairStreak(discordId) {
+    const user = getUser(discordId);
+    const repairable = getRepairableStreak(user);
+
+    if (!repairable) {
+        return { success: false, reason: 'nothing_to_repair' };
+    }
+
+    statements.repairStreak.run(discordId);
+    const streak = user.current_streak + repairable.lostStreak;
+
+    console.log(`[INVENTORY] ${discordId} repaired a ${repairable.lostStreak} day streak (now ${streak})`);
+
+    return { success: true, streak };
+}
+
+// ============================================
+// REWARD EFFECTS
+// ============================================
+
+/**
+ * Check whether a shop item can currently be bought by a user
+ * @param {Object} reward - Reward definition with an `effect`
+ * @param {Object} user - User row
+ * @returns {{success: boolean, reason?: string}}
+ */
+export function canApplyRewardEffect(reward, user) {
+    switch (reward.effect) {
+        case 'streak_freeze':
+            if (getStreakFreezes(user.discord_id) >= MAX_STREAK_FREEZES) {
+                return { success: false, reason: 'inventory_full' };
+            }
+            return { success: true };
+
+        case 'streak_repair':
+            if (!getRepairableStreak(user)) {
+                return { success: false, reason: 'nothing_to_repair' };
+            }
+            return { success: true };
+
+        case 'timed_role':
+            if (!reward.role_id || !reward.role_hours) {
+                return { success: false, reason: 'role_not_configured' };
+            }
+            return { success: true };
+
+        default:
+            return { success: true };
+    }
+}
+
+/**
+ * Apply a shop item's effect. Runs inside the redemption transaction, so a
+ * failure here leaves the user's balance untouched.
+ *
+ * @param {Object} reward - Reward definition with an `effect`
+ * @param {string} discordId - Discord user ID
+ * @returns {{success: boolean, reason?: string, freezes?: number, streak?: number}}
+ */
+export function applyRewardEffect(reward, discordId) {
+    const check = canApplyRewardEffect(reward, getUser(discordId));
+    if (!check.success) return check;
+
+    switch (reward.effect) {
+        case 'streak_freeze':
+            return { success: true, freezes: addItem(discordId, ITEMS.STREAK_FREEZE, 1) };
+
+        case 'streak_repair':
+            return repairStreak(discordId);
+
+        case 'timed_role':
+            return grantTimedRole(discordId, reward.role_id, reward.role_hours);
+
+        default:
+            return { success: true };
+    }
+}
+
+export default {
+    ITEMS,
+    MAX_STREAK_FREEZES,
+    getItemCount,
+    getInventory,
+    addItem,
+    removeItem,
+    getStreakFreezes,
+    useStreakFreezes,
+    recordLostStreak,
+    getRepairableStreak,
+    repairStreak,
+    canApplyRewardEffect,
+    applyRewardEffect
+};
@@ -0,0 +1,504 @@
+/**
+ * LLM Client
+ * The one path every model call takes - chat, the evaluator, the summarizer,
+ * image generation and embeddings. A call names its purpose, which picks the
+ * model and provider; the client adds timeouts, retries with backoff on
+ * 429/5xx and network errors, and counts tokens per purpose and model.
+ * Chat replies can be streamed with completeStream().
+ *
+ * Providers only send a request and report what came back, so anything
+ * OpenAI-compatible - OpenRouter, a local server, a test stub - can be
+ * dropped in with setProvider().
+ */
+
+import { config } from '../config.js';
+
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+const TOGETHER_BASE_URL = 'https://api.together.xyz/v1';
+
+export const LLMPurpose = {
+    CHAT: 'chat',
+    EVALUATOR: 'evaluator',
+    SUMMARIZER: 'summarizer',
+    IMAGE: 'image',
+    EMBEDDING: 'embedding'
+};
+
+// Config setting holding each purpose's default model
+const PURPOSE_MODEL_SETTINGS = {
+    [LLMPurpose.CHAT]: 'OPENROUTER_MODEL',
+    [LLMPurpose.EVALUATOR]: 'LLM_EVALUATOR_MODEL',
+    [LLMPurpose.SUMMARIZER]: 'SUMMARIZER_MODEL',
+    [LLMPurpose.IMAGE]: 'IMAGE_MODEL',
+    [LLMPurpose.EMBEDDING]: 'EMBEDDING_MODEL'
+};
+
+// Image generation routinely takes longer than LLM_TIMEOUT_MS
+const PURPOSE_TIMEOUTS = {
+    [LLMPurpose.IMAGE]: 120000
+};
+
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Shown in logs and status
+ * @property {() => boolean} isConfigured - Whether it can take requests
+ * @property {(endpoint: string, body: Object, options: {signal: AbortSignal}) => Promise<{status: number, data: Object|null, retryAfter?: number|null}>} send
+ *   POST `body` to `endpoint` ('/chat/completions', '/embeddings', ...). Throws only
+ *   when there's no response at all (network error, timeout).
+ * @property {(endpoint: string, body: Object, options: {signal: AbortSignal}) => Promise<{status: number, data?: Object|null, retryAfter?: number|null, events?: AsyncIterable<Object>}>} [stream]
+ *   Optional. Like send, but a successful response carries `events` - the parsed
+ *   chunks of a streamed completion. Without it, completeStream() falls back to
+ *   complete() and hands over the reply in one piece.
+ */
+
+/**
+ * Provider for an OpenAI-compatible HTTP API
+ * @param {Object} options
+ * @param {string} options.name - Provider name
+ * @param {string} options.baseUrl - API root, e.g. http://localhost:11434/v1
+ * @param {string|null} options.apiKey - Sent as a Bearer token when set
+ * @param {boolean} options.requiresKey - Whether it's unusable without a key
+ * @param {Object} options.headers - Extra headers on every request
+ * @returns {LLMProvider}
+ */
+export function createHttpProvider({ name, baseUrl, apiKey = null, requiresKey = true, headers = {} }) {
+    const post = (endpoint, body, signal) => fetch(`${baseUrl}${endpoint}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+            ...headers
+        },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    const failure = async response => ({
+        status: response.status,
+        data: await response.json().catch(() => null),
+        retryAfter: parseInt(response.headers.get('retry-after')) || null
+    });
+
+    return {
+        name,
+        isConfigured: () => !requiresKey || !!apiKey,
+        async send(endpoint, body, { signal }) {
+            return failure(await post(endpoint, body, signal));
+        },
+        async stream(endpoint, body, { signal }) {
+            const response = await post(endpoint, body, signal);
+            if (!response.ok) {
+                return failure(response);
+            }
+            return { status: response.status, events: readServerSentEvents(response.body) };
+        }
+    };
+}
+
+/**
+ * Parse a server-sent events body into the JSON of each `data:` line,
+ * stopping at [DONE]. Comment lines (OpenRouter's ": PROCESSING" keep-alives)
+ * and blank lines are skipped.
+ * @param {ReadableStream} body - fetch response body
+ */
+async function* readServerSentEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const bytes of body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return;
+
+            try {
+                yield JSON.parse(payload);
+            } catch {
+                console.warn('[LLM] Skipping unreadable stream line:', payload.substring(0, 100));
+            }
+        }
+    }
+}
+
+/**
+ * Providers from config: LLM_BASE_URL for everything, Together AI for
+ * images when IMAGE_PROVIDER=together and it has a key
+ */
+function createDefaultProviders() {
+    const isOpenRouter = config.LLM_BASE_URL === OPENROUTER_BASE_URL;
+    const llm = createHttpProvider({
+        name: isOpenRouter ? 'openrouter' : 'openai-compatible',
+        baseUrl: config.LLM_BASE_URL,
+        apiKey: config.OPENROUTER_API_KEY,
+        // Local servers usually don't want a key
+        requiresKey: isOpenRouter,
+        headers: {
+            'HTTP-Referer': 'https://discord.gg/bubblebebe',
+            'X-Title': 'Beboa Discord Bot'
+        }
+    });
+
+    const providers = Object.fromEntries(Object.values(LLMPurpose).map(purpose => [purpose, llm]));
+
+    if (config.IMAGE_PROVIDER === 'together' && config.TOGETHER_API_KEY) {
+        providers[LLMPurpose.IMAGE] = createHttpProvider({
+            name: 'together',
+            baseUrl: TOGETHER_BASE_URL,
+            apiKey: config.TOGETHER_API_KEY
+        });
+    }
+
+    return providers;
+}
+
+let providers = createDefaultProviders();
+
+/**
+ * Route purposes to a different provider (a local server, a test stub)
+ * @param {LLMProvider} provider
+ * @param {Array<string>} purposes - LLMPurpose values (default: all of them)
+ */
+export function setProvider(provider, purposes = Object.values(LLMPurpose)) {
+    for (const purpose of purposes) {
+        providers[purpose] = provider;
+    }
+    console.log(`[LLM] ${provider.name} now handles ${purposes.join(', ')}`);
+}
+
+/**
+ * Go back to the providers from config
+ */
+export function resetProviders() {
+    providers = createDefaultProviders();
+}
+
+/**
+ * Get the provider handling a purpose
+ * @returns {LLMProvider}
+ */
+export function getProvider(purpose) {
+    return providers[purpose];
+}
+
+/**
+ * Check whether a purpose has a usable provider
+ * @param {string} purpose - LLMPurpose value
+ */
+export function isLLMConfigured(purpose) {
+    return providers[purpose]?.isConfigured() ?? false;
+}
+
+/**
+ * Get the default model for a purpose
+ * @param {string} purpose - LLMPurpose value
+ */
+export function getModel(purpose) {
+    return config[PURPOSE_MODEL_SETTINGS[purpose]];
+}
+
+// ============================================
+// USAGE ACCOUNTING
+// ============================================
+
+// Totals since startup, keyed by purpose and model
+const usage = new Map();
+
+function usageFor(purpose, model) {
+    const key = `${purpose}:${model}`;
+    if (!usage.has(key)) {
+        usage.set(key, { purpose, model, requests: 0, failures: 0, retries: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+    }
+    return usage.get(key);
+}
+
+function recordTokens(stats, tokens) {
+    if (!tokens) return;
+
+    const prompt = tokens.prompt_tokens || 0;
+    const completion = tokens.completion_tokens || 0;
+    stats.promptTokens += prompt;
+    stats.completionTokens += completion;
+    stats.totalTokens += tokens.total_tokens || prompt + completion;
+}
+
+/**
+ * Get request and token totals since startup
+ * @returns {Array<{purpose, model, requests, failures, retries, promptTokens, completionTokens, totalTokens}>}
+ */
+export function getUsageStats() {
+    return [...usage.values()].map(stats => ({ ...stats }));
+}
+
+// ============================================
+// REQUESTS
+// ============================================
+
+/**
+ * How long to wait before retry number `attempt` (0-based). Exponential
+ * with jitter, or the server's Retry-After when it sends one.
+ */
+function retryDelay(attempt, retryAfterSeconds) {
+    if (retryAfterSeconds) {
+        return Math.min(retryAfterSeconds * 1000, RETRY_MAX_DELAY_MS);
+    }
+
+    const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return Math.min(Math.round(backoff + Math.random() * backoff / 2), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Pass stream events through, aborting the request if the provider goes
+ * quiet for `timeout` ms. Time spent by the consumer doesn't count.
+ */
+async function* abortWhenIdle(events, controller, timeout) {
+    let timer = setTimeout(() => controller.abort(), timeout);
+    try {
+        for await (const event of events) {
+            clearTimeout(timer);
+            yield event;
+            timer = setTimeout(() => controller.abort(), timeout);
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * POST to the purpose's provider with a timeout, retrying rate limits,
+ * server errors and dropped connections
+ * @param {string} purpose - LLMPurpose value
+ * @param {string} endpoint - e.g. '/chat/completions'
+ * @param {Object} body - Request body (its `model` is used for accounting)
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Per attempt (default: per purpose, then LLM_TIMEOUT_MS)
+ * @param {boolean} options.stream - Use the provider's stream(); success then carries
+ *   `events`, and the timeout becomes the longest wait between two chunks
+ * @returns {Promise<{success: boolean, status: number, data: Object|null, events?: AsyncIterable<Object>, error?: string}>}
+ */
+export async function request(purpose, endpoint, body, { timeoutMs, stream = false } = {}) {
+    const provider = providers[purpose];
+    if (!provider?.isConfigured()) {
+        return { success: false, status: 0, data: null, error: `${provider?.name || 'LLM provider'} not configured` };
+    }
+
+    const timeout = timeoutMs || PURPOSE_TIMEOUTS[purpose] || config.LLM_TIMEOUT_MS;
+    const stats = usageFor(purpose, body.model);
+    stats.requests++;
+
+    for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        let result;
+        try {
+            result = stream
+                ? await provider.stream(endpoint, body, { signal: controller.signal })
+                : await provider.send(endpoint, body, { signal: controller.signal });
+        } catch (error) {
+            const reason = controller.signal.aborted ? `timed out after ${timeout}ms` : error.message;
+            result = { status: 0, data: null, error: reason };
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (result.status >= 200 && result.status < 300) {
+            if (stream) {
+                return { success: true, status: result.status, data: null, events: abortWhenIdle(result.events, controller, timeout) };
+            }
+            recordTokens(stats, result.data?.usage);
+            return { success: true, status: result.status, data: result.data };
+        }
+
+        const error = result.error || `API returned ${result.status}`;
+        const retryable = result.status === 0 || result.status === 429 || result.status >= 500;
+
+        if (!retryable || attempt >= config.LLM_MAX_RETRIES) {
+            stats.failures++;
+            console.error(`[LLM] ${purpose} request to ${provider.name} failed: ${error}`, result.data?.error?.message || '');
+            return { success: false, status: result.status, data: result.data, error };
+        }
+
+        stats.retries++;
+        const delay = retryDelay(attempt, result.retryAfter);
+        console.warn(`[LLM] ${purpose} request to ${provider.name}: ${error}, retrying in ${delay}ms (${attempt + 1}/${config.LLM_MAX_RETRIES})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+/**
+ * Request body for /chat/completions from complete() options
+ */
+function buildChatBody(purpose, messages, options) {
+    const body = { model: options.model || getModel(purpose), messages };
+
+    if (options.maxTokens) body.max_tokens = options.maxTokens;
+    if (options.temperature !== undefined) body.temperature = options.temperature;
+    if (options.responseFormat) body.response_format = options.responseFormat;
+    if (options.modalities) body.modalities = options.modalities;
+    if (options.tools?.length > 0) {
+        body.tools = options.tools;
+        body.tool_choice = 'auto';
+    }
+
+    return body;
+}
+
+/**
+ * Chat completion for a purpose
+ * @param {string} purpose - LLMPurpose value
+ * @param {Array} messages - {role, content} messages
+ * @param {Object} options
+ * @param {string} options.model - Instead of the purpose's default
+ * @param {number} options.maxTokens
+ * @param {number} options.temperature
+ * @param {Array} options.tools - Function-calling tool definitions
+ * @param {Object} options.responseFormat - e.g. { type: 'json_object' }
+ * @param {Array<string>} options.modalities - e.g. ['image', 'text']
+ * @param {number} options.timeoutMs
+ * @returns {Promise<{success: boolean, message?: Object, content: string|null, usage?: Object, model?: string, error?: string, errorData?: Object}>}
+ */
+export async function complete(purpose, messages, options = {}) {
+    const body = buildChatBody(purpose, messages, options);
+    const result = await request(purpose, '/chat/completions', body, options);
+    if (!result.success) {
+        return { success: false, error: result.error, errorData: result.data, content: null };
+    }
+
+    const message = result.data?.choices?.[0]?.message;
+    if (!message) {
+        return { success: false, error: 'No message in response', content: null };
+    }
+
+    return {
+        success: true,
+        message,
+        content: message.content ?? null,
+        usage: result.data.usage || null,
+        model: result.data.model || body.model
+    };
+}
+
+/**
+ * Streaming chat completion: `onText` gets each new piece of the reply as it
+ * arrives. Retries only happen before the first chunk - a stream that breaks
+ * off partway fails, with what did arrive in `content`.
+ * @param {string} purpose - LLMPurpose value
+ * @param {Array} messages - {role, content} messages
+ * @param {Object} options - Same as complete()
+ * @param {(text: string) => void|Promise<void>} onText
+ * @returns {Promise<{success: boolean, message?: Object, content: string|null, usage?: Object, model?: string, error?: string}>}
+ */
+export async function completeStream(purpose, messages, options = {}, onText) {
+    const provider = providers[purpose];
+    if (provider?.isConfigured() && !provider.stream) {
+        const result = await complete(purpose, messages, options);
+        if (result.success && result.content) await onText(result.content);
+        return result;
+    }
+
+    const body = {
+        ...buildChatBody(purpose, messages, options),
+        stream: true,
+        stream_options: { include_usage: true }
+    };
+
+    const result = await request(purpose, '/chat/completions', body, { ...options, stream: true });
+    if (!result.success) {
+        return { success: false, error: result.error, errorData: result.data, content: null };
+    }
+
+    let content = '';
+    let usage = null;
+    let model = body.model;
+    const toolCalls = [];
+
+    try {
+        for await (const chunk of result.events) {
+            if (chunk.error) {
+                throw new Error(chunk.error.message || 'Provider error mid-stream');
+            }
+            if (chunk.usage) usage = chunk.usage;
+            if (chunk.model) model = chunk.model;
+
+            const delta = chunk.choices?.[0]?.delta;
+            if (!delta) continue;
+
+            // Tool calls arrive in fragments, keyed by index
+            for (const fragment of delta.tool_calls || []) {
+                const call = toolCalls[fragment.index ?? 0] ||= { id: null, type: 'function', function: { name: '', arguments: '' } };
+                if (fragment.id) call.id = fragment.id;
+                if (fragment.function?.name) call.function.name += fragment.function.name;
+                if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+            }
+
+            if (delta.content) {
+                content += delta.content;
+                await onText(delta.content);
+            }
+        }
+    } catch (error) {
+        const reason = error.name === 'AbortError' ? 'stream stalled' : error.message;
+        usageFor(purpose, body.model).failures++;
+        console.error(`[LLM] ${purpose} stream from ${provider.name} broke off after ${content.length} chars: ${reason}`);
+        return { success: false, error: reason, content: content || null };
+    }
+
+    recordTokens(usageFor(purpose, body.model), usage);
+
+    const message = { role: 'assistant', content: content || null };
+    if (toolCalls.length > 0) message.tool_calls = toolCalls.filter(Boolean);
+
+    return { success: true, message, content: message.content, usage, model };
+}
+
+/**
+ * Embed one or more texts
+ * @param {string|string[]} input
+ * @param {Object} options - { model, timeoutMs }
+ * @returns {Promise<{success: boolean, embeddings?: number[][], model?: string, usage?: Object, error?: string}>}
+ */
+export async function embed(input, options = {}) {
+    const body = {
+        model: options.model || getModel(LLMPurpose.EMBEDDING),
+        input: Array.isArray(input) ? input : [input]
+    };
+
+    const result = await request(LLMPurpose.EMBEDDING, '/embeddings', body, options);
+    if (!result.success) {
+        return { success: false, error: result.error };
+    }
+
+    const embeddings = result.data?.data?.map(item => item.embedding) || [];
+    if (embeddings.length === 0) {
+        return { success: false, error: 'No embeddings returned' };
+    }
+
+    return { success: true, embeddings, model: result.data.model || body.model, usage: result.data.usage };
+}
+
+export default {
+    LLMPurpose,
+    createHttpProvider,
+    setProvider,
+    resetProviders,
+    getProvider,
+    isLLMConfigured,
+    getModel,
+    getUsageStats,
+    request,
+    complete,
+    completeStream,
+    embed
+};
@@ -6,10 +6,11 @@
  * - Relationship quality assessment
  * - Jarvis intent parsing
  *
- * Uses x-ai/grok-4.1-fast via OpenRouter
+ * Uses x-ai/grok-4.1-fast through the shared LLM client
  */
 
 import config from '../config.js';
+import { LLMPurpose, complete, isLLMConfigured } from './llmClient.js';
 
 // Configuration (from config, with fallbacks)
 const EVALUATOR_MODEL = config.LLM_EVALUATOR_MODEL || 'x-ai/grok-4.1-fast';
@@ -76,48 +77,30 @@ async function callLLM(systemPrompt, userPrompt, cacheKey = null) {
         return null;
     }
 
-    // Check if OpenRouter is configured
-    if (!config.OPENROUTER_API_KEY) {
-        console.log('[LLM_EVALUATOR] OpenRouter not configured');
+    // Check if a provider is configured
+    if (!isLLMConfigured(LLMPurpose.EVALUATOR)) {
+        console.log('[LLM_EVALUATOR] LLM provider not configured');
         return null;
     }
 
-    try {
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${config.OPENROUTER_API_KEY}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': 'https://github.com/CMLKevin/beboa_evo',
-                'X-Title': 'Beboa Discord Bot - LLM Evaluator'
-            },
-            body: JSON.stringify({
-                model: EVALUATOR_MODEL,
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: userPrompt }
-                ],
-                temperature: EVALUATOR_TEMPERATURE,
-                max_tokens: EVALUATOR_MAX_TOKENS,
-                response_format: { type: 'json_object' }
-            })
-        });
-
-        if (!response.ok) {
-            console.error('[LLM_EVALUATOR] API error:', response.status);
-            return null;
-        }
-
-        const data = await response.json();
-        const content = data.choices?.[0]?.message?.content;
-
-        if (!content) {
-            console.error('[LLM_EVALUATOR] No content in response');
-            return null;
-        }
+    const result = await complete(LLMPurpose.EVALUATOR, [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+    ], {
+        model: EVALUATOR_MODEL,
+        temperature: EVALUATOR_TEMPERATURE,
+        maxTokens: EVALUATOR_MAX_TOKENS,
+        responseFormat: { type: 'json_object' }
+    });
+
+    if (!result.success || !result.content) {
+        console.error('[LLM_EVALUATOR] No content in response:', result.error || 'empty message');
+        return null;
+    }
 
+    try {
         // Parse JSON response
-        const parsed = JSON.parse(content);
+        const parsed = JSON.parse(result.content);
 
         // Cache the response
         if (cacheKey) {
@@ -337,7 +320,13 @@ Available commands:
 - fortune: Fortune telling (params: targetUserId)
 - compatibility: Ship compatibility (params: userId1, userId2)
 - spin_wheel: Random wheel spin (params: options as text)
+- forget_memory: Delete something remembered about a user (params: targetUserId, text - what to forget; or amount - a memory ID)
+- set_nickname: Set what the bot calls a user (params: targetUserId, text - the nickname, null to clear it)
+- set_rivalry: Make a user the bot's rival or end it (params: targetUserId, text - "rivals" or "friends")
+- inside_jokes: List inside jokes with a user (params: targetUserId)
+- forget_inside_joke: Drop one inside joke (params: targetUserId, amount - its number in the inside_jokes list)
 - announce: Server announcement (params: message text)
+- undo: Revert a logged admin action (params: auditId - the number from the audit log)
 - jarvis_help: Show available commands (no params)
 
 Parse casual language:
@@ -348,7 +337,10 @@ Parse casual language:
 - "roast that fool @user" → roast
 
 Extract user IDs from mentions like <@123456789> or raw IDs.
-If a command needs confirmation for dangerous operations (remove_bebits, reset_streak), set requiresConfirmation to true.
+If a command needs confirmation for dangerous operations (remove_bebits, reset_streak, forget_memory, forget_inside_joke), set requiresConfirmation to true.
+
+One message can hold several commands ("give @a 50, bonk @b and set mood to smug").
+Return one intent per command, in the order they should run. Most messages hold just one.
 
 Return valid JSON only.`;
 
@@ -356,7 +348,8 @@ Return valid JSON only.`;
  * Parse Jarvis intent from a message using LLM
  * @param {string} message - The admin's message
  * @param {object} context - Context about recent commands
- * @returns {object|null} Parsed intent or null if fallback needed
+ * @returns {object|null} Parsed intent or null if fallback needed. `intents` lists every
+ *   command in the message in order; the first one is also spread on top.
  */
 export async function parseJarvisIntent(message, context = {}) {
     const { recentCommands = [], userId = null } = context;
@@ -375,19 +368,25 @@ ${contextStr}
 Return JSON:
 {
   "isCommand": <boolean - true if this looks like an admin command>,
-  "command": "<command_name or null if not a command>",
   "confidence": <number from 0.0 to 1.0>,
-  "params": {
-    "targetUserId": "<extracted user ID or null>",
-    "userId1": "<for compare/compat - first user ID>",
-    "userId2": "<for compare/compat - second user ID>",
-    "fromUserId": "<for transfer - source user>",
-    "toUserId": "<for transfer - destination user>",
-    "amount": <number or null>,
-    "text": "<any text content like reason or message>",
-    "moodName": "<for set_mood command>"
-  },
-  "requiresConfirmation": <boolean - true for dangerous operations>,
+  "intents": [
+    {
+      "command": "<command_name>",
+      "segment": "<the part of the message this command came from>",
+      "params": {
+        "targetUserId": "<extracted user ID or null>",
+        "userId1": "<for compare/compat - first user ID>",
+        "userId2": "<for compare/compat - second user ID>",
+        "fromUserId": "<for transfer - source user>",
+        "toUserId": "<for transfer - destination user>",
+        "amount": <number or null>,
+        "text": "<any text content like reason or message>",
+        "moodName": "<for set_mood command>",
+        "auditId": <for undo - audit entry number or null>
+      },
+      "requiresConfirmation": <boolean - true for dangerous operations>
+    }
+  ],
   "clarificationNeeded": <null or string with question to ask user>,
   "reasoning": "<brief explanation of parsing>"
 }`;
@@ -395,21 +394,25 @@ Return JSON:
     const result = await callLLM(JARVIS_SYSTEM_PROMPT, userPrompt, cacheKey);
 
     if (result) {
+        // Older single-command shape: { command, params, requiresConfirmation }
+        const rawIntents = Array.isArray(result.intents) ? result.intents : [result];
+        const intents = rawIntents
+            .filter(intent => intent && intent.command)
+            .map(intent => ({
+                command: intent.command,
+                segment: intent.segment || null,
+                params: normalizeJarvisParams(intent.params),
+                requiresConfirmation: !!intent.requiresConfirmation
+            }));
+
+        // The first intent is also spread on top, for single-command callers
         return {
-            isCommand: !!result.isCommand,
-            command: result.command || null,
+            isCommand: !!result.isCommand && intents.length > 0,
+            command: intents[0]?.command || null,
             confidence: Math.max(0, Math.min(1, result.confidence || 0)),
-            params: {
-                targetUserId: extractUserId(result.params?.targetUserId),
-                userId1: extractUserId(result.params?.userId1),
-                userId2: extractUserId(result.params?.userId2),
-                fromUserId: extractUserId(result.params?.fromUserId),
-                toUserId: extractUserId(result.params?.toUserId),
-                amount: typeof result.params?.amount === 'number' ? result.params.amount : null,
-                text: result.params?.text || null,
-                moodName: result.params?.moodName || null
-            },
-            requiresConfirmation: !!result.requiresConfirmation,
+            params: intents[0]?.params || normalizeJarvisParams(null),
+            intents,
+            requiresConfirmation: intents.some(intent => intent.requiresConfirmation),
             clarificationNeeded: result.clarificationNeeded || null,
             reasoning: result.reasoning || ''
         };
@@ -418,6 +421,23 @@ Return JSON:
     return null;  // Signal to use fallback
 }
 
+/**
+ * Validate the params the LLM extracted for one command
+ */
+function normalizeJarvisParams(params) {
+    return {
+        targetUserId: extractUserId(params?.targetUserId),
+        userId1: extractUserId(params?.userId1),
+        userId2: extractUserId(params?.userId2),
+        fromUserId: extractUserId(params?.fromUserId),
+        toUserId: extractUserId(params?.toUserId),
+        amount: typeof params?.amount === 'number' ? params.amount : null,
+        text: params?.text || null,
+        moodName: params?.moodName || null,
+        auditId: Number.isInteger(params?.auditId) ? params.auditId : null
+    };
+}
+
 /**
  * Extract and validate user ID from various formats
  */
@@ -465,5 +485,5 @@ export function getCacheStats() {
  * Check if LLM evaluator is available
  */
 export function isAvailable() {
-    return EVALUATOR_ENABLED && !!config.OPENROUTER_API_KEY && checkRateLimit();
+    return EVALUATOR_ENABLED && isLLMConfigured(LLMPurpose.EVALUATOR) && checkRateLimit();
 }
@@ -45,6 +45,15 @@ const statements = {
         LIMIT ?
     `),
 
+    restoreMemory: db.prepare(`
+        INSERT INTO semantic_memories (id, user_id, memory_type, content, importance, embedding_id, source_type, source_id, metadata, access_count, last_accessed_at, created_at, updated_at)
+        VALUES (@id, @user_id, @memory_type, @content, @importance, @embedding_id, @source_type, @source_id, @metadata, @access_count, @last_accessed_at, @created_at, @updated_at)
+    `),
+
+    countMemoriesByUser: db.prepare(`
+        SELECT COUNT(*) as count FROM semantic_memories WHERE user_id = ?
+    `),
+
     getMemoriesByType: db.prepare(`
         SELECT * FROM semantic_memories
         WHERE memory_type = ?
@@ -396,6 +405,74 @@ export async function buildMemoryContext(userId, query) {
     return context;
 }
 
+/**
+ * Count how many memories Beboa holds about a user
+ * @param {string} userId - Discord user ID
+ * @returns {number}
+ */
+export function getMemoryCount(userId) {
+    return statements.countMemoriesByUser.get(userId).count;
+}
+
+/**
+ * Get a single memory
+ * @param {number} memoryId - Memory ID
+ * @returns {Object|undefined} The semantic_memories row
+ */
+export function getMemory(memoryId) {
+    return statements.getMemoryById.get(memoryId);
+}
+
+/**
+ * Find a user's memories by keyword, best match first. Works without
+ * embeddings, so what an admin is asked to confirm is what gets deleted.
+ * @param {string} userId - Discord user ID
+ * @param {string} text - What to look for ("likes pineapple")
+ * @param {number} limit - Max results
+ * @returns {Array} Memory rows, each with a `score` from 0 to 1
+ */
+export function findMemories(userId, text, limit = 5) {
+    const words = text.toLowerCase().match(/[\p{L}\p{N}']{3,}/gu) || [];
+    if (words.length === 0) return [];
+
+    const scored = statements.getMemoriesByUser.all(userId, 200).map(memory => {
+        const content = memory.content.toLowerCase();
+        const score = content.includes(text.toLowerCase())
+            ? 1
+            : words.filter(word => content.includes(word)).length / words.length;
+        return { ...memory, score };
+    });
+
+    // Most words matched first; ties keep the importance order
+    const best = scored.filter(memory => memory.score >= 0.5);
+    best.sort((a, b) => b.score - a.score);
+    return best.slice(0, limit);
+}
+
+/**
+ * Delete a single memory
+ * @param {number} memoryId - Memory ID
+ * @returns {boolean} Whether a memory was deleted
+ */
+export function deleteMemory(memoryId) {
+    const deleted = statements.deleteMemory.run(memoryId).changes > 0;
+
+    // Don't let semantic search keep returning it from the cache
+    if (deleted) cacheLastUpdated = 0;
+
+    return deleted;
+}
+
+/**
+ * Put a deleted memory back exactly as it was (same ID and embedding)
+ * @param {Object} memory - The semantic_memories row before it was deleted
+ */
+export function restoreMemory(memory) {
+    const { score: _score, ...row } = memory;
+    statements.restoreMemory.run(row);
+    cacheLastUpdated = 0;
+}
+
 /**
  * Get personality traits for dynamic personality
  */
@@ -429,6 +506,11 @@ export default {
     searchMemories,
     extractAndStoreMemories,
     buildMemoryContext,
+    getMemoryCount,
+    getMemory,
+    findMemories,
+    deleteMemory,
+    restoreMemory,
     getPersonalityTraits,
     evolvePersonalityTrait
 };
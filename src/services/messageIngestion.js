@@ -10,6 +10,7 @@ import Database from 'better-sqlite3';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { config } from '../config.js';
+import { recordActivity } from './activityEarning.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -286,6 +287,11 @@ export async function ingestMessage(message) {
             }
         }
 
+        // Passive Bebit earning (new messages only, so re-ingestion can't pay twice)
+        if (result.changes > 0) {
+            recordActivity(message, importanceScore);
+        }
+
         // Log high-importance messages
         if (importanceScore >= 0.5) {
             console.log(`[MESSAGE_INGESTION] High importance (${importanceScore.toFixed(2)}): "${message.content.substring(0, 50)}..."`);
@@ -1,25 +1,25 @@
 /**
  * OpenRouter API Service
- * Handles communication with OpenRouter for AI chat functionality
+ * Chat completions for Beboa's replies, sent through the shared LLM client
  */
 
 import { config } from '../config.js';
-
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+import { LLMPurpose, complete, completeStream, isLLMConfigured, getProvider } from './llmClient.js';
 
 /**
- * Check if OpenRouter is configured and available
- * @returns {boolean} True if API key is configured
+ * Check if chat is enabled and has a configured provider
+ * @returns {boolean} True if chat can be used
  */
 export function isOpenRouterConfigured() {
-    return !!(config.OPENROUTER_API_KEY && config.CHAT_ENABLED);
+    return isLLMConfigured(LLMPurpose.CHAT) && config.CHAT_ENABLED;
 }
 
 /**
- * Send a chat completion request to OpenRouter
+ * Send a chat completion request
  *
  * @param {Array} messages - Array of message objects {role: 'user'|'assistant'|'system', content: string}
  * @param {Object} options - Optional overrides for API parameters
+ * @param {Function} options.onText - Streams the reply: called with each new piece as it arrives
  * @returns {Promise<Object>} Response object with content or error
  */
 export async function chatCompletion(messages, options = {}) {
@@ -31,71 +31,45 @@ export async function chatCompletion(messages, options = {}) {
         };
     }
 
-    const requestBody = {
-        model: options.model || config.OPENROUTER_MODEL,
-        messages: messages,
-        max_tokens: options.maxTokens || config.OPENROUTER_MAX_TOKENS,
-        temperature: options.temperature || config.OPENROUTER_TEMPERATURE,
+    const requestOptions = {
+        model: options.model,
+        maxTokens: options.maxTokens || config.OPENROUTER_MAX_TOKENS,
+        temperature: options.temperature || config.OPENROUTER_TEMPERATURE
     };
 
-    try {
-        const response = await fetch(OPENROUTER_API_URL, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${config.OPENROUTER_API_KEY}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': 'https://discord.gg/bubblebebe',
-                'X-Title': 'Beboa Discord Bot'
-            },
-            body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            console.error('[OPENROUTER] API Error:', response.status, errorData);
-
-            return {
-                success: false,
-                error: `API returned ${response.status}`,
-                errorData,
-                content: null
-            };
-        }
-
-        const data = await response.json();
-
-        // Extract the assistant's response
-        const content = data.choices?.[0]?.message?.content;
-
-        if (!content) {
-            console.error('[OPENROUTER] No content in response:', data);
-            return {
-                success: false,
-                error: 'No content in response',
-                content: null
-            };
-        }
-
-        // Log usage for monitoring
-        if (data.usage) {
-            console.log(`[OPENROUTER] Tokens used: ${data.usage.total_tokens} (prompt: ${data.usage.prompt_tokens}, completion: ${data.usage.completion_tokens})`);
-        }
+    const result = options.onText
+        ? await completeStream(LLMPurpose.CHAT, messages, requestOptions, options.onText)
+        : await complete(LLMPurpose.CHAT, messages, requestOptions);
 
+    if (!result.success) {
         return {
-            success: true,
-            content: content,
-            usage: data.usage || null,
-            model: data.model || config.OPENROUTER_MODEL
+            success: false,
+            error: result.error,
+            errorData: result.errorData,
+            content: null
         };
+    }
 
-    } catch (error) {
-        console.error('[OPENROUTER] Request failed:', error);
+    if (!result.content) {
+        console.error('[OPENROUTER] No content in response:', result.message);
         return {
             success: false,
-            error: error.message,
+            error: 'No content in response',
             content: null
         };
     }
+
+    // Log usage for monitoring
+    if (result.usage) {
+        console.log(`[OPENROUTER] Tokens used: ${result.usage.total_tokens} (prompt: ${result.usage.prompt_tokens}, completion: ${result.usage.completion_tokens})`);
+    }
+
+    return {
+        success: true,
+        content: result.content,
+        usage: result.usage,
+        model: result.model
+    };
 }
 
 /**
@@ -105,6 +79,7 @@ export async function chatCompletion(messages, options = {}) {
 export function getModelInfo() {
     return {
         configured: isOpenRouterConfigured(),
+        provider: getProvider(LLMPurpose.CHAT)?.name,
         model: config.OPENROUTER_MODEL,
         maxTokens: config.OPENROUTER_MAX_TOKENS,
         temperature: config.OPENROUTER_TEMPERATURE
@@ -13,6 +13,8 @@
 
 import db from '../database.js';
 import { evaluateMood, evaluateRelationship } from './llmEvaluator.js';
+import { unlockAchievements, AchievementEvents } from './achievements.js';
+import { queueRoleSync } from './roleRewards.js';
 
 // ============================================
 // PERSONALITY DIMENSIONS
@@ -175,6 +177,16 @@ const statements = {
         VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), ?, ?, ?)
     `),
 
+    setRelationshipFields: db.prepare(`
+        INSERT INTO user_relationships (user_id, rivalry, nickname, inside_jokes)
+        VALUES (@userId, @rivalry, @nickname, @insideJokes)
+        ON CONFLICT(user_id) DO UPDATE SET
+            rivalry = excluded.rivalry,
+            nickname = excluded.nickname,
+            inside_jokes = excluded.inside_jokes,
+            updated_at = datetime('now')
+    `),
+
     getAllRelationships: db.prepare(`
         SELECT * FROM user_relationships ORDER BY affection DESC LIMIT ?
     `),
@@ -502,6 +514,11 @@ export function updateRelationship(userId, updates) {
         // Invalidate cache
         relationshipCache.delete(userId);
 
+        if (stage.key !== current.stage?.key) {
+            unlockAchievements(userId, AchievementEvents.RELATIONSHIP_STAGE, { stage, previous: current.stage });
+            queueRoleSync(userId);
+        }
+
         return { ...newRel, stage };
 
     } catch (e) {
@@ -510,6 +527,28 @@ export function updateRelationship(userId, updates) {
     }
 }
 
+/**
+ * Overwrite a user's nickname, rivalry or inside jokes (Jarvis edits and their undo).
+ * Unlike updateRelationship this sets values instead of nudging them, and
+ * doesn't count as an interaction.
+ * @param {string} userId - Discord user ID
+ * @param {Object} fields - Any of { nickname, rivalry, insideJokes }
+ * @returns {Object} The updated relationship
+ */
+export function setRelationshipFields(userId, fields) {
+    const current = getRelationship(userId);
+
+    statements.setRelationshipFields.run({
+        userId,
+        rivalry: clamp(fields.rivalry ?? current.rivalry, 0, 1),
+        nickname: 'nickname' in fields ? fields.nickname : current.nickname,
+        insideJokes: JSON.stringify(fields.insideJokes ?? current.insideJokes)
+    });
+
+    relationshipCache.delete(userId);
+    return getRelationship(userId);
+}
+
 function determineRelationshipStage(familiarity) {
     const stages = Object.entries(RelationshipStages)
         .sort((a, b) => b[1].minFamiliarity - a[1].minFamiliarity);
@@ -849,6 +888,7 @@ export default {
     evolveTrait,
     getRelationship,
     updateRelationship,
+    setRelationshipFields,
     processInteraction,
     buildPersonalityPrompt,
     buildRelationshipContext
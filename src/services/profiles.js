@@ -0,0 +1,114 @@
+/**
+ * Profile Service
+ *
+ * Gathers everything the bot knows about a member for /profile:
+ * balance and rank, streaks, badges, achievements, recent redemptions, Beboa's
+ * relationship with them and how many memories she holds.
+ *
+ * Members can hide any section with /settings privacy. Hidden sections
+ * are left out of the profile card for everyone, including themselves.
+ */
+
+import { getUser, getUserRank, setProfileHidden } from '../database.js';
+import { getStreakFreezes } from './inventory.js';
+import { getUserBadges } from './seasons.js';
+import { getUserAchievements } from './achievements.js';
+import { getUserRedemptions } from './redemptions.js';
+import { getRelationship } from './personality.js';
+import { getMemoryCount } from './memory.js';
+
+/**
+ * Profile sections members can hide, with their display names
+ */
+export const PROFILE_SECTIONS = {
+    balance: 'Balance & rank',
+    streak: 'Streaks',
+    badges: 'Badges',
+    achievements: 'Achievements',
+    redemptions: 'Recent redemptions',
+    relationship: 'Relationship with Beboa',
+    memories: 'Memories'
+};
+
+/**
+ * Get the sections a user has hidden
+ * @param {Object} user - User row
+ * @returns {Array<string>} Section keys
+ */
+export function getHiddenSections(user) {
+    try {
+        const hidden = JSON.parse(user.profile_hidden || '[]');
+        return hidden.filter(section => PROFILE_SECTIONS[section]);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Show or hide one profile section (or 'all')
+ * @param {string} discordId - Discord user ID
+ * @param {string} section - Section key or 'all'
+ * @param {boolean} hidden - Whether to hide it
+ * @returns {Array<string>} Hidden sections after the change
+ */
+export function setSectionHidden(discordId, section, hidden) {
+    const current = new Set(getHiddenSections(getUser(discordId)));
+    const sections = section === 'all' ? Object.keys(PROFILE_SECTIONS) : [section];
+
+    for (const key of sections) {
+        if (hidden) {
+            current.add(key);
+        } else {
+            current.delete(key);
+        }
+    }
+
+    // Keep the stored order stable
+    const result = Object.keys(PROFILE_SECTIONS).filter(key => current.has(key));
+    setProfileHidden(discordId, result);
+    return result;
+}
+
+/**
+ * Collect profile data for a member. Hidden sections are not loaded.
+ * @param {string} discordId - Discord user ID
+ * @returns {Object} { user, hidden, rank?, freezes?, badges?, achievements?, redemptions?, relationship?, memoryCount? }
+ */
+export function buildProfile(discordId) {
+    const user = getUser(discordId);
+    const hidden = getHiddenSections(user);
+    const shows = section => !hidden.includes(section);
+
+    const profile = { user, hidden };
+
+    if (shows('balance')) {
+        profile.rank = getUserRank(discordId);
+    }
+    if (shows('streak')) {
+        profile.freezes = getStreakFreezes(discordId);
+    }
+    if (shows('badges')) {
+        profile.badges = getUserBadges(discordId);
+    }
+    if (shows('achievements')) {
+        profile.achievements = getUserAchievements(discordId);
+    }
+    if (shows('redemptions')) {
+        profile.redemptions = getUserRedemptions(discordId, 5);
+    }
+    if (shows('relationship')) {
+        profile.relationship = getRelationship(discordId);
+    }
+    if (shows('memories')) {
+        profile.memoryCount = getMemoryCount(discordId);
+    }
+
+    return profile;
+}
+
+export default {
+    PROFILE_SECTIONS,
+    getHiddenSections,
+    setSectionHidden,
+    buildProfile
+};
@@ -0,0 +1,168 @@
+/**
+ * Redemption Fulfillment Service
+ *
+ * Tracks what happens after a reward is redeemed:
+ *   pending -> in_progress (claimed by an admin) -> fulfilled / refunded
+ *
+ * Status changes are conditional updates, so two admins clicking at once
+ * can't both claim, and a redemption can never be refunded twice.
+ */
+
+import db, { applyBebitDelta, TransactionReasons } from '../database.js';
+
+export const RedemptionStatus = {
+    PENDING: 'pending',
+    IN_PROGRESS: 'in_progress',
+    FULFILLED: 'fulfilled',
+    REFUNDED: 'refunded'
+};
+
+const statements = {
+    getRedemption: db.prepare(`
+        SELECT * FROM redemptions WHERE id = ?
+    `),
+
+    getQueue: db.prepare(`
+        SELECT * FROM redemptions
+        WHERE status IN ('pending', 'in_progress')
+        ORDER BY redeemed_at ASC, id ASC
+        LIMIT ?
+    `),
+
+    getUserRedemptions: db.prepare(`
+        SELECT * FROM redemptions
+        WHERE discord_id = ?
+        ORDER BY redeemed_at DESC, id DESC
+        LIMIT ?
+    `),
+
+    countQueue: db.prepare(`
+        SELECT COUNT(*) as count FROM redemptions WHERE status IN ('pending', 'in_progress')
+    `),
+
+    claim: db.prepare(`
+        UPDATE redemptions
+        SET status = 'in_progress', claimed_by = ?, claimed_at = datetime('now')
+        WHERE id = ? AND status = 'pending'
+    `),
+
+    resolve: db.prepare(`
+        UPDATE redemptions
+        SET status = ?, resolved_by = ?, resolved_at = datetime('now'),
+            claimed_by = COALESCE(claimed_by, ?), claimed_at = COALESCE(claimed_at, datetime('now'))
+        WHERE id = ? AND status IN ('pending', 'in_progress')
+    `),
+
+    returnStock: db.prepare(`
+        UPDATE rewards SET stock = stock + 1 WHERE id = ? AND stock IS NOT NULL
+    `)
+};
+
+/**
+ * Get a redemption by ID
+ * @param {number} redemptionId - Redemption ID
+ * @returns {Object|undefined}
+ */
+export function getRedemption(redemptionId) {
+    return statements.getRedemption.get(redemptionId);
+}
+
+/**
+ * Get outstanding redemptions, oldest first
+ * @param {number} limit - Max rows
+ * @returns {{redemptions: Array, total: number}}
+ */
+export function getRedemptionQueue(limit = 20) {
+    return {
+        redemptions: statements.getQueue.all(limit),
+        total: statements.countQueue.get().count
+    };
+}
+
+/**
+ * Get a member's most recent redemptions
+ * @param {string} discordId - Discord user ID
+ * @param {number} limit - Max rows
+ * @returns {Array}
+ */
+export function getUserRedemptions(discordId, limit = 5) {
+    return statements.getUserRedemptions.all(discordId, limit);
+}
+
+/**
+ * Claim a pending redemption (Bebe/an admin is working on it)
+ * @param {number} redemptionId - Redemption ID
+ * @param {string} adminId - Who claimed it
+ * @returns {{success: boolean, reason?: string, redemption?: Object}}
+ */
+export function claimRedemption(redemptionId, adminId) {
+    const result = statements.claim.run(adminId, redemptionId);
+    return finishTransition(redemptionId, result, `claimed by ${adminId}`);
+}
+
+/**
+ * Mark a redemption as delivered
+ * @param {number} redemptionId - Redemption ID
+ * @param {string} adminId - Who fulfilled it
+ * @returns {{success: boolean, reason?: string, redemption?: Object}}
+ */
+export function fulfillRedemption(redemptionId, adminId) {
+    const result = statements.resolve.run(RedemptionStatus.FULFILLED, adminId, adminId, redemptionId);
+    return finishTransition(redemptionId, result, `fulfilled by ${adminId}`);
+}
+
+/**
+ * Refund a redemption: mark it refunded, return the Bebits and put the
+ * reward back in stock in one transaction
+ * @param {number} redemptionId - Redemption ID
+ * @param {string} adminId - Who refunded it
+ * @returns {{success: boolean, reason?: string, redemption?: Object, newBalance?: number}}
+ */
+export const refundRedemption = db.transaction((redemptionId, adminId) => {
+    const result = statements.resolve.run(RedemptionStatus.REFUNDED, adminId, adminId, redemptionId);
+    const transition = finishTransition(redemptionId, result, `refunded by ${adminId}`);
+
+    if (!transition.success) {
+        return transition;
+    }
+
+    const { redemption } = transition;
+    const { newBalance } = applyBebitDelta(
+        redemption.discord_id,
+        redemption.cost,
+        TransactionReasons.REFUND,
+        adminId,
+        `${redemption.reward_name} (#${redemption.id})`
+    );
+    statements.returnStock.run(redemption.reward_id);
+
+    return { ...transition, newBalance };
+});
+
+/**
+ * Turn an UPDATE result into a success/failure response
+ */
+function finishTransition(redemptionId, result, action) {
+    const redemption = getRedemption(redemptionId);
+
+    if (!redemption) {
+        return { success: false, reason: 'not_found' };
+    }
+
+    if (result.changes === 0) {
+        return { success: false, reason: 'wrong_status', redemption };
+    }
+
+    console.log(`[REDEMPTIONS] #${redemptionId} ${action}`);
+    return { success: true, redemption };
+}
+
+export default {
+    RedemptionStatus,
+    getRedemption,
+    getRedemptionQueue,
+    getUserRedemptions,
+    claimRedemption,
+    fulfillRedemption,
+    refundRedemption
+};
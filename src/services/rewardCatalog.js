@@ -0,0 +1,272 @@
+/**
+ * Reward Catalog Service
+ *
+ * Beboa's Reward Emporium lives in the `rewards` table so prices and items
+ * can be changed from Discord (/admin shop) without a deploy.
+ * Each reward has a unique id, display name, cost in Bebits, emoji, optional
+ * category, description and notification template ({user} is replaced with a mention).
+ * Rewards with an `effect` are applied automatically instead of notifying Bebe.
+ * Optional limits (stock, restock schedule, per-member cooldown and lifetime cap)
+ * are enforced by processRedemption.
+ * Rewards can also sell a Discord role for a number of hours (the 'timed_role' effect).
+ */
+
+import db from '../database.js';
+
+// Shop section for rewards without a category
+export const UNCATEGORIZED = 'Other';
+
+const statements = {
+    getEnabledRewards: db.prepare(`
+        SELECT * FROM rewards WHERE enabled = 1 ORDER BY sort_order ASC, cost ASC
+    `),
+
+    getAllRewards: db.prepare(`
+        SELECT * FROM rewards ORDER BY sort_order ASC, cost ASC
+    `),
+
+    getReward: db.prepare(`
+        SELECT * FROM rewards WHERE id = ?
+    `),
+
+    getMaxSortOrder: db.prepare(`
+        SELECT COALESCE(MAX(sort_order), 0) as max FROM rewards
+    `),
+
+    insertReward: db.prepare(`
+        INSERT INTO rewards (id, name, cost, emoji, category, description, notification, sort_order)
+        VALUES (@id, @name, @cost, @emoji, @category, @description, @notification, @sort_order)
+    `),
+
+    updateReward: db.prepare(`
+        UPDATE rewards
+        SET name = @name, cost = @cost, emoji = @emoji, category = @category,
+            description = @description, notification = @notification, updated_at = datetime('now')
+        WHERE id = @id
+    `),
+
+    setEnabled: db.prepare(`
+        UPDATE rewards SET enabled = ?, updated_at = datetime('now') WHERE id = ?
+    `),
+
+    updateLimits: db.prepare(`
+        UPDATE rewards
+        SET stock = @stock, restock_amount = @restock_amount, restock_hours = @restock_hours,
+            restocked_at = @restocked_at, cooldown_hours = @cooldown_hours,
+            lifetime_limit = @lifetime_limit, updated_at = datetime('now')
+        WHERE id = @id
+    `),
+
+    updateRole: db.prepare(`
+        UPDATE rewards
+        SET effect = @effect, role_id = @role_id, role_hours = @role_hours, updated_at = datetime('now')
+        WHERE id = @id
+    `),
+
+    setSortOrder: db.prepare(`
+        UPDATE rewards SET sort_order = ? WHERE id = ?
+    `)
+};
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Get rewards in shop order
+ * @param {boolean} includeDisabled - Also return disabled rewards (admin views)
+ * @returns {Array} Reward rows
+ */
+export function getRewards(includeDisabled = false) {
+    return includeDisabled
+        ? statements.getAllRewards.all()
+        : statements.getEnabledRewards.all();
+}
+
+/**
+ * Get the categories of enabled rewards, in shop order.
+ * Rewards without a category are grouped under UNCATEGORIZED.
+ * @returns {Array<string>} Category names
+ */
+export function getRewardCategories() {
+    const categories = new Set(getRewards().map(reward => reward.category || UNCATEGORIZED));
+    return [...categories];
+}
+
+/**
+ * Get a reward by its ID (enabled or not - callers must check `enabled`)
+ * @param {string} rewardId - The reward's unique identifier
+ * @returns {Object|undefined} The reward row or undefined if not found
+ */
+export function getRewardById(rewardId) {
+    return statements.getReward.get(rewardId);
+}
+
+/**
+ * Format reward notification message with user mention
+ * @param {Object} reward - The reward object
+ * @param {string} userMention - The user mention string (e.g., <@123456>)
+ * @returns {string} Formatted notification message
+ */
+export function formatNotification(reward, userMention) {
+    return (reward.notification || '').replaceAll('{user}', userMention);
+}
+
+// ============================================
+// ADMIN MANAGEMENT
+// ============================================
+
+/**
+ * Add a reward to the end of the shop
+ * @param {Object} reward - { id, name, cost, emoji, category, description, notification }
+ * @returns {{success: boolean, reason?: string, reward?: Object}}
+ */
+export function addReward({ id, name, cost, emoji, category = null, description = null, notification = null }) {
+    if (getRewardById(id)) {
+        return { success: false, reason: 'exists' };
+    }
+
+    const sortOrder = statements.getMaxSortOrder.get().max + 1;
+    statements.insertReward.run({ id, name, cost, emoji, category, description, notification, sort_order: sortOrder });
+
+    console.log(`[REWARDS] Added reward ${id} (${name}) for ${cost} bebits`);
+    return { success: true, reward: getRewardById(id) };
+}
+
+/**
+ * Edit a reward. Only the provided fields change.
+ * @param {string} rewardId - Reward to edit
+ * @param {Object} changes - Any of { name, cost, emoji, category, description, notification }
+ * @returns {{success: boolean, reason?: string, reward?: Object}}
+ */
+export function editReward(rewardId, changes) {
+    const existing = getRewardById(rewardId);
+    if (!existing) {
+        return { success: false, reason: 'not_found' };
+    }
+
+    const updated = { ...existing };
+    for (const key of ['name', 'cost', 'emoji', 'category', 'description', 'notification']) {
+        if (changes[key] !== undefined && changes[key] !== null) {
+            updated[key] = changes[key];
+        }
+    }
+
+    statements.updateReward.run(updated);
+
+    console.log(`[REWARDS] Edited reward ${rewardId}`);
+    return { success: true, reward: getRewardById(rewardId) };
+}
+
+/**
+ * Set a reward's limits. Only the provided fields change; pass null to remove a limit.
+ * Changing the restock schedule restarts it from now.
+ * @param {string} rewardId - Reward to change
+ * @param {Object} limits - Any of { stock, restock_amount, restock_hours, cooldown_hours, lifetime_limit }
+ * @returns {{success: boolean, reason?: string, reward?: Object}}
+ */
+export function setRewardLimits(rewardId, limits) {
+    const existing = getRewardById(rewardId);
+    if (!existing) {
+        return { success: false, reason: 'not_found' };
+    }
+
+    const updated = { ...existing };
+    for (const key of ['stock', 'restock_amount', 'restock_hours', 'cooldown_hours', 'lifetime_limit']) {
+        if (limits[key] !== undefined) {
+            updated[key] = limits[key];
+        }
+    }
+
+    if (limits.restock_amount !== undefined || limits.restock_hours !== undefined) {
+        updated.restocked_at = new Date().toISOString();
+    }
+
+    statements.updateLimits.run(updated);
+
+    console.log(`[REWARDS] Updated limits for reward ${rewardId}`);
+    return { success: true, reward: getRewardById(rewardId) };
+}
+
+/**
+ * Make a reward grant a Discord role for a number of hours, or stop it doing so.
+ * Rewards with another effect (streak freeze, repair) can't sell roles.
+ * @param {string} rewardId - Reward to change
+ * @param {string|null} roleId - Role to grant, or null to remove the role
+ * @param {number|null} hours - How long the role lasts
+ * @returns {{success: boolean, reason?: string, reward?: Object}}
+ */
+export function setRewardRole(rewardId, roleId, hours = null) {
+    const existing = getRewardById(rewardId);
+    if (!existing) {
+        return { success: false, reason: 'not_found' };
+    }
+
+    if (existing.effect && existing.effect !== 'timed_role') {
+        return { success: false, reason: 'has_effect' };
+    }
+
+    statements.updateRole.run({
+        id: rewardId,
+        effect: roleId ? 'timed_role' : null,
+        role_id: roleId,
+        role_hours: roleId ? hours : null
+    });
+
+    console.log(`[REWARDS] ${roleId ? `Reward ${rewardId} now grants role ${roleId} for ${hours}h` : `Reward ${rewardId} no longer grants a role`}`);
+    return { success: true, reward: getRewardById(rewardId) };
+}
+
+/**
+ * Enable or disable a reward. Disabled rewards disappear from /shop and
+ * can't be redeemed, even from buttons on old shop messages.
+ * @param {string} rewardId - Reward to change
+ * @param {boolean} enabled - New state
+ * @returns {boolean} False if the reward doesn't exist
+ */
+export function setRewardEnabled(rewardId, enabled) {
+    const result = statements.setEnabled.run(enabled ? 1 : 0, rewardId);
+
+    if (result.changes > 0) {
+        console.log(`[REWARDS] ${enabled ? 'Enabled' : 'Disabled'} reward ${rewardId}`);
+    }
+    return result.changes > 0;
+}
+
+/**
+ * Move a reward to a new position in the shop
+ * @param {string} rewardId - Reward to move
+ * @param {number} position - 1-indexed position among all rewards
+ * @returns {{success: boolean, reason?: string, position?: number}}
+ */
+export const moveReward = db.transaction((rewardId, position) => {
+    const rewards = getRewards(true);
+    const index = rewards.findIndex(reward => reward.id === rewardId);
+
+    if (index === -1) {
+        return { success: false, reason: 'not_found' };
+    }
+
+    const [reward] = rewards.splice(index, 1);
+    const target = Math.min(Math.max(1, position), rewards.length + 1);
+    rewards.splice(target - 1, 0, reward);
+
+    rewards.forEach((r, i) => statements.setSortOrder.run(i + 1, r.id));
+
+    console.log(`[REWARDS] Moved reward ${rewardId} to position ${target}`);
+    return { success: true, position: target };
+});
+
+export default {
+    UNCATEGORIZED,
+    getRewards,
+    getRewardCategories,
+    getRewardById,
+    formatNotification,
+    addReward,
+    editReward,
+    setRewardLimits,
+    setRewardRole,
+    setRewardEnabled,
+    moveReward
+};
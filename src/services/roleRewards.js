@@ -0,0 +1,482 @@
+/**
+ * Role Rewards Service
+ *
+ * Hands out cosmetic Discord roles:
+ * - Threshold roles: admins map a role to a requirement (30 day streak, top 10,
+ *   relationship stage, ...). Members gain the role when they cross it and lose
+ *   it when they drop back below.
+ * - Timed roles: shop rewards with the 'timed_role' effect grant a role for a
+ *   number of hours, then it's taken away again.
+ *
+ * Roles are reconciled per member after check-ins, balance changes and
+ * relationship stage changes (debounced), and for everyone on a periodic sweep.
+ * The bot only removes roles it manages: mapped roles and roles it granted.
+ */
+
+import { RESTJSONErrorCodes } from 'discord.js';
+import { config } from '../config.js';
+import db, { getUser, getLeaderboardRank, LeaderboardTypes, onBalanceChange } from '../database.js';
+import { getRelationship, RelationshipStages } from './personality.js';
+
+export const RoleRequirements = {
+    STREAK: 'streak',
+    CHECKINS: 'checkins',
+    BEBITS: 'bebits',
+    RANK: 'rank',
+    RELATIONSHIP: 'relationship'
+};
+
+// Wait this long after a trigger before syncing, so bursts of changes sync once
+const SYNC_DEBOUNCE_MS = 5000;
+
+const statements = {
+    getRoleRewards: db.prepare(`
+        SELECT * FROM role_rewards ORDER BY role_id ASC, requirement ASC, threshold ASC
+    `),
+
+    insertRoleReward: db.prepare(`
+        INSERT INTO role_rewards (role_id, requirement, threshold, stage, created_by)
+        VALUES (@role_id, @requirement, @threshold, @stage, @created_by)
+    `),
+
+    deleteRoleRewards: db.prepare(`
+        DELETE FROM role_rewards WHERE role_id = ?
+    `),
+
+    getHolders: db.prepare(`
+        SELECT discord_id, role_id FROM role_reward_holders
+    `),
+
+    getHeldRoles: db.prepare(`
+        SELECT role_id FROM role_reward_holders WHERE discord_id = ?
+    `),
+
+    addHolder: db.prepare(`
+        INSERT OR IGNORE INTO role_reward_holders (discord_id, role_id) VALUES (?, ?)
+    `),
+
+    removeHolder: db.prepare(`
+        DELETE FROM role_reward_holders WHERE discord_id = ? AND role_id = ?
+    `),
+
+    getTimedRole: db.prepare(`
+        SELECT * FROM timed_roles WHERE discord_id = ? AND role_id = ?
+    `),
+
+    getActiveTimedRoles: db.prepare(`
+        SELECT * FROM timed_roles WHERE discord_id = ? AND expires_at > ?
+    `),
+
+    upsertTimedRole: db.prepare(`
+        INSERT INTO timed_roles (discord_id, role_id, expires_at)
+        VALUES (?, ?, ?)
+        ON CONFLICT(discord_id, role_id) DO UPDATE SET expires_at = excluded.expires_at
+    `),
+
+    getExpiredTimedRoles: db.prepare(`
+        SELECT role_id FROM timed_roles WHERE discord_id = ? AND expires_at <= ?
+    `),
+
+    getMembersWithExpiredTimedRoles: db.prepare(`
+        SELECT DISTINCT discord_id FROM timed_roles WHERE expires_at <= ?
+    `),
+
+    deleteExpiredTimedRole: db.prepare(`
+        DELETE FROM timed_roles WHERE discord_id = ? AND role_id = ? AND expires_at <= ?
+    `),
+
+    getAllUsers: db.prepare(`
+        SELECT * FROM users
+    `),
+
+    // Same ranking as getLeaderboardRank (ties share a rank), for everyone at once
+    getBebitRanks: db.prepare(`
+        SELECT discord_id, RANK() OVER (ORDER BY bebits DESC) as rank
+        FROM users
+        ORDER BY bebits DESC
+    `)
+};
+
+// Discord client used to edit roles (set once the bot is ready)
+let roleClient = null;
+let sweepInterval = null;
+
+// Members waiting for a debounced sync
+const pendingSyncs = new Set();
+let syncTimer = null;
+
+/**
+ * Relationship stage keys from lowest to highest
+ */
+function stageOrder() {
+    return Object.entries(RelationshipStages)
+        .sort((a, b) => a[1].minFamiliarity - b[1].minFamiliarity)
+        .map(([key]) => key);
+}
+
+// ============================================
+// MAPPINGS
+// ============================================
+
+/**
+ * Get every threshold role mapping
+ * @returns {Array} role_rewards rows
+ */
+export function getRoleRewards() {
+    return statements.getRoleRewards.all();
+}
+
+/**
+ * Map a role to a requirement
+ * @param {Object} mapping
+ * @param {string} mapping.roleId - Discord role ID
+ * @param {string} mapping.requirement - One of RoleRequirements
+ * @param {number|null} mapping.threshold - Days/check-ins/Bebits, or N for "top N"
+ * @param {string|null} mapping.stage - Relationship stage key (relationship requirement only)
+ * @param {string} mapping.adminId - Who added it
+ * @returns {{success: boolean, reason?: string}}
+ */
+export function addRoleReward({ roleId, requirement, threshold = null, stage = null, adminId }) {
+    if (!Object.values(RoleRequirements).includes(requirement)) {
+        return { success: false, reason: 'invalid_requirement' };
+    }
+
+    if (requirement === RoleRequirements.RELATIONSHIP) {
+        if (!RelationshipStages[stage]) {
+            return { success: false, reason: 'missing_stage' };
+        }
+        threshold = null;
+    } else {
+        if (!threshold || threshold < 1) {
+            return { success: false, reason: 'missing_threshold' };
+        }
+        stage = null;
+    }
+
+    statements.insertRoleReward.run({ role_id: roleId, requirement, threshold, stage, created_by: adminId });
+
+    console.log(`[ROLES] ${adminId} mapped role ${roleId} to ${requirement} ${threshold ?? stage}`);
+    return { success: true };
+}
+
+/**
+ * Remove every mapping for a role. Members keep it until the next sync.
+ * @param {string} roleId - Discord role ID
+ * @returns {number} Mappings removed
+ */
+export function removeRoleRewards(roleId) {
+    const removed = statements.deleteRoleRewards.run(roleId).changes;
+
+    if (removed > 0) {
+        console.log(`[ROLES] Removed ${removed} mapping(s) for role ${roleId}`);
+    }
+    return removed;
+}
+
+// ============================================
+// TIMED ROLES
+// ============================================
+
+/**
+ * Grant (or extend) a timed role. Synchronous so it can run inside the
+ * redemption transaction; the Discord role is added by a queued sync.
+ * @param {string} discordId - Discord user ID
+ * @param {string} roleId - Discord role ID
+ * @param {number} hours - How long the role lasts
+ * @returns {{success: boolean, roleId: string, expiresAt: Date}}
+ */
+export function grantTimedRole(discordId, roleId, hours) {
+    const existing = statements.getTimedRole.get(discordId, roleId);
+    const now = Date.now();
+
+    // Buying again while the role is active extends it
+    const from = existing ? Math.max(now, new Date(existing.expires_at).getTime()) : now;
+    const expiresAt = new Date(from + hours * 60 * 60 * 1000);
+
+    statements.upsertTimedRole.run(discordId, roleId, expiresAt.toISOString());
+    queueRoleSync(discordId);
+
+    return { success: true, roleId, expiresAt };
+}
+
+// ============================================
+// RECONCILING
+// ============================================
+
+/**
+ * Work out which managed roles a member should have right now
+ * @param {Object} user - User row
+ * @param {Array} mappings - role_rewards rows
+ * @param {Map<string, number>} [ranks] - Bebits rank by user, when syncing many members
+ * @returns {Set<string>} Role IDs
+ */
+function getDesiredRoles(user, mappings, ranks = null) {
+    const desired = new Set();
+    let rank;
+    let stageIndex;
+
+    for (const mapping of mappings) {
+        let qualifies = false;
+
+        switch (mapping.requirement) {
+            case RoleRequirements.STREAK:
+                qualifies = user.current_streak >= mapping.threshold;
+                break;
+            case RoleRequirements.CHECKINS:
+                qualifies = user.total_checkins >= mapping.threshold;
+                break;
+            case RoleRequirements.BEBITS:
+                qualifies = user.bebits >= mapping.threshold;
+                break;
+            case RoleRequirements.RANK:
+                // Nobody is "top 10" with an empty wallet
+                if (user.bebits > 0) {
+                    rank ??= (ranks
+                        ? ranks.get(user.discord_id)
+                        : getLeaderboardRank(LeaderboardTypes.BEBITS, user.discord_id)?.rank) ?? Infinity;
+                    qualifies = rank <= mapping.threshold;
+                }
+                break;
+            case RoleRequirements.RELATIONSHIP:
+                stageIndex ??= stageOrder().indexOf(getRelationship(user.discord_id).stage?.key);
+                qualifies = stageIndex >= stageOrder().indexOf(mapping.stage);
+                break;
+        }
+
+        if (qualifies) {
+            desired.add(mapping.role_id);
+        }
+    }
+
+    const now = new Date().toISOString();
+    for (const timed of statements.getActiveTimedRoles.all(user.discord_id, now)) {
+        desired.add(timed.role_id);
+    }
+
+    return desired;
+}
+
+/**
+ * Add and remove a member's managed roles to match their standing
+ * @param {string} discordId - Discord user ID
+ * @returns {Promise<{added: Array<string>, removed: Array<string>}|null>} Null if the member can't be synced
+ */
+export async function syncMemberRoles(discordId) {
+    if (!roleClient) {
+        return null;
+    }
+
+    const mappings = getRoleRewards();
+    return applyMemberRoles(discordId, getDesiredRoles(getUser(discordId), mappings), mappings);
+}
+
+/**
+ * Give a member exactly the desired managed roles, adding and removing in
+ * Discord. Both the per-member sync and the sweep go through here.
+ * An expired timed role's row is only dropped once Discord has the role
+ * right, so a failed removal is retried on the next sync.
+ * @param {string} discordId - Discord user ID
+ * @param {Set<string>} desired - From getDesiredRoles
+ * @param {Array} mappings - role_rewards rows
+ * @returns {Promise<{added: Array<string>, removed: Array<string>}|null>} Null if the member can't be synced
+ */
+async function applyMemberRoles(discordId, desired, mappings) {
+    const now = new Date().toISOString();
+    const held = new Set(statements.getHeldRoles.all(discordId).map(row => row.role_id));
+    const expired = statements.getExpiredTimedRoles.all(discordId, now).map(row => row.role_id);
+
+    // Roles the bot is allowed to touch for this member
+    const managed = new Set([...mappings.map(m => m.role_id), ...held, ...desired, ...expired]);
+    if (managed.size === 0) {
+        return { added: [], removed: [] };
+    }
+
+    let member;
+    try {
+        const guild = await roleClient.guilds.fetch(config.GUILD_ID);
+        member = await guild.members.fetch(discordId);
+    } catch (error) {
+        if (error.code !== RESTJSONErrorCodes.UnknownMember) {
+            // Try again on the next sync
+            console.error(`[ROLES] Could not fetch member ${discordId}:`, error.message);
+            return null;
+        }
+
+        // Left the server - forget what we gave them
+        for (const roleId of held) {
+            statements.removeHolder.run(discordId, roleId);
+        }
+        for (const roleId of expired) {
+            statements.deleteExpiredTimedRole.run(discordId, roleId, now);
+        }
+        return null;
+    }
+
+    const added = [];
+    const removed = [];
+
+    for (const roleId of managed) {
+        const hasRole = member.roles.cache.has(roleId);
+
+        try {
+            if (desired.has(roleId)) {
+                if (!hasRole) {
+                    await member.roles.add(roleId, 'Role reward earned');
+                    added.push(roleId);
+                }
+                statements.addHolder.run(discordId, roleId);
+            } else {
+                if (hasRole) {
+                    await member.roles.remove(roleId, 'Role reward no longer earned');
+                    removed.push(roleId);
+                }
+                statements.removeHolder.run(discordId, roleId);
+            }
+            statements.deleteExpiredTimedRole.run(discordId, roleId, now);
+        } catch (error) {
+            console.error(`[ROLES] Failed to update role ${roleId} for ${discordId}:`, error.message);
+        }
+    }
+
+    if (added.length > 0 || removed.length > 0) {
+        console.log(`[ROLES] ${discordId}: +${added.length} -${removed.length} roles`);
+    }
+
+    return { added, removed };
+}
+
+/**
+ * Sync a member's roles soon. Safe to call anywhere, including inside transactions.
+ * @param {string} discordId - Discord user ID
+ */
+export function queueRoleSync(discordId) {
+    if (!roleClient) {
+        return;
+    }
+
+    pendingSyncs.add(discordId);
+
+    if (!syncTimer) {
+        syncTimer = setTimeout(flushRoleSyncs, SYNC_DEBOUNCE_MS);
+    }
+}
+
+/**
+ * Sync everyone queued by queueRoleSync
+ */
+async function flushRoleSyncs() {
+    syncTimer = null;
+    const discordIds = [...pendingSyncs];
+    pendingSyncs.clear();
+
+    for (const discordId of discordIds) {
+        try {
+            await syncMemberRoles(discordId);
+        } catch (error) {
+            console.error(`[ROLES] Sync failed for ${discordId}:`, error);
+        }
+    }
+}
+
+/**
+ * Sync every member whose roles should change, and expire timed roles.
+ * Only members whose desired roles differ from what the bot gave them, or
+ * who have an expired timed role, are fetched from Discord.
+ * @returns {Promise<{checked: number, synced: number}>}
+ */
+export async function runRoleSweep() {
+    if (!roleClient) {
+        return { checked: 0, synced: 0 };
+    }
+
+    const mappings = getRoleRewards();
+    const users = new Map(statements.getAllUsers.all().map(user => [user.discord_id, user]));
+    const ranks = mappings.some(mapping => mapping.requirement === RoleRequirements.RANK)
+        ? new Map(statements.getBebitRanks.all().map(row => [row.discord_id, row.rank]))
+        : null;
+
+    const held = new Map();
+    for (const { discord_id, role_id } of statements.getHolders.all()) {
+        if (!held.has(discord_id)) held.set(discord_id, new Set());
+        held.get(discord_id).add(role_id);
+    }
+
+    // Expired timed roles still to be taken away
+    const expiring = new Set(statements.getMembersWithExpiredTimedRoles.all(new Date().toISOString()).map(row => row.discord_id));
+
+    const candidates = new Set([...users.keys(), ...held.keys(), ...expiring]);
+    const toSync = new Map();
+
+    for (const discordId of candidates) {
+        const desired = getDesiredRoles(users.get(discordId) || getUser(discordId), mappings, ranks);
+        const current = held.get(discordId) || new Set();
+
+        const changed = desired.size !== current.size || [...desired].some(roleId => !current.has(roleId));
+        if (changed || expiring.has(discordId)) {
+            toSync.set(discordId, desired);
+        }
+    }
+
+    for (const [discordId, desired] of toSync) {
+        try {
+            await applyMemberRoles(discordId, desired, mappings);
+        } catch (error) {
+            console.error(`[ROLES] Sweep sync failed for ${discordId}:`, error);
+        }
+    }
+
+    if (toSync.size > 0) {
+        console.log(`[ROLES] Sweep synced ${toSync.size}/${candidates.size} members`);
+    }
+
+    return { checked: candidates.size, synced: toSync.size };
+}
+
+/**
+ * Start syncing roles and run the periodic sweep
+ * @param {Client} client - Discord client
+ */
+export function startRoleRewards(client) {
+    roleClient = client;
+
+    if (sweepInterval) {
+        return;
+    }
+
+    runRoleSweep().catch(error => console.error('[ROLES] Sweep failed:', error));
+    sweepInterval = setInterval(() => {
+        runRoleSweep().catch(error => console.error('[ROLES] Sweep failed:', error));
+    }, config.ROLE_SYNC_INTERVAL_MINUTES * 60 * 1000);
+
+    console.log(`[ROLES] Role sweep every ${config.ROLE_SYNC_INTERVAL_MINUTES} minutes`);
+}
+
+/**
+ * Stop the periodic sweep
+ */
+export function stopRoleRewards() {
+    if (sweepInterval) {
+        clearInterval(sweepInterval);
+        sweepInterval = null;
+    }
+    if (syncTimer) {
+        clearTimeout(syncTimer);
+        syncTimer = null;
+    }
+}
+
+// Any Bebit change can cross a Bebits or rank threshold
+onBalanceChange(discordId => queueRoleSync(discordId));
+
+export default {
+    RoleRequirements,
+    getRoleRewards,
+    addRoleReward,
+    removeRoleRewards,
+    grantTimedRole,
+    syncMemberRoles,
+    queueRoleSync,
+    runRoleSweep,
+    startRoleRewards,
+    stopRoleRewards
+};
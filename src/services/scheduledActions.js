@@ -0,0 +1,516 @@
+/**
+ * Scheduled Actions Service
+ *
+ * Lets Jarvis commands run later or on repeat. A scheduling phrase at the start
+ * or end of the command ("at 8pm", "tomorrow at 9am", "in 30 minutes",
+ * "every Sunday at 6pm", "daily") is stripped off, the rest is parsed as a
+ * normal command, and the parsed command is stored instead of run. A phrase
+ * can be set off with a dash ("... — at 8pm") where it would otherwise read
+ * as part of the command's text.
+ *
+ * Jobs live in the database, so they survive restarts. A due job is claimed
+ * (one-offs marked done, recurring jobs moved to their next run) before it
+ * runs, so a slow run can't be picked up twice. Runs missed while the bot was
+ * offline happen once on startup rather than once per missed occurrence.
+ *
+ * Times are wall-clock times in the admin's timezone (or DEFAULT_TIMEZONE).
+ */
+
+import { config } from '../config.js';
+import db from '../database.js';
+import { getNextLocalTime } from '../utils/time.js';
+
+export const ScheduleStatus = {
+    ACTIVE: 'active',
+    DONE: 'done',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed'
+};
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Used when a phrase names a day but no time ("every Sunday", "tomorrow")
+const DEFAULT_HOUR = 12;
+const TONIGHT_HOUR = 20;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME = String.raw`\d{1,2}(?::\d{2})?\s*(?:am|pm)?|noon|midnight`;
+const WEEKDAY = `(?:${WEEKDAYS.join('|')})s?`;
+const PHRASE = [
+    String.raw`every\s+(?<every>day|hour|week|${WEEKDAY})(?:\s+at\s+(?<everyAt>${TIME}))?`,
+    String.raw`(?<adverb>daily|hourly|weekly)(?:\s+at\s+(?<adverbAt>${TIME}))?`,
+    String.raw`in\s+(?<inCount>\d+)\s*(?<inUnit>minutes?|mins?|hours?|hrs?|days?)`,
+    String.raw`(?<day>tomorrow|today|tonight|on\s+${WEEKDAY})(?:\s+at\s+(?<dayAt>${TIME}))?`,
+    String.raw`at\s+(?<at>${TIME})(?:\s+(?<atDay>tomorrow|today|tonight|on\s+${WEEKDAY}))?`
+].join('|');
+
+// Phrase before the command ("every Sunday, give ...") or after it ("... at 8pm",
+// "... — at 8pm")
+const LEADING_PHRASE = new RegExp(String.raw`^(?<phrase>${PHRASE})[,\s]+(?<command>.+)$`, 'i');
+const TRAILING_PHRASE = new RegExp(String.raw`^(?<command>.+?)(?:\s+(?<dash>[-–—]+)\s*|[,\s]+)(?<phrase>${PHRASE})[.!~]*$`, 'i');
+const PHRASE_ONLY = new RegExp(String.raw`^(?<phrase>${PHRASE})[.!~]*$`, 'i');
+
+const statements = {
+    insertAction: db.prepare(`
+        INSERT INTO scheduled_actions (actor_id, command, match, method, intent, raw_message, channel_id, schedule, recurrence, timezone, run_at)
+        VALUES (@actorId, @command, @match, @method, @intent, @rawMessage, @channelId, @schedule, @recurrence, @timezone, @runAt)
+    `),
+
+    getAction: db.prepare(`
+        SELECT * FROM scheduled_actions WHERE id = ?
+    `),
+
+    getActiveActions: db.prepare(`
+        SELECT * FROM scheduled_actions WHERE status = 'active' ORDER BY run_at ASC
+    `),
+
+    getRecentActions: db.prepare(`
+        SELECT * FROM scheduled_actions ORDER BY status = 'active' DESC, id DESC LIMIT ?
+    `),
+
+    getDueActions: db.prepare(`
+        SELECT * FROM scheduled_actions WHERE status = 'active' AND run_at <= ? ORDER BY run_at ASC
+    `),
+
+    claimOneOff: db.prepare(`
+        UPDATE scheduled_actions
+        SET status = 'done', run_count = run_count + 1, last_run_at = @now
+        WHERE id = @id AND status = 'active' AND run_at = @runAt
+    `),
+
+    claimRecurring: db.prepare(`
+        UPDATE scheduled_actions
+        SET run_at = @nextRunAt, run_count = run_count + 1, last_run_at = @now
+        WHERE id = @id AND status = 'active' AND run_at = @runAt
+    `),
+
+    setResult: db.prepare(`
+        UPDATE scheduled_actions SET last_result = ? WHERE id = ?
+    `),
+
+    markFailed: db.prepare(`
+        UPDATE scheduled_actions SET status = 'failed', last_result = ? WHERE id = ?
+    `),
+
+    cancelAction: db.prepare(`
+        UPDATE scheduled_actions
+        SET status = 'cancelled', cancelled_by = ?
+        WHERE id = ? AND status = 'active'
+    `)
+};
+
+let scheduleClient = null;
+let scheduleRunner = null;
+let checkInterval = null;
+let running = false;
+
+// ============================================
+// PHRASE PARSING
+// ============================================
+
+/**
+ * Parse a time of day ("8pm", "20:00", "8:30 am", "noon")
+ * @returns {{hour: number, minute: number}|null}
+ */
+function parseTimeOfDay(text) {
+    const value = text.toLowerCase().replace(/\s+/g, '');
+    if (value === 'noon') return { hour: 12, minute: 0 };
+    if (value === 'midnight') return { hour: 0, minute: 0 };
+
+    const match = value.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+    if (!match) return null;
+
+    let hour = parseInt(match[1]);
+    const minute = match[2] ? parseInt(match[2]) : 0;
+    const meridiem = match[3];
+
+    if (minute > 59) return null;
+    if (meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0);
+    } else if (hour > 23) {
+        return null;
+    }
+
+    return { hour, minute };
+}
+
+/**
+ * Weekday index (0 = Sunday) from "sunday", "on sundays", ...
+ */
+function parseWeekday(text) {
+    const name = text.toLowerCase().replace(/^on\s+/, '').replace(/s$/, '');
+    return WEEKDAYS.indexOf(name);
+}
+
+/**
+ * Weekday index (0 = Sunday) of a moment in a timezone
+ */
+function getLocalWeekday(date, timezone) {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'long' }).format(date);
+    return WEEKDAYS.indexOf(name.toLowerCase());
+}
+
+/**
+ * Work out the first run and recurrence for a matched phrase
+ * @returns {{runAt: Date, recurrence: Object|null}|null}
+ */
+function resolvePhrase(groups, timezone, now) {
+    const time = text => (text ? parseTimeOfDay(text) : { hour: DEFAULT_HOUR, minute: 0 });
+
+    if (groups.every || groups.adverb) {
+        const unit = (groups.every || groups.adverb).toLowerCase();
+        const at = time(groups.everyAt || groups.adverbAt);
+        if (!at) return null;
+
+        if (unit === 'hour' || unit === 'hourly') {
+            return { runAt: new Date(now.getTime() + HOUR_MS), recurrence: { every: 'hour' } };
+        }
+
+        let recurrence;
+        if (unit === 'day' || unit === 'daily') {
+            recurrence = { every: 'day', ...at };
+        } else if (unit === 'week' || unit === 'weekly') {
+            // "every week" with no day repeats on today's weekday
+            recurrence = { every: 'week', ...at, weekday: getLocalWeekday(now, timezone) };
+        } else {
+            recurrence = { every: 'week', ...at, weekday: parseWeekday(unit) };
+        }
+
+        return { runAt: getNextRun(recurrence, timezone, now), recurrence };
+    }
+
+    if (groups.inCount) {
+        const count = parseInt(groups.inCount);
+        if (count < 1) return null;
+
+        const unit = groups.inUnit.toLowerCase();
+        const ms = unit.startsWith('d') ? 24 * HOUR_MS : unit.startsWith('h') ? HOUR_MS : 60 * 1000;
+        return { runAt: new Date(now.getTime() + count * ms), recurrence: null };
+    }
+
+    const dayText = (groups.day || groups.atDay || '').toLowerCase();
+    const timeText = groups.dayAt || groups.at;
+
+    let at;
+    if (timeText) {
+        at = parseTimeOfDay(timeText);
+    } else if (dayText === 'tonight') {
+        at = { hour: TONIGHT_HOUR, minute: 0 };
+    } else if (dayText === 'today') {
+        return null;
+    } else {
+        at = time(null);
+    }
+    if (!at) return null;
+
+    if (dayText.startsWith('on')) {
+        return { runAt: getNextLocalTime(now, timezone, { ...at, weekday: parseWeekday(dayText) }), recurrence: null };
+    }
+
+    if (dayText === 'tomorrow') {
+        const midnight = getNextLocalTime(now, timezone, { hour: 0, minute: 0 });
+        return { runAt: getNextLocalTime(new Date(midnight.getTime() - 1), timezone, at), recurrence: null };
+    }
+
+    // A time that has already passed today means the same time tomorrow
+    const runAt = getNextLocalTime(now, timezone, at);
+    return { runAt, recurrence: null };
+}
+
+/**
+ * Find a scheduling phrase at the start or end of a message
+ * @param {string} message - The admin's message
+ * @param {string} timezone - Timezone the times are given in
+ * @param {Date} now
+ * @returns {{command: string, phrase: string, runAt: Date, recurrence: Object|null, timezone: string, trailing: boolean, separated: boolean}|null}
+ *   trailing: the phrase came after the command; separated: it was set off with a dash
+ */
+export function parseSchedulePhrase(message, timezone = config.DEFAULT_TIMEZONE, now = new Date()) {
+    const text = message.trim();
+    const leading = text.match(LEADING_PHRASE);
+    const match = leading || text.match(TRAILING_PHRASE);
+    if (!match) return null;
+
+    const resolved = resolvePhrase(match.groups, timezone, now);
+    if (!resolved || !resolved.runAt) return null;
+
+    return {
+        command: match.groups.command.trim(),
+        phrase: match.groups.phrase.trim(),
+        runAt: resolved.runAt,
+        recurrence: resolved.recurrence,
+        timezone,
+        trailing: !leading,
+        separated: !!match.groups.dash
+    };
+}
+
+/**
+ * Parse a scheduling phrase on its own ("at 8pm", "every friday")
+ * @param {string} text - The phrase
+ * @param {string} timezone - Timezone the times are given in
+ * @param {Date} now
+ * @returns {{phrase: string, runAt: Date, recurrence: Object|null, timezone: string}|null}
+ */
+export function parseScheduleTime(text, timezone = config.DEFAULT_TIMEZONE, now = new Date()) {
+    const match = text.trim().match(PHRASE_ONLY);
+    if (!match) return null;
+
+    const resolved = resolvePhrase(match.groups, timezone, now);
+    if (!resolved || !resolved.runAt) return null;
+
+    return {
+        phrase: match.groups.phrase.trim(),
+        runAt: resolved.runAt,
+        recurrence: resolved.recurrence,
+        timezone
+    };
+}
+
+/**
+ * Next run of a recurring job after a point in time
+ * @param {Object} recurrence - { every: 'hour'|'day'|'week', hour, minute, weekday }
+ * @param {string} timezone
+ * @param {Date} after
+ * @returns {Date}
+ */
+export function getNextRun(recurrence, timezone, after) {
+    if (recurrence.every === 'hour') {
+        return new Date(after.getTime() + HOUR_MS);
+    }
+
+    return getNextLocalTime(after, timezone, {
+        hour: recurrence.hour,
+        minute: recurrence.minute,
+        weekday: recurrence.every === 'week' ? recurrence.weekday : null
+    });
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * Parse the JSON columns of a scheduled action row
+ */
+function parseAction(row) {
+    if (!row) return null;
+
+    return {
+        ...row,
+        match: JSON.parse(row.match),
+        intent: row.intent ? JSON.parse(row.intent) : null,
+        recurrence: row.recurrence ? JSON.parse(row.recurrence) : null
+    };
+}
+
+/**
+ * Store a parsed command to run later
+ * @param {Object} action
+ * @param {string} action.actorId - Admin who scheduled it
+ * @param {string} action.command - Command name (e.g. mass_give_bebits)
+ * @param {Array} action.match - The command's parsed match
+ * @param {string} action.method - How it was parsed: 'llm', 'pattern' or 'intent'
+ * @param {Object|null} action.intent - What the parser extracted
+ * @param {string} action.rawMessage - The admin's full message
+ * @param {string|null} action.channelId - Where results are posted
+ * @param {Object} action.schedule - Result of parseSchedulePhrase
+ * @returns {number} Scheduled action ID
+ */
+export function createScheduledAction({ actorId, command, match, method, intent = null, rawMessage, channelId = null, schedule }) {
+    const result = statements.insertAction.run({
+        actorId,
+        command,
+        match: JSON.stringify(Array.from(match)),
+        method,
+        intent: intent ? JSON.stringify(intent) : null,
+        rawMessage,
+        channelId,
+        schedule: schedule.phrase,
+        recurrence: schedule.recurrence ? JSON.stringify(schedule.recurrence) : null,
+        timezone: schedule.timezone,
+        runAt: schedule.runAt.toISOString()
+    });
+
+    console.log(`[SCHEDULE] #${result.lastInsertRowid} ${command} by ${actorId} (${schedule.phrase}) first run ${schedule.runAt.toISOString()}`);
+    return Number(result.lastInsertRowid);
+}
+
+/**
+ * Get a single scheduled action
+ * @param {number} actionId
+ * @returns {Object|null}
+ */
+export function getScheduledAction(actionId) {
+    return parseAction(statements.getAction.get(actionId));
+}
+
+/**
+ * Get scheduled actions
+ * @param {boolean} includeFinished - Also show done, failed and cancelled jobs
+ * @param {number} limit - Max rows when including finished jobs
+ * @returns {Array}
+ */
+export function getScheduledActions(includeFinished = false, limit = 25) {
+    const rows = includeFinished
+        ? statements.getRecentActions.all(limit)
+        : statements.getActiveActions.all();
+    return rows.map(parseAction);
+}
+
+/**
+ * Cancel an active scheduled action
+ * @param {number} actionId
+ * @param {string} cancelledBy - Admin who cancelled it
+ * @param {Function} [canCancel] - Optional check on the action, e.g. only its creator
+ * @returns {{success: boolean, reason?: string, action?: Object}}
+ *   (reason: not_found, not_owner, inactive)
+ */
+export function cancelScheduledAction(actionId, cancelledBy, canCancel = null) {
+    const action = getScheduledAction(actionId);
+    if (!action) {
+        return { success: false, reason: 'not_found' };
+    }
+    if (canCancel && !canCancel(action)) {
+        return { success: false, reason: 'not_owner', action };
+    }
+
+    if (statements.cancelAction.run(cancelledBy, actionId).changes === 0) {
+        return { success: false, reason: 'inactive', action };
+    }
+
+    console.log(`[SCHEDULE] #${actionId} cancelled by ${cancelledBy}`);
+    return { success: true, action };
+}
+
+// ============================================
+// RUNNER
+// ============================================
+
+/**
+ * Claim a due job so it only runs once
+ * @returns {boolean} False if another tick already claimed it
+ */
+function claimAction(action, now) {
+    const params = { id: action.id, runAt: action.run_at, now: now.toISOString() };
+
+    if (!action.recurrence) {
+        return statements.claimOneOff.run(params).changes > 0;
+    }
+
+    // Skip occurrences missed while offline
+    const from = new Date(Math.max(now.getTime(), new Date(action.run_at).getTime()));
+    const nextRunAt = getNextRun(action.recurrence, action.timezone, from).toISOString();
+    return statements.claimRecurring.run({ ...params, nextRunAt }).changes > 0;
+}
+
+/**
+ * Post a job's result to the channel it was scheduled from
+ */
+async function postResult(action, result) {
+    if (!scheduleClient || !action.channel_id) return;
+
+    try {
+        const channel = await scheduleClient.channels.fetch(action.channel_id);
+        await channel?.send({
+            content: `🗓️ **Scheduled #${action.id}** ${result.message}`,
+            allowedMentions: { parse: [] }
+        });
+    } catch (error) {
+        console.error(`[SCHEDULE] Could not post result of #${action.id}:`, error.message);
+    }
+}
+
+/**
+ * Run every job that's due
+ * @returns {Promise<number>} Number of jobs run
+ */
+export async function runDueScheduledActions(now = new Date()) {
+    if (!scheduleRunner || running) {
+        return 0;
+    }
+
+    running = true;
+    let ran = 0;
+
+    try {
+        const due = statements.getDueActions.all(now.toISOString()).map(parseAction);
+
+        for (const action of due) {
+            if (!claimAction(action, now)) continue;
+            ran++;
+
+            try {
+                const result = await scheduleRunner(action);
+                statements.setResult.run(result.message || null, action.id);
+                console.log(`[SCHEDULE] #${action.id} ${action.command}: ${result.success ? 'ok' : 'failed'}`);
+
+                if (!result.success && !action.recurrence) {
+                    statements.markFailed.run(result.message || null, action.id);
+                }
+
+                await postResult(action, result);
+            } catch (error) {
+                console.error(`[SCHEDULE] #${action.id} threw:`, error);
+                if (action.recurrence) {
+                    statements.setResult.run(`Error: ${error.message}`, action.id);
+                } else {
+                    statements.markFailed.run(`Error: ${error.message}`, action.id);
+                }
+            }
+        }
+    } finally {
+        running = false;
+    }
+
+    return ran;
+}
+
+/**
+ * Start checking for due jobs
+ * @param {Client} client - Discord client, for posting results
+ * @param {Function} runner - Executes a job: async (action) => command result
+ */
+export function startScheduledActions(client, runner) {
+    scheduleClient = client;
+    scheduleRunner = runner;
+
+    if (checkInterval) {
+        return;
+    }
+
+    const check = () => {
+        runDueScheduledActions().catch(error => console.error('[SCHEDULE] Check failed:', error));
+    };
+
+    check();
+    checkInterval = setInterval(check, CHECK_INTERVAL_MS);
+    console.log(`[SCHEDULE] Scheduler started (${statements.getActiveActions.all().length} active jobs)`);
+}
+
+/**
+ * Stop checking for due jobs
+ */
+export function stopScheduledActions() {
+    if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+    }
+}
+
+export default {
+    ScheduleStatus,
+    parseSchedulePhrase,
+    parseScheduleTime,
+    getNextRun,
+    createScheduledAction,
+    getScheduledAction,
+    getScheduledActions,
+    cancelScheduledAction,
+    runDueScheduledActions,
+    startScheduledActions,
+    stopScheduledActions
+};
@@ -0,0 +1,310 @@
+/**
+ * Seasons Service
+ *
+ * Runs the Bebit economy in seasons. Ending a season:
+ * 1. Archives every member's balance, streak and check-ins into season_standings
+ * 2. Awards permanent badges to the top 3 by Bebits
+ * 3. Soft-resets the economy: members keep a percentage of their Bebits
+ *    (0 = full reset) and optionally their streaks
+ *
+ * Balance resets go through the ledger, so /history shows where the Bebits went.
+ */
+
+import db, { applyBebitDelta, TransactionReasons } from '../database.js';
+
+// Badges awarded by final Bebit rank
+export const SEASON_BADGES = {
+    1: 'season_champion',
+    2: 'season_runner_up',
+    3: 'season_third'
+};
+
+// Archived boards keep these rankings; everything else falls back to Bebits
+const SEASON_SCORE_COLUMNS = {
+    bebits: 'bebits',
+    streak: 'current_streak',
+    checkins: 'total_checkins'
+};
+
+const statements = {
+    getLastSeason: db.prepare(`
+        SELECT * FROM seasons ORDER BY id DESC LIMIT 1
+    `),
+
+    getSeason: db.prepare(`
+        SELECT * FROM seasons WHERE id = ?
+    `),
+
+    getSeasons: db.prepare(`
+        SELECT s.*, st.discord_id as winner_id, st.bebits as winner_bebits,
+            (SELECT COUNT(*) FROM season_standings WHERE season_id = s.id) as members
+        FROM seasons s
+        LEFT JOIN season_standings st ON st.season_id = s.id AND st.rank = 1
+        GROUP BY s.id
+        ORDER BY s.id DESC
+        LIMIT ?
+    `),
+
+    getStandingsSnapshot: db.prepare(`
+        SELECT discord_id, bebits, current_streak, total_checkins
+        FROM users
+        WHERE bebits > 0 OR current_streak > 0 OR total_checkins > 0
+        ORDER BY bebits DESC, discord_id ASC
+    `),
+
+    insertSeason: db.prepare(`
+        INSERT INTO seasons (id, name, started_at, ended_by, keep_percent, keep_streaks)
+        VALUES (@id, @name, @started_at, @ended_by, @keep_percent, @keep_streaks)
+    `),
+
+    insertStanding: db.prepare(`
+        INSERT INTO season_standings (season_id, discord_id, rank, bebits, current_streak, total_checkins)
+        VALUES (@season_id, @discord_id, @rank, @bebits, @current_streak, @total_checkins)
+    `),
+
+    insertBadge: db.prepare(`
+        INSERT OR IGNORE INTO user_badges (discord_id, badge, season_id)
+        VALUES (?, ?, ?)
+    `),
+
+    // Clearing the anchor too makes the next check-in start a fresh streak,
+    // so its milestones don't collide with ones claimed last season.
+    // last_checkin stays, so the daily cooldown still applies.
+    resetStreaks: db.prepare(`
+        UPDATE users
+        SET current_streak = 0, streak_started_at = NULL,
+            lost_streak = 0, lost_streak_started_at = NULL, streak_lost_at = NULL
+    `),
+
+    getUserBadges: db.prepare(`
+        SELECT * FROM user_badges WHERE discord_id = ? ORDER BY awarded_at ASC, id ASC
+    `)
+};
+
+const seasonBoardStatements = Object.fromEntries(
+    Object.entries(SEASON_SCORE_COLUMNS).map(([type, column]) => [type, {
+        page: db.prepare(`
+            SELECT discord_id, ${column} as score, bebits, current_streak
+            FROM season_standings
+            WHERE season_id = ? AND ${column} > 0
+            ORDER BY ${column} DESC, rank ASC, discord_id ASC
+            LIMIT ? OFFSET ?
+        `),
+        count: db.prepare(`
+            SELECT COUNT(*) as count FROM season_standings WHERE season_id = ? AND ${column} > 0
+        `),
+        rank: db.prepare(`
+            SELECT ${column} as score,
+                (SELECT COUNT(*) FROM season_standings other
+                 WHERE other.season_id = mine.season_id AND other.${column} > mine.${column}) + 1 as rank
+            FROM season_standings mine
+            WHERE season_id = ? AND discord_id = ? AND ${column} > 0
+        `)
+    }])
+);
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Get the season in progress
+ * @returns {{number: number, startedAt: string|null}}
+ */
+export function getCurrentSeason() {
+    const last = statements.getLastSeason.get();
+    return {
+        number: (last?.id || 0) + 1,
+        startedAt: last?.ended_at || null
+    };
+}
+
+/**
+ * Get an archived season by number
+ * @param {number} seasonId - Season number
+ * @returns {Object|undefined}
+ */
+export function getSeason(seasonId) {
+    return statements.getSeason.get(seasonId);
+}
+
+/**
+ * Get archived seasons, newest first, with their winner
+ * @param {number} limit - Max seasons
+ * @returns {Array}
+ */
+export function getSeasons(limit = 20) {
+    return statements.getSeasons.all(limit);
+}
+
+/**
+ * Resolve a leaderboard type to one archived seasons keep
+ * @param {string} type - Requested leaderboard type
+ * @returns {string} 'bebits', 'streak' or 'checkins'
+ */
+export function getSeasonBoardType(type) {
+    return SEASON_SCORE_COLUMNS[type] ? type : 'bebits';
+}
+
+/**
+ * Get one page of an archived season's final standings
+ * @param {number} seasonId - Season number
+ * @param {string} type - 'bebits', 'streak' or 'checkins'
+ * @param {number} limit - Entries per page
+ * @param {number} offset - Entries to skip
+ * @returns {{entries: Array, total: number}}
+ */
+export function getSeasonLeaderboard(seasonId, type, limit = 10, offset = 0) {
+    const board = seasonBoardStatements[getSeasonBoardType(type)];
+
+    return {
+        entries: board.page.all(seasonId, limit, offset),
+        total: board.count.get(seasonId).count
+    };
+}
+
+/**
+ * Get a member's final position in an archived season
+ * @param {number} seasonId - Season number
+ * @param {string} type - 'bebits', 'streak' or 'checkins'
+ * @param {string} discordId - Discord user ID
+ * @returns {{rank: number, score: number}|null}
+ */
+export function getSeasonRank(seasonId, type, discordId) {
+    const board = seasonBoardStatements[getSeasonBoardType(type)];
+    return board.rank.get(seasonId, discordId) || null;
+}
+
+/**
+ * Get a member's badges, oldest first
+ * @param {string} discordId - Discord user ID
+ * @returns {Array<{badge: string, season_id: number|null, awarded_at: string}>}
+ */
+export function getUserBadges(discordId) {
+    return statements.getUserBadges.all(discordId);
+}
+
+// ============================================
+// ENDING A SEASON
+// ============================================
+
+/**
+ * Preview what ending the season would do, without changing anything
+ * @param {number} keepPercent - % of each balance members keep
+ * @returns {{season: number, members: number, totalBebits: number, keptBebits: number, winners: Array}}
+ */
+export function previewSeasonEnd(keepPercent) {
+    const standings = rankStandings(statements.getStandingsSnapshot.all());
+
+    const totalBebits = standings.reduce((sum, s) => sum + s.bebits, 0);
+    const keptBebits = standings.reduce((sum, s) => sum + keptBalance(s.bebits, keepPercent), 0);
+
+    return {
+        season: getCurrentSeason().number,
+        members: standings.length,
+        totalBebits,
+        keptBebits,
+        winners: standings
+            .filter(s => SEASON_BADGES[s.rank] && s.bebits > 0)
+            .map(s => ({ ...s, badge: SEASON_BADGES[s.rank] }))
+    };
+}
+
+/**
+ * End the current season: archive standings, award badges and soft-reset.
+ * Runs as one transaction - either everything happens or nothing does.
+ *
+ * @param {Object} options
+ * @param {string|null} options.name - Optional season name
+ * @param {number} options.keepPercent - % of each balance members keep (0 = full reset)
+ * @param {boolean} options.keepStreaks - Whether streaks survive the reset
+ * @param {string} options.adminId - Who ended the season
+ * @returns {{season: Object, members: number, winners: Array, bebitsRemoved: number}}
+ */
+export const endSeason = db.transaction(({ name = null, keepPercent, keepStreaks, adminId }) => {
+    const current = getCurrentSeason();
+    const standings = rankStandings(statements.getStandingsSnapshot.all());
+
+    statements.insertSeason.run({
+        id: current.number,
+        name,
+        started_at: current.startedAt,
+        ended_by: adminId,
+        keep_percent: keepPercent,
+        keep_streaks: keepStreaks ? 1 : 0
+    });
+
+    const winners = [];
+    let bebitsRemoved = 0;
+
+    for (const standing of standings) {
+        statements.insertStanding.run({ season_id: current.number, ...standing });
+
+        const badge = SEASON_BADGES[standing.rank];
+        if (badge && standing.bebits > 0) {
+            statements.insertBadge.run(standing.discord_id, badge, current.number);
+            winners.push({ ...standing, badge });
+        }
+
+        const newBalance = keptBalance(standing.bebits, keepPercent);
+        if (newBalance !== standing.bebits) {
+            applyBebitDelta(
+                standing.discord_id,
+                newBalance - standing.bebits,
+                TransactionReasons.SEASON_RESET,
+                adminId,
+                `Season ${current.number} ended (kept ${keepPercent}%)`
+            );
+            bebitsRemoved += standing.bebits - newBalance;
+        }
+    }
+
+    if (!keepStreaks) {
+        statements.resetStreaks.run();
+    }
+
+    console.log(`[SEASONS] Season ${current.number} ended by ${adminId}: ${standings.length} members archived, ${bebitsRemoved} bebits removed`);
+
+    return {
+        season: getSeason(current.number),
+        members: standings.length,
+        winners,
+        bebitsRemoved
+    };
+});
+
+/**
+ * Assign final ranks by Bebits (ties share a rank)
+ */
+function rankStandings(rows) {
+    let rank = 0;
+    let previous = null;
+
+    return rows.map((row, index) => {
+        if (row.bebits !== previous) {
+            rank = index + 1;
+            previous = row.bebits;
+        }
+        return { ...row, rank };
+    });
+}
+
+/**
+ * Balance a member keeps after the reset
+ */
+function keptBalance(bebits, keepPercent) {
+    return Math.floor(bebits * keepPercent / 100);
+}
+
+export default {
+    SEASON_BADGES,
+    getCurrentSeason,
+    getSeason,
+    getSeasons,
+    getSeasonBoardType,
+    getSeasonLeaderboard,
+    getSeasonRank,
+    getUserBadges,
+    previewSeasonEnd,
+    endSeason
+};
@@ -10,6 +10,7 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { config } from '../config.js';
 import { generateEmbedding, isEmbeddingAvailable } from './embedding.js';
+import { LLMPurpose, complete, isLLMConfigured } from './llmClient.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -183,57 +184,37 @@ async function generateSummary(channelId, guildId, periodType, startTime, endTim
  * Use LLM to generate summary and extract topics
  */
 async function summarizeWithLLM(conversationText, periodType) {
-    if (!config.OPENROUTER_API_KEY) {
+    if (!isLLMConfigured(LLMPurpose.SUMMARIZER)) {
         return fallbackSummary(conversationText);
     }
 
-    try {
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${config.OPENROUTER_API_KEY}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': 'https://github.com/CMLKevin/beboa_evo',
-                'X-Title': 'Beboa Discord Bot - Summarizer'
-            },
-            body: JSON.stringify({
-                model: config.LLM_EVALUATOR_MODEL || 'x-ai/grok-4.1-fast',
-                messages: [
-                    {
-                        role: 'system',
-                        content: `You are a Discord conversation summarizer. Analyze the conversation and provide a JSON response with:
+    const result = await complete(LLMPurpose.SUMMARIZER, [
+        {
+            role: 'system',
+            content: `You are a Discord conversation summarizer. Analyze the conversation and provide a JSON response with:
 1. "summary": A brief 1-2 sentence summary of what was discussed
 2. "topics": An array of 1-3 key topics/themes (short phrases)
 3. "mood": Overall mood (casual, heated, supportive, creative, etc.)
 
 Keep it natural and conversational. This is a ${periodType} summary.
 Response must be valid JSON only.`
-                    },
-                    {
-                        role: 'user',
-                        content: `Summarize this Discord conversation:\n\n${conversationText.substring(0, 3000)}`
-                    }
-                ],
-                temperature: 0.3,
-                max_tokens: 300,
-                response_format: { type: 'json_object' }
-            })
-        });
-
-        if (!response.ok) {
-            console.error('[SUMMARIZER] LLM API error:', response.status);
-            return fallbackSummary(conversationText);
-        }
-
-        const data = await response.json();
-        const content = data.choices?.[0]?.message?.content;
-
-        if (!content) {
-            return fallbackSummary(conversationText);
+        },
+        {
+            role: 'user',
+            content: `Summarize this Discord conversation:\n\n${conversationText.substring(0, 3000)}`
         }
+    ], {
+        temperature: 0.3,
+        maxTokens: 300,
+        responseFormat: { type: 'json_object' }
+    });
 
-        return JSON.parse(content);
+    if (!result.success || !result.content) {
+        return fallbackSummary(conversationText);
+    }
 
+    try {
+        return JSON.parse(result.content);
     } catch (error) {
         console.error('[SUMMARIZER] LLM summarization error:', error.message);
         return fallbackSummary(conversationText);
@@ -6,8 +6,7 @@
 
 import { config } from '../config.js';
 import db from '../database.js';
-
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+import { LLMPurpose, complete, completeStream, request, getProvider } from './llmClient.js';
 
 // Prepared statement for logging tool usage
 const logToolUsage = db.prepare(`
@@ -131,74 +130,45 @@ export function getRegisteredTools() {
 /**
  * Chat completion with tool calling support
  * @param {Array} messages - Message array
- * @param {Object} options - API options
+ * @param {Object} options - API options (onText streams any text reply, see chatCompletion)
  * @returns {Promise<Object>}
  */
 export async function chatWithTools(messages, options = {}) {
-    if (!config.OPENROUTER_API_KEY) {
-        return { success: false, error: 'OpenRouter not configured' };
-    }
-
-    const requestBody = {
-        model: options.model || config.OPENROUTER_MODEL,
-        messages,
-        max_tokens: options.maxTokens || config.OPENROUTER_MAX_TOKENS,
+    const requestOptions = {
+        model: options.model,
+        maxTokens: options.maxTokens || config.OPENROUTER_MAX_TOKENS,
         temperature: options.temperature || config.OPENROUTER_TEMPERATURE,
+        // Add tools if available and enabled
+        tools: options.enableTools !== false ? toolDefinitions : null
     };
 
-    // Add tools if available and enabled
-    if (toolDefinitions.length > 0 && options.enableTools !== false) {
-        requestBody.tools = toolDefinitions;
-        requestBody.tool_choice = 'auto';
-    }
+    const result = options.onText
+        ? await completeStream(LLMPurpose.CHAT, messages, requestOptions, options.onText)
+        : await complete(LLMPurpose.CHAT, messages, requestOptions);
 
-    try {
-        const response = await fetch(OPENROUTER_API_URL, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${config.OPENROUTER_API_KEY}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': 'https://discord.gg/bubblebebe',
-                'X-Title': 'Beboa Discord Bot'
-            },
-            body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            console.error('[TOOLS] API Error:', response.status, errorData);
-            return { success: false, error: `API returned ${response.status}`, errorData };
-        }
-
-        const data = await response.json();
-        const message = data.choices?.[0]?.message;
+    if (!result.success) {
+        return { success: false, error: result.error, errorData: result.errorData };
+    }
 
-        if (!message) {
-            return { success: false, error: 'No message in response' };
-        }
-
-        // Check for tool calls
-        if (message.tool_calls && message.tool_calls.length > 0) {
-            return {
-                success: true,
-                hasToolCalls: true,
-                toolCalls: message.tool_calls,
-                content: message.content,
-                usage: data.usage
-            };
-        }
+    const { message, usage } = result;
 
+    // Check for tool calls
+    if (message.tool_calls && message.tool_calls.length > 0) {
         return {
             success: true,
-            hasToolCalls: false,
+            hasToolCalls: true,
+            toolCalls: message.tool_calls,
             content: message.content,
-            usage: data.usage
+            usage
         };
-
-    } catch (error) {
-        console.error('[TOOLS] Request failed:', error);
-        return { success: false, error: error.message };
     }
+
+    return {
+        success: true,
+        hasToolCalls: false,
+        content: message.content,
+        usage
+    };
 }
 
 /**
@@ -236,7 +206,7 @@ export async function processToolCalls(toolCalls, context = {}) {
 // ============================================
 
 /**
- * Image Generation Tool (using OpenRouter)
+ * Image Generation Tool (OpenRouter, or Together AI with IMAGE_PROVIDER=together)
  */
 registerTool({
     name: 'generate_image',
@@ -261,34 +231,25 @@ registerTool({
         const fullPrompt = `${style} style: ${prompt}`;
 
         // Use Together AI for reliable image generation
-        if (config.IMAGE_PROVIDER === 'together' && config.TOGETHER_API_KEY) {
-            const response = await fetch('https://api.together.xyz/v1/images/generations', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${config.TOGETHER_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: config.IMAGE_MODEL,
-                    prompt: fullPrompt,
-                    width: 1024,
-                    height: 1024,
-                    steps: 4,
-                    n: 1
-                })
+        if (getProvider(LLMPurpose.IMAGE).name === 'together') {
+            const result = await request(LLMPurpose.IMAGE, '/images/generations', {
+                model: config.IMAGE_MODEL,
+                prompt: fullPrompt,
+                width: 1024,
+                height: 1024,
+                steps: 4,
+                n: 1
             });
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Together AI image generation failed: ${response.status} - ${errorText}`);
+            if (!result.success) {
+                throw new Error(`Together AI image generation failed: ${result.error} - ${JSON.stringify(result.data)}`);
             }
 
-            const data = await response.json();
-            const imageUrl = data.data?.[0]?.url;
+            const imageUrl = result.data?.data?.[0]?.url;
 
             if (!imageUrl) {
                 // Check for base64 response
-                const b64 = data.data?.[0]?.b64_json;
+                const b64 = result.data?.data?.[0]?.b64_json;
                 if (b64) {
                     return { imageUrl: `data:image/png;base64,${b64}`, prompt, style, isBase64: true };
                 }
@@ -298,38 +259,21 @@ registerTool({
             return { imageUrl, prompt, style };
         }
 
-        // Use OpenRouter chat/completions with modalities for image generation
+        // Use chat/completions with modalities for image generation
         // See: https://openrouter.ai/docs/guides/overview/multimodal/image-generation
-        const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${config.OPENROUTER_API_KEY}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': 'https://discord.gg/bubblebebe',
-                'X-Title': 'Beboa Discord Bot'
-            },
-            body: JSON.stringify({
-                model: config.IMAGE_MODEL,
-                modalities: ['image', 'text'],
-                messages: [
-                    {
-                        role: 'user',
-                        content: `Generate an image: ${fullPrompt}`
-                    }
-                ]
-            })
-        });
+        const result = await complete(LLMPurpose.IMAGE, [
+            {
+                role: 'user',
+                content: `Generate an image: ${fullPrompt}`
+            }
+        ], { modalities: ['image', 'text'] });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Image generation failed: ${response.status} - ${errorText}`);
+        if (!result.success) {
+            throw new Error(`Image generation failed: ${result.error} - ${JSON.stringify(result.errorData)}`);
         }
 
-        const data = await response.json();
-
         // OpenRouter returns images in choices[0].message.images array as base64 data URLs
-        const images = data.choices?.[0]?.message?.images;
-        const imageUrl = images?.[0]?.image_url?.url;
+        const imageUrl = result.message.images?.[0]?.image_url?.url;
 
         if (!imageUrl) {
             throw new Error('No image in response. Try: google/gemini-2.5-flash-image-preview or black-forest-labs/flux.2-pro');
@@ -241,6 +241,20 @@ export function getCooldownMessage(secondsRemaining) {
     return messages[Math.floor(Math.random() * messages.length)];
 }
 
+/**
+ * Get the placeholder shown while a reply is being written
+ * @returns {string} In-character "thinking" message
+ */
+export function getThinkingMessage() {
+    const messages = [
+        '*coils up to think...*',
+        '*hisses thoughtfully...*',
+        '*tail flicking...*',
+        '*slithers closer...*'
+    ];
+    return messages[Math.floor(Math.random() * messages.length)];
+}
+
 /**
  * Get disabled feature message
  * @returns {string} Message when chat feature is disabled
@@ -416,5 +430,6 @@ export default {
     shouldExtractMemory,
     getErrorMessage,
     getCooldownMessage,
+    getThinkingMessage,
     getDisabledMessage
 };
@@ -1,16 +1,29 @@
-import { REWARDS } from './rewards.js';
-
 // ============================================
 // CHECK-IN MESSAGES
 // ============================================
 
+/**
+ * Format the "Bebits earned" line for a check-in
+ * @param {Object|null} reward - Reward breakdown from the check-in reward engine
+ */
+function formatEarnedLine(reward) {
+    const amount = reward ? reward.streakReward : 1;
+    let line = `**+${amount} Bebit${amount !== 1 ? 's' : ''} earned!**`;
+
+    if (reward && reward.multiplier > 1) {
+        line += ` (${reward.multiplier}x streak bonus)`;
+    }
+
+    return line;
+}
+
 /**
  * Success message when streak continues normally
  */
-export function checkinSuccess(username, bebits, streak) {
+export function checkinSuccess(username, bebits, streak, reward = null) {
     return `🐍 Sssalutations, **${username}**! Beboa has marked your presence...
 
-**+1 Bebit earned!**
+${formatEarnedLine(reward)}
 Current Balance: **${bebits} Bebits**
 Streak: **${streak} days** 🔥
 
@@ -20,12 +33,12 @@ Hehehe... another day closer to your rewards, little mortal~`;
 /**
  * Success message when streak is recovered (within 48-72 hours)
  */
-export function checkinRecovered(username, bebits, streak) {
+export function checkinRecovered(username, bebits, streak, reward = null) {
     return `🐍 Hisss... cutting it close, aren't we **${username}**?
 
 Beboa will let it slide THIS time. Your streak lives... barely.
 
-**+1 Bebit earned!**
+${formatEarnedLine(reward)}
 Current Balance: **${bebits} Bebits**
 Streak: **${streak} days** (recovered!)
 
@@ -35,19 +48,38 @@ Don't test my patience again~ 🐍`;
 /**
  * Success message when streak resets (> 72 hours)
  */
-export function checkinReset(username, bebits, oldStreak) {
+export function checkinReset(username, bebits, oldStreak, reward = null, freezesUsed = 0) {
+    const freezeLine = freezesUsed > 0
+        ? `\nYour ${freezesUsed} streak freeze${freezesUsed !== 1 ? 's' : ''} melted trying to save it... not enough, mortal~ 🧊`
+        : '';
+
     return `🐍 Oh my, oh my... look who finally remembered Beboa exists!
 
-Your streak of **${oldStreak} days** has turned to dust. Pathetic~
+Your streak of **${oldStreak} days** has turned to dust. Pathetic~${freezeLine}
 But Beboa is feeling generous... your **${bebits} Bebits** remain.
 
-**+1 Bebit earned!**
+${formatEarnedLine(reward)}
 Current Balance: **${bebits} Bebits**
 Streak: **1 day** (reset)
 
 Start crawling again, little one~ 🐍`;
 }
 
+/**
+ * Success message when streak freezes covered the missed days
+ */
+export function checkinFrozen(username, bebits, streak, freezesUsed, reward = null) {
+    return `🐍 Well, well, **${username}**... you vanished on Beboa.
+
+But your ice saved you. **${freezesUsed} streak freeze${freezesUsed !== 1 ? 's' : ''}** melted to keep your streak alive~ 🧊
+
+${formatEarnedLine(reward)}
+Current Balance: **${bebits} Bebits**
+Streak: **${streak} days** (frozen!)
+
+Don't make a habit of it~ 🐍`;
+}
+
 /**
  * Message when user is still on cooldown
  */
@@ -66,18 +98,46 @@ Beboa doesn't do charity~ 🐍`;
 /**
  * First time check-in message
  */
-export function checkinFirst(username, bebits) {
+export function checkinFirst(username, bebits, reward = null) {
     return `🐍 Sssalutations, **${username}**! A new mortal joins Bebe's domain...
 
 Beboa has marked your first presence. Don't disappoint us~
 
-**+1 Bebit earned!**
+${formatEarnedLine(reward)}
 Current Balance: **${bebits} Bebits**
 Streak: **1 day** 🔥
 
 Come back every day to build your streak, little one~`;
 }
 
+/**
+ * Default persona lines for streak milestones
+ */
+const MILESTONE_MESSAGES = {
+    7: "A whole week?! Hmph... Beboa supposes that deserves a little treat~",
+    30: "Thirty days of devotion... Beboa is NOT impressed. (Beboa is a little impressed.)",
+    100: "ONE HUNDRED DAYS?! Bebe, come look at this obsessed little creature!",
+    365: "A full year... Beboa bows her scaly head. You are hopelessly devoted, and Beboa adores it~"
+};
+
+/**
+ * Milestone bonus announcement appended to a check-in
+ * Custom messages support {user}, {days} and {bonus} placeholders
+ */
+export function checkinMilestone(username, days, bonus, customMessage = null) {
+    const flavour = customMessage
+        ? customMessage
+            .replace(/\{user\}/g, `**${username}**`)
+            .replace(/\{days\}/g, String(days))
+            .replace(/\{bonus\}/g, String(bonus))
+        : MILESTONE_MESSAGES[days] || `${days} days without missing Beboa... how deliciously loyal~`;
+
+    return `🏆 **${days}-DAY MILESTONE!** 🏆
+${flavour}
+
+**+${bonus} bonus Bebit${bonus !== 1 ? 's' : ''}!**`;
+}
+
 // ============================================
 // BALANCE MESSAGES
 // ============================================
@@ -103,15 +163,23 @@ function getBalanceTierMessage(bebits) {
 
 /**
  * Balance display message
+ * @param {Object|null} repairable - Repairable lost streak ({ lostStreak, expiresAt }) if any
  */
-export function balanceDisplay(bebits, streak, totalCheckins) {
+export function balanceDisplay(bebits, streak, totalCheckins, freezes = 0, repairable = null, badges = []) {
     const tierMessage = getBalanceTierMessage(bebits);
+    const repairLine = repairable
+        ? `\n🩹 Your lost **${repairable.lostStreak} day** streak can be repaired in the /shop until <t:${Math.floor(repairable.expiresAt.getTime() / 1000)}:R>`
+        : '';
+    const badgeLine = badges.length > 0
+        ? `\n**Badges:** ${badges.map(formatBadge).join(', ')}`
+        : '';
 
     return `🐍 *Beboa checks the ledger*
 
 **Bebits:** ${bebits}
 **Streak:** ${streak} days
-**Total Check-ins:** ${totalCheckins}
+**Streak Freezes:** 🧊 ${freezes}
+**Total Check-ins:** ${totalCheckins}${badgeLine}${repairLine}
 
 ${tierMessage}`;
 }
@@ -120,43 +188,106 @@ ${tierMessage}`;
 // LEADERBOARD MESSAGES
 // ============================================
 
+/**
+ * Badge display names ({season} = season number)
+ */
+const BADGE_LABELS = {
+    season_champion: '🏆 Season {season} Champion',
+    season_runner_up: '🥈 Season {season} Runner-up',
+    season_third: '🥉 Season {season} Third Place'
+};
+
+/**
+ * Format a badge from user_badges for display
+ * @param {{badge: string, season_id: number|null}} badge
+ */
+export function formatBadge(badge) {
+    const label = BADGE_LABELS[badge.badge] || badge.badge;
+    return label.replace('{season}', badge.season_id ?? '?');
+}
+
+/**
+ * Format a leaderboard score for each ranking type
+ */
+function formatLeaderboardScore(type, score) {
+    switch (type) {
+        case 'streak':
+            return `${score} day streak`;
+        case 'checkins':
+            return `${score} check-in${score !== 1 ? 's' : ''}`;
+        case 'earned':
+            return `${score} Bebits earned`;
+        case 'monthly':
+            return `${score} Bebits this month`;
+        default:
+            return `${score} Bebits`;
+    }
+}
+
 /**
  * Format leaderboard position with medal or number
  */
-function formatPosition(index, user, client) {
+function formatPosition(position, entry, type) {
     const medals = ['🥇', '🥈', '🥉'];
-    const position = index + 1;
-    const prefix = medals[index] || `${position}.`;
+    const prefix = medals[position - 1] || `${position}.`;
+    const line = `${prefix} <@${entry.discord_id}> - **${formatLeaderboardScore(type, entry.score)}**`;
 
-    // For top 3, show streak
-    if (index < 3) {
-        return `${prefix} <@${user.discord_id}> - **${user.bebits} Bebits** (${user.current_streak} day streak)`;
+    // For the top 3 by Bebits, show streak
+    if (type === 'bebits' && position <= 3) {
+        return `${line} (${entry.current_streak} day streak)`;
     }
 
-    return `${prefix} <@${user.discord_id}> - **${user.bebits} Bebits**`;
+    return line;
 }
 
+/**
+ * Leaderboard titles per ranking type
+ */
+export const LEADERBOARD_TITLES = {
+    bebits: '🐍 BEBOA\'S LEADERBOARD OF DEVOTION 🐍',
+    streak: '🔥 LONGEST CURRENT STREAKS 🔥',
+    earned: '💰 LIFETIME BEBITS EARNED 💰',
+    checkins: '📅 MOST CHECK-INS 📅',
+    monthly: '🗓️ THIS MONTH\'S TOP EARNERS 🗓️'
+};
+
 /**
  * Build leaderboard description
+ * @param {Array} entries - Leaderboard page entries ({discord_id, score, ...})
+ * @param {string} type - Ranking type
+ * @param {number} offset - Position of the first entry minus one
+ * @param {{rank: number, score: number}|null} userRank - Viewer's position, null if unranked
+ * @param {string} userId - Viewer's Discord ID
  */
-export function buildLeaderboardDescription(topUsers, userRank, userBebits, userId) {
-    if (topUsers.length === 0) {
-        return "No one has earned Bebits yet... pathetic~\n\nBe the first to claim your glory!";
+export function buildLeaderboardDescription(entries, type, offset, userRank, userId) {
+    if (entries.length === 0) {
+        return offset === 0
+            ? "No one is on this board yet... pathetic~\n\nBe the first to claim your glory!"
+            : "No one down here~ Go back up, mortal.";
     }
 
-    let description = topUsers
-        .map((user, index) => formatPosition(index, user))
+    let description = entries
+        .map((entry, index) => formatPosition(offset + index + 1, entry, type))
         .join('\n');
 
-    // Add user's own rank if not in top 10
-    const isInTop10 = topUsers.some(u => u.discord_id === userId);
-    if (!isInTop10 && userRank > 0) {
-        description += `\n\n**Your Rank:** #${userRank} with ${userBebits} Bebits`;
+    // Add user's own rank if not on this page
+    const isOnPage = entries.some(entry => entry.discord_id === userId);
+    if (!isOnPage) {
+        description += userRank
+            ? `\n\n**Your Rank:** #${userRank.rank} with ${formatLeaderboardScore(type, userRank.score)}`
+            : `\n\n*You're not on this board yet~*`;
     }
 
     return description;
 }
 
+/**
+ * Title for an archived season's final standings
+ */
+export function seasonLeaderboardTitle(season) {
+    return `🏛️ SEASON ${season.id}${season.name ? ` — ${season.name.toUpperCase()}` : ''} FINAL STANDINGS 🏛️`;
+}
+
 /**
  * Leaderboard footer
  */
@@ -166,10 +297,58 @@ export const LEADERBOARD_FOOTER = "Who will prove their devotion to Bebe? Hehehe
 // SHOP MESSAGES
 // ============================================
 
+/**
+ * Format a wait until a future date as "2d 4h", "3h 15m" or "12m"
+ */
+function formatWait(date) {
+    const totalMinutes = Math.max(1, Math.ceil((date.getTime() - Date.now()) / (60 * 1000)));
+    const days = Math.floor(totalMinutes / (24 * 60));
+    const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+    const minutes = totalMinutes % 60;
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
+
+/**
+ * Format a reward's stock and the viewer's purchase limits for the shop
+ * @param {Object|undefined} availability - From getRewardAvailability
+ * @returns {string|null} Null when the reward has no limits
+ */
+export function formatRewardAvailability(availability) {
+    if (!availability) return null;
+
+    const parts = [];
+
+    switch (availability.reason) {
+        case 'lifetime_limit':
+            return `🔒 Limit reached (${availability.purchases}/${availability.lifetimeLimit})`;
+        case 'cooldown':
+            parts.push(`⏳ Available again in ${formatWait(availability.availableAt)}`);
+            break;
+        case 'sold_out':
+            return availability.nextRestockAt
+                ? `🚫 Sold out — restocks in ${formatWait(availability.nextRestockAt)}`
+                : '🚫 Sold out';
+    }
+
+    if (availability.stock !== null && availability.stock !== undefined) {
+        parts.push(`📦 ${availability.stock} left`);
+    }
+    if (availability.lifetimeLimit !== null && availability.lifetimeLimit !== undefined) {
+        parts.push(`${availability.purchases}/${availability.lifetimeLimit} bought`);
+    }
+
+    return parts.length > 0 ? parts.join(' · ') : null;
+}
+
 /**
  * Build shop display description
+ * @param {number} userBebits - Viewer's balance
+ * @param {Array} rewards - Rewards on the current shop page, each with its `availability` for the viewer
  */
-export function buildShopDescription(userBebits) {
+export function buildShopDescription(userBebits, rewards) {
     let description = `⚠️ **DISCLAIMER: PLEASE READ THE GUIDE OF WHAT YOU GET WITH EACH REWARD!**
 So that it's clear to you! You get what you get..... no refunds ⚠️
 
@@ -180,14 +359,47 @@ So that it's clear to you! You get what you get..... no refunds ⚠️
 `;
 
     // Add all rewards
-    REWARDS.forEach(reward => {
+    rewards.forEach(reward => {
         description += `${reward.emoji} **${reward.name}** — ${reward.cost} Bebit${reward.cost !== 1 ? 's' : ''}\n`;
+        if (reward.description) {
+            description += `╰ *${reward.description}*\n`;
+        }
+
+        const limits = formatRewardAvailability(reward.availability);
+        if (limits) {
+            description += `╰ ${limits}\n`;
+        }
     });
 
     description += `
 ━━━━━━━━━━━━━━━━━━━━━━━━
 
-Select a reward below to redeem~`;
+Pick a category, then a reward to see the details~`;
+
+    return description;
+}
+
+/**
+ * Reward detail view shown before the confirmation step
+ * @param {Object} reward - Reward with its `availability` for the viewer
+ * @param {number} userBebits - Viewer's balance
+ */
+export function buildRewardDetail(reward, userBebits) {
+    let description = reward.description
+        ? `*${reward.description}*\n\n`
+        : '';
+
+    description += `**Cost:** ${reward.cost} Bebit${reward.cost !== 1 ? 's' : ''}
+**Your Balance:** ${userBebits} Bebits`;
+
+    const limits = formatRewardAvailability(reward.availability);
+    if (limits) {
+        description += `\n${limits}`;
+    }
+
+    if (userBebits < reward.cost) {
+        description += `\n\n🐍 You need **${reward.cost - userBebits}** more Bebits for this one~`;
+    }
 
     return description;
 }
@@ -220,6 +432,62 @@ Remaining Balance: **${remainingBalance} Bebits**
 Beboa has notified Bebe~ Your reward awaits, mortal~`;
 }
 
+/**
+ * Successful item purchase message (applied instantly, no notification)
+ */
+export function itemPurchaseSuccess(reward, remainingBalance, effect = null) {
+    let effectLine = '';
+    if (reward.effect === 'streak_freeze' && effect?.freezes !== undefined) {
+        effectLine = `You now hold **${effect.freezes}** streak freeze${effect.freezes !== 1 ? 's' : ''} 🧊`;
+    } else if (reward.effect === 'streak_repair' && effect?.streak !== undefined) {
+        effectLine = `Your streak is back to **${effect.streak} days** 🔥`;
+    } else if (reward.effect === 'timed_role' && effect?.expiresAt) {
+        effectLine = `You wear <@&${effect.roleId}> until <t:${Math.floor(effect.expiresAt.getTime() / 1000)}:f> 👑`;
+    }
+
+    return `🐍 **Purchase Complete!**
+
+You bought:
+**${reward.name}** for **${reward.cost} Bebits**
+${effectLine}
+
+Remaining Balance: **${remainingBalance} Bebits**`;
+}
+
+/**
+ * Message when an item can't be bought right now
+ */
+export function itemUnavailable(reason, maxFreezes) {
+    switch (reason) {
+        case 'inventory_full':
+            return `🐍 Greedy little thing~ You can only hold **${maxFreezes}** streak freezes at once!`;
+        case 'nothing_to_repair':
+            return `🐍 Repair WHAT, exactly? You have no recently lost streak to fix~`;
+        default:
+            return `🐍 Hisss... you can't buy that right now~`;
+    }
+}
+
+/**
+ * Reward blocked by stock, cooldown or lifetime limit
+ * @param {string} reason - 'sold_out' | 'cooldown' | 'lifetime_limit'
+ * @param {Object} availability - From getRewardAvailability
+ */
+export function rewardLimited(reason, availability) {
+    switch (reason) {
+        case 'sold_out':
+            return availability?.nextRestockAt
+                ? `🐍 Too slow~ That one's sold out. Bebe restocks in **${formatWait(availability.nextRestockAt)}**.`
+                : `🐍 Too slow~ That one's sold out!`;
+        case 'cooldown':
+            return `🐍 Greedy~ You just had that one! Available again in **${formatWait(availability.availableAt)}**.`;
+        case 'lifetime_limit':
+            return `🐍 You've already claimed that **${availability.lifetimeLimit}** time${availability.lifetimeLimit !== 1 ? 's' : ''}. That's all you get, mortal~`;
+        default:
+            return `🐍 Hisss... you can't buy that right now~`;
+    }
+}
+
 /**
  * Redemption cancelled message
  */
@@ -235,8 +503,11 @@ Come back when you've gathered your courage~`;
 /**
  * Format notification for #beboas-command-center
  */
-export function buildRedemptionNotification(reward, userMention, userTag, remainingBalance, adminRoleId) {
+export function buildRedemptionNotification(reward, userMention, userTag, remainingBalance, adminRoleId, redemption = null) {
     const notificationText = reward.notification.replace('{user}', userMention);
+    const trackingLines = redemption
+        ? `\n**Redemption:** #${redemption.id}\n${formatRedemptionStatus(redemption)}`
+        : '';
 
     return `━━━━━━━━━━━━━━━━━━━━━━━━
 🐍 **REWARD CLAIMED** 🐍
@@ -247,11 +518,435 @@ export function buildRedemptionNotification(reward, userMention, userTag, remain
 **Reward:** ${reward.emoji} ${reward.name}
 **Cost:** ${reward.cost} Bebits
 **User:** ${userMention} (${userTag})
-**Remaining Balance:** ${remainingBalance} Bebits
+**Remaining Balance:** ${remainingBalance} Bebits${trackingLines}
+
+━━━━━━━━━━━━━━━━━━━━━━━━`;
+}
+
+/**
+ * Status line for a redemption notification (replaced in place as it changes)
+ */
+export function formatRedemptionStatus(redemption) {
+    switch (redemption.status) {
+        case 'in_progress':
+            return `**Status:** 🔧 In progress — claimed by <@${redemption.claimed_by}>`;
+        case 'fulfilled':
+            return `**Status:** ✅ Fulfilled${redemption.resolved_by ? ` by <@${redemption.resolved_by}>` : ''}`;
+        case 'refunded':
+            return `**Status:** 💸 Refunded by <@${redemption.resolved_by}>`;
+        default:
+            return '**Status:** ⏳ Pending';
+    }
+}
+
+/**
+ * Build the outstanding redemptions list for /admin redemptions queue
+ */
+export function buildRedemptionQueueDescription(redemptions, total) {
+    if (redemptions.length === 0) {
+        return '✨ Nothing waiting! Bebe is all caught up~';
+    }
+
+    let description = redemptions.map(r => {
+        const redeemedAt = Math.floor(new Date(r.redeemed_at.replace(' ', 'T') + 'Z').getTime() / 1000);
+        const claimed = r.status === 'in_progress' ? ` · 🔧 <@${r.claimed_by}>` : ' · ⏳ pending';
+        return `**#${r.id}** ${r.reward_name} — <@${r.discord_id}> · <t:${redeemedAt}:R>${claimed}`;
+    }).join('\n');
+
+    if (total > redemptions.length) {
+        description += `\n\n*...and ${total - redemptions.length} more*`;
+    }
+
+    return description;
+}
+
+// ============================================
+// GIFT MESSAGES
+// ============================================
+
+/**
+ * Gift confirmation prompt
+ */
+export function confirmGift(recipientMention, amount, remainingBalance) {
+    return `🐍 **Confirm Gift?**
+
+You are about to give **${amount} Bebits** to ${recipientMention}
+
+Your balance after: **${remainingBalance} Bebits**
+
+⚠️ **Gifts cannot be taken back!**`;
+}
+
+/**
+ * Gift sent message (to sender)
+ */
+export function giftSuccess(recipientMention, amount, remainingBalance) {
+    return `🐍 **Gift Sent!**
+
+${recipientMention} received **${amount} Bebits** from you.
 
+Remaining Balance: **${remainingBalance} Bebits**
+
+How generous... Beboa is suspicious~`;
+}
+
+/**
+ * Public gift announcement
+ */
+export function giftAnnouncement(senderMention, recipientMention, amount) {
+    return `🎁 ${senderMention} gifted **${amount} Bebits** to ${recipientMention}! Hehe, how sweet~ 🐍`;
+}
+
+/**
+ * Gift cancelled message
+ */
+export function giftCancelled() {
+    return `🐍 Changed your mind? Hmph. Keep your Bebits then~`;
+}
+
+/**
+ * Gift refused message
+ * @param {string} reason - Why the gift was refused
+ * @param {Object} details - { balance, limit, minAccountDays, minMemberDays }
+ */
+export function giftBlocked(reason, details = {}) {
+    switch (reason) {
+        case 'disabled':
+            return `🐍 Gifting is closed right now. Beboa keeps the Bebits where they are~`;
+        case 'self':
+            return `🐍 Giving Bebits to yourself? Beboa has seen pathetic, but this...`;
+        case 'bot':
+            return `🐍 Bots don't need Bebits. Beboa certainly doesn't... *hides hoard*`;
+        case 'invalid_amount':
+            return `🐍 That's not an amount, mortal~`;
+        case 'insufficient_bebits':
+            return `🐍 You only have **${details.balance} Bebits**. Can't give what you don't have~`;
+        case 'send_limit':
+            return `🐍 Slow down, philanthropist~ You can only gift **${details.limit}** more Bebits in the next 24 hours.`;
+        case 'receive_limit':
+            return `🐍 They've been showered with enough gifts today~ They can only receive **${details.limit}** more Bebits in the next 24 hours.`;
+        case 'sender_too_new':
+            return `🐍 Too fresh, hatchling~ Your account must be at least **${details.minAccountDays} days** old and in the server for **${details.minMemberDays} days** to send gifts.`;
+        case 'recipient_too_new':
+            return `🐍 That account is too new to receive gifts. Beboa doesn't trust fresh faces~`;
+        default:
+            return `🐍 Hisss... that gift can't be sent~`;
+    }
+}
+
+/**
+ * Admin alert for unusual transfer patterns
+ */
+export function buildGiftAlert(alerts, senderMention, recipientMention, amount) {
+    return `━━━━━━━━━━━━━━━━━━━━━━━━
+🚨 **UNUSUAL GIFTING** 🚨
+━━━━━━━━━━━━━━━━━━━━━━━━
+
+**Latest Gift:** ${senderMention} → ${recipientMention} (**${amount} Bebits**)
+
+${alerts.map(alert => `- ${alert.description}`).join('\n')}
+
+Use \`/admin history reason:gift\` to investigate~
 ━━━━━━━━━━━━━━━━━━━━━━━━`;
 }
 
+// ============================================
+// SEASON MESSAGES
+// ============================================
+
+/**
+ * Preview shown to admins before ending a season
+ */
+export function seasonEndPreview(preview, keepPercent, keepStreaks) {
+    const winners = preview.winners.length > 0
+        ? preview.winners.map(w => `${formatBadge({ badge: w.badge, season_id: preview.season })} — <@${w.discord_id}> (${w.bebits} Bebits)`).join('\n')
+        : '*Nobody has any Bebits~*';
+
+    return `Ending **Season ${preview.season}** will archive **${preview.members}** members and award:
+${winners}
+
+**Reset rules:**
+• Members keep **${keepPercent}%** of their Bebits (${preview.totalBebits} → ${preview.keptBebits} in circulation)
+• Streaks are **${keepStreaks ? 'kept' : 'reset to 0'}**
+
+⚠️ This can't be undone.`;
+}
+
+/**
+ * Announcement after a season ends
+ */
+export function seasonEnded(result) {
+    const { season, members, winners, bebitsRemoved } = result;
+    const title = season.name ? `Season ${season.id} — ${season.name}` : `Season ${season.id}`;
+    const podium = winners.length > 0
+        ? winners.map(w => `${formatBadge({ badge: w.badge, season_id: season.id })}: <@${w.discord_id}> with **${w.bebits} Bebits**`).join('\n')
+        : '*Nobody made the podium... pathetic~*';
+
+    return `🐍 **${title} is OVER!** Hehehe~
+
+${podium}
+
+${members} members archived, ${bebitsRemoved} Bebits melted away. See the final standings with \`/leaderboard season:${season.id}\`.
+Season ${season.id + 1} starts NOW. Grovel harder this time~`;
+}
+
+/**
+ * Build the archived seasons list for /admin season list
+ */
+export function buildSeasonList(seasons) {
+    if (seasons.length === 0) {
+        return '*No seasons have ended yet~*';
+    }
+
+    return seasons.map(season => {
+        const endedAt = Math.floor(new Date(season.ended_at.replace(' ', 'T') + 'Z').getTime() / 1000);
+        const winner = season.winner_id ? `🏆 <@${season.winner_id}> (${season.winner_bebits})` : 'no winner';
+        const name = season.name ? ` — ${season.name}` : '';
+        return `**Season ${season.id}${name}** · ended <t:${endedAt}:D> · ${season.members} members · ${winner} · kept ${season.keep_percent}%${season.keep_streaks ? ' + streaks' : ''}`;
+    }).join('\n');
+}
+
+// ============================================
+// ACHIEVEMENT MESSAGES
+// ============================================
+
+/**
+ * Announcement for a newly unlocked achievement
+ * @param {string} userMention - Mention of the member
+ * @param {Object} achievement - Achievement definition
+ */
+export function achievementUnlocked(userMention, achievement) {
+    const reward = achievement.reward > 0 ? `\n*+${achievement.reward} Bebits for your trouble~*` : '';
+
+    return `${achievement.emoji} **Achievement unlocked: ${achievement.name}**
+${achievement.announcement.replace('{user}', userMention)}${reward}`;
+}
+
+/**
+ * Format an unlocked achievement for a profile list
+ */
+export function formatAchievement(achievement) {
+    return `${achievement.emoji} ${achievement.name}`;
+}
+
+// ============================================
+// ACTIVITY MESSAGES
+// ============================================
+
+/**
+ * Daily summary of Bebits earned from chatting
+ * @param {string} day - UTC day (YYYY-MM-DD)
+ * @param {Array} earners - activity_earnings rows, highest first
+ */
+export function activityDigest(day, earners) {
+    const total = earners.reduce((sum, e) => sum + e.credited, 0);
+    const shown = earners.slice(0, 10).map((e, i) =>
+        `${i + 1}. <@${e.discord_id}> — **${e.credited}** Bebit${e.credited !== 1 ? 's' : ''} (${e.messages} message${e.messages !== 1 ? 's' : ''})`
+    );
+    const more = earners.length > 10 ? `\n*...and ${earners.length - 10} more chatterboxes*` : '';
+
+    return `🐍 **Yapping Report for ${day}**
+Beboa was listening... she's ALWAYS listening~ **${total}** Bebits paid out to **${earners.length}** member${earners.length !== 1 ? 's' : ''} for actually saying something worthwhile.
+
+${shown.join('\n')}${more}`;
+}
+
+// ============================================
+// HISTORY MESSAGES
+// ============================================
+
+const TRANSACTION_LABELS = {
+    opening_balance: 'Opening balance',
+    checkin: 'Check-in',
+    milestone: 'Streak milestone',
+    redemption: 'Redemption',
+    refund: 'Refund',
+    admin_give: 'Given by admin',
+    admin_remove: 'Removed by admin',
+    admin_set: 'Set by admin',
+    transfer: 'Transfer',
+    gift: 'Gift',
+    wheel: 'Wheel of fate',
+    season_reset: 'Season reset',
+    achievement: 'Achievement',
+    activity: 'Server activity',
+    adjustment: 'Adjustment'
+};
+
+/**
+ * Human-readable label for a ledger reason
+ */
+export function formatTransactionReason(reason) {
+    return TRANSACTION_LABELS[reason] || reason;
+}
+
+/**
+ * Build the transaction list for /history
+ * @param {Array} transactions - Ledger rows, newest first
+ * @param {boolean} showUser - Prefix each line with the user (admin view)
+ */
+export function buildHistoryDescription(transactions, showUser = false) {
+    if (transactions.length === 0) {
+        return "🐍 Beboa's ledger is empty here... nothing to see~";
+    }
+
+    return transactions.map(tx => {
+        const timestamp = Math.floor(new Date(tx.created_at.replace(' ', 'T') + 'Z').getTime() / 1000);
+        const amount = tx.delta > 0 ? `+${tx.delta}` : `${tx.delta}`;
+        const user = showUser ? `<@${tx.user_id}> ` : '';
+        const actor = tx.actor_id && tx.actor_id !== tx.user_id ? ` by <@${tx.actor_id}>` : '';
+        const note = tx.note ? ` · ${tx.note}` : '';
+
+        return `<t:${timestamp}:d> ${user}**${amount}** ${formatTransactionReason(tx.reason)}${actor}${note} → ${tx.balance_after}`;
+    }).join('\n');
+}
+
+// ============================================
+// PROFILE MESSAGES
+// ============================================
+
+const REDEMPTION_STATUS_EMOJI = {
+    pending: '⏳',
+    in_progress: '🔧',
+    fulfilled: '✅',
+    refunded: '💸'
+};
+
+/**
+ * Build the embed fields for a /profile card
+ * @param {Object} profile - From buildProfile (hidden sections are absent)
+ * @returns {Array<{name: string, value: string, inline?: boolean}>}
+ */
+export function buildProfileFields(profile) {
+    const { user } = profile;
+    const fields = [];
+
+    if (profile.rank !== undefined) {
+        fields.push({ name: '💰 Bebits', value: `**${user.bebits}** (rank #${profile.rank})`, inline: true });
+    }
+
+    if (profile.freezes !== undefined) {
+        let streak = `**${user.current_streak}** days now · best **${user.best_streak || user.current_streak}**\n${user.total_checkins} check-ins · 🧊 ${profile.freezes}`;
+        if (user.lost_streak > 0 && user.streak_lost_at) {
+            const lostAt = Math.floor(new Date(user.streak_lost_at).getTime() / 1000);
+            streak += `\nLost a ${user.lost_streak} day streak <t:${lostAt}:R>`;
+        }
+        fields.push({ name: '🔥 Streak', value: streak, inline: true });
+    }
+
+    if (profile.relationship) {
+        const { stage, nickname, interaction_count } = profile.relationship;
+        let relationship = `**${stage.label}**`;
+        if (nickname) {
+            relationship += ` · Beboa calls them "${nickname}"`;
+        }
+        relationship += `\n${interaction_count || 0} conversations`;
+        fields.push({ name: '🐍 Beboa', value: relationship, inline: true });
+    }
+
+    if (profile.memoryCount !== undefined) {
+        fields.push({
+            name: '🧠 Memories',
+            value: profile.memoryCount > 0
+                ? `Beboa remembers **${profile.memoryCount}** thing${profile.memoryCount !== 1 ? 's' : ''} about them`
+                : '*Beboa has nothing on them... yet~*',
+            inline: true
+        });
+    }
+
+    if (profile.badges) {
+        fields.push({
+            name: '🏅 Badges',
+            value: profile.badges.length > 0 ? profile.badges.map(formatBadge).join('\n') : '*None yet*'
+        });
+    }
+
+    if (profile.achievements) {
+        fields.push({
+            name: `🎖️ Achievements (${profile.achievements.length})`,
+            value: profile.achievements.length > 0
+                ? profile.achievements.map(a => formatAchievement(a.achievement)).join(' · ')
+                : '*None yet*'
+        });
+    }
+
+    if (profile.redemptions) {
+        fields.push({
+            name: '🛒 Recent Redemptions',
+            value: profile.redemptions.length > 0
+                ? profile.redemptions.map(r => {
+                    const redeemedAt = Math.floor(new Date(r.redeemed_at.replace(' ', 'T') + 'Z').getTime() / 1000);
+                    return `${REDEMPTION_STATUS_EMOJI[r.status] || '•'} ${r.reward_name} · <t:${redeemedAt}:R>`;
+                }).join('\n')
+                : '*Nothing redeemed yet*'
+        });
+    }
+
+    return fields;
+}
+
+/**
+ * Show current profile privacy settings
+ * @param {Array<string>} hidden - Hidden section keys
+ * @param {Object} sections - PROFILE_SECTIONS
+ */
+export function privacySettings(hidden, sections) {
+    const lines = Object.entries(sections).map(([key, label]) =>
+        `${hidden.includes(key) ? '🙈' : '👀'} ${label}`
+    );
+
+    return `🐍 **Your /profile card shows:**
+
+${lines.join('\n')}
+
+Use \`/settings privacy section:<section> visible:<true|false>\` to change it~`;
+}
+
+// ============================================
+// SETTINGS MESSAGES
+// ============================================
+
+/**
+ * Current timezone display
+ */
+export function timezoneCurrent(timezone, localTime, isDefault, calendarMode) {
+    const modeLine = calendarMode
+        ? 'Your check-in resets at midnight in this timezone~'
+        : 'Check-ins currently use a rolling 24 hour window, so this only matters if Bebe switches to calendar days~';
+
+    return `🐍 **Your timezone:** ${timezone}${isDefault ? ' (server default)' : ''}
+**Local time:** ${localTime}
+
+${modeLine}`;
+}
+
+/**
+ * Timezone updated confirmation
+ */
+export function timezoneSet(timezone, localTime, calendarMode) {
+    return `🐍 Noted. Beboa will now judge you by **${timezone}** time~
+**Local time:** ${localTime}
+${calendarMode ? '\nYour daily check-in resets at your local midnight.' : ''}`;
+}
+
+/**
+ * Timezone change refused because it would reopen today's check-in
+ */
+export function timezoneLocked(hours, minutes) {
+    return `🐍 Nice try~ You've already checked in today, and that timezone would let you do it again.
+
+You can change your timezone once your check-in resets, in **${hours}h ${minutes}m**.`;
+}
+
+/**
+ * Invalid timezone error
+ */
+export function invalidTimezone(input) {
+    return `🐍 Hisss... **${input}** is not a timezone Beboa recognizes.
+
+Use a region name like \`America/New_York\`, \`Europe/London\` or \`Asia/Tokyo\`~`;
+}
+
 // ============================================
 // ERROR MESSAGES
 // ============================================
@@ -341,20 +1036,262 @@ Previous streak: **${oldStreak} days**
 (Bebits untouched: **${bebits}**)`;
 }
 
+/**
+ * Describe a role reward's requirement
+ * @param {Object} mapping - role_rewards row
+ * @param {Object} stages - RelationshipStages (for stage labels)
+ */
+export function formatRoleRequirement(mapping, stages) {
+    switch (mapping.requirement) {
+        case 'streak':
+            return `${mapping.threshold}+ day streak`;
+        case 'checkins':
+            return `${mapping.threshold}+ check-ins`;
+        case 'bebits':
+            return `${mapping.threshold}+ Bebits`;
+        case 'rank':
+            return `top ${mapping.threshold} by Bebits`;
+        case 'relationship':
+            return `${stages[mapping.stage]?.label || mapping.stage} with Beboa or closer`;
+        default:
+            return mapping.requirement;
+    }
+}
+
+/**
+ * Build the role rewards list for /admin roles list
+ * @param {Array} mappings - role_rewards rows
+ * @param {Array} timedRewards - Shop rewards with the timed_role effect
+ * @param {Object} stages - RelationshipStages
+ */
+export function buildRoleRewardList(mappings, timedRewards, stages) {
+    const earned = mappings.length > 0
+        ? mappings.map(m => `<@&${m.role_id}> — ${formatRoleRequirement(m, stages)}`).join('\n')
+        : '*No role rewards yet. Add one with `/admin roles add`~*';
+
+    const timed = timedRewards.length > 0
+        ? '\n\n**Shop roles:**\n' + timedRewards.map(r => `<@&${r.role_id}> — ${r.emoji} ${r.name} \`${r.id}\` (${r.role_hours}h)`).join('\n')
+        : '';
+
+    return `**Earned roles:**\n${earned}${timed}`;
+}
+
+/**
+ * Describe a per-tier Jarvis rule
+ * @param {Object} rule - admin_permission_rules row
+ */
+export function formatJarvisRule(rule) {
+    const parts = [];
+    if (rule.allowed !== null) parts.push(rule.allowed ? 'allowed' : 'denied');
+    if (rule.max_amount !== null) parts.push(`max ${rule.max_amount} bebits`);
+
+    const target = rule.command === '*' ? 'all commands' : `\`${rule.command}\``;
+    return `${target} — ${parts.join(', ')}`;
+}
+
+/**
+ * Build the Jarvis tier overview for /admin jarvis tiers
+ * @param {Array} permissions - admin_permissions rows with access
+ * @param {Array} rules - admin_permission_rules rows
+ * @param {Object} levelNames - PERMISSION_LEVEL_NAMES
+ */
+export function buildJarvisTierList(permissions, rules, levelNames) {
+    const admins = permissions.length > 0
+        ? permissions.map(p => `<@${p.user_id}> — **${levelNames[p.permission_level] || p.permission_level}**`).join('\n')
+        : '*Nobody yet. Grant with `/admin jarvis grant`~*';
+
+    const ruleLines = rules.length > 0
+        ? rules.map(r => `**${levelNames[r.level] || r.level}:** ${formatJarvisRule(r)}`).join('\n')
+        : '*No overrides - tiers use their defaults.*';
+
+    return `**Jarvis admins:**\n${admins}\n\n**Rules:**\n${ruleLines}\n\n` +
+        '*Fun: info & fun · Moderator: + memory, mood, streaks · Economy: + Bebits, capped · Owner: everything*';
+}
+
+/**
+ * Build the scheduled Jarvis command list for /admin schedule list
+ * @param {Array} actions - scheduled_actions rows
+ */
+export function buildScheduledActionList(actions) {
+    if (actions.length === 0) {
+        return '*Nothing scheduled. Tell Jarvis something like "announce the raffle at 8pm"~*';
+    }
+
+    return actions.map(action => {
+        const runAt = Math.floor(new Date(action.run_at).getTime() / 1000);
+        const when = action.status === 'active'
+            ? `next <t:${runAt}:R>`
+            : `**${action.status}**`;
+        const runs = action.run_count > 0 ? ` · ran ${action.run_count}×` : '';
+        const raw = action.raw_message || '';
+
+        return `**#${action.id}** \`${action.command}\` — ${action.schedule} — ${when} · by <@${action.actor_id}>${runs}\n` +
+            `> ${raw.length > 100 ? raw.slice(0, 100) + '…' : raw}`;
+    }).join('\n');
+}
+
+/**
+ * Preview of a Jarvis announcement draft (or what became of it)
+ * @param {Object} announcement - announcements row
+ * @param {string|null} channelId - Announcement channel
+ */
+export function announcementPreview(announcement, channelId) {
+    const pings = { none: 'no ping', everyone: '🔔 @everyone', here: '🔔 @here' };
+    const ping = pings[announcement.ping] || `🔔 <@&${announcement.ping.slice('role:'.length)}>`;
+
+    let when = 'posts when approved';
+    if (announcement.run_at) {
+        const runAt = Math.floor(new Date(announcement.run_at).getTime() / 1000);
+        when = `🗓️ ${announcement.schedule} (<t:${runAt}:R>)`;
+    }
+
+    const channel = channelId ? `<#${channelId}>` : '*no channel set*';
+    const version = announcement.use_rewrite && announcement.rewritten ? "\n*Beboa's version:*" : '';
+    const text = announcement.use_rewrite && announcement.rewritten ? announcement.rewritten : announcement.content;
+
+    return `📢 **Announcement draft #${announcement.id}** → ${channel} · ${ping} · ${when}${version}\n>>> ${text}`;
+}
+
+/**
+ * Summarize what an audited Jarvis command changed
+ * @param {Object} entry - Audit entry with parsed before/after state
+ */
+export function formatAuditChange(entry) {
+    const before = entry.before_state || {};
+    const after = entry.after_state || {};
+
+    if (before.balances) {
+        const userIds = Object.keys(before.balances);
+        const shown = userIds.slice(0, 3)
+            .map(id => `<@${id}> ${before.balances[id]} → ${after.balances[id]}`)
+            .join(', ');
+        return userIds.length > 3 ? `${shown} *+${userIds.length - 3} more*` : shown;
+    }
+    if (before.current_streak !== undefined) {
+        return `<@${before.userId}> streak ${before.current_streak} → ${after.current_streak}`;
+    }
+    if (before.mood !== undefined) {
+        return `mood ${before.mood} → ${after.mood}`;
+    }
+    if (before.notes !== undefined) {
+        return `<@${before.userId}> notes updated`;
+    }
+    if (before.memories !== undefined) {
+        const count = before.memories.length;
+        return `forgot ${count} ${count === 1 ? 'memory' : 'memories'}${before.userId ? ` about <@${before.userId}>` : ''}`;
+    }
+    if (before.nickname !== undefined) {
+        return `<@${before.userId}> nickname ${before.nickname || 'none'} → ${after.nickname || 'none'}`;
+    }
+    if (before.rivalry !== undefined) {
+        return `<@${before.userId}> rivalry ${(before.rivalry * 100).toFixed(0)}% → ${(after.rivalry * 100).toFixed(0)}%`;
+    }
+    if (before.insideJokes !== undefined) {
+        return `<@${before.userId}> inside jokes ${before.insideJokes.length} → ${after.insideJokes.length}`;
+    }
+    if (after.announcementId !== undefined) {
+        const ping = after.ping === 'none' ? '' : ' with a ping';
+        return `announcement #${after.announcementId} posted in <#${after.channelId}>${ping}`;
+    }
+
+    return '';
+}
+
+/**
+ * Build the list of audit entries for /admin audit
+ * @param {Array} entries - Audit entries, newest first
+ */
+export function buildAuditList(entries) {
+    if (entries.length === 0) {
+        return '*No Jarvis commands logged yet~*';
+    }
+
+    return entries.map(entry => {
+        const timestamp = Math.floor(new Date(entry.created_at.replace(' ', 'T') + 'Z').getTime() / 1000);
+        const change = formatAuditChange(entry);
+        const status = entry.undone_at ? ' · ↩️ *undone*' : '';
+
+        return `**#${entry.id}** <t:${timestamp}:R> <@${entry.actor_id}> \`${entry.command}\` (${entry.method})${change ? ` · ${change}` : ''}${status}`;
+    }).join('\n');
+}
+
+/**
+ * Build the embed fields for a single audit entry
+ * @param {Object} entry - Audit entry with parsed JSON columns
+ * @returns {Array<{name: string, value: string, inline?: boolean}>}
+ */
+export function buildAuditDetailFields(entry) {
+    const toBlock = value => {
+        const json = JSON.stringify(value, null, 1) || 'null';
+        return '```json\n' + (json.length > 1000 ? json.slice(0, 1000) + '…' : json) + '\n```';
+    };
+
+    const timestamp = Math.floor(new Date(entry.created_at.replace(' ', 'T') + 'Z').getTime() / 1000);
+    let status = entry.reversible ? 'Reversible' : 'Not reversible';
+    if (entry.undone_at) {
+        const undoneAt = Math.floor(new Date(entry.undone_at.replace(' ', 'T') + 'Z').getTime() / 1000);
+        status = `↩️ Undone by <@${entry.undone_by}> <t:${undoneAt}:R>`;
+    }
+
+    return [
+        { name: 'Actor', value: `<@${entry.actor_id}>`, inline: true },
+        { name: 'Parsed via', value: entry.method || 'unknown', inline: true },
+        { name: 'When', value: `<t:${timestamp}:f>`, inline: true },
+        { name: 'Channel', value: entry.channel_id ? `<#${entry.channel_id}>` : 'Unknown', inline: true },
+        { name: 'Status', value: status, inline: true },
+        { name: 'Message', value: `> ${(entry.raw_message || '').slice(0, 1000)}` },
+        { name: 'Parsed intent', value: toBlock(entry.intent) },
+        { name: 'Before', value: toBlock(entry.before_state), inline: true },
+        { name: 'After', value: toBlock(entry.after_state), inline: true }
+    ];
+}
+
 export default {
     checkinSuccess,
     checkinRecovered,
     checkinReset,
+    checkinFrozen,
     checkinCooldown,
     checkinFirst,
+    checkinMilestone,
     balanceDisplay,
     buildLeaderboardDescription,
+    LEADERBOARD_TITLES,
+    seasonLeaderboardTitle,
+    formatBadge,
     LEADERBOARD_FOOTER,
     buildShopDescription,
     confirmRedemption,
     redemptionSuccess,
+    itemPurchaseSuccess,
+    itemUnavailable,
+    formatRewardAvailability,
+    buildRewardDetail,
+    rewardLimited,
     redemptionCancelled,
     buildRedemptionNotification,
+    formatRedemptionStatus,
+    buildRedemptionQueueDescription,
+    confirmGift,
+    giftSuccess,
+    giftAnnouncement,
+    giftCancelled,
+    giftBlocked,
+    buildGiftAlert,
+    seasonEndPreview,
+    seasonEnded,
+    buildProfileFields,
+    privacySettings,
+    buildSeasonList,
+    achievementUnlocked,
+    formatAchievement,
+    activityDigest,
+    formatTransactionReason,
+    buildHistoryDescription,
+    timezoneCurrent,
+    timezoneSet,
+    timezoneLocked,
+    invalidTimezone,
     insufficientBebits,
     wrongChannel,
     databaseError,
@@ -363,5 +1300,14 @@ export default {
     adminBebitsAdded,
     adminBebitsRemoved,
     adminBebitsSet,
-    adminStreakReset
+    adminStreakReset,
+    formatRoleRequirement,
+    buildRoleRewardList,
+    formatJarvisRule,
+    buildJarvisTierList,
+    buildScheduledActionList,
+    announcementPreview,
+    formatAuditChange,
+    buildAuditList,
+    buildAuditDetailFields
 };
@@ -0,0 +1,160 @@
+/**
+ * Reply Streamer
+ * Shows a chat reply in Discord while it's still being written: posts a
+ * placeholder, edits it as text arrives (no faster than Discord's edit rate
+ * limit) and rolls over into follow-up messages past 2000 characters.
+ */
+
+export const MAX_MESSAGE_LENGTH = 2000;
+
+// Discord allows about 5 edits per 5 seconds on one message
+const EDIT_INTERVAL_MS = 1200;
+
+/**
+ * Find where to cut text that's too long for one message - the last
+ * newline, else the last space, as long as it's past the halfway mark
+ */
+function findBreakPoint(text, maxLength) {
+    let breakPoint = text.lastIndexOf('\n', maxLength);
+    if (breakPoint === -1 || breakPoint < maxLength / 2) {
+        breakPoint = text.lastIndexOf(' ', maxLength);
+    }
+    if (breakPoint === -1 || breakPoint < maxLength / 2) {
+        breakPoint = maxLength;
+    }
+    return breakPoint;
+}
+
+/**
+ * Create a streamer for one reply
+ * @param {Object} target - Where the reply goes
+ * @param {(content: string, index: number) => Promise<any>} target.send - Post message number `index` (0 = the first)
+ * @param {(message: any, content: string) => Promise<any>} target.edit - Edit a message send() returned
+ * @param {string} placeholder - Shown until the first text arrives
+ * @returns {{start: Function, push: Function, restart: Function, finish: Function, fail: Function}}
+ */
+export function createReplyStreamer({ send, edit }, placeholder) {
+    const messages = [];    // What send() returned, oldest first
+    const shown = [];       // Text each message currently shows
+    let text = '';          // The whole reply so far
+    let offset = 0;         // Where the current message's part of `text` starts
+    let current = 0;        // Index of the message being written
+    let lastUpdate = 0;
+    let timer = null;
+    let queue = Promise.resolve();
+
+    // Discord calls run one at a time, in order; a failed edit doesn't stop the reply
+    function enqueue(task) {
+        queue = queue.then(task).catch(error => console.error('[STREAM] Discord update failed:', error.message));
+        return queue;
+    }
+
+    async function show(index, content) {
+        if (shown[index] === content) return;
+
+        if (index < messages.length) {
+            await edit(messages[index], content);
+        } else {
+            messages.push(await send(content, index));
+        }
+        shown[index] = content;
+        lastUpdate = Date.now();
+    }
+
+    async function flush() {
+        for (;;) {
+            const rest = text.slice(offset).trimStart();
+            offset = text.length - rest.length;
+
+            if (rest.length <= MAX_MESSAGE_LENGTH) {
+                if (rest) await show(current, rest);
+                else if (current === 0) await show(0, placeholder);
+                return;
+            }
+
+            // Too long: finish this message at a break point and carry on in the next
+            const breakPoint = findBreakPoint(rest, MAX_MESSAGE_LENGTH);
+            await show(current, rest.substring(0, breakPoint));
+            offset += breakPoint;
+            current++;
+        }
+    }
+
+    function cancelScheduledFlush() {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    function scheduleFlush() {
+        if (timer) return;
+
+        const wait = Math.max(0, lastUpdate + EDIT_INTERVAL_MS - Date.now());
+        timer = setTimeout(() => {
+            timer = null;
+            enqueue(flush);
+        }, wait);
+    }
+
+    return {
+        /**
+         * Post the placeholder
+         */
+        start() {
+            return enqueue(() => show(0, placeholder));
+        },
+
+        /**
+         * Add newly generated text; the messages catch up on the next edit
+         * @param {string} piece
+         */
+        push(piece) {
+            text += piece;
+            scheduleFlush();
+        },
+
+        /**
+         * Throw away what's been written so far and show the placeholder
+         * again (the model's first turn was a tool call, the real reply
+         * comes next)
+         */
+        restart() {
+            cancelScheduledFlush();
+            text = '';
+            return enqueue(() => {
+                offset = 0;
+                current = 0;
+                return flush();
+            });
+        },
+
+        /**
+         * Show the complete reply
+         * @param {string} finalText - The full reply, if it wasn't streamed in with push()
+         */
+        async finish(finalText) {
+            cancelScheduledFlush();
+            if (finalText != null) text = finalText;
+            await enqueue(flush);
+            return messages;
+        },
+
+        /**
+         * Show an error instead of the placeholder, or after whatever text
+         * made it through before generation broke off
+         * @param {string} errorText
+         */
+        async fail(errorText) {
+            cancelScheduledFlush();
+            await enqueue(async () => {
+                if (!text.trim()) return show(current, errorText);
+                await flush();
+                await show(current + 1, errorText);
+            });
+        }
+    };
+}
+
+export default {
+    MAX_MESSAGE_LENGTH,
+    createReplyStreamer
+};
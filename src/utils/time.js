@@ -7,6 +7,11 @@ export const GRACE_PERIOD_HOURS = 72;
 
 export const COOLDOWN_MS = COOLDOWN_HOURS * HOUR_MS;
 export const GRACE_PERIOD_MS = GRACE_PERIOD_HOURS * HOUR_MS;
+export const GRACE_PERIOD_DAYS = GRACE_PERIOD_HOURS / 24;
+
+// How long after a reset a lost streak can still be repaired
+export const STREAK_REPAIR_WINDOW_HOURS = 72;
+export const STREAK_REPAIR_WINDOW_MS = STREAK_REPAIR_WINDOW_HOURS * HOUR_MS;
 
 /**
  * Get time elapsed since last check-in in milliseconds
@@ -38,19 +43,27 @@ export function formatTimeRemaining(milliseconds) {
 /**
  * Check if user can check in and determine streak status
  * @param {string|null} lastCheckinISO - ISO8601 timestamp of last check-in
+ * @param {Object} options - Check-in mode options
+ * @param {string} options.mode - 'rolling' (24h window) or 'calendar' (once per local day)
+ * @param {string} options.timezone - IANA timezone used in calendar mode
  * @returns {Object} Check-in status object
  */
-export function canCheckin(lastCheckinISO) {
+export function canCheckin(lastCheckinISO, { mode = 'rolling', timezone = 'UTC' } = {}) {
     // First time check-in
     if (!lastCheckinISO) {
         return {
             canCheckin: true,
             reason: 'first',
             timeSince: null,
-            remaining: null
+            remaining: null,
+            missedDays: 0
         };
     }
 
+    if (mode === 'calendar') {
+        return canCheckinCalendar(lastCheckinISO, timezone);
+    }
+
     const timeSince = getTimeSinceLastCheckin(lastCheckinISO);
 
     // Still on cooldown (< 24 hours)
@@ -74,7 +87,8 @@ export function canCheckin(lastCheckinISO) {
             canCheckin: true,
             reason: isRecovered ? 'recovered' : 'continue',
             timeSince,
-            remaining: null
+            remaining: null,
+            missedDays: 0
         };
     }
 
@@ -83,10 +97,191 @@ export function canCheckin(lastCheckinISO) {
         canCheckin: true,
         reason: 'reset',
         timeSince,
-        remaining: null
+        remaining: null,
+        missedDays: getMissedDays(timeSince)
     };
 }
 
+/**
+ * Calendar-day variant of canCheckin: one check-in per local day.
+ * Grace mirrors rolling mode - the next local day continues the streak,
+ * skipping up to two days is a "recovered" close call, more than that resets.
+ */
+function canCheckinCalendar(lastCheckinISO, timezone) {
+    const now = new Date();
+    const timeSince = getTimeSinceLastCheckin(lastCheckinISO);
+    const dayDiff = getLocalDayNumber(now, timezone) - getLocalDayNumber(new Date(lastCheckinISO), timezone);
+
+    // Already checked in today (local time)
+    if (dayDiff <= 0) {
+        const remaining = getMsUntilLocalMidnight(now, timezone);
+        return {
+            canCheckin: false,
+            reason: 'cooldown',
+            timeSince,
+            remaining,
+            ...formatTimeRemaining(remaining)
+        };
+    }
+
+    if (dayDiff <= GRACE_PERIOD_DAYS) {
+        return {
+            canCheckin: true,
+            reason: dayDiff === 1 ? 'continue' : 'recovered',
+            timeSince,
+            remaining: null,
+            missedDays: 0
+        };
+    }
+
+    return {
+        canCheckin: true,
+        reason: 'reset',
+        timeSince,
+        remaining: null,
+        missedDays: dayDiff - GRACE_PERIOD_DAYS
+    };
+}
+
+/**
+ * Count the days missed beyond the grace period (one streak freeze covers one day)
+ * @param {number} timeSince - Milliseconds since last check-in
+ * @returns {number} Number of missed days (0 if still within grace)
+ */
+export function getMissedDays(timeSince) {
+    if (!timeSince || timeSince <= GRACE_PERIOD_MS) return 0;
+    return Math.ceil((timeSince - GRACE_PERIOD_MS) / DAY_MS);
+}
+
+// ============================================
+// TIMEZONES
+// ============================================
+
+/**
+ * Check whether a string is a valid IANA timezone (e.g. "Europe/Berlin")
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+    if (!timezone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get the wall-clock parts of a date in a timezone
+ * @param {Date} date - Date to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getLocalParts(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const result = {};
+    for (const part of parts) {
+        if (part.type !== 'literal') {
+            result[part.type] = parseInt(part.value, 10);
+        }
+    }
+    return result;
+}
+
+/**
+ * Get a day counter for the local calendar date (consecutive days differ by 1)
+ * @param {Date} date - Date to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Days since the Unix epoch in local time
+ */
+export function getLocalDayNumber(date, timezone) {
+    const { year, month, day } = getLocalParts(date, timezone);
+    return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+/**
+ * Get milliseconds until the next local midnight
+ * @param {Date} date - Current date
+ * @param {string} timezone - IANA timezone
+ * @returns {number}
+ */
+export function getMsUntilLocalMidnight(date, timezone) {
+    const { hour, minute, second } = getLocalParts(date, timezone);
+    const elapsed = ((hour * 60 + minute) * 60 + second) * 1000 + date.getMilliseconds();
+    return DAY_MS - elapsed;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a Date
+ * @param {Object} local - { year, month, day, hour, minute } (month is 1-12)
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+export function localTimeToDate({ year, month, day, hour, minute }, timezone) {
+    const target = Date.UTC(year, month - 1, day, hour, minute);
+    let guess = target;
+
+    // Two passes settle the UTC offset, even when the guess straddles a DST change
+    for (let i = 0; i < 2; i++) {
+        const parts = getLocalParts(new Date(guess), timezone);
+        guess += target - Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    }
+
+    return new Date(guess);
+}
+
+/**
+ * Find the next time a local wall-clock time comes round
+ * @param {Date} after - Return the first occurrence strictly after this
+ * @param {string} timezone - IANA timezone
+ * @param {Object} spec - { hour, minute, weekday } (weekday 0 = Sunday, null = any day)
+ * @returns {Date}
+ */
+export function getNextLocalTime(after, timezone, { hour, minute, weekday = null }) {
+    const today = getLocalParts(after, timezone);
+
+    for (let offset = 0; ; offset++) {
+        const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        if (weekday !== null && date.getUTCDay() !== weekday) continue;
+
+        const candidate = localTimeToDate({
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            hour,
+            minute
+        }, timezone);
+
+        if (candidate > after) return candidate;
+    }
+}
+
+/**
+ * Format the current local time in a timezone for display
+ * @param {string} timezone - IANA timezone
+ * @returns {string} e.g. "Mon, 14:05"
+ */
+export function formatLocalTime(timezone) {
+    return new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).format(new Date());
+}
+
 /**
  * Check if this is the user's first ever check-in
  * @param {string|null} lastCheckinISO - ISO8601 timestamp of last check-in